@@ -0,0 +1,219 @@
+"use client";
+
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { ClipboardList, RefreshCw, Search, ArrowRight } from "lucide-react";
+import { fetchPedidoAudit, PedidoAudit, AccionAuditoria } from "@/lib/api";
+import { Sidebar } from "@/components/sidebar";
+import { cn } from "@/lib/utils";
+
+const MESES = [
+    "", "Ene", "Feb", "Mar", "Abr", "May", "Jun",
+    "Jul", "Ago", "Sep", "Oct", "Nov", "Dic"
+];
+
+const ACCION_STYLES: Record<AccionAuditoria, { label: string; color: string }> = {
+    crear: { label: "Creado", color: "text-emerald-700 bg-emerald-50" },
+    actualizar: { label: "Modificado", color: "text-blue-700 bg-blue-50" },
+    eliminar: { label: "Eliminado", color: "text-red-700 bg-red-50" },
+    reset: { label: "Reset", color: "text-amber-700 bg-amber-50" },
+    mover: { label: "Movido", color: "text-violet-700 bg-violet-50" },
+};
+
+function formatDateTime(dateStr: string): string {
+    return new Date(dateStr).toLocaleString("es-CL", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+    });
+}
+
+function formatCantidad(value: number | null): string {
+    return value === null ? "—" : value.toLocaleString("es-CL");
+}
+
+function AuditRow({ cambio }: { cambio: PedidoAudit }) {
+    const accion = ACCION_STYLES[cambio.accion] || { label: cambio.accion, color: "text-slate-600 bg-slate-100" };
+
+    return (
+        <tr className="border-b border-slate-200 hover:bg-slate-50 transition-colors">
+            <td className="px-4 py-3 text-sm text-slate-700 whitespace-nowrap">{formatDateTime(cambio.createdAt)}</td>
+            <td className="px-4 py-3 font-mono text-sm text-slate-900">{cambio.sku}</td>
+            <td className="px-4 py-3 text-sm text-slate-700">{MESES[cambio.mes]} {cambio.ano}</td>
+            <td className="px-4 py-3">
+                <div className="flex items-center gap-2 font-mono text-sm tabular-nums">
+                    <span className="text-slate-500">{formatCantidad(cambio.cantidadAnterior)}</span>
+                    <ArrowRight className="h-3 w-3 text-slate-400" />
+                    <span className={cn("font-semibold", cambio.cantidadNueva === 0 ? "text-red-600" : "text-slate-900")}>
+                        {formatCantidad(cambio.cantidadNueva)}
+                    </span>
+                </div>
+            </td>
+            <td className="px-4 py-3">
+                <span className={cn("inline-flex px-3 py-1 rounded-full text-sm font-medium", accion.color)}>{accion.label}</span>
+            </td>
+            <td className="px-4 py-3 text-sm text-slate-700">{cambio.usuario}</td>
+            <td className="px-4 py-3 text-xs font-mono text-slate-500">
+                {cambio.origen}
+                {cambio.ordenId && <span className="text-slate-400"> (orden #{cambio.ordenId})</span>}
+            </td>
+        </tr>
+    );
+}
+
+export default function AuditoriaPage() {
+    const [sku, setSku] = useState("");
+    const [mes, setMes] = useState(""); // yyyy-MM
+    const [usuario, setUsuario] = useState("");
+    const [desde, setDesde] = useState("");
+    const [hasta, setHasta] = useState("");
+
+    const [anoFiltro, mesFiltro] = mes ? mes.split("-").map(Number) : [undefined, undefined];
+
+    const { data, isLoading, error, isFetching, refetch } = useQuery({
+        queryKey: ["pedido-audit", sku, mes, usuario, desde, hasta],
+        queryFn: () => fetchPedidoAudit({
+            sku: sku.trim() || undefined,
+            ano: anoFiltro,
+            mes: mesFiltro,
+            usuario: usuario.trim() || undefined,
+            desde: desde || undefined,
+            hasta: hasta || undefined,
+        }),
+        staleTime: 0,
+    });
+
+    const cambios = data?.cambios || [];
+
+    return (
+        <div className="flex h-screen bg-slate-100">
+            <Sidebar />
+
+            <div className="flex-1 flex flex-col overflow-hidden">
+                <header className="h-16 bg-white border-b border-slate-200 flex items-center justify-between px-6 shadow-sm">
+                    <div className="flex items-center gap-3">
+                        <ClipboardList className="h-6 w-6 text-blue-600" />
+                        <h1 className="text-xl font-bold text-slate-900">Auditoría de Compras</h1>
+                    </div>
+
+                    <button
+                        type="button"
+                        onClick={() => refetch()}
+                        disabled={isFetching}
+                        className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        <RefreshCw className={`h-4 w-4 ${isFetching ? "animate-spin" : ""}`} />
+                        {isFetching ? "Actualizando..." : "Actualizar"}
+                    </button>
+                </header>
+
+                <main className="flex-1 overflow-auto p-6">
+                    {/* Filtros */}
+                    <div className="bg-white rounded-xl border border-slate-200 p-4 shadow-sm mb-4">
+                        <div className="flex flex-wrap items-end gap-4">
+                            <div className="flex flex-col gap-1">
+                                <label htmlFor="sku" className="text-xs font-medium text-slate-500">SKU</label>
+                                <div className="relative">
+                                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+                                    <input
+                                        id="sku"
+                                        type="text"
+                                        value={sku}
+                                        onChange={(e) => setSku(e.target.value)}
+                                        placeholder="Ej: KC-123"
+                                        className="w-40 pl-9 pr-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                </div>
+                            </div>
+                            <div className="flex flex-col gap-1">
+                                <label htmlFor="mes" className="text-xs font-medium text-slate-500">Mes de compra</label>
+                                <input
+                                    id="mes"
+                                    type="month"
+                                    value={mes}
+                                    onChange={(e) => setMes(e.target.value)}
+                                    className="px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                            <div className="flex flex-col gap-1">
+                                <label htmlFor="usuario" className="text-xs font-medium text-slate-500">Usuario</label>
+                                <input
+                                    id="usuario"
+                                    type="text"
+                                    value={usuario}
+                                    onChange={(e) => setUsuario(e.target.value)}
+                                    className="w-32 px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                            <div className="flex flex-col gap-1">
+                                <label htmlFor="desde" className="text-xs font-medium text-slate-500">Cambios desde</label>
+                                <input
+                                    id="desde"
+                                    type="date"
+                                    value={desde}
+                                    onChange={(e) => setDesde(e.target.value)}
+                                    className="px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                            <div className="flex flex-col gap-1">
+                                <label htmlFor="hasta" className="text-xs font-medium text-slate-500">Hasta</label>
+                                <input
+                                    id="hasta"
+                                    type="date"
+                                    value={hasta}
+                                    onChange={(e) => setHasta(e.target.value)}
+                                    className="px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                            <span className="ml-auto text-sm text-slate-600">
+                                <span className="font-semibold">{cambios.length}</span> cambios
+                            </span>
+                        </div>
+                    </div>
+
+                    <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+                        {isLoading ? (
+                            <div className="flex items-center justify-center h-64">
+                                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+                            </div>
+                        ) : error ? (
+                            <div className="flex items-center justify-center h-64 text-red-600">
+                                Error al cargar auditoría: {(error as Error).message}
+                            </div>
+                        ) : cambios.length === 0 ? (
+                            <div className="flex flex-col items-center justify-center h-64 text-slate-500">
+                                <ClipboardList className="h-12 w-12 mb-4 text-slate-300" />
+                                <p className="text-lg font-medium">No hay cambios registrados</p>
+                                <p className="text-sm">Cada cambio de cantidad a comprar aparecerá aquí.</p>
+                            </div>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="w-full">
+                                    <thead className="bg-slate-50 border-b border-slate-200">
+                                        <tr>
+                                            <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Fecha y Hora</th>
+                                            <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">SKU</th>
+                                            <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Mes</th>
+                                            <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Cantidad</th>
+                                            <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Acción</th>
+                                            <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Usuario</th>
+                                            <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Origen</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {cambios.map((cambio) => (
+                                            <AuditRow key={cambio.id} cambio={cambio} />
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                </main>
+            </div>
+        </div>
+    );
+}
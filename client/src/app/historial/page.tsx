@@ -4,6 +4,7 @@ import { useState, useCallback } from "react";
 import { useQuery } from "@tanstack/react-query";
 import { fetchSyncHistory, SyncLog } from "@/lib/api";
 import { Sidebar } from "@/components/sidebar";
+import { SyncJobsPanel } from "@/components/sync-jobs-panel";
 import { RefreshCw, History, Package, FileText, Database, Clock, ChevronLeft, ChevronRight } from "lucide-react";
 
 // Mapeo de nombres de meses en español
@@ -14,6 +15,7 @@ const MESES = [
 
 // Mapeo de tipos de sincronización a texto legible
 const TIPO_LABELS: Record<string, { label: string; icon: React.ComponentType<{ className?: string }>; color: string }> = {
+    diaria: { label: "Sincronización Diaria", icon: FileText, color: "text-teal-500 bg-teal-500/10" },
     ventas_actuales: { label: "Ventas del Mes", icon: FileText, color: "text-green-500 bg-green-500/10" },
     ventas_historicas: { label: "Ventas Históricas", icon: Database, color: "text-blue-500 bg-blue-500/10" },
     productos: { label: "Catálogo Productos", icon: Package, color: "text-purple-500 bg-purple-500/10" },
@@ -170,6 +172,9 @@ export default function HistorialPage() {
                         </p>
                     </div>
 
+                    {/* Jobs de sincronización (estado y eventos paso a paso) */}
+                    <SyncJobsPanel />
+
                     {/* Table */}
                     <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
                         {isLoading ? (
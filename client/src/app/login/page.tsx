@@ -0,0 +1,91 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { useMutation } from "@tanstack/react-query";
+import { Package2, LogIn, Loader2 } from "lucide-react";
+import { isAxiosError } from "axios";
+import { login } from "@/lib/api";
+import { guardarSesion } from "@/lib/auth";
+
+export default function LoginPage() {
+    const router = useRouter();
+    const [username, setUsername] = useState("");
+    const [password, setPassword] = useState("");
+
+    const loginMutation = useMutation({
+        mutationFn: () => login(username, password),
+        onSuccess: ({ token, usuario }) => {
+            guardarSesion(token, usuario);
+            router.replace("/");
+        },
+    });
+
+    const errorMessage = loginMutation.error
+        ? isAxiosError(loginMutation.error)
+            ? loginMutation.error.response?.data?.error || loginMutation.error.message
+            : (loginMutation.error as Error).message
+        : null;
+
+    const handleSubmit = (e: React.FormEvent) => {
+        e.preventDefault();
+        loginMutation.mutate();
+    };
+
+    return (
+        <div className="flex min-h-screen items-center justify-center bg-slate-100 p-6">
+            <form
+                onSubmit={handleSubmit}
+                className="w-full max-w-sm bg-white rounded-xl shadow-sm border border-slate-200 p-6 space-y-4"
+            >
+                <div className="flex items-center gap-2 mb-2">
+                    <Package2 className="h-7 w-7 text-blue-600" />
+                    <div>
+                        <h1 className="text-lg font-bold text-slate-900">AXAM</h1>
+                        <p className="text-sm text-slate-500">Panel de Compras</p>
+                    </div>
+                </div>
+
+                <div className="flex flex-col gap-1">
+                    <label htmlFor="username" className="text-xs font-medium text-slate-500">
+                        Usuario
+                    </label>
+                    <input
+                        id="username"
+                        type="text"
+                        autoComplete="username"
+                        autoFocus
+                        value={username}
+                        onChange={(e) => setUsername(e.target.value)}
+                        className="px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                </div>
+
+                <div className="flex flex-col gap-1">
+                    <label htmlFor="password" className="text-xs font-medium text-slate-500">
+                        Contraseña
+                    </label>
+                    <input
+                        id="password"
+                        type="password"
+                        autoComplete="current-password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        className="px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                </div>
+
+                {errorMessage && <p className="text-sm text-red-600">{errorMessage}</p>}
+
+                <button
+                    type="submit"
+                    disabled={loginMutation.isPending || !username || !password}
+                    className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {loginMutation.isPending ? <Loader2 className="h-4 w-4 animate-spin" /> : <LogIn className="h-4 w-4" />}
+                    Ingresar
+                </button>
+            </form>
+        </div>
+    );
+}
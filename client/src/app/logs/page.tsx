@@ -0,0 +1,273 @@
+"use client";
+
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { ScrollText, RefreshCw, Search, ChevronDown, ChevronRight } from "lucide-react";
+import { fetchLogs, LogEntrada, NivelLog } from "@/lib/api";
+import { Sidebar } from "@/components/sidebar";
+import { cn } from "@/lib/utils";
+
+const NIVEL_STYLES: Record<NivelLog, { label: string; color: string }> = {
+    debug: { label: "Debug", color: "text-slate-600 bg-slate-100" },
+    info: { label: "Info", color: "text-blue-700 bg-blue-50" },
+    warn: { label: "Aviso", color: "text-amber-700 bg-amber-50" },
+    error: { label: "Error", color: "text-red-700 bg-red-50" },
+};
+
+const CAMPOS_BASE = ["time", "level", "msg", "requestId", "jobId", "jobTipo"];
+
+function formatDateTime(dateStr: string): string {
+    return new Date(dateStr).toLocaleString("es-CL", {
+        day: "2-digit",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+    });
+}
+
+interface LogRowProps {
+    entrada: LogEntrada;
+    onFiltrarJob: (jobId: number) => void;
+    onFiltrarRequest: (requestId: string) => void;
+}
+
+function LogRow({ entrada, onFiltrarJob, onFiltrarRequest }: LogRowProps) {
+    const [expandido, setExpandido] = useState(false);
+    const nivel = NIVEL_STYLES[entrada.level] || { label: entrada.level, color: "text-slate-600 bg-slate-100" };
+    const datos = Object.fromEntries(Object.entries(entrada).filter(([campo]) => !CAMPOS_BASE.includes(campo)));
+    const tieneDatos = Object.keys(datos).length > 0;
+
+    return (
+        <>
+            <tr className="border-b border-slate-200 hover:bg-slate-50 transition-colors align-top">
+                <td className="px-4 py-2 text-xs font-mono text-slate-600 whitespace-nowrap">{formatDateTime(entrada.time)}</td>
+                <td className="px-4 py-2">
+                    <span className={cn("inline-flex px-2 py-0.5 rounded-full text-xs font-medium", nivel.color)}>{nivel.label}</span>
+                </td>
+                <td className="px-4 py-2 text-sm text-slate-800 break-words">
+                    <div className="flex items-start gap-1">
+                        {tieneDatos ? (
+                            <button
+                                type="button"
+                                onClick={() => setExpandido(!expandido)}
+                                className="mt-0.5 text-slate-400 hover:text-slate-700"
+                                aria-label={expandido ? "Ocultar datos" : "Ver datos"}
+                            >
+                                {expandido ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                            </button>
+                        ) : (
+                            <span className="w-4 flex-shrink-0" />
+                        )}
+                        <span>{entrada.msg}</span>
+                    </div>
+                </td>
+                <td className="px-4 py-2 text-xs font-mono whitespace-nowrap">
+                    {entrada.jobId !== undefined && (
+                        <button
+                            type="button"
+                            onClick={() => onFiltrarJob(entrada.jobId as number)}
+                            className="block text-blue-600 hover:underline"
+                            title="Filtrar por este job"
+                        >
+                            job #{entrada.jobId}{entrada.jobTipo && <span className="text-slate-400"> ({entrada.jobTipo})</span>}
+                        </button>
+                    )}
+                    {entrada.requestId && (
+                        <button
+                            type="button"
+                            onClick={() => onFiltrarRequest(entrada.requestId as string)}
+                            className="block text-blue-600 hover:underline"
+                            title={entrada.requestId}
+                        >
+                            req {entrada.requestId.slice(0, 8)}
+                        </button>
+                    )}
+                </td>
+            </tr>
+            {expandido && (
+                <tr className="border-b border-slate-200 bg-slate-50">
+                    <td colSpan={4} className="px-4 py-2">
+                        <pre className="text-xs font-mono text-slate-700 whitespace-pre-wrap break-all">
+                            {JSON.stringify(datos, null, 2)}
+                        </pre>
+                    </td>
+                </tr>
+            )}
+        </>
+    );
+}
+
+export default function LogsPage() {
+    const [nivel, setNivel] = useState<NivelLog | "">("");
+    const [q, setQ] = useState("");
+    const [jobId, setJobId] = useState("");
+    const [requestId, setRequestId] = useState("");
+    const [desde, setDesde] = useState(""); // yyyy-MM-ddTHH:mm (hora local)
+    const [seguir, setSeguir] = useState(false);
+
+    const { data, isLoading, error, isFetching, refetch } = useQuery({
+        queryKey: ["logs", nivel, q, jobId, requestId, desde],
+        queryFn: () => fetchLogs({
+            nivel: nivel || undefined,
+            q: q.trim() || undefined,
+            jobId: jobId ? Number(jobId) : undefined,
+            requestId: requestId.trim() || undefined,
+            desde: desde ? new Date(desde).toISOString() : undefined,
+            limit: 500,
+        }),
+        staleTime: 0,
+        // Modo "seguir": se consulta cada 5 segundos, como un tail -f
+        refetchInterval: seguir ? 5000 : false,
+    });
+
+    const entradas = data?.entradas || [];
+
+    return (
+        <div className="flex h-screen bg-slate-100">
+            <Sidebar />
+
+            <div className="flex-1 flex flex-col overflow-hidden">
+                <header className="h-16 bg-white border-b border-slate-200 flex items-center justify-between px-6 shadow-sm">
+                    <div className="flex items-center gap-3">
+                        <ScrollText className="h-6 w-6 text-blue-600" />
+                        <h1 className="text-xl font-bold text-slate-900">Logs del Servidor</h1>
+                    </div>
+
+                    <div className="flex items-center gap-4">
+                        <label className="flex items-center gap-2 text-sm text-slate-700">
+                            <input
+                                type="checkbox"
+                                checked={seguir}
+                                onChange={(e) => setSeguir(e.target.checked)}
+                                className="rounded border-slate-300"
+                            />
+                            Seguir
+                        </label>
+                        <button
+                            type="button"
+                            onClick={() => refetch()}
+                            disabled={isFetching}
+                            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            <RefreshCw className={`h-4 w-4 ${isFetching ? "animate-spin" : ""}`} />
+                            {isFetching ? "Actualizando..." : "Actualizar"}
+                        </button>
+                    </div>
+                </header>
+
+                <main className="flex-1 overflow-auto p-6">
+                    {/* Filtros */}
+                    <div className="bg-white rounded-xl border border-slate-200 p-4 shadow-sm mb-4">
+                        <div className="flex flex-wrap items-end gap-4">
+                            <div className="flex flex-col gap-1">
+                                <label htmlFor="nivel" className="text-xs font-medium text-slate-500">Nivel mínimo</label>
+                                <select
+                                    id="nivel"
+                                    value={nivel}
+                                    onChange={(e) => setNivel(e.target.value as NivelLog | "")}
+                                    className="px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                >
+                                    <option value="">Todos</option>
+                                    <option value="info">Info</option>
+                                    <option value="warn">Aviso</option>
+                                    <option value="error">Error</option>
+                                </select>
+                            </div>
+                            <div className="flex flex-col gap-1">
+                                <label htmlFor="q" className="text-xs font-medium text-slate-500">Buscar</label>
+                                <div className="relative">
+                                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+                                    <input
+                                        id="q"
+                                        type="text"
+                                        value={q}
+                                        onChange={(e) => setQ(e.target.value)}
+                                        placeholder="Ej: Manager+"
+                                        className="w-56 pl-9 pr-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                </div>
+                            </div>
+                            <div className="flex flex-col gap-1">
+                                <label htmlFor="jobId" className="text-xs font-medium text-slate-500">Job</label>
+                                <input
+                                    id="jobId"
+                                    type="number"
+                                    min={1}
+                                    value={jobId}
+                                    onChange={(e) => setJobId(e.target.value)}
+                                    className="w-24 px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                            <div className="flex flex-col gap-1">
+                                <label htmlFor="requestId" className="text-xs font-medium text-slate-500">Request ID</label>
+                                <input
+                                    id="requestId"
+                                    type="text"
+                                    value={requestId}
+                                    onChange={(e) => setRequestId(e.target.value)}
+                                    className="w-72 px-3 py-2 text-sm font-mono border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                            <div className="flex flex-col gap-1">
+                                <label htmlFor="desde" className="text-xs font-medium text-slate-500">Desde</label>
+                                <input
+                                    id="desde"
+                                    type="datetime-local"
+                                    value={desde}
+                                    onChange={(e) => setDesde(e.target.value)}
+                                    className="px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                            <span className="ml-auto text-sm text-slate-600">
+                                <span className="font-semibold">{entradas.length}</span> entradas
+                                {data?.truncado && <span className="text-slate-400"> (hay más, acote el filtro)</span>}
+                            </span>
+                        </div>
+                    </div>
+
+                    <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+                        {isLoading ? (
+                            <div className="flex items-center justify-center h-64">
+                                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+                            </div>
+                        ) : error ? (
+                            <div className="flex items-center justify-center h-64 text-red-600">
+                                Error al cargar logs: {(error as Error).message}
+                            </div>
+                        ) : entradas.length === 0 ? (
+                            <div className="flex flex-col items-center justify-center h-64 text-slate-500">
+                                <ScrollText className="h-12 w-12 mb-4 text-slate-300" />
+                                <p className="text-lg font-medium">No hay entradas</p>
+                                <p className="text-sm">Ninguna entrada reciente cumple los filtros.</p>
+                            </div>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="w-full">
+                                    <thead className="bg-slate-50 border-b border-slate-200">
+                                        <tr>
+                                            <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Hora</th>
+                                            <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Nivel</th>
+                                            <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Mensaje</th>
+                                            <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Contexto</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {entradas.map((entrada, i) => (
+                                            <LogRow
+                                                key={`${entrada.time}-${i}`}
+                                                entrada={entrada}
+                                                onFiltrarJob={(id) => setJobId(String(id))}
+                                                onFiltrarRequest={setRequestId}
+                                            />
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                </main>
+            </div>
+        </div>
+    );
+}
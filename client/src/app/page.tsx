@@ -1,27 +1,38 @@
 "use client";
 
-import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
-import { fetchDashboard, resetOrders, syncProductsApi } from "@/lib/api";
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from "@tanstack/react-query";
+import { fetchDashboard, fetchProveedores, resetOrders, exportPedidos, syncProductsApi, MetodoPronostico, SortDashboard, ExportPedidosParams } from "@/lib/api";
 import { Sidebar } from "@/components/sidebar";
 import { Header } from "@/components/header";
 import { KPICard } from "@/components/kpi-card";
-import { FiltersBar, StockStatus, calculateProductStatus } from "@/components/filters-bar";
+import { FiltersBar, StockStatus } from "@/components/filters-bar";
 import { ProductTable } from "@/components/product-table";
 import { Pagination } from "@/components/pagination";
 import { SyncModal } from "@/components/sync-modal";
-import { useState, useMemo } from "react";
+import { ImportModal } from "@/components/import-modal";
+import { usePuede } from "@/lib/auth";
+import { useState, useEffect } from "react";
 import { Package, TrendingUp, AlertTriangle, ShoppingCart } from "lucide-react";
 
 export default function DashboardPage() {
   const queryClient = useQueryClient();
+  const puedeComprar = usePuede("buyer");
+  const esAdmin = usePuede("admin");
 
   // Modal state
   const [isSyncModalOpen, setIsSyncModalOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
 
   // Filters state
   const [marca, setMarca] = useState("");
+  const [proveedor, setProveedor] = useState<number | null>(null);
+  const [bodega, setBodega] = useState("");
   const [meses, setMeses] = useState(3);
+  const [metodo, setMetodo] = useState<MetodoPronostico>("promedio");
+  const [clase, setClase] = useState("");
+  const [sort, setSort] = useState<SortDashboard>("sku");
   const [busqueda, setBusqueda] = useState("");
+  const [busquedaConsulta, setBusquedaConsulta] = useState("");
   const [ocultarCero, setOcultarCero] = useState(false);
   const [estadosSeleccionados, setEstadosSeleccionados] = useState<StockStatus[]>([]);
 
@@ -29,10 +40,35 @@ export default function DashboardPage() {
   const [currentPage, setCurrentPage] = useState(1);
   const [pageSize, setPageSize] = useState(100);
 
-  // Data fetching
+  // La búsqueda se envía al servidor cuando se deja de escribir
+  useEffect(() => {
+    const timeout = setTimeout(() => setBusquedaConsulta(busqueda), 300);
+    return () => clearTimeout(timeout);
+  }, [busqueda]);
+
+  // Data fetching: filtros, orden y paginación se aplican en el servidor
   const { data, isLoading, error, refetch, isFetching } = useQuery({
-    queryKey: ["dashboard", meses, marca],
-    queryFn: () => fetchDashboard(meses, marca || undefined),
+    queryKey: ["dashboard", meses, marca, proveedor, metodo, bodega, clase, busquedaConsulta, estadosSeleccionados, ocultarCero, sort, currentPage, pageSize],
+    queryFn: () => fetchDashboard({
+      meses,
+      metodo,
+      marca: marca || undefined,
+      proveedor: proveedor ?? undefined,
+      bodega: bodega || undefined,
+      clase: clase || undefined,
+      q: busquedaConsulta,
+      estado: estadosSeleccionados,
+      ocultarCero,
+      sort,
+      page: currentPage,
+      pageSize,
+    }),
+    placeholderData: keepPreviousData,
+  });
+
+  const { data: proveedoresData } = useQuery({
+    queryKey: ["proveedores"],
+    queryFn: fetchProveedores,
   });
 
   // Reset mutation
@@ -50,62 +86,24 @@ export default function DashboardPage() {
     }
   };
 
+  // Exportar con los filtros activos (marca y proveedor) las cantidades del mes actual
+  const exportMutation = useMutation({
+    mutationFn: (opciones: Pick<ExportPedidosParams, "formato" | "agrupar" | "costos">) =>
+      exportPedidos({ ...opciones, marca: marca || undefined, proveedor: proveedor ?? undefined }),
+    onError: (err: Error) => {
+      alert(`No se pudo exportar: ${err.message}`);
+    },
+  });
+
   // Handle manual sync
   const handleSyncProducts = () => {
     setIsSyncModalOpen(true);
   };
 
-  // Apply local filters
-  const productosFiltered = useMemo(() => {
-    if (!data?.productos) return [];
-
-    let result = data.productos;
-
-    // Search filter
-    if (busqueda.trim()) {
-      const term = busqueda.toLowerCase();
-      result = result.filter((p) => {
-        const sku = p.producto.sku.toLowerCase();
-        const desc = p.producto.descripcion.toLowerCase();
-        const fam = (p.producto.familia || "").toLowerCase();
-        return sku.includes(term) || desc.includes(term) || fam.includes(term);
-      });
-    }
-
-    // Hide zero average
-    if (ocultarCero) {
-      result = result.filter((p) => (p.promedio || 0) > 0);
-    }
-
-    // Filter by status
-    if (estadosSeleccionados.length > 0) {
-      result = result.filter((p) => {
-        const stock = p.mesActual?.stockActual || 0;
-        const promedio = p.promedio || 0;
-        const sugerido = p.compraSugerida || 0;
-        const status = calculateProductStatus(stock, promedio, sugerido);
-        return estadosSeleccionados.includes(status);
-      });
-    }
-
-    return result;
-  }, [data?.productos, busqueda, ocultarCero, estadosSeleccionados]);
-
-  // Paginated products
-  const { paginatedProducts, totalPages } = useMemo(() => {
-    if (pageSize === -1) {
-      return { paginatedProducts: productosFiltered, totalPages: 1 };
-    }
-
-    const total = Math.ceil(productosFiltered.length / pageSize);
-    const start = (currentPage - 1) * pageSize;
-    const end = start + pageSize;
-
-    return {
-      paginatedProducts: productosFiltered.slice(start, end),
-      totalPages: total || 1,
-    };
-  }, [productosFiltered, currentPage, pageSize]);
+  // Página actual y totales calculados por el servidor
+  const productos = data?.productos || [];
+  const totalFiltrados = data?.meta?.totalFiltrados ?? 0;
+  const totalPages = data?.meta?.totalPaginas ?? 1;
 
   // Reset to page 1 when filters change
   const handleFilterChange = <T,>(setter: (v: T) => void) => (value: T) => {
@@ -119,32 +117,14 @@ export default function DashboardPage() {
     setCurrentPage(1);
   };
 
-  // KPI calculations
-  const kpis = useMemo(() => {
-    const productos = productosFiltered;
-    const todosProductos = data?.productos || [];
-    const totalProductos = productos.length;
-
-    const productosConSugerencia = productos.filter((p) => (p.compraSugerida || 0) > 0).length;
-
-    // Stock Crítico: sobre TODOS los productos (no filtrado) para siempre mostrar el total real
-    const productosCriticos = todosProductos.filter((p) => {
-      const stock = p.mesActual?.stockActual || 0;
-      const prom = p.promedio || 0;
-      const sugerido = p.compraSugerida || 0;
-      // Crítico = sugerido >= 0 (no sobrestock) Y stock < 50% del promedio
-      return sugerido >= 0 && prom > 0 && stock / prom < 0.5;
-    }).length;
-
-    const totalCompras = productos.reduce((sum, p) => sum + (p.compraRealizar || 0), 0);
-
-    return {
-      totalProductos,
-      productosConSugerencia,
-      productosCriticos,
-      totalCompras,
-    };
-  }, [productosFiltered, data?.productos]);
+  // KPI: sobre todos los productos filtrados (todas las páginas); Stock Crítico sin búsqueda ni estado
+  const totales = data?.meta?.totales;
+  const kpis = {
+    totalProductos: totales?.productos ?? 0,
+    productosConSugerencia: totales?.conSugerencia ?? 0,
+    productosCriticos: totales?.criticos ?? 0,
+    totalCompras: totales?.comprasRegistradas ?? 0,
+  };
 
   // Last update time
   const lastUpdate = data?.meta?.generadoEn
@@ -158,12 +138,16 @@ export default function DashboardPage() {
       <div className="flex-1 flex flex-col overflow-hidden">
         <Header
           lastUpdate={lastUpdate}
+          ventasEnVivo={data?.meta?.ventasEnVivo}
           isLoading={isFetching}
           onRefresh={() => refetch()}
-          onReset={handleReset}
+          onReset={esAdmin ? handleReset : undefined}
           isResetting={resetMutation.isPending}
-          onSyncProducts={handleSyncProducts}
+          onSyncProducts={puedeComprar ? handleSyncProducts : undefined}
           isSyncing={isSyncModalOpen}
+          onExport={(opciones) => exportMutation.mutate(opciones)}
+          isExporting={exportMutation.isPending}
+          onImport={puedeComprar ? () => setIsImportOpen(true) : undefined}
         />
 
         <main className="flex-1 overflow-auto p-6">
@@ -201,16 +185,28 @@ export default function DashboardPage() {
           <FiltersBar
             marca={marca}
             onMarcaChange={handleFilterChange(setMarca)}
+            proveedor={proveedor}
+            onProveedorChange={handleFilterChange(setProveedor)}
+            proveedores={proveedoresData?.proveedores || []}
+            bodega={bodega}
+            onBodegaChange={handleFilterChange(setBodega)}
+            bodegas={data?.meta?.bodegas || []}
             meses={meses}
             onMesesChange={handleFilterChange(setMeses)}
+            metodo={metodo}
+            onMetodoChange={handleFilterChange(setMetodo)}
+            clase={clase}
+            onClaseChange={handleFilterChange(setClase)}
+            sort={sort}
+            onSortChange={handleFilterChange(setSort)}
             busqueda={busqueda}
             onBusquedaChange={handleFilterChange(setBusqueda)}
             ocultarCero={ocultarCero}
             onOcultarCeroChange={handleFilterChange(setOcultarCero)}
             estadosSeleccionados={estadosSeleccionados}
             onEstadosChange={handleFilterChange(setEstadosSeleccionados)}
-            totalProductos={data?.productos?.length || 0}
-            productosVisibles={productosFiltered.length}
+            totalProductos={data?.meta?.totalProductos ?? 0}
+            productosVisibles={totalFiltrados}
             className="mb-4"
           />
 
@@ -219,7 +215,7 @@ export default function DashboardPage() {
             currentPage={currentPage}
             totalPages={totalPages}
             pageSize={pageSize}
-            totalItems={productosFiltered.length}
+            totalItems={totalFiltrados}
             onPageChange={setCurrentPage}
             onPageSizeChange={handlePageSizeChange}
             className="mb-4"
@@ -236,19 +232,20 @@ export default function DashboardPage() {
             </div>
           ) : (
             <ProductTable
-              productos={paginatedProducts}
+              productos={productos}
               columnas={data?.meta?.columnas || []}
               onOrderUpdated={() => refetch()}
+              editable={puedeComprar}
             />
           )}
 
           {/* Pagination - Bottom */}
-          {!isLoading && !error && productosFiltered.length > 0 && (
+          {!isLoading && !error && totalFiltrados > 0 && (
             <Pagination
               currentPage={currentPage}
               totalPages={totalPages}
               pageSize={pageSize}
-              totalItems={productosFiltered.length}
+              totalItems={totalFiltrados}
               onPageChange={setCurrentPage}
               onPageSizeChange={handlePageSizeChange}
               className="mt-4"
@@ -260,6 +257,12 @@ export default function DashboardPage() {
         isOpen={isSyncModalOpen}
         onClose={() => setIsSyncModalOpen(false)}
       />
+      {isImportOpen && (
+        <ImportModal
+          onClose={() => setIsImportOpen(false)}
+          onImported={() => queryClient.invalidateQueries({ queryKey: ["dashboard"] })}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,34 @@
+"use client";
+
+import { useEffect, type ReactNode } from "react";
+import { usePathname, useRouter } from "next/navigation";
+import { getToken, useSesion } from "@/lib/auth";
+
+const RUTAS_PUBLICAS = ["/login"];
+
+// Redirige al login si no hay sesión; la API responde 401 igualmente sin token
+export function AuthGuard({ children }: { children: ReactNode }) {
+    const usuario = useSesion();
+    const pathname = usePathname();
+    const router = useRouter();
+    const esPublica = RUTAS_PUBLICAS.includes(pathname);
+
+    useEffect(() => {
+        // Se lee el token directo: durante la hidratación useSesion aún no tiene el valor del navegador
+        if (!esPublica && !getToken()) {
+            router.replace("/login");
+        }
+    }, [esPublica, usuario, router]);
+
+    if (esPublica) return <>{children}</>;
+
+    if (!usuario) {
+        return (
+            <div className="flex h-screen items-center justify-center bg-slate-100">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+            </div>
+        );
+    }
+
+    return <>{children}</>;
+}
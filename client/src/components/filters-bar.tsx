@@ -1,11 +1,12 @@
 "use client";
 
 import { cn } from "@/lib/utils";
+import type { BodegaResumen, EstadoStock, MetodoPronostico, Proveedor, SortDashboard } from "@/lib/api";
 import { Search, Filter, X, ChevronDown, Check } from "lucide-react";
 import { useState, useRef, useEffect } from "react";
 
-// Tipos de estado posibles
-export type StockStatus = "overstock" | "critical" | "warning" | "healthy";
+// Tipos de estado posibles (los calcula el servidor)
+export type StockStatus = EstadoStock;
 
 export const STATUS_OPTIONS: { value: StockStatus; label: string; color: string }[] = [
     { value: "overstock", label: "Sobrestock", color: "bg-purple-100 text-purple-700" },
@@ -14,17 +15,35 @@ export const STATUS_OPTIONS: { value: StockStatus; label: string; color: string
     { value: "healthy", label: "OK", color: "bg-green-100 text-green-700" },
 ];
 
-// Función para calcular el estado de un producto
-export function calculateProductStatus(stock: number, promedio: number, sugerido: number): StockStatus {
-    if (sugerido < 0) return "overstock";
-    // Caso especial: si promedio es 0 y stock es 0, retornar "healthy" (Ok)
-    // ya que no hay nada sugerido y el promedio es 0, todo está en orden
-    if (promedio === 0 && stock === 0) return "healthy";
-    const ratio = promedio > 0 ? stock / promedio : stock > 0 ? Infinity : 0;
-    if (ratio < 0.5) return "critical";
-    if (ratio < 1) return "warning";
-    return "healthy";
-}
+export const METODO_OPTIONS: { value: MetodoPronostico; label: string }[] = [
+    { value: "promedio", label: "Promedio" },
+    { value: "ponderado", label: "Ponderado" },
+    { value: "holt", label: "Holt" },
+    { value: "holt_winters", label: "Holt-Winters" },
+    { value: "estacional", label: "Estacional" },
+];
+
+export const CLASE_OPTIONS: { value: string; label: string }[] = [
+    { value: "A", label: "A (mayor venta)" },
+    { value: "B", label: "B" },
+    { value: "C", label: "C" },
+    { value: "X", label: "X (demanda estable)" },
+    { value: "Y", label: "Y" },
+    { value: "Z", label: "Z (demanda errática)" },
+    { value: "AX", label: "AX" },
+    { value: "AZ", label: "AZ" },
+    { value: "CZ", label: "CZ" },
+];
+
+export const SORT_OPTIONS: { value: SortDashboard; label: string }[] = [
+    { value: "sku", label: "SKU" },
+    { value: "descripcion", label: "Descripción" },
+    { value: "clase", label: "Clase" },
+    { value: "-compraSugerida", label: "Mayor compra sugerida" },
+    { value: "-promedio", label: "Mayor promedio" },
+    { value: "-ventaActual", label: "Mayor venta actual" },
+    { value: "stock", label: "Menor stock" },
+];
 
 interface MultiSelectProps {
     selected: StockStatus[];
@@ -156,8 +175,20 @@ function StatusMultiSelect({ selected, onChange }: MultiSelectProps) {
 interface FiltersBarProps {
     marca: string;
     onMarcaChange: (value: string) => void;
+    proveedor: number | null;
+    onProveedorChange: (value: number | null) => void;
+    proveedores: Proveedor[];
+    bodega: string;
+    onBodegaChange: (value: string) => void;
+    bodegas: BodegaResumen[];
     meses: number;
     onMesesChange: (value: number) => void;
+    metodo: MetodoPronostico;
+    onMetodoChange: (value: MetodoPronostico) => void;
+    clase: string;
+    onClaseChange: (value: string) => void;
+    sort: SortDashboard;
+    onSortChange: (value: SortDashboard) => void;
     busqueda: string;
     onBusquedaChange: (value: string) => void;
     ocultarCero: boolean;
@@ -172,8 +203,20 @@ interface FiltersBarProps {
 export function FiltersBar({
     marca,
     onMarcaChange,
+    proveedor,
+    onProveedorChange,
+    proveedores,
+    bodega,
+    onBodegaChange,
+    bodegas,
     meses,
     onMesesChange,
+    metodo,
+    onMetodoChange,
+    clase,
+    onClaseChange,
+    sort,
+    onSortChange,
     busqueda,
     onBusquedaChange,
     ocultarCero,
@@ -202,6 +245,46 @@ export function FiltersBar({
                     />
                 </div>
 
+                {/* Proveedor */}
+                <div className="flex flex-col gap-1">
+                    <label htmlFor="proveedor" className="text-xs font-medium text-slate-500">
+                        Proveedor
+                    </label>
+                    <select
+                        id="proveedor"
+                        value={proveedor ?? ""}
+                        onChange={(e) => onProveedorChange(e.target.value ? Number(e.target.value) : null)}
+                        className="px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+                    >
+                        <option value="">Todos</option>
+                        {proveedores.map((p) => (
+                            <option key={p.id} value={p.id}>
+                                {p.nombre}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                {/* Bodega */}
+                <div className="flex flex-col gap-1">
+                    <label htmlFor="bodega" className="text-xs font-medium text-slate-500">
+                        Bodega
+                    </label>
+                    <select
+                        id="bodega"
+                        value={bodega}
+                        onChange={(e) => onBodegaChange(e.target.value)}
+                        className="px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+                    >
+                        <option value="">Disponibles</option>
+                        {bodegas.map((b) => (
+                            <option key={b.bodega} value={b.bodega}>
+                                {b.bodega}{b.disponible ? "" : " (no disponible)"}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
                 {/* Período */}
                 <div className="flex flex-col gap-1">
                     <label htmlFor="meses" className="text-xs font-medium text-slate-500">
@@ -219,6 +302,64 @@ export function FiltersBar({
                     </select>
                 </div>
 
+                {/* Método de pronóstico */}
+                <div className="flex flex-col gap-1">
+                    <label htmlFor="metodo" className="text-xs font-medium text-slate-500">
+                        Pronóstico
+                    </label>
+                    <select
+                        id="metodo"
+                        value={metodo}
+                        onChange={(e) => onMetodoChange(e.target.value as MetodoPronostico)}
+                        className="px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+                    >
+                        {METODO_OPTIONS.map((m) => (
+                            <option key={m.value} value={m.value}>
+                                {m.label}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                {/* Clase ABC/XYZ */}
+                <div className="flex flex-col gap-1">
+                    <label htmlFor="clase" className="text-xs font-medium text-slate-500">
+                        Clase
+                    </label>
+                    <select
+                        id="clase"
+                        value={clase}
+                        onChange={(e) => onClaseChange(e.target.value)}
+                        className="px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+                    >
+                        <option value="">Todas</option>
+                        {CLASE_OPTIONS.map((c) => (
+                            <option key={c.value} value={c.value}>
+                                {c.label}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                {/* Orden */}
+                <div className="flex flex-col gap-1">
+                    <label htmlFor="sort" className="text-xs font-medium text-slate-500">
+                        Ordenar por
+                    </label>
+                    <select
+                        id="sort"
+                        value={sort}
+                        onChange={(e) => onSortChange(e.target.value as SortDashboard)}
+                        className="px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+                    >
+                        {SORT_OPTIONS.map((s) => (
+                            <option key={s.value} value={s.value}>
+                                {s.label}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
                 {/* Estado Multi-Select */}
                 <div className="flex flex-col gap-1">
                     <label className="text-xs font-medium text-slate-500">
@@ -1,28 +1,133 @@
 "use client";
 
 import { cn } from "@/lib/utils";
-import { RefreshCw, Clock, Trash2, DownloadCloud } from "lucide-react";
+import type { AgrupacionExport, ExportPedidosParams, FormatoExport, VentasEnVivo } from "@/lib/api";
+import { RefreshCw, Clock, Trash2, DownloadCloud, FileDown, FileUp, ChevronDown, Radio } from "lucide-react";
+import { useState, useRef, useEffect } from "react";
+
+const FORMATO_OPTIONS: { value: FormatoExport; label: string }[] = [
+    { value: "xlsx", label: "Excel (.xlsx)" },
+    { value: "csv", label: "CSV" },
+    { value: "pdf", label: "PDF" },
+];
+
+type OpcionesExport = Omit<ExportPedidosParams, "marca" | "proveedor" | "ano" | "mes">;
+
+interface ExportMenuProps {
+    onExport: (opciones: OpcionesExport) => void;
+    isExporting?: boolean;
+}
+
+// Menú de exportación: formato, agrupación y si se incluyen costos (los filtros los pone la página)
+function ExportMenu({ onExport, isExporting }: ExportMenuProps) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [agrupar, setAgrupar] = useState<AgrupacionExport>("marca");
+    const [costos, setCostos] = useState(false);
+    const containerRef = useRef<HTMLDivElement>(null);
+
+    // Close dropdown when clicking outside
+    useEffect(() => {
+        const handleClickOutside = (event: MouseEvent) => {
+            if (containerRef.current && !containerRef.current.contains(event.target as Node)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener("mousedown", handleClickOutside);
+        return () => document.removeEventListener("mousedown", handleClickOutside);
+    }, []);
+
+    const handleExport = (formato: FormatoExport) => {
+        setIsOpen(false);
+        onExport({ formato, agrupar, costos });
+    };
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button
+                type="button"
+                onClick={() => setIsOpen(!isOpen)}
+                disabled={isExporting}
+                className={cn(
+                    "flex items-center gap-2 px-4 py-2 bg-emerald-50 text-emerald-700 text-sm font-medium rounded-lg border border-emerald-200",
+                    "hover:bg-emerald-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                )}
+                title="Exportar las cantidades a comprar con los filtros activos"
+            >
+                <FileDown className={cn("h-4 w-4", isExporting && "animate-pulse")} />
+                {isExporting ? "Exportando..." : "Exportar"}
+                <ChevronDown className={cn("h-4 w-4 transition-transform", isOpen && "rotate-180")} />
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 z-50 mt-1 w-56 bg-white border border-slate-200 rounded-lg shadow-lg py-2">
+                    <div className="px-3 pb-2 border-b border-slate-100">
+                        <label htmlFor="export-agrupar" className="text-xs font-medium text-slate-500">
+                            Agrupar por
+                        </label>
+                        <select
+                            id="export-agrupar"
+                            value={agrupar}
+                            onChange={(e) => setAgrupar(e.target.value as AgrupacionExport)}
+                            className="mt-1 w-full px-2 py-1.5 text-sm border border-slate-200 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            <option value="marca">Marca</option>
+                            <option value="proveedor">Proveedor</option>
+                        </select>
+                        <label className="mt-2 flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={costos}
+                                onChange={(e) => setCostos(e.target.checked)}
+                                className="h-4 w-4 rounded border-slate-300"
+                            />
+                            Incluir costos
+                        </label>
+                    </div>
+                    {FORMATO_OPTIONS.map((option) => (
+                        <button
+                            key={option.value}
+                            type="button"
+                            onClick={() => handleExport(option.value)}
+                            className="w-full flex items-center gap-2 px-3 py-2 text-sm text-slate-700 hover:bg-slate-50 transition-colors"
+                        >
+                            <FileDown className="h-4 w-4 text-slate-400" />
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
 
 interface HeaderProps {
     className?: string;
     lastUpdate?: string;
+    ventasEnVivo?: VentasEnVivo;
     isLoading?: boolean;
     onRefresh?: () => void;
     onReset?: () => void;
     isResetting?: boolean;
     onSyncProducts?: () => void;
     isSyncing?: boolean;
+    onExport?: (opciones: OpcionesExport) => void;
+    isExporting?: boolean;
+    onImport?: () => void;
 }
 
 export function Header({
     className,
     lastUpdate,
+    ventasEnVivo,
     isLoading,
     onRefresh,
     onReset,
     isResetting,
     onSyncProducts,
-    isSyncing
+    isSyncing,
+    onExport,
+    isExporting,
+    onImport
 }: HeaderProps) {
     return (
         <header
@@ -48,6 +153,24 @@ export function Header({
                     </div>
                 )}
 
+                {/* Estado del caché de ventas de hoy */}
+                {ventasEnVivo && (
+                    <div
+                        className={cn(
+                            "flex items-center gap-1.5 text-xs mr-2",
+                            ventasEnVivo.estado === "error" ? "text-red-600" : "text-slate-500"
+                        )}
+                        title={ventasEnVivo.error || `${ventasEnVivo.documentos} documentos de hoy`}
+                    >
+                        <Radio className="h-3.5 w-3.5" />
+                        {ventasEnVivo.estado === "error"
+                            ? "Manager+ sin respuesta"
+                            : ventasEnVivo.edadSegundos !== null
+                                ? `Ventas de hoy: hace ${ventasEnVivo.edadSegundos}s`
+                                : "Ventas de hoy: cargando"}
+                    </div>
+                )}
+
                 {/* Botón Sincronizar Productos (Nuevo) */}
                 {onSyncProducts && (
                     <button
@@ -64,6 +187,24 @@ export function Header({
                     </button>
                 )}
 
+                {/* Importar desde planilla */}
+                {onImport && (
+                    <button
+                        onClick={onImport}
+                        className={cn(
+                            "flex items-center gap-2 px-4 py-2 bg-indigo-50 text-indigo-700 text-sm font-medium rounded-lg border border-indigo-200",
+                            "hover:bg-indigo-100 transition-colors"
+                        )}
+                        title="Cargar cantidades a comprar desde un archivo CSV o Excel"
+                    >
+                        <FileUp className="h-4 w-4" />
+                        Importar
+                    </button>
+                )}
+
+                {/* Exportar para proveedores */}
+                {onExport && <ExportMenu onExport={onExport} isExporting={isExporting} />}
+
                 {/* Botón Reset */}
                 {onReset && (
                     <button
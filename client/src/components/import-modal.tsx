@@ -0,0 +1,245 @@
+"use client";
+
+import { useState } from "react";
+import { useMutation } from "@tanstack/react-query";
+import { isAxiosError } from "axios";
+import { FileUp, Loader2, X, XCircle, CheckCircle2, ArrowRight } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { previewImportPedidos, importPedidos, ImportResultado, EstadoFilaImport } from "@/lib/api";
+
+interface ImportModalProps {
+    onClose: () => void;
+    onImported: () => void;
+}
+
+const ESTADO_STYLES: Record<EstadoFilaImport, { label: string; color: string }> = {
+    nuevo: { label: "Nuevo", color: "text-emerald-700 bg-emerald-50" },
+    cambio: { label: "Cambia", color: "text-blue-700 bg-blue-50" },
+    sin_cambio: { label: "Sin cambio", color: "text-slate-600 bg-slate-100" },
+    error: { label: "Error", color: "text-red-700 bg-red-50" },
+};
+
+function mesActualInput(): string {
+    const hoy = new Date();
+    return `${hoy.getFullYear()}-${String(hoy.getMonth() + 1).padStart(2, "0")}`;
+}
+
+function mensajeError(error: unknown): string {
+    if (isAxiosError(error)) {
+        return error.response?.data?.message || error.response?.data?.error || error.message;
+    }
+    return error instanceof Error ? error.message : String(error);
+}
+
+function formatCantidad(value: number | null): string {
+    return value === null ? "—" : value.toLocaleString("es-CL");
+}
+
+// Importar cantidades a comprar desde CSV/XLSX: primero vista previa, luego aplicar
+export function ImportModal({ onClose, onImported }: ImportModalProps) {
+    const [archivo, setArchivo] = useState<File | null>(null);
+    const [mes, setMes] = useState(mesActualInput);
+    const [preview, setPreview] = useState<ImportResultado | null>(null);
+    const [resultado, setResultado] = useState<ImportResultado | null>(null);
+
+    const [anoNum, mesNum] = mes.split("-").map(Number);
+    const periodo = { ano: anoNum, mes: mesNum };
+
+    const previewMutation = useMutation({
+        mutationFn: (file: File) => previewImportPedidos(file, periodo),
+        onSuccess: (data) => setPreview(data),
+        onError: () => setPreview(null),
+    });
+
+    const importMutation = useMutation({
+        mutationFn: ({ file, omitirErrores }: { file: File; omitirErrores: boolean }) =>
+            importPedidos(file, periodo, omitirErrores),
+        onSuccess: (data) => {
+            setResultado(data);
+            onImported();
+        },
+    });
+
+    const handleArchivo = (file: File | null) => {
+        setArchivo(file);
+        setPreview(null);
+        setResultado(null);
+        importMutation.reset();
+        if (file) previewMutation.mutate(file);
+    };
+
+    const handleMes = (value: string) => {
+        setMes(value);
+        setPreview(null);
+    };
+
+    const resumen = preview?.resumen;
+    const aplicables = resumen ? resumen.nuevos + resumen.cambios : 0;
+    const error = previewMutation.error || importMutation.error;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm animate-in fade-in duration-200">
+            <div className="w-full max-w-4xl max-h-[90vh] flex flex-col bg-white rounded-xl shadow-2xl m-4 animate-in zoom-in-95 duration-200 border border-slate-200">
+                <div className="flex items-center justify-between p-6 border-b border-slate-200">
+                    <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                        <FileUp className="h-5 w-5 text-indigo-600" />
+                        Importar cantidades a comprar
+                    </h2>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-1 rounded-lg text-slate-400 hover:text-slate-600 hover:bg-slate-100 transition-colors"
+                        title="Cerrar"
+                    >
+                        <X className="h-5 w-5" />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4 overflow-auto">
+                    <p className="text-sm text-slate-600">
+                        Archivo CSV o Excel con columnas <strong>SKU</strong> y <strong>Cantidad</strong> (opcionales{" "}
+                        <strong>Año</strong> y <strong>Mes</strong>). Nada se guarda hasta aplicar la importación.
+                    </p>
+
+                    <div className="flex flex-wrap items-end gap-4">
+                        <div className="flex flex-col gap-1">
+                            <label htmlFor="import-archivo" className="text-xs font-medium text-slate-500">Archivo</label>
+                            <input
+                                id="import-archivo"
+                                type="file"
+                                accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                                onChange={(e) => handleArchivo(e.target.files?.[0] || null)}
+                                className="text-sm text-slate-700 file:mr-3 file:px-3 file:py-2 file:rounded-lg file:border-0 file:bg-indigo-50 file:text-indigo-700 file:font-medium hover:file:bg-indigo-100"
+                            />
+                        </div>
+                        <div className="flex flex-col gap-1">
+                            <label htmlFor="import-mes" className="text-xs font-medium text-slate-500">Mes (filas sin Año/Mes)</label>
+                            <input
+                                id="import-mes"
+                                type="month"
+                                value={mes}
+                                onChange={(e) => handleMes(e.target.value)}
+                                className="px-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                        </div>
+                        {archivo && !preview && !previewMutation.isPending && (
+                            <button
+                                type="button"
+                                onClick={() => previewMutation.mutate(archivo)}
+                                className="px-4 py-2 text-sm font-medium text-indigo-700 bg-indigo-50 border border-indigo-200 rounded-lg hover:bg-indigo-100 transition-colors"
+                            >
+                                Previsualizar
+                            </button>
+                        )}
+                    </div>
+
+                    {error && (
+                        <div className="p-4 bg-red-50 border border-red-100 rounded-lg text-red-700 flex items-start gap-3">
+                            <XCircle className="h-5 w-5 shrink-0 mt-0.5" />
+                            <p className="text-sm">{mensajeError(error)}</p>
+                        </div>
+                    )}
+
+                    {resultado?.aplicada && (
+                        <div className="p-4 bg-emerald-50 border border-emerald-100 rounded-lg text-emerald-700 flex items-start gap-3">
+                            <CheckCircle2 className="h-5 w-5 shrink-0 mt-0.5" />
+                            <p className="text-sm">
+                                {resultado.aplicados} pedidos importados
+                                {resultado.resumen.errores > 0 && ` (${resultado.resumen.errores} filas con error omitidas)`}
+                            </p>
+                        </div>
+                    )}
+
+                    {previewMutation.isPending && (
+                        <div className="flex items-center justify-center h-32">
+                            <Loader2 className="h-8 w-8 text-indigo-600 animate-spin" />
+                        </div>
+                    )}
+
+                    {preview && resumen && !resultado && (
+                        <>
+                            <div className="flex flex-wrap gap-2 text-sm">
+                                <span className="px-3 py-1 rounded-full bg-slate-100 text-slate-700">{resumen.total} filas</span>
+                                <span className={cn("px-3 py-1 rounded-full", ESTADO_STYLES.nuevo.color)}>{resumen.nuevos} nuevos</span>
+                                <span className={cn("px-3 py-1 rounded-full", ESTADO_STYLES.cambio.color)}>{resumen.cambios} con cambios</span>
+                                <span className={cn("px-3 py-1 rounded-full", ESTADO_STYLES.sin_cambio.color)}>{resumen.sinCambio} sin cambio</span>
+                                {resumen.errores > 0 && (
+                                    <span className={cn("px-3 py-1 rounded-full font-medium", ESTADO_STYLES.error.color)}>{resumen.errores} con error</span>
+                                )}
+                            </div>
+
+                            <div className="border border-slate-200 rounded-lg overflow-hidden">
+                                <table className="w-full">
+                                    <thead className="bg-slate-50 border-b border-slate-200">
+                                        <tr>
+                                            <th className="px-3 py-2 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Línea</th>
+                                            <th className="px-3 py-2 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">SKU</th>
+                                            <th className="px-3 py-2 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Mes</th>
+                                            <th className="px-3 py-2 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Cantidad</th>
+                                            <th className="px-3 py-2 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Estado</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {preview.filas.map((fila) => (
+                                            <tr
+                                                key={`${fila.hoja ?? ""}-${fila.linea}`}
+                                                className={cn("border-b border-slate-100 text-sm", fila.estado === "error" && "bg-red-50/50")}
+                                            >
+                                                <td className="px-3 py-2 text-slate-500 whitespace-nowrap">
+                                                    {fila.hoja ? `${fila.hoja} · ` : ""}{fila.linea}
+                                                </td>
+                                                <td className="px-3 py-2">
+                                                    <div className="font-mono text-slate-900">{fila.sku || "—"}</div>
+                                                    {fila.descripcion && <div className="text-xs text-slate-500 truncate max-w-xs">{fila.descripcion}</div>}
+                                                </td>
+                                                <td className="px-3 py-2 text-slate-700 whitespace-nowrap">{fila.mes}/{fila.ano}</td>
+                                                <td className="px-3 py-2">
+                                                    <div className="flex items-center gap-2 font-mono tabular-nums">
+                                                        <span className="text-slate-500">{formatCantidad(fila.cantidadAnterior)}</span>
+                                                        <ArrowRight className="h-3 w-3 text-slate-400" />
+                                                        <span className="font-semibold text-slate-900">{formatCantidad(fila.cantidad)}</span>
+                                                    </div>
+                                                </td>
+                                                <td className="px-3 py-2">
+                                                    <span className={cn("inline-flex px-2 py-0.5 rounded-full text-xs font-medium", ESTADO_STYLES[fila.estado].color)}>
+                                                        {ESTADO_STYLES[fila.estado].label}
+                                                    </span>
+                                                    {fila.errores.map((err) => (
+                                                        <div key={err} className="text-xs text-red-600 mt-1">{err}</div>
+                                                    ))}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                <div className="flex items-center justify-end gap-3 p-6 border-t border-slate-200">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm font-medium text-slate-700 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 transition-colors"
+                    >
+                        {resultado?.aplicada ? "Cerrar" : "Cancelar"}
+                    </button>
+                    {preview && resumen && !resultado && (
+                        <button
+                            type="button"
+                            onClick={() => archivo && importMutation.mutate({ file: archivo, omitirErrores: resumen.errores > 0 })}
+                            disabled={aplicables === 0 || importMutation.isPending}
+                            className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {importMutation.isPending && <Loader2 className="h-4 w-4 animate-spin" />}
+                            {resumen.errores > 0
+                                ? `Aplicar ${aplicables} filas válidas (omitir ${resumen.errores} con error)`
+                                : `Aplicar ${aplicables} cambios`}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
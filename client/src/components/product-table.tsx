@@ -9,6 +9,8 @@ interface ProductTableProps {
     productos: ProductoDashboard[];
     columnas: string[];
     onOrderUpdated?: () => void;
+    // Sin permiso de compra la columna "A Comprar" es de solo lectura
+    editable?: boolean;
 }
 
 function formatNumber(num: number | null | undefined): string {
@@ -110,7 +112,7 @@ function EditableCell({ productoId, initialValue, onSave }: EditableCellProps) {
     );
 }
 
-export function ProductTable({ productos, columnas, onOrderUpdated }: ProductTableProps) {
+export function ProductTable({ productos, columnas, onOrderUpdated, editable = true }: ProductTableProps) {
     const handleSaveOrder = useCallback(async (productoId: number, cantidad: number) => {
         await saveOrders([{ productoId, cantidad }]);
         onOrderUpdated?.();
@@ -151,6 +153,12 @@ export function ProductTable({ productos, columnas, onOrderUpdated }: ProductTab
                         <th className="px-4 py-3 text-right font-semibold text-blue-700 bg-blue-50 border-b border-blue-200 border-l-2 border-l-blue-400 min-w-[100px]">
                             Venta Mes
                         </th>
+                        <th
+                            className="px-4 py-3 text-right font-semibold text-blue-700 bg-blue-50 border-b border-blue-200 min-w-[80px]"
+                            title="Porcentaje de unidades devueltas (notas de crédito) sobre la venta bruta del período"
+                        >
+                            % Dev.
+                        </th>
                         <th className="px-4 py-3 text-right font-semibold text-blue-700 bg-blue-50 border-b border-blue-200 min-w-[90px]">
                             Stock
                         </th>
@@ -168,6 +176,7 @@ export function ProductTable({ productos, columnas, onOrderUpdated }: ProductTab
                 <tbody>
                     {productos.map((item, idx) => {
                         const compraSugerida = item.compraSugerida || 0;
+                        const tasaDevolucion = item.devoluciones?.tasaDevolucion || 0;
 
                         return (
                             <tr
@@ -182,6 +191,22 @@ export function ProductTable({ productos, columnas, onOrderUpdated }: ProductTab
                                     idx % 2 === 0 ? "bg-white" : "bg-slate-50"
                                 )}>
                                     {item.producto.sku}
+                                    {item.clasificacion?.abc && item.clasificacion.xyz && (
+                                        <span
+                                            className="ml-2 inline-block px-1.5 py-0.5 rounded text-[10px] font-semibold text-indigo-700 bg-indigo-100 align-middle"
+                                            title={`Clase ${item.clasificacion.abc} por monto vendido, ${item.clasificacion.xyz} por variabilidad (CV ${item.clasificacion.coeficienteVariacion ?? "—"})`}
+                                        >
+                                            {item.clasificacion.abc}{item.clasificacion.xyz}
+                                        </span>
+                                    )}
+                                    {item.quiebres?.corregido && (
+                                        <span
+                                            className="ml-2 inline-block px-1.5 py-0.5 rounded text-[10px] font-semibold text-amber-700 bg-amber-100 align-middle"
+                                            title={`Demanda corregida por ${item.quiebres.diasSinStock} días sin stock: promedio ${formatNumber(item.quiebres.promedioSinCorregir)} → ${formatNumber(item.promedio)}`}
+                                        >
+                                            QUIEBRE
+                                        </span>
+                                    )}
                                 </td>
                                 <td className={cn(
                                     "sticky left-[120px] z-20 px-4 py-2 text-slate-600 border-b border-slate-100 max-w-[300px] truncate shadow-[2px_0_5px_-2px_rgba(0,0,0,0.1)]",
@@ -196,7 +221,13 @@ export function ProductTable({ productos, columnas, onOrderUpdated }: ProductTab
                                 {item.ventasMeses.map((mes, i) => (
                                     <td
                                         key={i}
-                                        className="px-4 py-2 text-right text-slate-600 border-b border-slate-100 tabular-nums"
+                                        className={cn(
+                                            "px-4 py-2 text-right border-b border-slate-100 tabular-nums",
+                                            mes.ajuste ? "text-amber-700 underline decoration-dotted" : "text-slate-600"
+                                        )}
+                                        title={mes.ajuste
+                                            ? `${mes.diasSinStock} días sin stock: demanda estimada ${formatNumber(mes.cantidadCorregida)} (${mes.ajuste})`
+                                            : undefined}
                                     >
                                         {formatNumber(mes.cantidad)}
                                     </td>
@@ -205,7 +236,23 @@ export function ProductTable({ productos, columnas, onOrderUpdated }: ProductTab
                                 <td className="px-4 py-2 text-right text-slate-800 font-medium border-b border-blue-100 bg-blue-50/30 border-l-2 border-l-blue-400 tabular-nums">
                                     {formatNumber(item.mesActual?.ventaActual)}
                                 </td>
-                                <td className="px-4 py-2 text-right text-slate-800 border-b border-blue-100 bg-blue-50/30 tabular-nums">
+                                <td
+                                    className={cn(
+                                        "px-4 py-2 text-right border-b border-blue-100 bg-blue-50/30 tabular-nums",
+                                        tasaDevolucion > 0 ? "text-orange-600" : "text-slate-400"
+                                    )}
+                                    title={`${formatNumber(item.devoluciones?.cantidadDevuelta)} devueltas de ${formatNumber(item.devoluciones?.cantidadBruta)} vendidas`}
+                                >
+                                    {tasaDevolucion.toLocaleString("es-CL", { maximumFractionDigits: 1 })}%
+                                </td>
+                                <td
+                                    className="px-4 py-2 text-right text-slate-800 border-b border-blue-100 bg-blue-50/30 tabular-nums"
+                                    title={item.stockBodegas && item.stockBodegas.length > 0
+                                        ? item.stockBodegas
+                                            .map((b) => `${b.bodega}: ${formatNumber(b.saldo)}${b.disponible ? "" : " (no disponible)"}`)
+                                            .join("\n")
+                                        : undefined}
+                                >
                                     {formatNumber(item.mesActual?.stockActual)}
                                 </td>
                                 <td className="px-4 py-2 text-center border-b border-blue-100 bg-blue-50/30">
@@ -213,6 +260,7 @@ export function ProductTable({ productos, columnas, onOrderUpdated }: ProductTab
                                         stock={item.mesActual?.stockActual || 0}
                                         promedio={item.promedio || 0}
                                         sugerido={compraSugerida}
+                                        estado={item.estado}
                                     />
                                 </td>
                                 <td
@@ -221,15 +269,24 @@ export function ProductTable({ productos, columnas, onOrderUpdated }: ProductTab
                                         compraSugerida > 0 && "text-green-600",
                                         compraSugerida < 0 && "text-red-600"
                                     )}
+                                    title={item.reposicion
+                                        ? `Pronóstico ${formatNumber(item.pronostico?.valor)}/mes (${item.pronostico?.metodo ?? "promedio"}, WAPE ${item.pronostico?.wape ?? "-"}%)\nNivel objetivo ${formatNumber(item.reposicion.nivelObjetivo)} (lead time ${item.reposicion.leadTimeDias}d + cobertura ${item.reposicion.diasCobertura}d + seguridad ${formatNumber(item.reposicion.stockSeguridad)}) - stock ${formatNumber(item.reposicion.stockActual)} - en tránsito ${formatNumber(item.reposicion.enTransito)}`
+                                        : undefined}
                                 >
                                     {formatNumber(compraSugerida)}
                                 </td>
                                 <td className="px-4 py-2 border-b border-amber-100 bg-amber-50/30">
-                                    <EditableCell
-                                        productoId={item.producto.id}
-                                        initialValue={item.compraRealizar}
-                                        onSave={handleSaveOrder}
-                                    />
+                                    {editable ? (
+                                        <EditableCell
+                                            productoId={item.producto.id}
+                                            initialValue={item.compraRealizar}
+                                            onSave={handleSaveOrder}
+                                        />
+                                    ) : (
+                                        <div className="text-right text-slate-700 tabular-nums">
+                                            {item.compraRealizar !== null ? formatNumber(item.compraRealizar) : "—"}
+                                        </div>
+                                    )}
                                 </td>
                             </tr>
                         );
@@ -2,6 +2,7 @@
 
 import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import { useState, type ReactNode } from "react";
+import { AuthGuard } from "./auth-guard";
 
 export function Providers({ children }: { children: ReactNode }) {
     const [queryClient] = useState(
@@ -17,6 +18,8 @@ export function Providers({ children }: { children: ReactNode }) {
     );
 
     return (
-        <QueryClientProvider client={queryClient}>{children}</QueryClientProvider>
+        <QueryClientProvider client={queryClient}>
+            <AuthGuard>{children}</AuthGuard>
+        </QueryClientProvider>
     );
 }
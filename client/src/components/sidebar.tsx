@@ -1,10 +1,18 @@
 "use client";
 
 import { cn } from "@/lib/utils";
-import { Package2, ChevronLeft, ChevronRight, LayoutDashboard, History } from "lucide-react";
+import { Package2, ChevronLeft, ChevronRight, LayoutDashboard, History, ClipboardList, ScrollText, LogOut } from "lucide-react";
 import Link from "next/link";
-import { usePathname } from "next/navigation";
+import { usePathname, useRouter } from "next/navigation";
 import { useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { cerrarSesion, tieneRol, useSesion } from "@/lib/auth";
+
+const ROL_LABELS = {
+    viewer: "Consulta",
+    buyer: "Comprador",
+    admin: "Administrador",
+};
 
 interface SidebarProps {
     className?: string;
@@ -13,10 +21,21 @@ interface SidebarProps {
 export function Sidebar({ className }: SidebarProps) {
     const [collapsed, setCollapsed] = useState(false);
     const pathname = usePathname();
+    const router = useRouter();
+    const queryClient = useQueryClient();
+    const usuario = useSesion();
+
+    const handleLogout = () => {
+        cerrarSesion();
+        queryClient.clear();
+        router.replace("/login");
+    };
 
     const navItems = [
         { href: "/", label: "Órdenes de Compra", icon: LayoutDashboard },
         { href: "/historial", label: "Historial de Sync", icon: History },
+        { href: "/auditoria", label: "Auditoría de Compras", icon: ClipboardList },
+        ...(tieneRol(usuario, "admin") ? [{ href: "/logs", label: "Logs del Servidor", icon: ScrollText }] : []),
     ];
 
     return (
@@ -71,6 +90,26 @@ export function Sidebar({ className }: SidebarProps) {
                 })}
             </nav>
 
+            {/* Usuario */}
+            {usuario && (
+                <div className="flex items-center justify-between gap-2 px-4 py-3 border-t border-slate-700">
+                    {!collapsed && (
+                        <div className="min-w-0 text-sm">
+                            <p className="truncate text-slate-200">{usuario.nombre || usuario.username}</p>
+                            <p className="text-xs text-slate-500">{ROL_LABELS[usuario.rol]}</p>
+                        </div>
+                    )}
+                    <button
+                        onClick={handleLogout}
+                        className="p-2 rounded-lg text-slate-400 hover:bg-slate-800 hover:text-white transition-colors"
+                        aria-label="Cerrar sesión"
+                        title="Cerrar sesión"
+                    >
+                        <LogOut className="h-4 w-4" />
+                    </button>
+                </div>
+            )}
+
             {/* Footer */}
             {!collapsed && (
                 <div className="p-4 border-t border-slate-700 text-xs text-slate-400">
@@ -8,6 +8,8 @@ interface StockBadgeProps {
     stock: number;
     promedio: number;
     sugerido?: number;
+    // Estado calculado por el servidor (GET /api/dashboard)
+    estado: StockStatus;
     className?: string;
 }
 
@@ -47,37 +49,12 @@ const STATUS_CONFIG: Record<StockStatus, StatusConfig> = {
     },
 };
 
-function calculateStatus(stock: number, promedio: number, sugerido?: number): StockStatus {
-    // Si el sugerido es negativo, significa sobrestock (tienes más de lo que necesitas)
-    if (sugerido !== undefined && sugerido < 0) {
-        return "overstock";
-    }
-
-    // Caso especial: si promedio es 0 y stock es 0, retornar "healthy" (Ok)
-    // ya que no hay nada sugerido y el promedio es 0, todo está en orden
-    if (promedio === 0 && stock === 0) {
-        return "healthy";
-    }
-
-    // Calcular ratio stock/promedio para los demás estados
-    const ratio = promedio > 0 ? stock / promedio : stock > 0 ? Infinity : 0;
-
-    if (ratio < 0.5) {
-        return "critical";
-    } else if (ratio < 1) {
-        return "warning";
-    } else {
-        return "healthy"; // Stock >= 100% del promedio = OK
-    }
-}
-
-export function StockBadge({ stock, promedio, sugerido, className }: StockBadgeProps) {
+export function StockBadge({ stock, promedio, sugerido, estado, className }: StockBadgeProps) {
     const [showTooltip, setShowTooltip] = useState(false);
     const [tooltipPosition, setTooltipPosition] = useState({ top: 0, left: 0 });
     const [mounted, setMounted] = useState(false);
 
-    const status = calculateStatus(stock, promedio, sugerido);
-    const config = STATUS_CONFIG[status];
+    const config = STATUS_CONFIG[estado];
     const ratio = promedio > 0 ? (stock / promedio * 100).toFixed(0) : "∞";
 
     useEffect(() => {
@@ -0,0 +1,209 @@
+"use client";
+
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { ChevronDown, ChevronRight, RotateCcw, XCircle, Loader2, ListChecks } from "lucide-react";
+import { fetchSyncJobs, fetchSyncJob, cancelSyncJob, retrySyncJob, SyncJob, SyncJobEstado } from "@/lib/api";
+import { usePuede } from "@/lib/auth";
+import { cn } from "@/lib/utils";
+
+const TIPO_JOB_LABELS: Record<SyncJob["tipo"], string> = {
+    mes_actual: "Mes actual",
+    diaria: "Diaria",
+    rango: "Re-sincronización",
+};
+
+const ESTADO_STYLES: Record<SyncJobEstado, { label: string; color: string }> = {
+    pendiente: { label: "Pendiente", color: "text-slate-600 bg-slate-100" },
+    en_curso: { label: "En curso", color: "text-indigo-700 bg-indigo-50" },
+    completado: { label: "Completado", color: "text-emerald-700 bg-emerald-50" },
+    error: { label: "Error", color: "text-red-700 bg-red-50" },
+    cancelado: { label: "Cancelado", color: "text-amber-700 bg-amber-50" },
+};
+
+function formatDateTime(dateStr: string): string {
+    return new Date(dateStr).toLocaleString("es-CL", {
+        day: "2-digit",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+    });
+}
+
+function formatDuracion(job: SyncJob): string {
+    if (!job.iniciadoAt) return "—";
+    const fin = job.finalizadoAt ? new Date(job.finalizadoAt) : new Date();
+    const segundos = Math.round((fin.getTime() - new Date(job.iniciadoAt).getTime()) / 1000);
+    return segundos < 60 ? `${segundos}s` : `${Math.floor(segundos / 60)}m ${segundos % 60}s`;
+}
+
+function describirParametros(job: SyncJob): string {
+    const { desde, hasta, force } = job.parametros as { desde?: string; hasta?: string; force?: boolean };
+    if (!desde) return "";
+    return `${desde} → ${hasta}${force ? " (forzado)" : ""}`;
+}
+
+function JobEventos({ jobId, activo }: { jobId: number; activo: boolean }) {
+    const { data, isLoading } = useQuery({
+        queryKey: ["sync-job", jobId],
+        queryFn: () => fetchSyncJob(jobId),
+        refetchInterval: activo ? 2000 : false,
+    });
+
+    if (isLoading) {
+        return <div className="px-4 py-3 text-sm text-slate-500">Cargando eventos...</div>;
+    }
+
+    return (
+        <ol className="px-10 py-3 space-y-1">
+            {(data?.eventos || []).map((evento) => (
+                <li key={evento.id} className="flex gap-3 text-sm">
+                    <span className="font-mono text-slate-400 shrink-0">{formatDateTime(evento.createdAt)}</span>
+                    <span className="font-mono text-xs text-slate-500 shrink-0 w-28">{evento.step}</span>
+                    <span className="text-slate-700">{evento.message}</span>
+                </li>
+            ))}
+        </ol>
+    );
+}
+
+function JobRow({ job }: { job: SyncJob }) {
+    const queryClient = useQueryClient();
+    const [expandido, setExpandido] = useState(false);
+    const puedeOperar = usePuede("buyer");
+    const activo = job.estado === "pendiente" || job.estado === "en_curso";
+    const estado = ESTADO_STYLES[job.estado];
+
+    const invalidar = () => {
+        queryClient.invalidateQueries({ queryKey: ["sync-jobs"] });
+        queryClient.invalidateQueries({ queryKey: ["sync-job", job.id] });
+    };
+
+    const cancelMutation = useMutation({ mutationFn: () => cancelSyncJob(job.id), onSuccess: invalidar });
+    const retryMutation = useMutation({ mutationFn: () => retrySyncJob(job.id), onSuccess: invalidar });
+
+    return (
+        <>
+            <tr className="border-b border-slate-200 hover:bg-slate-50 transition-colors">
+                <td className="px-4 py-3">
+                    <button
+                        type="button"
+                        onClick={() => setExpandido((e) => !e)}
+                        className="flex items-center gap-1 font-mono text-slate-700"
+                    >
+                        {expandido ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                        #{job.id}
+                    </button>
+                </td>
+                <td className="px-4 py-3">
+                    <div className="flex flex-col">
+                        <span className="font-medium text-slate-900">{TIPO_JOB_LABELS[job.tipo] || job.tipo}</span>
+                        <span className="text-xs text-slate-500">{describirParametros(job)}</span>
+                    </div>
+                </td>
+                <td className="px-4 py-3">
+                    <span className={cn("inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium", estado.color)}>
+                        {job.estado === "en_curso" && <Loader2 className="h-3 w-3 animate-spin" />}
+                        {estado.label}
+                    </span>
+                    {job.error && <p className="text-xs text-red-600 mt-1">{job.error}</p>}
+                </td>
+                <td className="px-4 py-3 text-sm text-slate-600">
+                    {job.origen}
+                    {job.reintentoDeId && <span className="text-xs text-slate-400"> (reintento de #{job.reintentoDeId})</span>}
+                </td>
+                <td className="px-4 py-3 text-sm text-slate-600">{formatDateTime(job.createdAt)}</td>
+                <td className="px-4 py-3 text-sm font-mono text-slate-600">{formatDuracion(job)}</td>
+                <td className="px-4 py-3 text-right">
+                    {activo && puedeOperar && (
+                        <button
+                            type="button"
+                            onClick={() => cancelMutation.mutate()}
+                            disabled={cancelMutation.isPending || job.cancelacionSolicitada}
+                            className="inline-flex items-center gap-1 px-3 py-1.5 text-sm border border-slate-300 rounded-lg bg-white hover:bg-slate-100 disabled:opacity-50"
+                        >
+                            <XCircle className="h-4 w-4 text-red-500" />
+                            {job.cancelacionSolicitada ? "Cancelando..." : "Cancelar"}
+                        </button>
+                    )}
+                    {puedeOperar && (job.estado === "error" || job.estado === "cancelado") && (
+                        <button
+                            type="button"
+                            onClick={() => retryMutation.mutate()}
+                            disabled={retryMutation.isPending}
+                            className="inline-flex items-center gap-1 px-3 py-1.5 text-sm border border-slate-300 rounded-lg bg-white hover:bg-slate-100 disabled:opacity-50"
+                        >
+                            <RotateCcw className="h-4 w-4 text-blue-600" />
+                            Reintentar
+                        </button>
+                    )}
+                </td>
+            </tr>
+            {expandido && (
+                <tr className="border-b border-slate-200 bg-slate-50">
+                    <td colSpan={7}>
+                        <JobEventos jobId={job.id} activo={activo} />
+                    </td>
+                </tr>
+            )}
+        </>
+    );
+}
+
+export function SyncJobsPanel() {
+    const { data, isLoading, error } = useQuery({
+        queryKey: ["sync-jobs"],
+        queryFn: () => fetchSyncJobs(20),
+        staleTime: 0,
+        // Mientras haya jobs activos se refresca seguido para ver el avance
+        refetchInterval: (query) =>
+            query.state.data?.jobs.some((j) => j.estado === "pendiente" || j.estado === "en_curso") ? 3000 : 30000,
+    });
+
+    const jobs = data?.jobs || [];
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden mb-6">
+            <div className="flex items-center gap-2 px-4 py-3 border-b border-slate-200">
+                <ListChecks className="h-5 w-5 text-blue-600" />
+                <h2 className="font-semibold text-slate-900">Jobs de Sincronización</h2>
+            </div>
+
+            {isLoading ? (
+                <div className="flex items-center justify-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                </div>
+            ) : error ? (
+                <div className="flex items-center justify-center h-32 text-red-600">
+                    Error al cargar jobs: {(error as Error).message}
+                </div>
+            ) : jobs.length === 0 ? (
+                <div className="flex items-center justify-center h-32 text-slate-500">
+                    No hay jobs de sincronización registrados
+                </div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full">
+                        <thead className="bg-slate-50 border-b border-slate-200">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Job</th>
+                                <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Tipo</th>
+                                <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Estado</th>
+                                <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Origen</th>
+                                <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Creado</th>
+                                <th className="px-4 py-3 text-left text-xs font-semibold text-slate-600 uppercase tracking-wider">Duración</th>
+                                <th className="px-4 py-3"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {jobs.map((job) => (
+                                <JobRow key={job.id} job={job} />
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -3,6 +3,7 @@
 import { useEffect, useState } from "react";
 import { CheckCircle2, Loader2, XCircle, Terminal } from "lucide-react";
 import { cn } from "@/lib/utils";
+import { withToken } from "@/lib/api";
 
 interface SyncModalProps {
     isOpen: boolean;
@@ -50,7 +51,7 @@ export function SyncModal({ isOpen, onClose }: SyncModalProps) {
         }
 
         console.log("Conectando SSE a:", streamUrl);
-        const eventSource = new EventSource(streamUrl);
+        const eventSource = new EventSource(withToken(streamUrl));
 
         const updateStep = (id: string, status: StepStatus, detail?: string) => {
             setSteps((prev) =>
@@ -99,6 +100,11 @@ export function SyncModal({ isOpen, onClose }: SyncModalProps) {
                         setError(data.message);
                         eventSource.close();
                         break;
+
+                    case "cancelled":
+                        setError("La sincronización fue cancelada");
+                        eventSource.close();
+                        break;
                 }
             } catch (e) {
                 console.error("Error parsing SSE", e);
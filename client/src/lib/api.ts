@@ -1,4 +1,5 @@
 import axios from "axios";
+import { getToken, cerrarSesion, type UsuarioSesion } from "./auth";
 
 // En desarrollo, Next.js usa un proxy; en producción, apunta al mismo servidor
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || "/api";
@@ -12,6 +13,36 @@ export const api = axios.create({
     timeout: 300000,
 });
 
+// Enviar el token de sesión en cada petición
+api.interceptors.request.use((config) => {
+    const token = getToken();
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+// Sesión vencida o inválida: volver al login (salvo en el propio login, que muestra el error)
+api.interceptors.response.use(
+    (response) => response,
+    (error) => {
+        if (error.response?.status === 401 && error.config?.url !== "/auth/login") {
+            cerrarSesion();
+            if (typeof window !== "undefined" && window.location.pathname !== "/login") {
+                window.location.href = "/login";
+            }
+        }
+        return Promise.reject(error);
+    }
+);
+
+// Agregar el token a una URL de stream SSE (EventSource no permite headers)
+export function withToken(url: string): string {
+    const token = getToken();
+    if (!token) return url;
+    return `${url}${url.includes("?") ? "&" : "?"}token=${encodeURIComponent(token)}`;
+}
+
 // Types
 export interface ProductoInfo {
     id: number;
@@ -23,6 +54,17 @@ export interface ProductoInfo {
 export interface MesVenta {
     label: string;
     cantidad: number;
+    cantidadDevuelta?: number;
+    // Demanda estimada descontando los días sin stock
+    cantidadCorregida?: number;
+    diasSinStock?: number;
+    ajuste?: "extrapolado" | "excluido" | null;
+}
+
+export interface Quiebres {
+    corregido: boolean;
+    diasSinStock: number;
+    promedioSinCorregir: number;
 }
 
 export interface MesActual {
@@ -30,17 +72,132 @@ export interface MesActual {
     stockActual: number;
 }
 
+export interface StockBodega {
+    bodega: string;
+    saldo: number;
+    // Cuenta en el stock disponible (STOCK_BODEGAS_DISPONIBLES)
+    disponible: boolean;
+}
+
+export interface BodegaResumen {
+    bodega: string;
+    disponible: boolean;
+    productos: number;
+    saldo: number;
+}
+
+export interface Devoluciones {
+    cantidadBruta: number;
+    cantidadDevuelta: number;
+    tasaDevolucion: number;
+}
+
+export interface ProveedorProducto {
+    id: number;
+    nombre: string;
+    skuProveedor: string | null;
+    costoUnitario: number | null;
+}
+
+export interface Reposicion {
+    demandaDiaria: number;
+    desviacionDiaria: number;
+    leadTimeDias: number;
+    diasCobertura: number;
+    nivelServicio: number;
+    factorZ: number;
+    demandaLeadTime: number;
+    demandaCobertura: number;
+    stockSeguridad: number;
+    puntoReorden: number;
+    nivelObjetivo: number;
+    stockActual: number;
+    enTransito: number;
+    posicion: number;
+    bajoPuntoReorden: boolean;
+    compraSugerida: number;
+}
+
+export type MetodoPronostico = "promedio" | "ponderado" | "holt" | "holt_winters" | "estacional";
+
+export interface Pronostico {
+    metodo: MetodoPronostico;
+    valor: number;
+    mape: number | null;
+    wape: number | null;
+}
+
+export type ClaseAbc = "A" | "B" | "C";
+export type ClaseXyz = "X" | "Y" | "Z";
+export type EstadoStock = "overstock" | "critical" | "warning" | "healthy";
+
+// Orden del dashboard (prefijo "-" = descendente)
+export type SortDashboard =
+    | "sku" | "descripcion" | "clase"
+    | "-promedio" | "stock" | "-compraSugerida" | "-ventaActual";
+
+export interface Clasificacion {
+    abc: ClaseAbc | null;
+    xyz: ClaseXyz | null;
+    coeficienteVariacion: number | null;
+}
+
 export interface ProductoDashboard {
     producto: ProductoInfo;
+    clasificacion?: Clasificacion;
+    proveedor?: ProveedorProducto | null;
     ventasMeses: MesVenta[];
     mesActual: MesActual;
+    stockBodegas?: StockBodega[];
     promedio: number;
+    quiebres?: Quiebres;
+    pronostico?: Pronostico;
+    devoluciones?: Devoluciones;
+    reposicion?: Reposicion;
     compraSugerida: number;
+    estado: EstadoStock;
     compraRealizar: number | null;
 }
 
+export interface VentasEnVivo {
+    estado: "ok" | "sin_datos" | "error";
+    dia: string | null;
+    actualizadoEn: string | null;
+    edadSegundos: number | null;
+    ultimoIntento: string | null;
+    duracionMs: number | null;
+    error: string | null;
+    erroresConsecutivos: number;
+    proximoIntento: string | null;
+    documentos: number;
+    intervaloSegundos: number;
+}
+
+export interface DashboardTotales {
+    productos: number;
+    conSugerencia: number;
+    criticos: number;
+    comprasRegistradas: number;
+}
+
 export interface DashboardMeta {
     mesActual: string;
+    proveedor: number | null;
+    bodega?: string[] | null;
+    bodegas?: BodegaResumen[];
+    metodo: MetodoPronostico;
+    clase?: string | null;
+    sort: SortDashboard;
+    page: number;
+    pageSize: number | null;
+    totalPaginas: number;
+    totalProductos: number;
+    totalFiltrados: number;
+    totales: DashboardTotales;
+    ventasEnVivo?: VentasEnVivo;
+    wape: number | null;
+    ordenesBorrador: number[];
+    productosCorregidos?: number;
     columnas: string[];
     generadoEn: string;
 }
@@ -51,11 +208,76 @@ export interface DashboardResponse {
 }
 
 // API Functions
-export async function fetchDashboard(meses: number, marca?: string): Promise<DashboardResponse> {
-    const params = new URLSearchParams({ meses: meses.toString() });
+export interface LoginResponse {
+    token: string;
+    expiraAt: string;
+    usuario: UsuarioSesion;
+}
+
+export async function login(username: string, password: string): Promise<LoginResponse> {
+    const { data } = await api.post<LoginResponse>("/auth/login", { username, password });
+    return data;
+}
+
+export interface DashboardParams {
+    meses: number;
+    metodo: MetodoPronostico;
+    marca?: string;
+    proveedor?: number;
+    bodega?: string;
+    clase?: string;
+    q?: string;
+    estado?: EstadoStock[];
+    ocultarCero?: boolean;
+    sort?: SortDashboard;
+    page?: number;
+    // Sin pageSize (o -1) el servidor retorna todos los productos
+    pageSize?: number;
+}
+
+export async function fetchDashboard({
+    meses,
+    metodo,
+    marca,
+    proveedor,
+    bodega,
+    clase,
+    q,
+    estado,
+    ocultarCero,
+    sort,
+    page,
+    pageSize,
+}: DashboardParams): Promise<DashboardResponse> {
+    const params = new URLSearchParams({ meses: meses.toString(), metodo });
     if (marca) {
         params.append("marca", marca);
     }
+    if (proveedor) {
+        params.append("proveedor", proveedor.toString());
+    }
+    if (bodega) {
+        params.append("bodega", bodega);
+    }
+    if (clase) {
+        params.append("clase", clase);
+    }
+    if (q?.trim()) {
+        params.append("q", q.trim());
+    }
+    if (estado && estado.length > 0) {
+        params.append("estado", estado.join(","));
+    }
+    if (ocultarCero) {
+        params.append("ocultarCero", "true");
+    }
+    if (sort && sort !== "sku") {
+        params.append("sort", sort);
+    }
+    if (pageSize && pageSize > 0) {
+        params.append("page", (page || 1).toString());
+        params.append("pageSize", pageSize.toString());
+    }
     const { data } = await api.get<DashboardResponse>(`/dashboard?${params}`);
     return data;
 }
@@ -73,6 +295,160 @@ export async function resetOrders(): Promise<void> {
     await api.delete("/dashboard/orden/reset");
 }
 
+// Exportación de cantidades a comprar para proveedores
+export type FormatoExport = "xlsx" | "csv" | "pdf";
+export type AgrupacionExport = "marca" | "proveedor";
+
+export interface ExportPedidosParams {
+    formato: FormatoExport;
+    agrupar: AgrupacionExport;
+    costos: boolean;
+    marca?: string;
+    proveedor?: number;
+    ano?: number;
+    mes?: number;
+}
+
+// Descarga el archivo generado por la API (con el token de sesión, por eso no es un link directo)
+export async function exportPedidos(params: ExportPedidosParams): Promise<void> {
+    const query = new URLSearchParams({
+        formato: params.formato,
+        agrupar: params.agrupar,
+        costos: String(params.costos),
+    });
+    if (params.marca) query.append("marca", params.marca);
+    if (params.proveedor) query.append("proveedor", params.proveedor.toString());
+    if (params.ano) query.append("ano", params.ano.toString());
+    if (params.mes) query.append("mes", params.mes.toString());
+
+    const response = await api.get<Blob>(`/pedidos/export?${query}`, { responseType: "blob" });
+    const disposition = String(response.headers["content-disposition"] || "");
+    const nombre = /filename="([^"]+)"/.exec(disposition)?.[1] || `pedidos.${params.formato}`;
+
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = nombre;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Importación de cantidades desde planillas (CSV/XLSX)
+export type EstadoFilaImport = "nuevo" | "cambio" | "sin_cambio" | "error";
+
+export interface FilaImport {
+    hoja: string | null;
+    linea: number;
+    sku: string;
+    productoId: number | null;
+    descripcion: string | null;
+    ano: number;
+    mes: number;
+    cantidadAnterior: number | null;
+    cantidad: number | null;
+    estado: EstadoFilaImport;
+    errores: string[];
+}
+
+export interface ImportResultado {
+    archivo: { nombre: string | null; formato: "csv" | "xlsx"; hojas: string[] };
+    periodo: { ano: number; mes: number };
+    resumen: { total: number; nuevos: number; cambios: number; sinCambio: number; errores: number };
+    filas: FilaImport[];
+    aplicada?: boolean;
+    aplicados?: number;
+}
+
+function importQuery(archivo: File, periodo: { ano: number; mes: number }): URLSearchParams {
+    return new URLSearchParams({
+        nombre: archivo.name,
+        ano: periodo.ano.toString(),
+        mes: periodo.mes.toString(),
+    });
+}
+
+// El archivo va como cuerpo binario; no se guarda nada
+export async function previewImportPedidos(archivo: File, periodo: { ano: number; mes: number }): Promise<ImportResultado> {
+    const { data } = await api.post<ImportResultado>(`/pedidos/import/preview?${importQuery(archivo, periodo)}`, archivo, {
+        headers: { "Content-Type": "application/octet-stream" },
+    });
+    return data;
+}
+
+export async function importPedidos(
+    archivo: File,
+    periodo: { ano: number; mes: number },
+    omitirErrores: boolean
+): Promise<ImportResultado> {
+    const query = importQuery(archivo, periodo);
+    if (omitirErrores) query.append("omitirErrores", "true");
+    const { data } = await api.post<ImportResultado>(`/pedidos/import?${query}`, archivo, {
+        headers: { "Content-Type": "application/octet-stream" },
+    });
+    return data;
+}
+
+// Types para Auditoría de cantidades a comprar
+export type AccionAuditoria = "crear" | "actualizar" | "eliminar" | "reset" | "mover";
+
+export interface PedidoAudit {
+    id: number;
+    productoId: number;
+    sku: string;
+    ano: number;
+    mes: number;
+    ordenId: number | null;
+    cantidadAnterior: number | null;
+    cantidadNueva: number;
+    accion: AccionAuditoria;
+    usuario: string;
+    origen: string;
+    createdAt: string;
+}
+
+export interface PedidoAuditFiltros {
+    sku?: string;
+    ano?: number;
+    mes?: number;
+    usuario?: string;
+    desde?: string;
+    hasta?: string;
+}
+
+export async function fetchPedidoAudit(filtros: PedidoAuditFiltros = {}): Promise<{ total: number; cambios: PedidoAudit[] }> {
+    const params = new URLSearchParams({ limit: "500" });
+    for (const [key, value] of Object.entries(filtros)) {
+        if (value !== undefined && value !== "") {
+            params.append(key, String(value));
+        }
+    }
+    const { data } = await api.get<{ total: number; cambios: PedidoAudit[] }>(`/pedidos/auditoria?${params}`);
+    return data;
+}
+
+// Types para Proveedores
+export interface Proveedor {
+    id: number;
+    nombre: string;
+    rut: string | null;
+    email: string | null;
+    leadTimeDias: number;
+    montoMinimo: number;
+    moneda: string;
+    activo: boolean;
+    totalProductos: number;
+}
+
+export interface ProveedoresResponse {
+    total: number;
+    proveedores: Proveedor[];
+}
+
+export async function fetchProveedores(): Promise<ProveedoresResponse> {
+    const { data } = await api.get<ProveedoresResponse>("/proveedores");
+    return data;
+}
+
 export async function syncProductsApi(): Promise<void> {
     await api.post("/dashboard/sync-products");
 }
@@ -99,3 +475,97 @@ export async function fetchSyncHistory(limit: number = 50): Promise<SyncHistoryR
     const { data } = await api.get<SyncHistoryResponse>(`/dashboard/sync-history?limit=${limit}`);
     return data;
 }
+
+// Types para Jobs de Sincronización
+export type SyncJobEstado = "pendiente" | "en_curso" | "completado" | "error" | "cancelado";
+
+export interface SyncJobEvento {
+    id: number;
+    jobId: number;
+    step: string;
+    message: string;
+    createdAt: string;
+}
+
+export interface SyncJob {
+    id: number;
+    tipo: "mes_actual" | "diaria" | "rango";
+    estado: SyncJobEstado;
+    parametros: Record<string, unknown>;
+    origen: string;
+    resultado: Record<string, unknown> | null;
+    error: string | null;
+    cancelacionSolicitada: boolean;
+    reintentoDeId: number | null;
+    iniciadoAt: string | null;
+    finalizadoAt: string | null;
+    createdAt: string;
+    eventos?: SyncJobEvento[];
+}
+
+export interface SyncJobsResponse {
+    total: number;
+    jobs: SyncJob[];
+}
+
+export async function fetchSyncJobs(limit: number = 50): Promise<SyncJobsResponse> {
+    const { data } = await api.get<SyncJobsResponse>(`/sync/jobs?limit=${limit}`);
+    return data;
+}
+
+export async function fetchSyncJob(id: number): Promise<SyncJob> {
+    const { data } = await api.get<{ job: SyncJob }>(`/sync/jobs/${id}`);
+    return data.job;
+}
+
+export async function cancelSyncJob(id: number): Promise<SyncJob> {
+    const { data } = await api.post<{ job: SyncJob }>(`/sync/jobs/${id}/cancel`);
+    return data.job;
+}
+
+export async function retrySyncJob(id: number): Promise<SyncJob> {
+    const { data } = await api.post<{ job: SyncJob }>(`/sync/jobs/${id}/retry`);
+    return data.job;
+}
+
+// Types para Logs del servidor (solo admin)
+export type NivelLog = "debug" | "info" | "warn" | "error";
+
+export interface LogEntrada {
+    time: string;
+    level: NivelLog;
+    msg: string;
+    requestId?: string;
+    jobId?: number;
+    jobTipo?: string;
+    [campo: string]: unknown;
+}
+
+export interface LogsFiltros {
+    nivel?: NivelLog;
+    q?: string;
+    jobId?: number;
+    requestId?: string;
+    desde?: string;
+    hasta?: string;
+    limit?: number;
+}
+
+export interface LogsResponse {
+    total: number;
+    truncado: boolean;
+    archivos: number;
+    configuracion: { nivel: NivelLog; formato: "json" | "pretty"; archivos: number; maxMb: number };
+    entradas: LogEntrada[];
+}
+
+export async function fetchLogs(filtros: LogsFiltros = {}): Promise<LogsResponse> {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filtros)) {
+        if (value !== undefined && value !== "") {
+            params.append(key, String(value));
+        }
+    }
+    const { data } = await api.get<LogsResponse>(`/logs?${params}`);
+    return data;
+}
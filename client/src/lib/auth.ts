@@ -0,0 +1,86 @@
+import { useMemo, useSyncExternalStore } from "react";
+
+// Sesión guardada en localStorage: el token va en cada petición (ver api.ts) y el usuario
+// se usa para mostrar u ocultar acciones según el rol. La API valida el rol igualmente.
+
+export type Rol = "viewer" | "buyer" | "admin";
+
+export interface UsuarioSesion {
+    id: number;
+    username: string;
+    nombre: string;
+    rol: Rol;
+}
+
+const TOKEN_KEY = "axam.token";
+const USUARIO_KEY = "axam.usuario";
+
+const NIVEL_ROL: Record<Rol, number> = {
+    viewer: 1,
+    buyer: 2,
+    admin: 3,
+};
+
+const listeners = new Set<() => void>();
+
+function notificar() {
+    listeners.forEach((listener) => listener());
+}
+
+export function getToken(): string | null {
+    if (typeof window === "undefined") return null;
+    return localStorage.getItem(TOKEN_KEY);
+}
+
+export function guardarSesion(token: string, usuario: UsuarioSesion) {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(USUARIO_KEY, JSON.stringify(usuario));
+    notificar();
+}
+
+export function cerrarSesion() {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USUARIO_KEY);
+    notificar();
+}
+
+// Indica si un rol alcanza el nivel requerido (admin incluye buyer, y buyer incluye viewer)
+export function tieneRol(usuario: UsuarioSesion | null, requerido: Rol): boolean {
+    if (!usuario) return false;
+    return (NIVEL_ROL[usuario.rol] || 0) >= NIVEL_ROL[requerido];
+}
+
+function subscribe(listener: () => void) {
+    listeners.add(listener);
+    // Sincronizar entre pestañas
+    window.addEventListener("storage", listener);
+    return () => {
+        listeners.delete(listener);
+        window.removeEventListener("storage", listener);
+    };
+}
+
+function getSnapshot(): string | null {
+    return getToken() ? localStorage.getItem(USUARIO_KEY) : null;
+}
+
+function getServerSnapshot(): string | null {
+    return null;
+}
+
+export function useSesion(): UsuarioSesion | null {
+    const raw = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+    return useMemo(() => {
+        if (!raw) return null;
+        try {
+            return JSON.parse(raw) as UsuarioSesion;
+        } catch {
+            return null;
+        }
+    }, [raw]);
+}
+
+// Atajo para los componentes que solo necesitan saber si pueden mostrar una acción
+export function usePuede(requerido: Rol): boolean {
+    return tieneRol(useSesion(), requerido);
+}
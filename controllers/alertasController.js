@@ -0,0 +1,205 @@
+/**
+ * Controlador para reglas de alerta e historial de alertas enviadas
+ */
+
+const {
+    TIPOS_REGLA,
+    TIPOS_CANAL,
+    listarReglas,
+    getRegla,
+    crearRegla,
+    actualizarRegla,
+    eliminarRegla,
+    listarAlertas,
+    evaluarReglas,
+    probarRegla
+} = require('../services/alertaService');
+const { logError } = require('../utils/logger');
+
+const LIMITE_MAX = 500;
+
+/**
+ * Responder un error: los errores de negocio traen su propio status (400/404)
+ */
+function handleError(res, error, contexto, mensaje) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logError(`Error en ${contexto}: ${error.message}`);
+    res.status(500).json({
+        error: mensaje,
+        message: error.message
+    });
+}
+
+/**
+ * Parsear el ID de regla de la ruta
+ */
+function parseReglaId(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+        res.status(400).json({ error: 'ID de regla inválido' });
+        return null;
+    }
+    return id;
+}
+
+/**
+ * GET /api/alertas/reglas
+ */
+async function getReglas(req, res) {
+    try {
+        const reglas = await listarReglas();
+        res.json({
+            tipos: Object.values(TIPOS_REGLA),
+            canales: Object.values(TIPOS_CANAL),
+            total: reglas.length,
+            reglas
+        });
+    } catch (error) {
+        handleError(res, error, 'getReglas', 'Error al obtener reglas de alerta');
+    }
+}
+
+/**
+ * GET /api/alertas/reglas/:id
+ */
+async function getReglaPorId(req, res) {
+    try {
+        const id = parseReglaId(req, res);
+        if (id === null) return;
+
+        res.json(await getRegla(id));
+    } catch (error) {
+        handleError(res, error, 'getReglaPorId', 'Error al obtener regla de alerta');
+    }
+}
+
+/**
+ * POST /api/alertas/reglas
+ * Body: { nombre, tipo, parametros?, canales, activa?, dedupMinutos?, silencioDesde?, silencioHasta? }
+ */
+async function createRegla(req, res) {
+    try {
+        const regla = await crearRegla(req.body || {}, req.usuario?.username || null);
+        res.status(201).json({
+            message: 'Regla de alerta creada',
+            regla
+        });
+    } catch (error) {
+        handleError(res, error, 'createRegla', 'Error al crear regla de alerta');
+    }
+}
+
+/**
+ * PATCH /api/alertas/reglas/:id
+ * Body: los mismos campos de la creación (salvo tipo); los omitidos no cambian
+ */
+async function updateRegla(req, res) {
+    try {
+        const id = parseReglaId(req, res);
+        if (id === null) return;
+
+        const regla = await actualizarRegla(id, req.body || {});
+        res.json({
+            message: 'Regla de alerta actualizada',
+            regla
+        });
+    } catch (error) {
+        handleError(res, error, 'updateRegla', 'Error al actualizar regla de alerta');
+    }
+}
+
+/**
+ * DELETE /api/alertas/reglas/:id
+ */
+async function deleteRegla(req, res) {
+    try {
+        const id = parseReglaId(req, res);
+        if (id === null) return;
+
+        await eliminarRegla(id);
+        res.json({
+            message: 'Regla de alerta eliminada'
+        });
+    } catch (error) {
+        handleError(res, error, 'deleteRegla', 'Error al eliminar regla de alerta');
+    }
+}
+
+/**
+ * POST /api/alertas/reglas/:id/probar
+ * Envía una alerta de prueba por los canales de la regla y devuelve el resultado
+ */
+async function testRegla(req, res) {
+    try {
+        const id = parseReglaId(req, res);
+        if (id === null) return;
+
+        const alerta = await probarRegla(id);
+        res.json({
+            message: alerta.error ? 'La alerta de prueba no se pudo enviar por todos los canales' : 'Alerta de prueba enviada',
+            alerta
+        });
+    } catch (error) {
+        handleError(res, error, 'testRegla', 'Error al probar regla de alerta');
+    }
+}
+
+/**
+ * GET /api/alertas?reglaId=1&estado=error&limit=50
+ */
+async function getAlertas(req, res) {
+    try {
+        const { reglaId, estado, limit } = req.query;
+
+        const reglaIdNum = reglaId ? parseInt(reglaId, 10) : null;
+        if (reglaId && isNaN(reglaIdNum)) {
+            return res.status(400).json({ error: 'reglaId debe ser un ID numérico' });
+        }
+
+        const limite = limit ? parseInt(limit, 10) : 50;
+        if (isNaN(limite) || limite < 1) {
+            return res.status(400).json({ error: 'limit debe ser un número mayor a 0' });
+        }
+
+        const alertas = await listarAlertas({
+            reglaId: reglaIdNum,
+            estado: estado || null,
+            limite: Math.min(limite, LIMITE_MAX)
+        });
+        res.json({
+            total: alertas.length,
+            alertas
+        });
+    } catch (error) {
+        handleError(res, error, 'getAlertas', 'Error al obtener alertas');
+    }
+}
+
+/**
+ * POST /api/alertas/evaluar
+ * Evalúa ahora las reglas de condición y envía las alertas pendientes
+ */
+async function evaluar(req, res) {
+    try {
+        const resultado = await evaluarReglas();
+        if (!resultado) {
+            return res.status(409).json({ error: 'Ya hay una evaluación de alertas en curso' });
+        }
+        res.json(resultado);
+    } catch (error) {
+        handleError(res, error, 'evaluar', 'Error al evaluar reglas de alerta');
+    }
+}
+
+module.exports = {
+    getReglas,
+    getReglaPorId,
+    createRegla,
+    updateRegla,
+    deleteRegla,
+    testRegla,
+    getAlertas,
+    evaluar
+};
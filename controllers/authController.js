@@ -0,0 +1,155 @@
+/**
+ * Controlador de sesión y usuarios
+ */
+
+const {
+    login,
+    listarUsuarios,
+    crearUsuario,
+    actualizarUsuario,
+    eliminarUsuario,
+    cambiarPassword
+} = require('../services/authService');
+const { logError, logInfo } = require('../utils/logger');
+
+/**
+ * Responder un error: los errores de negocio traen su propio status (400/401/404/409)
+ */
+function handleError(res, error, contexto, mensaje) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logError(`Error en ${contexto}: ${error.message}`);
+    res.status(500).json({
+        error: mensaje,
+        message: error.message
+    });
+}
+
+/**
+ * Parsear el ID del usuario de la ruta
+ */
+function parseUsuarioId(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+        res.status(400).json({ error: 'ID de usuario inválido' });
+        return null;
+    }
+    return id;
+}
+
+/**
+ * POST /api/auth/login
+ * Body: { username, password }
+ */
+async function postLogin(req, res) {
+    try {
+        const { username, password } = req.body;
+        const sesion = await login(username, password);
+        logInfo(`👤 Inicio de sesión: ${sesion.usuario.username}`);
+        res.json(sesion);
+    } catch (error) {
+        handleError(res, error, 'postLogin', 'Error al iniciar sesión');
+    }
+}
+
+/**
+ * GET /api/auth/me
+ */
+async function getMe(req, res) {
+    res.json({ usuario: req.usuario });
+}
+
+/**
+ * PUT /api/auth/password
+ * Body: { actual, nueva }
+ */
+async function putPassword(req, res) {
+    try {
+        const { actual, nueva } = req.body;
+        await cambiarPassword(req.usuario.id, actual, nueva);
+        res.json({ message: 'Contraseña actualizada' });
+    } catch (error) {
+        handleError(res, error, 'putPassword', 'Error al cambiar la contraseña');
+    }
+}
+
+/**
+ * GET /api/usuarios
+ */
+async function getUsuarios(req, res) {
+    try {
+        const usuarios = await listarUsuarios();
+        res.json({
+            total: usuarios.length,
+            usuarios
+        });
+    } catch (error) {
+        handleError(res, error, 'getUsuarios', 'Error al obtener usuarios');
+    }
+}
+
+/**
+ * POST /api/usuarios
+ * Body: { username, password, nombre?, rol? }
+ */
+async function createUsuario(req, res) {
+    try {
+        const usuario = await crearUsuario(req.body);
+        res.status(201).json({
+            message: 'Usuario creado',
+            usuario
+        });
+    } catch (error) {
+        handleError(res, error, 'createUsuario', 'Error al crear usuario');
+    }
+}
+
+/**
+ * PATCH /api/usuarios/:id
+ * Body: { nombre?, rol?, activo?, password? }
+ */
+async function updateUsuario(req, res) {
+    try {
+        const id = parseUsuarioId(req, res);
+        if (id === null) return;
+
+        const { nombre, rol, activo, password } = req.body;
+        const usuario = await actualizarUsuario(id, { nombre, rol, activo, password });
+        res.json({
+            message: 'Usuario actualizado',
+            usuario
+        });
+    } catch (error) {
+        handleError(res, error, 'updateUsuario', 'Error al actualizar usuario');
+    }
+}
+
+/**
+ * DELETE /api/usuarios/:id
+ */
+async function deleteUsuario(req, res) {
+    try {
+        const id = parseUsuarioId(req, res);
+        if (id === null) return;
+
+        if (id === req.usuario.id) {
+            return res.status(409).json({ error: 'No puedes eliminar tu propio usuario' });
+        }
+
+        await eliminarUsuario(id);
+        res.json({ message: 'Usuario eliminado' });
+    } catch (error) {
+        handleError(res, error, 'deleteUsuario', 'Error al eliminar usuario');
+    }
+}
+
+module.exports = {
+    postLogin,
+    getMe,
+    putPassword,
+    getUsuarios,
+    createUsuario,
+    updateUsuario,
+    deleteUsuario
+};
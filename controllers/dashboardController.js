@@ -9,17 +9,85 @@
  */
 
 const { getPrismaClient } = require('../prisma/client');
-const { getMesActual } = require('../services/rotacionService');
+const { getMesActual } = require('../utils/periodo');
 const { logError, logInfo, logSuccess } = require('../utils/logger');
 const { subMonths, getYear, getMonth, format } = require('date-fns');
-const { getChileDate } = require('../utils/timezone');
-const { getAllSales, aggregateSalesByProduct } = require('../services/salesService');
-const { syncYesterday, syncNewProducts, syncDaySales, syncCurrentMonthData } = require('../scripts/syncDaily');
+const { getVentasHoy } = require('../services/ventasEnVivoService');
+const { TIPOS: TIPOS_JOB, encolarJob } = require('../services/syncJobService');
+const { transmitirJob } = require('./syncController');
 const { subDays } = require('date-fns');
-const { registrarSync, getSyncLogs } = require('../services/syncLogService');
+const { getSyncLogs } = require('../services/syncLogService');
+const { ESTADOS, setCantidadBorrador, vaciarBorradores } = require('../services/ordenCompraService');
+const { buildFiltroProducto } = require('../services/proveedorService');
+const { contextoAuditoria } = require('../services/pedidoAuditService');
+const {
+    cargarParametros,
+    resolverParametros,
+    getPendientesPorProducto,
+    calcularReposicion,
+    ESTADOS_STOCK,
+    calcularEstadoStock
+} = require('../services/reposicionService');
+const {
+    METODOS,
+    HISTORIA_MESES,
+    esMetodoValido,
+    pronosticar,
+    backtest,
+    construirSerie,
+    getMesesHistoria,
+    backtestCatalogo
+} = require('../services/pronosticoService');
+const {
+    CONFIG: CONFIG_DEMANDA,
+    getDiasSinStock,
+    corregirVentasMensuales
+} = require('../services/stockDiarioService');
+const { listarBodegas, parseFiltroBodegas, desglosarStock } = require('../services/stockBodegaService');
+const { buildFiltroClase } = require('../services/clasificacionService');
 
 const prisma = getPrismaClient();
 
+// Campos por los que se puede ordenar el dashboard (`sort`, con prefijo "-" para orden descendente)
+const ORDENES = {
+    sku: r => r.producto.sku,
+    descripcion: r => r.producto.descripcion,
+    familia: r => r.producto.familia,
+    clase: r => r.clasificacion.abc && r.clasificacion.xyz ? `${r.clasificacion.abc}${r.clasificacion.xyz}` : null,
+    promedio: r => r.promedio,
+    stock: r => r.mesActual.stockActual,
+    ventaActual: r => r.mesActual.ventaActual,
+    compraSugerida: r => r.compraSugerida,
+    compraRealizar: r => r.compraRealizar
+};
+
+// Tamaño máximo de página (sin pageSize se retornan todos los productos)
+const PAGE_SIZE_MAX = 1000;
+
+/**
+ * Comparador de filas para un `sort` ya validado; los valores vacíos quedan al final en ambos sentidos
+ */
+function buildComparador(sort) {
+    const descendente = sort.startsWith('-');
+    const valor = ORDENES[descendente ? sort.slice(1) : sort];
+
+    return (a, b) => {
+        const va = valor(a);
+        const vb = valor(b);
+        if (va == null || vb == null) return (va == null) - (vb == null);
+        const resultado = typeof va === 'string' ? va.localeCompare(vb, 'es') : va - vb;
+        return descendente ? -resultado : resultado;
+    };
+}
+
+/**
+ * Indica si una fila coincide con la búsqueda (SKU, descripción o familia, sin distinguir mayúsculas)
+ */
+function coincideBusqueda(row, termino) {
+    return [row.producto.sku, row.producto.descripcion, row.producto.familia]
+        .some(campo => (campo || '').toLowerCase().includes(termino));
+}
+
 /**
  * Generar array de meses para el rango solicitado
  */
@@ -48,10 +116,43 @@ function generateMonthsArray(mesesNum) {
  * Query params:
  * - meses: 3 | 6 | 12 (período para el promedio y columnas visibles)
  * - marca: string (filtro opcional por prefijo SKU)
+ * - proveedor: number (filtro opcional por ID de proveedor)
+ * - metodo: promedio | ponderado | holt | holt_winters | estacional (pronóstico que alimenta la compra sugerida)
+ * - bodega: string (opcional, una o más bodegas separadas por coma). Sin filtro el stock es la suma de las
+ *   bodegas disponibles (STOCK_BODEGAS_DISPONIBLES); con filtro es la suma de las bodegas indicadas y
+ *   la compra sugerida se calcula con ese stock. Cada fila trae el desglose en `stockBodegas`.
+ * - clase: string (opcional, una o más clases separadas por coma: A, B, C, X, Y, Z o combinadas como AX)
+ *
+ * Filtros, orden y paginación (se aplican después de calcular la compra sugerida):
+ * - q: string (búsqueda por SKU, descripción o familia)
+ * - estado: overstock | critical | warning | healthy (uno o más separados por coma)
+ * - ocultarCero: true (oculta los productos con promedio 0)
+ * - sort: sku | descripcion | familia | clase | promedio | stock | ventaActual | compraSugerida | compraRealizar
+ *   (prefijo "-" para descendente; clase ordena por ABC y luego XYZ; los vacíos quedan al final)
+ * - page, pageSize: página (desde 1) y tamaño (máximo PAGE_SIZE_MAX); sin pageSize se retornan todos
+ *
+ * meta.totales trae los indicadores del dashboard sobre los productos filtrados (todas las páginas);
+ * `criticos` se cuenta sobre todos los productos de marca/proveedor/clase, sin búsqueda ni estado.
+ *
+ * Promedio, pronóstico y reposición usan la venta mensual corregida por días sin stock
+ * (ver stockDiarioService); cada fila indica en `quiebres` si su demanda fue corregida.
  */
 async function getDashboard(req, res) {
     try {
-        const { meses = 3, marca } = req.query;
+        const {
+            meses = 3,
+            marca,
+            proveedor,
+            metodo = METODOS.PROMEDIO,
+            bodega,
+            clase,
+            q,
+            estado,
+            ocultarCero,
+            sort = 'sku',
+            page = 1,
+            pageSize
+        } = req.query;
 
         // Validar parámetros
         const mesesNum = parseInt(meses, 10);
@@ -61,11 +162,62 @@ async function getDashboard(req, res) {
             });
         }
 
+        const proveedorId = proveedor ? parseInt(proveedor, 10) : null;
+        if (proveedor && isNaN(proveedorId)) {
+            return res.status(400).json({
+                error: 'El parámetro "proveedor" debe ser un ID numérico'
+            });
+        }
+
+        if (!esMetodoValido(metodo)) {
+            return res.status(400).json({
+                error: `Método de pronóstico inválido. Valores permitidos: ${Object.values(METODOS).join(', ')}`
+            });
+        }
+
+        if (!ORDENES[sort.replace(/^-/, '')]) {
+            return res.status(400).json({
+                error: `El parámetro "sort" es inválido. Valores permitidos: ${Object.keys(ORDENES).join(', ')} (prefijo "-" para descendente)`
+            });
+        }
+
+        const estados = estado ? estado.split(',').map(e => e.trim()).filter(Boolean) : [];
+        const estadoInvalido = estados.find(e => !Object.values(ESTADOS_STOCK).includes(e));
+        if (estadoInvalido) {
+            return res.status(400).json({
+                error: `Estado inválido: "${estadoInvalido}". Valores permitidos: ${Object.values(ESTADOS_STOCK).join(', ')}`
+            });
+        }
+
+        const pageNum = parseInt(page, 10);
+        const pageSizeNum = pageSize !== undefined ? parseInt(pageSize, 10) : null;
+        if (isNaN(pageNum) || pageNum < 1) {
+            return res.status(400).json({
+                error: 'El parámetro "page" debe ser un número mayor o igual a 1'
+            });
+        }
+        if (pageSizeNum !== null && (isNaN(pageSizeNum) || pageSizeNum < 1 || pageSizeNum > PAGE_SIZE_MAX)) {
+            return res.status(400).json({
+                error: `El parámetro "pageSize" debe estar entre 1 y ${PAGE_SIZE_MAX}`
+            });
+        }
+
+        let filtroClase;
+        try {
+            filtroClase = buildFiltroClase(clase);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        const filtroBodegas = parseFiltroBodegas(bodega);
+
         const mesActual = getMesActual();
         const monthsArray = generateMonthsArray(mesesNum);
+        const mesesHistoria = getMesesHistoria();
 
         // Construir filtro de fecha para ventas históricas
-        const fechaInicio = subMonths(new Date(mesActual.ano, mesActual.mes - 1, 1), mesesNum);
+        // Se carga la historia completa del pronóstico, aunque solo se muestren los meses del período
+        const fechaInicio = subMonths(new Date(mesActual.ano, mesActual.mes - 1, 1), Math.max(mesesNum, HISTORIA_MESES));
         const anoInicio = getYear(fechaInicio);
         const mesInicio = getMonth(fechaInicio) + 1;
 
@@ -88,57 +240,90 @@ async function getDashboard(req, res) {
             ]
         };
 
-        // Filtro de marca
-        const filtroMarca = marca ? {
-            sku: { startsWith: marca.toUpperCase() }
-        } : {};
+        // Filtro de marca (prefijo SKU), proveedor y clase ABC/XYZ
+        const filtroProducto = buildFiltroProducto({ marca, proveedorId });
+        if (filtroClase) {
+            Object.assign(filtroProducto, filtroClase);
+        }
 
         // ==========================================
-        // OBTENER VENTAS DE HOY (LIVE GAP FILLING)
+        // VENTAS DE HOY (LIVE GAP FILLING)
         // ==========================================
-        const today = getChileDate();
-        const startOfToday = new Date(today);
-        startOfToday.setHours(0, 0, 0, 0);
-
-        const now = new Date(today);
-
-        let ventasHoyMap = new Map();
-        try {
-            const docsHoy = await getAllSales(startOfToday, now);
-            ventasHoyMap = aggregateSalesByProduct(docsHoy);
-        } catch (error) {
-            logError(`Dashboard warning: Error obteniendo ventas live: ${error.message}`);
-        }
+        // Desde el caché que se refresca en segundo plano: el dashboard no espera a Manager+
+        const { ventas: ventasHoyMap, estado: estadoVentasEnVivo } = getVentasHoy();
+
+        // Órdenes de compra en borrador del mes actual, una por proveedor (columna "A Comprar")
+        // Si no hay ninguna, se muestran los pedidos sueltos del mes (los anteriores al primer borrador ya pasaron a él)
+        const filtroBorrador = {
+            estado: ESTADOS.BORRADOR,
+            ano: mesActual.ano,
+            mes: mesActual.mes
+        };
+        const borradores = await prisma.ordenCompra.findMany({
+            where: filtroBorrador,
+            select: { id: true, proveedorId: true },
+            orderBy: { id: 'asc' }
+        });
 
         // Obtener todos los productos con sus datos base
-        // INCLUIR PEDIDOS del mes actual para mostrar compraRealizar guardada
+        // INCLUIR PEDIDOS / LÍNEAS DE LOS BORRADORES del mes actual para mostrar compraRealizar guardada
         const productosDB = await prisma.producto.findMany({
-            where: filtroMarca,
+            where: filtroProducto,
             include: {
                 ventasHistoricas: {
                     where: filtroFecha,
                     orderBy: [{ ano: 'asc' }, { mes: 'asc' }]
                 },
                 ventasActuales: true,
+                stockBodegas: {
+                    orderBy: { bodega: 'asc' }
+                },
                 pedidos: {
                     where: {
                         ano: mesActual.ano,
                         mes: mesActual.mes
                     }
+                },
+                lineasOrden: {
+                    where: { orden: filtroBorrador }
+                },
+                proveedores: {
+                    where: { principal: true },
+                    include: {
+                        proveedor: { select: { id: true, nombre: true, leadTimeDias: true } }
+                    }
                 }
             },
             orderBy: { sku: 'asc' }
         });
 
+        // Días sin stock por producto y mes (fotos diarias de stock) para corregir la demanda
+        const diasSinStockMap = await getDiasSinStock({ producto: filtroProducto, ...filtroFecha });
+
+        // Parámetros de reposición y unidades pendientes en órdenes abiertas
+        const parametrosReposicion = await cargarParametros();
+        const pendientesMap = await getPendientesPorProducto();
+
+        // Error agregado del backtest del método elegido (Σ error absoluto / Σ venta real)
+        let backtestErrorAbsoluto = 0;
+        let backtestTotalReal = 0;
+
         // Procesar y calcular datos del dashboard
         const rows = productosDB.map(producto => {
             const ventasHistoricas = producto.ventasHistoricas || [];
             const ventaActualDB = producto.ventasActuales?.[0] || null;
-            const pedidoActual = producto.pedidos?.[0] || null;
+            const lineasBorrador = producto.lineasOrden || [];
+            const compraRealizar = borradores.length > 0
+                ? (lineasBorrador.length > 0 ? lineasBorrador.reduce((sum, l) => sum + l.cantidad, 0) : null)
+                : producto.pedidos?.[0]?.cantidad ?? null;
+            const proveedorPrincipal = producto.proveedores?.[0] || null;
 
             // Datos DB (hasta ayer)
             let cantidadMesActual = ventaActualDB?.cantidadVendida || 0;
-            const stockActual = ventaActualDB?.stockActual || 0;
+
+            // Stock: bodegas disponibles (VentaActual) o las bodegas del filtro
+            const stockBodegas = desglosarStock(producto.stockBodegas, filtroBodegas);
+            const stockActual = stockBodegas.stockFiltrado ?? (ventaActualDB?.stockActual || 0);
 
             // Sumar ventas live de HOY
             const ventaHoy = ventasHoyMap.get(producto.sku);
@@ -150,24 +335,68 @@ async function getDashboard(req, res) {
             const ventasPorMes = {};
             for (const venta of ventasHistoricas) {
                 const key = `${venta.ano}-${venta.mes}`;
-                ventasPorMes[key] = venta.cantidadVendida;
+                ventasPorMes[key] = venta;
             }
 
-            // Generar array de ventas para cada mes del período
-            const ventasMeses = monthsArray.map(m => ({
-                ano: m.ano,
-                mes: m.mes,
-                label: m.label,
-                cantidad: ventasPorMes[`${m.ano}-${m.mes}`] || 0
-            }));
+            // Generar array de ventas para cada mes del período (cantidad = venta neta de devoluciones)
+            // cantidadCorregida = demanda estimada descontando los días sin stock
+            const diasSinStock = diasSinStockMap.get(producto.id);
+            const ventasMeses = corregirVentasMensuales(monthsArray.map(m => {
+                const venta = ventasPorMes[`${m.ano}-${m.mes}`];
+                return {
+                    ano: m.ano,
+                    mes: m.mes,
+                    label: m.label,
+                    cantidad: venta?.cantidadVendida || 0,
+                    cantidadDevuelta: venta?.cantidadDevuelta || 0
+                };
+            }), diasSinStock);
+
+            // Devoluciones del período (históricos + mes actual + hoy)
+            let cantidadBruta = (ventaActualDB?.cantidadBruta || 0) + (ventaHoy?.cantidadBruta || 0);
+            let cantidadDevuelta = (ventaActualDB?.cantidadDevuelta || 0) + (ventaHoy?.cantidadDevuelta || 0);
+            for (const m of monthsArray) {
+                const venta = ventasPorMes[`${m.ano}-${m.mes}`];
+                cantidadBruta += venta?.cantidadBruta || 0;
+                cantidadDevuelta += venta?.cantidadDevuelta || 0;
+            }
+            const tasaDevolucion = cantidadBruta > 0 ? (cantidadDevuelta / cantidadBruta) * 100 : 0;
 
-            // Calcular promedio simple (dividir entre TODOS los meses del período)
-            const totalCantidad = ventasMeses.reduce((sum, v) => sum + v.cantidad, 0);
+            // Calcular promedio simple (dividir entre TODOS los meses del período) sobre la demanda corregida
+            const totalCantidad = ventasMeses.reduce((sum, v) => sum + v.cantidadCorregida, 0);
             const promedio = totalCantidad / ventasMeses.length;
+            const promedioSinCorregir = ventasMeses.reduce((sum, v) => sum + v.cantidad, 0) / ventasMeses.length;
 
-            // Calcular compra sugerida
-            // Fórmula: Promedio - Stock - Venta del mes actual (DB + Hoy)
-            const compraSugerida = Math.round(promedio - stockActual - cantidadMesActual);
+            // Pronóstico del mes actual con el método elegido, evaluado contra la historia guardada (corregida)
+            const historiaCorregida = corregirVentasMensuales(mesesHistoria.map(m => ({
+                ano: m.ano,
+                mes: m.mes,
+                cantidad: ventasPorMes[`${m.ano}-${m.mes}`]?.cantidadVendida || 0
+            })), diasSinStock);
+            const serie = construirSerie(
+                historiaCorregida.map(v => ({ ano: v.ano, mes: v.mes, cantidadVendida: v.cantidadCorregida })),
+                mesesHistoria
+            );
+            const opcionesPronostico = { ventana: mesesNum };
+            const pronostico = pronosticar(serie, metodo, opcionesPronostico);
+            const evaluacion = backtest(serie, metodo, opcionesPronostico);
+            backtestErrorAbsoluto += evaluacion.errorAbsoluto;
+            backtestTotalReal += evaluacion.totalReal;
+
+            // Calcular compra sugerida con el motor de reposición
+            // Fórmula: Nivel objetivo (demanda en lead time + cobertura + stock seguridad) - Stock - En tránsito
+            const reposicion = calcularReposicion({
+                ventasMensuales: ventasMeses.map(v => v.cantidadCorregida),
+                demandaMensual: pronostico.valor,
+                stockActual,
+                enTransito: pendientesMap.get(producto.id) || 0,
+                parametros: resolverParametros(
+                    producto,
+                    parametrosReposicion,
+                    proveedorPrincipal?.proveedor.leadTimeDias
+                )
+            });
+            const compraSugerida = reposicion.compraSugerida;
 
             return {
                 producto: {
@@ -176,30 +405,99 @@ async function getDashboard(req, res) {
                     descripcion: producto.descripcion,
                     familia: producto.familia
                 },
+                clasificacion: {
+                    abc: producto.claseAbc,
+                    xyz: producto.claseXyz,
+                    coeficienteVariacion: producto.coeficienteVariacion
+                },
+                proveedor: proveedorPrincipal ? {
+                    id: proveedorPrincipal.proveedor.id,
+                    nombre: proveedorPrincipal.proveedor.nombre,
+                    skuProveedor: proveedorPrincipal.skuProveedor,
+                    costoUnitario: proveedorPrincipal.costoUnitario
+                } : null,
                 ventasMeses,
                 promedio: parseFloat(promedio.toFixed(2)),
+                quiebres: {
+                    corregido: ventasMeses.some(v => v.ajuste),
+                    diasSinStock: ventasMeses.reduce((sum, v) => sum + v.diasSinStock, 0),
+                    promedioSinCorregir: parseFloat(promedioSinCorregir.toFixed(2))
+                },
+                pronostico: {
+                    metodo: pronostico.metodoAplicado,
+                    valor: parseFloat(pronostico.valor.toFixed(2)),
+                    mape: evaluacion.mape,
+                    wape: evaluacion.wape
+                },
                 mesActual: {
                     ano: mesActual.ano,
                     mes: mesActual.mes,
                     ventaActual: cantidadMesActual,
                     stockActual: stockActual
                 },
+                stockBodegas: stockBodegas.bodegas,
+                devoluciones: {
+                    cantidadBruta,
+                    cantidadDevuelta,
+                    tasaDevolucion: parseFloat(tasaDevolucion.toFixed(2))
+                },
+                reposicion,
                 compraSugerida,
+                estado: calcularEstadoStock({ stockActual, promedio, compraSugerida }),
                 // Mostrar compraRealizar solo si hay un pedido guardado (NO auto-completar)
-                compraRealizar: pedidoActual?.cantidad ?? null
+                compraRealizar
             };
         });
 
+        // Búsqueda, estado y ocultar sin ventas sobre las filas ya calculadas
+        const termino = (q || '').trim().toLowerCase();
+        const filtrados = rows
+            .filter(r => !termino || coincideBusqueda(r, termino))
+            .filter(r => ocultarCero !== 'true' || r.promedio > 0)
+            .filter(r => estados.length === 0 || estados.includes(r.estado))
+            .sort(buildComparador(sort));
+
+        const totalPaginas = pageSizeNum ? Math.max(1, Math.ceil(filtrados.length / pageSizeNum)) : 1;
+        const pagina = pageSizeNum
+            ? filtrados.slice((pageNum - 1) * pageSizeNum, pageNum * pageSizeNum)
+            : filtrados;
+
         res.json({
             meta: {
                 mesesConsultados: mesesNum,
                 marca: marca || null,
+                proveedor: proveedorId,
+                bodega: filtroBodegas,
+                bodegas: await listarBodegas(),
+                clase: clase || null,
+                metodo,
+                wape: backtestTotalReal > 0
+                    ? parseFloat((backtestErrorAbsoluto / backtestTotalReal * 100).toFixed(2))
+                    : null,
                 mesActual: mesActual,
+                ventasEnVivo: estadoVentasEnVivo,
+                ordenesBorrador: borradores.map(b => b.id),
+                correccionQuiebres: CONFIG_DEMANDA.corregir,
+                productosCorregidos: rows.filter(r => r.quiebres.corregido).length,
                 columnas: monthsArray.map(m => m.label),
                 totalProductos: rows.length,
+                q: termino || null,
+                estado: estados,
+                ocultarCero: ocultarCero === 'true',
+                sort,
+                page: pageNum,
+                pageSize: pageSizeNum,
+                totalPaginas,
+                totalFiltrados: filtrados.length,
+                totales: {
+                    productos: filtrados.length,
+                    conSugerencia: filtrados.filter(r => r.compraSugerida > 0).length,
+                    criticos: rows.filter(r => r.estado === ESTADOS_STOCK.CRITICO).length,
+                    comprasRegistradas: filtrados.reduce((sum, r) => sum + (r.compraRealizar || 0), 0)
+                },
                 generadoEn: new Date().toISOString()
             },
-            productos: rows
+            productos: pagina
         });
 
     } catch (error) {
@@ -211,10 +509,62 @@ async function getDashboard(req, res) {
     }
 }
 
+/**
+ * GET /api/dashboard/pronostico/backtest
+ *
+ * Comparar el error (WAPE) de todos los métodos de pronóstico sobre la historia guardada
+ *
+ * Query params:
+ * - meses: 3 | 6 | 12 (ventana de los métodos de promedio)
+ * - marca, proveedor: filtros opcionales de productos
+ */
+async function getBacktest(req, res) {
+    try {
+        const { meses = 3, marca, proveedor } = req.query;
+
+        const mesesNum = parseInt(meses, 10);
+        if (![3, 6, 12].includes(mesesNum)) {
+            return res.status(400).json({
+                error: 'El parámetro "meses" debe ser 3, 6 o 12'
+            });
+        }
+
+        const proveedorId = proveedor ? parseInt(proveedor, 10) : null;
+        if (proveedor && isNaN(proveedorId)) {
+            return res.status(400).json({
+                error: 'El parámetro "proveedor" debe ser un ID numérico'
+            });
+        }
+
+        const metodos = await backtestCatalogo(buildFiltroProducto({ marca, proveedorId }), mesesNum);
+        const evaluados = metodos.filter(m => m.wape !== null);
+        const mejor = evaluados.length > 0
+            ? evaluados.reduce((a, b) => (b.wape < a.wape ? b : a))
+            : null;
+
+        res.json({
+            ventana: mesesNum,
+            marca: marca || null,
+            proveedor: proveedorId,
+            mejorMetodo: mejor?.metodo ?? null,
+            metodos
+        });
+
+    } catch (error) {
+        logError(`Error en getBacktest: ${error.message}`);
+        res.status(500).json({
+            error: 'Error al evaluar métodos de pronóstico',
+            message: error.message
+        });
+    }
+}
+
 /**
  * POST /api/dashboard/orden
  * 
  * Guardar la orden de compra (las cantidades que el usuario decidió comprar)
+ * Las cantidades se escriben como líneas de las órdenes en borrador del mes actual:
+ * cada producto va al borrador de su proveedor principal (o al borrador sin proveedor)
  */
 async function saveOrden(req, res) {
     try {
@@ -227,41 +577,34 @@ async function saveOrden(req, res) {
         }
 
         const mesActual = getMesActual();
+        const auditoria = contextoAuditoria(req);
+        const ordenes = new Set();
         let saved = 0;
 
         for (const item of items) {
             if (!item.productoId || item.cantidad === undefined) continue;
 
-            await prisma.pedido.upsert({
-                where: {
-                    productoId_ano_mes: {
-                        productoId: item.productoId,
-                        ano: mesActual.ano,
-                        mes: mesActual.mes
-                    }
-                },
-                update: {
-                    cantidad: item.cantidad
-                },
-                create: {
-                    productoId: item.productoId,
-                    ano: mesActual.ano,
-                    mes: mesActual.mes,
-                    cantidad: item.cantidad
-                }
-            });
+            const ordenId = await setCantidadBorrador(
+                mesActual.ano,
+                mesActual.mes,
+                parseInt(item.productoId, 10),
+                parseFloat(item.cantidad) || 0,
+                auditoria
+            );
+            if (ordenId) ordenes.add(ordenId);
             saved++;
         }
 
         res.json({
             success: true,
-            message: `${saved} productos guardados en pedido`,
+            message: `${saved} productos guardados en ${ordenes.size} órdenes en borrador`,
+            ordenes: Array.from(ordenes),
             mes: mesActual
         });
 
     } catch (error) {
         logError(`Error en saveOrden: ${error.message}`);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: 'Error al guardar orden',
             message: error.message
         });
@@ -271,31 +614,35 @@ async function saveOrden(req, res) {
 /**
  * DELETE /api/dashboard/orden/reset
  * 
- * Resetear todas las órdenes de compra del mes actual (poner a 0)
+ * Resetear las órdenes en borrador del mes actual (eliminar todas sus líneas)
+ *
+ * Query params:
+ * - proveedor: number (opcional, solo resetea el borrador de ese proveedor)
  */
 async function resetOrdenes(req, res) {
     try {
         const mesActual = getMesActual();
+        const proveedorId = req.query.proveedor ? parseInt(req.query.proveedor, 10) : undefined;
 
-        // Eliminar todos los pedidos del mes actual
-        const result = await prisma.pedido.deleteMany({
-            where: {
-                ano: mesActual.ano,
-                mes: mesActual.mes
-            }
-        });
+        if (proveedorId !== undefined && isNaN(proveedorId)) {
+            return res.status(400).json({
+                error: 'El parámetro "proveedor" debe ser un ID numérico'
+            });
+        }
 
-        logSuccess(`Reset: ${result.count} pedidos eliminados del mes ${mesActual.mes}/${mesActual.ano}`);
+        const count = await vaciarBorradores(mesActual.ano, mesActual.mes, proveedorId, contextoAuditoria(req));
+
+        logSuccess(`Reset: ${count} líneas eliminadas de los borradores (${mesActual.mes}/${mesActual.ano})`);
 
         res.json({
             success: true,
-            message: `${result.count} pedidos reseteados`,
+            message: `${count} pedidos reseteados`,
             mes: mesActual
         });
 
     } catch (error) {
         logError(`Error en resetOrdenes: ${error.message}`);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: 'Error al resetear órdenes',
             message: error.message
         });
@@ -365,75 +712,64 @@ async function getSyncHistory(req, res) {
 }
 
 /**
- * GET /api/dashboard/sync-stream
- * 
- * Stream de eventos (SSE) para progreso de sincronización
+ * POST /api/dashboard/resync
+ *
+ * Encola la re-sincronización exacta de las ventas de un rango de fechas
+ * Body: { desde: 'yyyy-MM-dd', hasta?: 'yyyy-MM-dd', force?: boolean }
+ * El reporte (documentos nuevos, modificados y eliminados) queda en el resultado del job
  */
-async function syncStream(req, res) {
-    // Headers SSE
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-
-    const sendEvent = (data) => {
-        res.write(`data: ${JSON.stringify(data)}\n\n`);
-    };
-
-    const mesActual = getMesActual();
-
+async function resyncVentas(req, res) {
     try {
-        logInfo('Iniciando stream de sincronización...');
-        sendEvent({ step: 'start', message: 'Conectando con Manager+...' });
-
-        // 1. Productos
-        sendEvent({ step: 'products', message: 'Buscando nuevos productos...' });
-        const prodStats = await syncNewProducts();
-        sendEvent({
-            step: 'products_done',
-            message: `Catálogo: ${prodStats.created} nuevos, ${prodStats.updated} actualizados`
+        const { desde, hasta, force } = req.body;
+        const { job, existente } = await encolarJob(TIPOS_JOB.RANGO, { desde, hasta, force });
+
+        res.status(existente ? 200 : 202).json({
+            message: existente ? 'Ya hay una re-sincronización igual en curso' : 'Re-sincronización encolada',
+            job
         });
 
-        // Registrar log de productos si hubo cambios
-        if (prodStats.created > 0 || prodStats.updated > 0) {
-            await registrarSync('productos', {
-                mesTarget: mesActual.mes,
-                anoTarget: mesActual.ano,
-                productos: prodStats.created + prodStats.updated
-            }, `${prodStats.created} nuevos, ${prodStats.updated} actualizados`);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
         }
-
-        // 2. Datos mes actual (Ventas + Stock) - incluir ventas hasta AHORA
-        sendEvent({ step: 'data', message: 'Obteniendo ventas y stock del mes actual...' });
-        const dataStats = await syncCurrentMonthData(true);  // true = incluir ventas hasta ahora (incluyendo hoy)
-        sendEvent({
-            step: 'data_done',
-            message: `${dataStats.productosConVentas} productos con ventas, ${dataStats.updated} actualizados`
+        logError(`Error en resyncVentas: ${error.message}`);
+        res.status(500).json({
+            error: 'Error al re-sincronizar ventas',
+            message: error.message
         });
+    }
+}
 
-        // Registrar log de ventas del mes actual
-        // productosConVentas = productos con ventas en el mes (hasta ahora, incluyendo hoy)
-        await registrarSync('ventas_actuales', {
-            mesTarget: mesActual.mes,
-            anoTarget: mesActual.ano,
-            productos: dataStats.updated || 0,
-            productosConVentas: dataStats.productosConVentas || 0  // Productos con ventas del mes
-        }, `Sincronización manual desde dashboard`);
-
-        sendEvent({ step: 'complete', message: '¡Sincronización finalizada!' });
-        res.end();
+/**
+ * GET /api/dashboard/sync-stream
+ * 
+ * Stream de eventos (SSE) para progreso de sincronización
+ * Encola la sincronización del mes actual (o se une a la que ya está en curso) y transmite
+ * su progreso. El job sigue corriendo aunque se cierre la pestaña.
+ */
+async function syncStream(req, res) {
+    try {
+        const { job } = await encolarJob(TIPOS_JOB.MES_ACTUAL);
+        logInfo(`Siguiendo sincronización #${job.id} por stream...`);
+        await transmitirJob(req, res, job.id);
 
     } catch (error) {
         logError(`Error en stream: ${error.message}`);
-        sendEvent({ step: 'error', message: `Error: ${error.message}` });
+        if (!res.headersSent) {
+            res.setHeader('Content-Type', 'text/event-stream');
+        }
+        res.write(`data: ${JSON.stringify({ step: 'error', message: `Error: ${error.message}` })}\n\n`);
         res.end();
     }
 }
 
 module.exports = {
     getDashboard,
+    getBacktest,
     saveOrden,
     resetOrdenes,
     getSyncStatus,
     getSyncHistory,
+    resyncVentas,
     syncStream
 };
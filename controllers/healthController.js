@@ -0,0 +1,52 @@
+/**
+ * Controlador para los chequeos de salud
+ */
+
+const { ESTADOS, getLive, getReady } = require('../services/healthService');
+const { logError, logWarning, logSuccess } = require('../utils/logger');
+
+// Solo se registra cuando cambia el resultado, no en cada consulta del monitoreo
+let ultimoEstadoReady = null;
+
+/**
+ * GET /health/live (y GET /health)
+ * El proceso responde; no consulta dependencias
+ */
+function getHealthLive(req, res) {
+    res.json(getLive());
+}
+
+/**
+ * GET /health/ready
+ * Base de datos, Manager+, sincronizaciones y rotación; 503 si algún chequeo falla
+ */
+async function getHealthReady(req, res) {
+    try {
+        const ready = await getReady();
+
+        const fallidos = Object.entries(ready.checks)
+            .filter(([, check]) => check.status !== ESTADOS.OK)
+            .map(([nombre, check]) => `${nombre}: ${check.mensaje}`)
+            .join('; ');
+        if (fallidos !== ultimoEstadoReady) {
+            if (fallidos) logWarning(`Readiness con errores: ${fallidos}`);
+            else if (ultimoEstadoReady !== null) logSuccess('Readiness OK');
+            ultimoEstadoReady = fallidos;
+        }
+
+        res.status(ready.status === ESTADOS.OK ? 200 : 503).json(ready);
+
+    } catch (error) {
+        logError(`Error en getHealthReady: ${error.message}`);
+        res.status(503).json({
+            status: ESTADOS.ERROR,
+            error: 'Error al verificar el estado del servidor',
+            message: error.message
+        });
+    }
+}
+
+module.exports = {
+    getHealthLive,
+    getHealthReady
+};
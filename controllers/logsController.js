@@ -0,0 +1,70 @@
+/**
+ * Controlador para consultar los logs recientes del servidor
+ */
+
+const { NIVELES, CONFIG, leerLogs, logError } = require('../utils/logger');
+
+const LIMITE_MAX = 1000;
+
+/**
+ * GET /api/logs
+ * Entradas recientes de los archivos de log, de la más nueva a la más antigua
+ * Query: nivel (mínimo: debug, info, warn, error), q (texto), jobId, requestId,
+ *        desde, hasta (fecha ISO), limit (por defecto 200, máx. 1000)
+ */
+async function getLogs(req, res) {
+    try {
+        const { nivel, q, jobId, requestId, desde, hasta, limit } = req.query;
+
+        if (nivel && !NIVELES[nivel]) {
+            return res.status(400).json({
+                error: `Nivel inválido: "${nivel}". Use ${Object.keys(NIVELES).join(', ')}`
+            });
+        }
+
+        const limite = limit ? parseInt(limit, 10) : 200;
+        if (Number.isNaN(limite) || limite < 1) {
+            return res.status(400).json({ error: 'limit debe ser un número mayor a 0' });
+        }
+
+        const fechaDesde = desde ? new Date(desde) : null;
+        const fechaHasta = hasta ? new Date(hasta) : null;
+        if ((fechaDesde && isNaN(fechaDesde)) || (fechaHasta && isNaN(fechaHasta))) {
+            return res.status(400).json({ error: 'desde y hasta deben ser fechas válidas (ISO 8601)' });
+        }
+
+        const { entradas, archivos, truncado } = await leerLogs({
+            nivel: nivel || undefined,
+            q: q || undefined,
+            jobId: jobId || undefined,
+            requestId: requestId || undefined,
+            desde: fechaDesde || undefined,
+            hasta: fechaHasta || undefined,
+            limite: Math.min(limite, LIMITE_MAX)
+        });
+
+        res.json({
+            total: entradas.length,
+            truncado,
+            archivos,
+            configuracion: {
+                nivel: CONFIG.nivel,
+                formato: CONFIG.formato,
+                archivos: CONFIG.directorio ? CONFIG.archivos : 0,
+                maxMb: CONFIG.maxBytes / 1024 / 1024
+            },
+            entradas
+        });
+
+    } catch (error) {
+        logError(`Error en getLogs: ${error.message}`);
+        res.status(500).json({
+            error: 'Error al leer los logs',
+            message: error.message
+        });
+    }
+}
+
+module.exports = {
+    getLogs
+};
@@ -0,0 +1,26 @@
+/**
+ * Controlador para las métricas de Prometheus
+ */
+
+const { getMetricas: renderMetricas } = require('../services/metricasService');
+const { logError } = require('../utils/logger');
+
+/**
+ * GET /metrics
+ * Métricas en formato de exposición de Prometheus
+ */
+async function getMetricas(req, res) {
+    try {
+        res.type('text/plain; version=0.0.4; charset=utf-8').send(await renderMetricas());
+    } catch (error) {
+        logError(`Error en getMetricas: ${error.message}`);
+        res.status(500).json({
+            error: 'Error al generar métricas',
+            message: error.message
+        });
+    }
+}
+
+module.exports = {
+    getMetricas
+};
@@ -0,0 +1,425 @@
+/**
+ * Controlador para endpoints de órdenes de compra
+ */
+
+const {
+    ESTADOS,
+    getOrden,
+    listarOrdenes,
+    crearOrden,
+    getBorradorActual,
+    setCantidadLinea,
+    dividirPorProveedor,
+    actualizarCabecera,
+    cambiarEstado,
+    registrarRecepcion,
+    eliminarOrden
+} = require('../services/ordenCompraService');
+const { ENVIO_AUTOMATICO, enviarOrden } = require('../services/erpCompraService');
+const { logError } = require('../utils/logger');
+const { contextoAuditoria } = require('../services/pedidoAuditService');
+
+/**
+ * Formatear una orden con sus líneas para la respuesta
+ */
+function formatOrden(orden) {
+    const lineas = (orden.lineas || []).map(l => ({
+        id: l.id,
+        producto: l.producto,
+        cantidad: l.cantidad,
+        cantidadRecibida: l.cantidadRecibida,
+        pendiente: Math.max(0, l.cantidad - l.cantidadRecibida),
+        costoUnitario: l.costoUnitario,
+        monto: l.costoUnitario !== null ? l.cantidad * l.costoUnitario : null
+    }));
+
+    const proveedor = orden.proveedor
+        ? {
+            id: orden.proveedor.id,
+            nombre: orden.proveedor.nombre,
+            leadTimeDias: orden.proveedor.leadTimeDias,
+            montoMinimo: orden.proveedor.montoMinimo,
+            moneda: orden.proveedor.moneda
+        }
+        : null;
+    const totalMonto = lineas.reduce((sum, l) => sum + (l.monto || 0), 0);
+
+    return {
+        id: orden.id,
+        estado: orden.estado,
+        ano: orden.ano,
+        mes: orden.mes,
+        proveedor,
+        notas: orden.notas,
+        fechaAprobacion: orden.fechaAprobacion,
+        fechaEnvio: orden.fechaEnvio,
+        fechaRecepcion: orden.fechaRecepcion,
+        fechaCancelacion: orden.fechaCancelacion,
+        erp: {
+            estado: orden.erpEstado,
+            documento: orden.erpDocumento,
+            intentos: orden.erpIntentos,
+            error: orden.erpError,
+            fecha: orden.fechaErp
+        },
+        createdAt: orden.createdAt,
+        updatedAt: orden.updatedAt,
+        totalLineas: lineas.length,
+        totalUnidades: lineas.reduce((sum, l) => sum + l.cantidad, 0),
+        totalMonto,
+        // Sin proveedor o sin mínimo no hay restricción
+        cumpleMinimo: !proveedor || totalMonto >= proveedor.montoMinimo,
+        lineas
+    };
+}
+
+/**
+ * Responder un error: los errores de negocio traen su propio status (400/404/409)
+ */
+function handleError(res, error, contexto, mensaje) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logError(`Error en ${contexto}: ${error.message}`);
+    res.status(500).json({
+        error: mensaje,
+        message: error.message
+    });
+}
+
+/**
+ * Parsear un ID de proveedor opcional del body o query (null = sin proveedor)
+ */
+function parseProveedorId(valor) {
+    if (valor === undefined) return undefined;
+    if (valor === null || valor === '') return null;
+    const id = parseInt(valor, 10);
+    return isNaN(id) ? NaN : id;
+}
+
+/**
+ * Parsear el :id de la ruta
+ */
+function parseId(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+        res.status(400).json({ error: 'ID de orden inválido' });
+        return null;
+    }
+    return id;
+}
+
+/**
+ * GET /api/ordenes
+ * Listar órdenes con filtros opcionales: estado, ano, mes, proveedor
+ */
+async function getOrdenes(req, res) {
+    try {
+        const { estado, ano, mes, proveedor } = req.query;
+        const proveedorId = parseProveedorId(proveedor);
+
+        if (Number.isNaN(proveedorId)) {
+            return res.status(400).json({ error: 'ID de proveedor inválido' });
+        }
+
+        if (estado && !Object.values(ESTADOS).includes(estado)) {
+            return res.status(400).json({
+                error: `Estado inválido. Valores permitidos: ${Object.values(ESTADOS).join(', ')}`
+            });
+        }
+
+        const ordenes = await listarOrdenes({
+            estado,
+            ano: ano ? parseInt(ano, 10) : undefined,
+            mes: mes ? parseInt(mes, 10) : undefined,
+            proveedorId: proveedorId || undefined
+        });
+
+        res.json({
+            total: ordenes.length,
+            ordenes: ordenes.map(o => ({
+                id: o.id,
+                estado: o.estado,
+                ano: o.ano,
+                mes: o.mes,
+                proveedor: o.proveedor,
+                totalLineas: o._count.lineas,
+                createdAt: o.createdAt,
+                updatedAt: o.updatedAt
+            }))
+        });
+
+    } catch (error) {
+        handleError(res, error, 'getOrdenes', 'Error al obtener órdenes de compra');
+    }
+}
+
+/**
+ * GET /api/ordenes/borrador?proveedor=1
+ * Obtener (o crear) la orden en borrador del mes actual para un proveedor (sin proveedor por defecto)
+ */
+async function getBorrador(req, res) {
+    try {
+        const proveedorId = parseProveedorId(req.query.proveedor);
+        if (Number.isNaN(proveedorId)) {
+            return res.status(400).json({ error: 'ID de proveedor inválido' });
+        }
+
+        const borrador = await getBorradorActual(proveedorId || null, contextoAuditoria(req));
+        const orden = await getOrden(borrador.id);
+        res.json({ orden: formatOrden(orden) });
+    } catch (error) {
+        handleError(res, error, 'getBorrador', 'Error al obtener orden en borrador');
+    }
+}
+
+/**
+ * GET /api/ordenes/:id
+ */
+async function getOrdenPorId(req, res) {
+    try {
+        const id = parseId(req, res);
+        if (id === null) return;
+
+        const orden = await getOrden(id);
+        res.json({ orden: formatOrden(orden) });
+    } catch (error) {
+        handleError(res, error, 'getOrdenPorId', 'Error al obtener orden de compra');
+    }
+}
+
+/**
+ * POST /api/ordenes
+ * Crear una orden en borrador
+ * Body: { ano?, mes?, proveedorId?, notas? }
+ */
+async function createOrden(req, res) {
+    try {
+        const { ano, mes, notas } = req.body;
+        const mesNum = mes ? parseInt(mes, 10) : undefined;
+        const proveedorId = parseProveedorId(req.body.proveedorId);
+
+        if (Number.isNaN(proveedorId)) {
+            return res.status(400).json({ error: 'ID de proveedor inválido' });
+        }
+
+        if (mesNum !== undefined && (isNaN(mesNum) || mesNum < 1 || mesNum > 12)) {
+            return res.status(400).json({
+                error: 'El mes debe estar entre 1 y 12'
+            });
+        }
+
+        const orden = await crearOrden({
+            ano: ano ? parseInt(ano, 10) : undefined,
+            mes: mesNum,
+            proveedorId,
+            notas
+        }, contextoAuditoria(req));
+
+        res.status(201).json({
+            message: 'Orden de compra creada',
+            orden: formatOrden(orden)
+        });
+    } catch (error) {
+        handleError(res, error, 'createOrden', 'Error al crear orden de compra');
+    }
+}
+
+/**
+ * PATCH /api/ordenes/:id
+ * Actualizar cabecera de una orden en borrador
+ * Body: { proveedorId?, notas? }
+ */
+async function updateOrden(req, res) {
+    try {
+        const id = parseId(req, res);
+        if (id === null) return;
+
+        const proveedorId = parseProveedorId(req.body.proveedorId);
+        if (Number.isNaN(proveedorId)) {
+            return res.status(400).json({ error: 'ID de proveedor inválido' });
+        }
+
+        const orden = await actualizarCabecera(id, {
+            proveedorId,
+            notas: req.body.notas
+        });
+        res.json({
+            message: 'Orden de compra actualizada',
+            orden: formatOrden(orden)
+        });
+    } catch (error) {
+        handleError(res, error, 'updateOrden', 'Error al actualizar orden de compra');
+    }
+}
+
+/**
+ * PUT /api/ordenes/:id/lineas/:productoId
+ * Fijar la cantidad de un producto en una orden en borrador (0 elimina la línea)
+ * Body: { cantidad }
+ */
+async function upsertLinea(req, res) {
+    try {
+        const id = parseId(req, res);
+        if (id === null) return;
+
+        const productoId = parseInt(req.params.productoId, 10);
+        if (isNaN(productoId)) {
+            return res.status(400).json({
+                error: 'ID de producto inválido'
+            });
+        }
+
+        const cantidad = parseFloat(req.body.cantidad) || 0;
+        if (cantidad < 0) {
+            return res.status(400).json({
+                error: 'La cantidad no puede ser negativa'
+            });
+        }
+
+        const linea = await setCantidadLinea(id, productoId, cantidad, contextoAuditoria(req));
+
+        res.json({
+            message: linea ? 'Línea guardada' : 'Línea eliminada',
+            linea
+        });
+    } catch (error) {
+        handleError(res, error, 'upsertLinea', 'Error al guardar línea de la orden');
+    }
+}
+
+/**
+ * POST /api/ordenes/:id/dividir
+ * Mover cada línea al borrador del proveedor principal de su producto
+ */
+async function dividirOrden(req, res) {
+    try {
+        const id = parseId(req, res);
+        if (id === null) return;
+
+        const destinos = await dividirPorProveedor(id, contextoAuditoria(req));
+        res.json({
+            message: `Orden #${id} dividida en ${destinos.length} órdenes por proveedor`,
+            ordenes: destinos
+        });
+    } catch (error) {
+        handleError(res, error, 'dividirOrden', 'Error al dividir orden por proveedor');
+    }
+}
+
+/**
+ * POST /api/ordenes/:id/estado
+ * Cambiar estado de la orden
+ * Body: { estado }
+ */
+async function updateEstado(req, res) {
+    try {
+        const id = parseId(req, res);
+        if (id === null) return;
+
+        const { estado } = req.body;
+        if (!estado) {
+            return res.status(400).json({
+                error: 'Se requiere "estado" en el body'
+            });
+        }
+
+        const orden = await cambiarEstado(id, estado, contextoAuditoria(req));
+
+        // Envío a Manager+ en segundo plano; si falla queda con erp.estado "error" para reintentar
+        if (ENVIO_AUTOMATICO && orden.estado === ESTADOS.APROBADA) {
+            enviarOrden(id).catch(error => logError(`Envío automático de orden #${id} a Manager+: ${error.message}`));
+        }
+
+        res.json({
+            message: `Orden #${id} en estado "${orden.estado}"`,
+            orden: formatOrden(orden)
+        });
+    } catch (error) {
+        handleError(res, error, 'updateEstado', 'Error al cambiar estado de la orden');
+    }
+}
+
+/**
+ * POST /api/ordenes/:id/erp
+ * Crear la orden en Manager+ como documento de compra (o reintentar un envío fallido)
+ */
+async function enviarErp(req, res) {
+    try {
+        const id = parseId(req, res);
+        if (id === null) return;
+
+        const { orden, documento, creado } = await enviarOrden(id);
+        res.json({
+            message: creado
+                ? `Orden #${id} creada en Manager+ (documento ${documento})`
+                : `Orden #${id} ya está en Manager+ (documento ${documento})`,
+            orden: formatOrden(orden)
+        });
+    } catch (error) {
+        handleError(res, error, 'enviarErp', 'Error al enviar orden a Manager+');
+    }
+}
+
+/**
+ * POST /api/ordenes/:id/recepcion
+ * Registrar mercadería recibida
+ * Body: { items: [{ productoId, cantidad }] }
+ */
+async function recibirOrden(req, res) {
+    try {
+        const id = parseId(req, res);
+        if (id === null) return;
+
+        const { items } = req.body;
+        if (!items || !Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                error: 'Se requiere un array de items con {productoId, cantidad}'
+            });
+        }
+
+        const orden = await registrarRecepcion(id, items.map(i => ({
+            productoId: parseInt(i.productoId, 10),
+            cantidad: parseFloat(i.cantidad)
+        })));
+
+        res.json({
+            message: `Recepción registrada, orden en estado "${orden.estado}"`,
+            orden: formatOrden(orden)
+        });
+    } catch (error) {
+        handleError(res, error, 'recibirOrden', 'Error al registrar recepción');
+    }
+}
+
+/**
+ * DELETE /api/ordenes/:id
+ * Eliminar una orden en borrador o cancelada
+ */
+async function deleteOrden(req, res) {
+    try {
+        const id = parseId(req, res);
+        if (id === null) return;
+
+        await eliminarOrden(id, contextoAuditoria(req));
+        res.json({
+            message: 'Orden de compra eliminada'
+        });
+    } catch (error) {
+        handleError(res, error, 'deleteOrden', 'Error al eliminar orden de compra');
+    }
+}
+
+module.exports = {
+    getOrdenes,
+    getBorrador,
+    getOrdenPorId,
+    createOrden,
+    updateOrden,
+    upsertLinea,
+    dividirOrden,
+    updateEstado,
+    enviarErp,
+    recibirOrden,
+    deleteOrden
+};
@@ -3,18 +3,44 @@
  */
 
 const { getPrismaClient } = require('../prisma/client');
-const { getMesActual } = require('../services/rotacionService');
+const { getMesActual } = require('../utils/periodo');
 const { logError } = require('../utils/logger');
+const { buildFiltroProducto } = require('../services/proveedorService');
+const { contextoAuditoria, registrarCambio, listarCambios } = require('../services/pedidoAuditService');
+const { tieneBorradores, setCantidadBorrador, listarCantidades } = require('../services/ordenCompraService');
+const { FORMATOS, AGRUPACIONES, exportarPedidos } = require('../services/exportService');
+const { analizarImportacion, aplicarImportacion } = require('../services/importService');
 
 const prisma = getPrismaClient();
 
+/**
+ * Guardar la cantidad en los borradores del mes, que es donde la lee el dashboard
+ * cuando el mes ya tiene órdenes en borrador
+ */
+async function guardarEnBorrador(req, res, producto, ano, mes, cantidad) {
+    const ordenId = await setCantidadBorrador(ano, mes, producto.id, cantidad, contextoAuditoria(req));
+
+    res.json({
+        message: 'Cantidad guardada en la orden de compra en borrador',
+        pedido: {
+            id: null,
+            producto,
+            ano,
+            mes,
+            cantidad,
+            ordenId
+        }
+    });
+}
+
 /**
  * GET /api/pedidos
- * Obtener todos los pedidos con filtros opcionales
+ * Obtener las cantidades a comprar con filtros opcionales
+ * En los meses con órdenes en borrador son las de sus líneas, igual que en el dashboard
  */
 async function getPedidos(req, res) {
     try {
-        const { productoId, ano, mes, marca } = req.query;
+        const { productoId, ano, mes, marca, proveedor } = req.query;
         
         const filtros = {};
         
@@ -30,43 +56,18 @@ async function getPedidos(req, res) {
             filtros.mes = parseInt(mes, 10);
         }
         
-        if (marca) {
-            filtros.producto = {
-                sku: {
-                    startsWith: marca.toUpperCase()
-                }
-            };
+        if (marca || proveedor) {
+            filtros.producto = buildFiltroProducto({
+                marca,
+                proveedorId: proveedor ? parseInt(proveedor, 10) : undefined
+            });
         }
         
-        const pedidos = await prisma.pedido.findMany({
-            where: filtros,
-            include: {
-                producto: {
-                    select: {
-                        id: true,
-                        sku: true,
-                        descripcion: true
-                    }
-                }
-            },
-            orderBy: [
-                { ano: 'desc' },
-                { mes: 'desc' },
-                { producto: { sku: 'asc' } }
-            ]
-        });
+        const pedidos = await listarCantidades(filtros);
         
         res.json({
             total: pedidos.length,
-            pedidos: pedidos.map(p => ({
-                id: p.id,
-                producto: p.producto,
-                ano: p.ano,
-                mes: p.mes,
-                cantidad: p.cantidad,
-                createdAt: p.createdAt,
-                updatedAt: p.updatedAt
-            }))
+            pedidos
         });
         
     } catch (error) {
@@ -80,7 +81,7 @@ async function getPedidos(req, res) {
 
 /**
  * GET /api/pedidos/:productoId
- * Obtener pedidos de un producto específico
+ * Obtener las cantidades a comprar de un producto específico (de los borradores en los meses que los tienen)
  */
 async function getPedidosPorProducto(req, res) {
     try {
@@ -104,13 +105,7 @@ async function getPedidosPorProducto(req, res) {
             });
         }
         
-        const pedidos = await prisma.pedido.findMany({
-            where: { productoId },
-            orderBy: [
-                { ano: 'desc' },
-                { mes: 'desc' }
-            ]
-        });
+        const pedidos = await listarCantidades({ productoId });
         
         res.json({
             producto,
@@ -120,6 +115,7 @@ async function getPedidosPorProducto(req, res) {
                 ano: p.ano,
                 mes: p.mes,
                 cantidad: p.cantidad,
+                ordenId: p.ordenId,
                 createdAt: p.createdAt,
                 updatedAt: p.updatedAt
             }))
@@ -185,33 +181,55 @@ async function upsertPedido(req, res) {
             });
         }
         
-        // Crear o actualizar pedido
-        const pedido = await prisma.pedido.upsert({
-            where: {
-                productoId_ano_mes: {
+        if (await tieneBorradores(anoNum, mesNum)) {
+            return await guardarEnBorrador(req, res, producto, anoNum, mesNum, cantidadNum);
+        }
+
+        // Pedido y auditoría en la misma transacción
+        const pedido = await prisma.$transaction(async (tx) => {
+            const anterior = await tx.pedido.findUnique({
+                where: { productoId_ano_mes: { productoId, ano: anoNum, mes: mesNum } }
+            });
+
+            // Crear o actualizar pedido
+            const guardado = await tx.pedido.upsert({
+                where: {
+                    productoId_ano_mes: {
+                        productoId,
+                        ano: anoNum,
+                        mes: mesNum
+                    }
+                },
+                update: {
+                    cantidad: cantidadNum
+                },
+                create: {
                     productoId,
                     ano: anoNum,
-                    mes: mesNum
+                    mes: mesNum,
+                    cantidad: cantidadNum
+                },
+                include: {
+                    producto: {
+                        select: {
+                            id: true,
+                            sku: true,
+                            descripcion: true
+                        }
+                    }
                 }
-            },
-            update: {
-                cantidad: cantidadNum
-            },
-            create: {
+            });
+            
+            await registrarCambio(contextoAuditoria(req), {
                 productoId,
+                sku: producto.sku,
                 ano: anoNum,
                 mes: mesNum,
-                cantidad: cantidadNum
-            },
-            include: {
-                producto: {
-                    select: {
-                        id: true,
-                        sku: true,
-                        descripcion: true
-                    }
-                }
-            }
+                anterior: anterior?.cantidad ?? null,
+                nueva: cantidadNum
+            }, tx);
+
+            return guardado;
         });
         
         res.json({
@@ -222,6 +240,7 @@ async function upsertPedido(req, res) {
                 ano: pedido.ano,
                 mes: pedido.mes,
                 cantidad: pedido.cantidad,
+                ordenId: null,
                 createdAt: pedido.createdAt,
                 updatedAt: pedido.updatedAt
             }
@@ -252,6 +271,19 @@ async function deletePedido(req, res) {
             });
         }
         
+        if (await tieneBorradores(ano, mes)) {
+            const ordenId = await setCantidadBorrador(ano, mes, productoId, 0, contextoAuditoria(req));
+            if (!ordenId) {
+                return res.status(404).json({
+                    error: 'Pedido no encontrado'
+                });
+            }
+            return res.json({
+                message: 'Pedido eliminado de la orden de compra en borrador',
+                ordenId
+            });
+        }
+
         const pedido = await prisma.pedido.findUnique({
             where: {
                 productoId_ano_mes: {
@@ -268,14 +300,24 @@ async function deletePedido(req, res) {
             });
         }
         
-        await prisma.pedido.delete({
-            where: {
-                productoId_ano_mes: {
-                    productoId,
-                    ano,
-                    mes
+        await prisma.$transaction(async (tx) => {
+            await tx.pedido.delete({
+                where: {
+                    productoId_ano_mes: {
+                        productoId,
+                        ano,
+                        mes
+                    }
                 }
-            }
+            });
+            
+            await registrarCambio(contextoAuditoria(req), {
+                productoId,
+                ano,
+                mes,
+                anterior: pedido.cantidad,
+                nueva: 0
+            }, tx);
         });
         
         res.json({
@@ -322,33 +364,55 @@ async function upsertPedidoActual(req, res) {
             });
         }
         
-        // Crear o actualizar pedido del mes actual
-        const pedido = await prisma.pedido.upsert({
-            where: {
-                productoId_ano_mes: {
+        if (await tieneBorradores(mesActual.ano, mesActual.mes)) {
+            return await guardarEnBorrador(req, res, producto, mesActual.ano, mesActual.mes, cantidadNum);
+        }
+
+        // Pedido y auditoría en la misma transacción
+        const pedido = await prisma.$transaction(async (tx) => {
+            const anterior = await tx.pedido.findUnique({
+                where: { productoId_ano_mes: { productoId, ano: mesActual.ano, mes: mesActual.mes } }
+            });
+
+            // Crear o actualizar pedido del mes actual
+            const guardado = await tx.pedido.upsert({
+                where: {
+                    productoId_ano_mes: {
+                        productoId,
+                        ano: mesActual.ano,
+                        mes: mesActual.mes
+                    }
+                },
+                update: {
+                    cantidad: cantidadNum
+                },
+                create: {
                     productoId,
                     ano: mesActual.ano,
-                    mes: mesActual.mes
+                    mes: mesActual.mes,
+                    cantidad: cantidadNum
+                },
+                include: {
+                    producto: {
+                        select: {
+                            id: true,
+                            sku: true,
+                            descripcion: true
+                        }
+                    }
                 }
-            },
-            update: {
-                cantidad: cantidadNum
-            },
-            create: {
+            });
+            
+            await registrarCambio(contextoAuditoria(req), {
                 productoId,
+                sku: producto.sku,
                 ano: mesActual.ano,
                 mes: mesActual.mes,
-                cantidad: cantidadNum
-            },
-            include: {
-                producto: {
-                    select: {
-                        id: true,
-                        sku: true,
-                        descripcion: true
-                    }
-                }
-            }
+                anterior: anterior?.cantidad ?? null,
+                nueva: cantidadNum
+            }, tx);
+
+            return guardado;
         });
         
         res.json({
@@ -359,6 +423,7 @@ async function upsertPedidoActual(req, res) {
                 ano: pedido.ano,
                 mes: pedido.mes,
                 cantidad: pedido.cantidad,
+                ordenId: null,
                 createdAt: pedido.createdAt,
                 updatedAt: pedido.updatedAt
             }
@@ -373,8 +438,205 @@ async function upsertPedidoActual(req, res) {
     }
 }
 
+/**
+ * GET /api/pedidos/auditoria
+ * Historial de cambios de cantidades a comprar (pedidos y líneas de órdenes en borrador)
+ * Query: productoId, sku, ano, mes, usuario, desde, hasta (yyyy-MM-dd), limit (máx. 1000)
+ */
+async function getAuditoria(req, res) {
+    try {
+        const { productoId, sku, ano, mes, usuario, desde, hasta, limit } = req.query;
+
+        const filtros = {
+            productoId: productoId ? parseInt(productoId, 10) : null,
+            sku: sku || null,
+            ano: ano ? parseInt(ano, 10) : null,
+            mes: mes ? parseInt(mes, 10) : null,
+            usuario: usuario || null,
+            desde: desde || null,
+            hasta: hasta || null,
+            limit: limit ? parseInt(limit, 10) : null
+        };
+
+        if ([filtros.productoId, filtros.ano, filtros.mes, filtros.limit].some(v => Number.isNaN(v))) {
+            return res.status(400).json({
+                error: 'productoId, ano, mes y limit deben ser números válidos'
+            });
+        }
+
+        const formatoFecha = /^\d{4}-\d{2}-\d{2}$/;
+        if ((desde && !formatoFecha.test(desde)) || (hasta && !formatoFecha.test(hasta))) {
+            return res.status(400).json({
+                error: 'Las fechas deben tener formato yyyy-MM-dd'
+            });
+        }
+
+        const cambios = await listarCambios(filtros);
+
+        res.json({
+            total: cambios.length,
+            cambios
+        });
+        
+    } catch (error) {
+        logError(`Error en getAuditoria: ${error.message}`);
+        res.status(500).json({
+            error: 'Error al obtener auditoría de pedidos',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * GET /api/pedidos/export
+ * Descargar las cantidades a comprar de un mes en Excel, CSV o PDF
+ *
+ * Query params:
+ * - ano, mes: mes de compra (por defecto el mes actual)
+ * - marca, proveedor: filtros opcionales de productos
+ * - formato: xlsx | csv | pdf (por defecto xlsx)
+ * - agrupar: marca | proveedor (por defecto marca)
+ * - costos: "true" para incluir costo unitario y total
+ */
+async function exportPedidos(req, res) {
+    try {
+        const { marca, proveedor, formato = FORMATOS.XLSX, agrupar = AGRUPACIONES.MARCA, costos } = req.query;
+        const mesActual = getMesActual();
+
+        const ano = req.query.ano ? parseInt(req.query.ano, 10) : mesActual.ano;
+        const mes = req.query.mes ? parseInt(req.query.mes, 10) : mesActual.mes;
+        const proveedorId = proveedor ? parseInt(proveedor, 10) : undefined;
+
+        if (isNaN(ano) || isNaN(mes) || mes < 1 || mes > 12 || (proveedorId !== undefined && isNaN(proveedorId))) {
+            return res.status(400).json({
+                error: 'ano, mes (1-12) y proveedor deben ser números válidos'
+            });
+        }
+
+        if (!Object.values(FORMATOS).includes(formato)) {
+            return res.status(400).json({
+                error: `Formato inválido. Valores permitidos: ${Object.values(FORMATOS).join(', ')}`
+            });
+        }
+
+        if (!Object.values(AGRUPACIONES).includes(agrupar)) {
+            return res.status(400).json({
+                error: `Agrupación inválida. Valores permitidos: ${Object.values(AGRUPACIONES).join(', ')}`
+            });
+        }
+
+        const archivo = await exportarPedidos({
+            ano,
+            mes,
+            marca,
+            proveedorId,
+            formato,
+            agrupar,
+            costos: costos === 'true' || costos === '1'
+        });
+
+        res.setHeader('Content-Type', archivo.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${archivo.nombreArchivo}"`);
+        res.setHeader('X-Export-Lineas', archivo.lineas);
+        res.send(archivo.contenido);
+
+    } catch (error) {
+        logError(`Error en exportPedidos: ${error.message}`);
+        res.status(500).json({
+            error: 'Error al exportar pedidos',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Leer archivo y opciones de una petición de importación
+ * El archivo va como cuerpo binario; nombre, ano y mes por defecto en la query.
+ */
+function parseImportacion(req, res) {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        res.status(400).json({
+            error: 'Se requiere el archivo (CSV o XLSX) en el cuerpo de la petición'
+        });
+        return null;
+    }
+
+    const ano = req.query.ano ? parseInt(req.query.ano, 10) : undefined;
+    const mes = req.query.mes ? parseInt(req.query.mes, 10) : undefined;
+    if (Number.isNaN(ano) || Number.isNaN(mes) || (mes !== undefined && (mes < 1 || mes > 12))) {
+        res.status(400).json({
+            error: 'ano y mes (1-12) deben ser números válidos'
+        });
+        return null;
+    }
+
+    return { nombreArchivo: req.query.nombre || '', ano, mes };
+}
+
+/**
+ * POST /api/pedidos/import/preview
+ * Vista previa de una importación: valida cada fila y la compara con los pedidos existentes
+ * Body: archivo CSV o XLSX (binario)
+ */
+async function previewImport(req, res) {
+    try {
+        const opciones = parseImportacion(req, res);
+        if (!opciones) return;
+
+        res.json(await analizarImportacion(req.body, opciones));
+
+    } catch (error) {
+        logError(`Error en previewImport: ${error.message}`);
+        res.status(error.status || 500).json({
+            error: 'Error al analizar el archivo',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * POST /api/pedidos/import
+ * Aplicar una importación en una transacción
+ * Body: archivo CSV o XLSX (binario). Query: omitirErrores=true para guardar solo las filas válidas
+ */
+async function importPedidos(req, res) {
+    try {
+        const opciones = parseImportacion(req, res);
+        if (!opciones) return;
+
+        const resultado = await aplicarImportacion(req.body, {
+            ...opciones,
+            omitirErrores: req.query.omitirErrores === 'true',
+            auditoria: contextoAuditoria(req)
+        });
+
+        if (!resultado.aplicada) {
+            return res.status(422).json({
+                error: `El archivo tiene ${resultado.resumen.errores} filas con errores; no se guardó nada`,
+                ...resultado
+            });
+        }
+
+        res.json({
+            message: `${resultado.aplicados} pedidos importados`,
+            ...resultado
+        });
+
+    } catch (error) {
+        logError(`Error en importPedidos: ${error.message}`);
+        res.status(error.status || 500).json({
+            error: 'Error al importar pedidos',
+            message: error.message
+        });
+    }
+}
+
 module.exports = {
     getPedidos,
+    getAuditoria,
+    exportPedidos,
+    previewImport,
+    importPedidos,
     getPedidosPorProducto,
     upsertPedido,
     deletePedido,
@@ -4,9 +4,12 @@
  */
 
 const { getPrismaClient } = require('../prisma/client');
-const { getMesActual } = require('../services/rotacionService');
+const { getMesActual } = require('../utils/periodo');
 const { logError } = require('../utils/logger');
-const { subMonths, getYear, getMonth } = require('date-fns');
+const { buildFiltroProducto } = require('../services/proveedorService');
+const { getVentasDiariasProducto } = require('../services/ventaDiariaService');
+const { clasificarCatalogo, getResumenClasificacion } = require('../services/clasificacionService');
+const { subMonths, subDays, getYear, getMonth, format } = require('date-fns');
 
 const prisma = getPrismaClient();
 
@@ -15,10 +18,11 @@ const prisma = getPrismaClient();
  * Consultar ventas históricas con filtros:
  * - meses: cantidad de meses hacia atrás (1-12)
  * - marca: prefijo del SKU (ej: "KC" para Kimberly Clark)
+ * - proveedor: ID del proveedor
  */
 async function getVentasHistoricas(req, res) {
     try {
-        const { meses = 12, marca } = req.query;
+        const { meses = 12, marca, proveedor } = req.query;
         
         // Validar parámetros
         const mesesNum = parseInt(meses, 10);
@@ -62,13 +66,12 @@ async function getVentasHistoricas(req, res) {
             ]
         };
         
-        // Construir filtro de marca (prefijo SKU)
-        const filtroMarca = marca ? {
-            producto: {
-                sku: {
-                    startsWith: marca.toUpperCase()
-                }
-            }
+        // Construir filtro de marca (prefijo SKU) y proveedor
+        const filtroMarca = marca || proveedor ? {
+            producto: buildFiltroProducto({
+                marca,
+                proveedorId: proveedor ? parseInt(proveedor, 10) : undefined
+            })
         } : {};
         
         // Consulta optimizada: obtener ventas con producto y calcular promedio
@@ -114,7 +117,9 @@ async function getVentasHistoricas(req, res) {
                 ano: venta.ano,
                 mes: venta.mes,
                 cantidadVendida: venta.cantidadVendida,
-                montoNeto: venta.montoNeto
+                montoNeto: venta.montoNeto,
+                cantidadBruta: venta.cantidadBruta,
+                cantidadDevuelta: venta.cantidadDevuelta
             });
             productoData.totalCantidad += venta.cantidadVendida;
             productoData.totalMonto += venta.montoNeto;
@@ -137,6 +142,7 @@ async function getVentasHistoricas(req, res) {
         res.json({
             mesesConsultados: mesesNum,
             marca: marca || null,
+            proveedor: proveedor ? parseInt(proveedor, 10) : null,
             totalProductos: resultado.length,
             productos: resultado
         });
@@ -189,7 +195,9 @@ async function getVentasActuales(req, res) {
             producto: venta.producto,
             cantidadVendida: venta.cantidadVendida,
             stockActual: venta.stockActual,
-            montoNeto: venta.montoNeto
+            montoNeto: venta.montoNeto,
+            cantidadBruta: venta.cantidadBruta,
+            cantidadDevuelta: venta.cantidadDevuelta
         }));
         
         res.json({
@@ -371,8 +379,101 @@ async function getProductosCompleto(req, res) {
     }
 }
 
+/**
+ * GET /api/productos/:productoId/ventas-diarias
+ * Ventas por día de un producto (bruta, devuelta y neta)
+ * Parámetros: desde, hasta (yyyy-MM-dd, por defecto los últimos 30 días)
+ */
+async function getVentasDiarias(req, res) {
+    try {
+        const productoId = parseInt(req.params.productoId, 10);
+        if (isNaN(productoId)) {
+            return res.status(400).json({
+                error: 'ID de producto inválido'
+            });
+        }
+
+        const hoy = new Date();
+        const { desde = format(subDays(hoy, 30), 'yyyy-MM-dd'), hasta = format(hoy, 'yyyy-MM-dd') } = req.query;
+
+        const formatoFecha = /^\d{4}-\d{2}-\d{2}$/;
+        if (!formatoFecha.test(desde) || !formatoFecha.test(hasta)) {
+            return res.status(400).json({
+                error: 'Los parámetros "desde" y "hasta" deben tener formato yyyy-MM-dd'
+            });
+        }
+
+        const producto = await prisma.producto.findUnique({
+            where: { id: productoId },
+            select: { id: true, sku: true, descripcion: true }
+        });
+
+        if (!producto) {
+            return res.status(404).json({
+                error: 'Producto no encontrado'
+            });
+        }
+
+        const dias = await getVentasDiariasProducto(productoId, desde, hasta);
+
+        res.json({
+            producto,
+            desde,
+            hasta,
+            totalDias: dias.length,
+            dias
+        });
+
+    } catch (error) {
+        logError(`Error en getVentasDiarias: ${error.message}`);
+        res.status(500).json({
+            error: 'Error al obtener ventas diarias',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * GET /api/productos/clasificacion
+ * Resumen de la clasificación ABC/XYZ guardada: productos por clase y matriz combinada
+ */
+async function getClasificacion(req, res) {
+    try {
+        res.json(await getResumenClasificacion());
+    } catch (error) {
+        logError(`Error en getClasificacion: ${error.message}`);
+        res.status(500).json({
+            error: 'Error al obtener clasificación ABC/XYZ',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * POST /api/productos/clasificacion
+ * Recalcular la clasificación ABC/XYZ del catálogo (también se recalcula en cada rotación)
+ */
+async function recalcularClasificacion(req, res) {
+    try {
+        const resumen = await clasificarCatalogo();
+        res.json({
+            message: 'Clasificación ABC/XYZ recalculada',
+            ...resumen
+        });
+    } catch (error) {
+        logError(`Error en recalcularClasificacion: ${error.message}`);
+        res.status(500).json({
+            error: 'Error al recalcular clasificación ABC/XYZ',
+            message: error.message
+        });
+    }
+}
+
 module.exports = {
     getVentasHistoricas,
     getVentasActuales,
-    getProductosCompleto
+    getProductosCompleto,
+    getVentasDiarias,
+    getClasificacion,
+    recalcularClasificacion
 };
@@ -0,0 +1,213 @@
+/**
+ * Controlador para endpoints de proveedores
+ */
+
+const {
+    listarProveedores,
+    getProveedor,
+    crearProveedor,
+    actualizarProveedor,
+    eliminarProveedor,
+    asignarProducto,
+    asignarProductosPorPrefijo,
+    quitarProducto
+} = require('../services/proveedorService');
+const { logError } = require('../utils/logger');
+
+/**
+ * Responder un error: los errores de negocio traen su propio status (400/404/409)
+ */
+function handleError(res, error, contexto, mensaje) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logError(`Error en ${contexto}: ${error.message}`);
+    res.status(500).json({
+        error: mensaje,
+        message: error.message
+    });
+}
+
+/**
+ * Parsear un parámetro numérico de la ruta
+ */
+function parseParamId(req, res, param, etiqueta) {
+    const id = parseInt(req.params[param], 10);
+    if (isNaN(id)) {
+        res.status(400).json({ error: `ID de ${etiqueta} inválido` });
+        return null;
+    }
+    return id;
+}
+
+/**
+ * GET /api/proveedores?inactivos=true
+ */
+async function getProveedores(req, res) {
+    try {
+        const proveedores = await listarProveedores({
+            incluirInactivos: req.query.inactivos === 'true'
+        });
+
+        res.json({
+            total: proveedores.length,
+            proveedores: proveedores.map(p => ({
+                id: p.id,
+                nombre: p.nombre,
+                rut: p.rut,
+                email: p.email,
+                leadTimeDias: p.leadTimeDias,
+                montoMinimo: p.montoMinimo,
+                moneda: p.moneda,
+                activo: p.activo,
+                totalProductos: p._count.productos
+            }))
+        });
+    } catch (error) {
+        handleError(res, error, 'getProveedores', 'Error al obtener proveedores');
+    }
+}
+
+/**
+ * GET /api/proveedores/:id
+ * Proveedor con sus productos asociados
+ */
+async function getProveedorPorId(req, res) {
+    try {
+        const id = parseParamId(req, res, 'id', 'proveedor');
+        if (id === null) return;
+
+        const proveedor = await getProveedor(id);
+        res.json({ proveedor });
+    } catch (error) {
+        handleError(res, error, 'getProveedorPorId', 'Error al obtener proveedor');
+    }
+}
+
+/**
+ * POST /api/proveedores
+ * Body: { nombre, rut?, email?, leadTimeDias?, montoMinimo?, moneda? }
+ */
+async function createProveedor(req, res) {
+    try {
+        const proveedor = await crearProveedor(req.body);
+        res.status(201).json({
+            message: 'Proveedor creado',
+            proveedor
+        });
+    } catch (error) {
+        handleError(res, error, 'createProveedor', 'Error al crear proveedor');
+    }
+}
+
+/**
+ * PUT /api/proveedores/:id
+ * Body: { nombre?, rut?, email?, leadTimeDias?, montoMinimo?, moneda?, activo? }
+ */
+async function updateProveedor(req, res) {
+    try {
+        const id = parseParamId(req, res, 'id', 'proveedor');
+        if (id === null) return;
+
+        const proveedor = await actualizarProveedor(id, req.body);
+        res.json({
+            message: 'Proveedor actualizado',
+            proveedor
+        });
+    } catch (error) {
+        handleError(res, error, 'updateProveedor', 'Error al actualizar proveedor');
+    }
+}
+
+/**
+ * DELETE /api/proveedores/:id
+ */
+async function deleteProveedor(req, res) {
+    try {
+        const id = parseParamId(req, res, 'id', 'proveedor');
+        if (id === null) return;
+
+        await eliminarProveedor(id);
+        res.json({
+            message: 'Proveedor eliminado'
+        });
+    } catch (error) {
+        handleError(res, error, 'deleteProveedor', 'Error al eliminar proveedor');
+    }
+}
+
+/**
+ * PUT /api/proveedores/:id/productos/:productoId
+ * Asociar un producto al proveedor
+ * Body: { skuProveedor?, costoUnitario?, principal? }
+ */
+async function upsertProductoProveedor(req, res) {
+    try {
+        const id = parseParamId(req, res, 'id', 'proveedor');
+        if (id === null) return;
+        const productoId = parseParamId(req, res, 'productoId', 'producto');
+        if (productoId === null) return;
+
+        const asociacion = await asignarProducto(id, productoId, req.body);
+        res.json({
+            message: 'Producto asociado al proveedor',
+            asociacion
+        });
+    } catch (error) {
+        handleError(res, error, 'upsertProductoProveedor', 'Error al asociar producto');
+    }
+}
+
+/**
+ * POST /api/proveedores/:id/productos/prefijo
+ * Asociar todos los productos cuyo SKU empieza con un prefijo
+ * Body: { prefijo, principal? }
+ */
+async function asignarPorPrefijo(req, res) {
+    try {
+        const id = parseParamId(req, res, 'id', 'proveedor');
+        if (id === null) return;
+
+        const { prefijo, principal } = req.body;
+        const resultado = await asignarProductosPorPrefijo(id, prefijo, {
+            principal: principal === undefined ? true : Boolean(principal)
+        });
+
+        res.json({
+            message: `${resultado.asignados} productos asociados`,
+            ...resultado
+        });
+    } catch (error) {
+        handleError(res, error, 'asignarPorPrefijo', 'Error al asociar productos por prefijo');
+    }
+}
+
+/**
+ * DELETE /api/proveedores/:id/productos/:productoId
+ */
+async function deleteProductoProveedor(req, res) {
+    try {
+        const id = parseParamId(req, res, 'id', 'proveedor');
+        if (id === null) return;
+        const productoId = parseParamId(req, res, 'productoId', 'producto');
+        if (productoId === null) return;
+
+        await quitarProducto(id, productoId);
+        res.json({
+            message: 'Producto desasociado del proveedor'
+        });
+    } catch (error) {
+        handleError(res, error, 'deleteProductoProveedor', 'Error al desasociar producto');
+    }
+}
+
+module.exports = {
+    getProveedores,
+    getProveedorPorId,
+    createProveedor,
+    updateProveedor,
+    deleteProveedor,
+    upsertProductoProveedor,
+    asignarPorPrefijo,
+    deleteProductoProveedor
+};
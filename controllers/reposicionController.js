@@ -0,0 +1,85 @@
+/**
+ * Controlador para endpoints de parámetros de reposición
+ */
+
+const {
+    DEFAULTS,
+    listarParametros,
+    guardarParametro,
+    eliminarParametro
+} = require('../services/reposicionService');
+const { logError } = require('../utils/logger');
+
+/**
+ * Responder un error: los errores de negocio traen su propio status (400/404/409)
+ */
+function handleError(res, error, contexto, mensaje) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logError(`Error en ${contexto}: ${error.message}`);
+    res.status(500).json({
+        error: mensaje,
+        message: error.message
+    });
+}
+
+/**
+ * GET /api/reposicion/parametros
+ * Parámetros configurados por producto, familia y clase ABC/XYZ, más los valores globales
+ */
+async function getParametros(req, res) {
+    try {
+        const parametros = await listarParametros();
+
+        res.json({
+            globales: DEFAULTS,
+            total: parametros.length,
+            parametros
+        });
+    } catch (error) {
+        handleError(res, error, 'getParametros', 'Error al obtener parámetros de reposición');
+    }
+}
+
+/**
+ * PUT /api/reposicion/parametros
+ * Crear o actualizar el parámetro de un producto, familia o clase ABC/XYZ
+ * Body: { productoId | familia | clase, diasCobertura?, leadTimeDias?, nivelServicio?, stockSeguridad? }
+ */
+async function upsertParametro(req, res) {
+    try {
+        const parametro = await guardarParametro(req.body);
+        res.json({
+            message: 'Parámetro de reposición guardado',
+            parametro
+        });
+    } catch (error) {
+        handleError(res, error, 'upsertParametro', 'Error al guardar parámetro de reposición');
+    }
+}
+
+/**
+ * DELETE /api/reposicion/parametros/:id
+ */
+async function deleteParametro(req, res) {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+            return res.status(400).json({ error: 'ID de parámetro inválido' });
+        }
+
+        await eliminarParametro(id);
+        res.json({
+            message: 'Parámetro de reposición eliminado'
+        });
+    } catch (error) {
+        handleError(res, error, 'deleteParametro', 'Error al eliminar parámetro de reposición');
+    }
+}
+
+module.exports = {
+    getParametros,
+    upsertParametro,
+    deleteParametro
+};
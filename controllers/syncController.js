@@ -0,0 +1,221 @@
+/**
+ * Controlador para los jobs de sincronización
+ */
+
+const {
+    esPasoFinal,
+    encolarJob,
+    suscribir,
+    listarJobs,
+    getJob,
+    getEventos,
+    cancelarJob,
+    reintentarJob
+} = require('../services/syncJobService');
+const { getMetricasErp } = require('../utils/erpClient');
+const { logError } = require('../utils/logger');
+
+/**
+ * Responder un error: los errores de negocio traen su propio status (400/404/409)
+ */
+function handleError(res, error, contexto, mensaje) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logError(`Error en ${contexto}: ${error.message}`);
+    res.status(500).json({
+        error: mensaje,
+        message: error.message
+    });
+}
+
+/**
+ * Parsear el ID del job de la ruta
+ */
+function parseJobId(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+        res.status(400).json({ error: 'ID de job inválido' });
+        return null;
+    }
+    return id;
+}
+
+/**
+ * Transmitir por SSE los eventos de un job: primero los ya guardados y luego los nuevos,
+ * hasta el evento final (complete, error o cancelled). Cerrar la conexión no detiene el job.
+ */
+async function transmitirJob(req, res, jobId) {
+    // Validar antes de abrir el stream para poder responder 404 como JSON
+    await getJob(jobId);
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    let ultimoId = 0;
+    let cerrado = false;
+    let historialEnviado = false;
+    const enEspera = [];
+
+    const enviar = (evento) => {
+        if (cerrado || evento.id <= ultimoId) return;
+        ultimoId = evento.id;
+        res.write(`data: ${JSON.stringify({
+            id: evento.id,
+            jobId,
+            step: evento.step,
+            message: evento.message,
+            createdAt: evento.createdAt
+        })}\n\n`);
+        if (esPasoFinal(evento.step)) cerrar();
+    };
+
+    // Suscribirse antes de leer el historial para no perder eventos emitidos entre medio
+    const desuscribir = suscribir(jobId, (evento) => {
+        if (historialEnviado) enviar(evento);
+        else enEspera.push(evento);
+    });
+
+    function cerrar() {
+        if (cerrado) return;
+        cerrado = true;
+        desuscribir();
+        res.end();
+    }
+
+    req.on('close', cerrar);
+
+    for (const evento of await getEventos(jobId)) {
+        enviar(evento);
+    }
+    historialEnviado = true;
+    enEspera.forEach(enviar);
+}
+
+/**
+ * POST /api/sync/jobs
+ * Body: { tipo: 'mes_actual' | 'diaria' | 'rango', parametros?: { desde, hasta, force } }
+ * Responde 202 con el job creado, o 200 con el job activo equivalente si ya existía
+ */
+async function createJob(req, res) {
+    try {
+        const { tipo, parametros } = req.body;
+        const { job, existente } = await encolarJob(tipo, parametros);
+
+        res.status(existente ? 200 : 202).json({
+            message: existente ? 'Ya hay una sincronización igual en curso' : 'Sincronización encolada',
+            job
+        });
+    } catch (error) {
+        handleError(res, error, 'createJob', 'Error al encolar sincronización');
+    }
+}
+
+/**
+ * GET /api/sync/jobs?limit=50&estado=error
+ */
+async function getJobs(req, res) {
+    try {
+        const limit = parseInt(req.query.limit, 10) || 50;
+        const jobs = await listarJobs({ limit, estado: req.query.estado || null });
+
+        res.json({
+            total: jobs.length,
+            jobs
+        });
+    } catch (error) {
+        handleError(res, error, 'getJobs', 'Error al obtener jobs de sincronización');
+    }
+}
+
+/**
+ * GET /api/sync/jobs/:id
+ * Job con sus eventos paso a paso
+ */
+async function getJobPorId(req, res) {
+    try {
+        const id = parseJobId(req, res);
+        if (id === null) return;
+
+        const job = await getJob(id);
+        res.json({ job });
+    } catch (error) {
+        handleError(res, error, 'getJobPorId', 'Error al obtener job de sincronización');
+    }
+}
+
+/**
+ * GET /api/sync/jobs/:id/stream
+ * Stream SSE del progreso de un job
+ */
+async function streamJob(req, res) {
+    try {
+        const id = parseJobId(req, res);
+        if (id === null) return;
+
+        await transmitirJob(req, res, id);
+    } catch (error) {
+        if (res.headersSent) {
+            logError(`Error en streamJob: ${error.message}`);
+            return res.end();
+        }
+        handleError(res, error, 'streamJob', 'Error al transmitir job de sincronización');
+    }
+}
+
+/**
+ * POST /api/sync/jobs/:id/cancel
+ */
+async function cancelJob(req, res) {
+    try {
+        const id = parseJobId(req, res);
+        if (id === null) return;
+
+        const job = await cancelarJob(id);
+        res.json({
+            message: job.estado === 'cancelado' ? 'Sincronización cancelada' : 'Cancelación solicitada',
+            job
+        });
+    } catch (error) {
+        handleError(res, error, 'cancelJob', 'Error al cancelar sincronización');
+    }
+}
+
+/**
+ * POST /api/sync/jobs/:id/retry
+ */
+async function retryJob(req, res) {
+    try {
+        const id = parseJobId(req, res);
+        if (id === null) return;
+
+        const { job, existente } = await reintentarJob(id);
+        res.status(existente ? 200 : 202).json({
+            message: existente ? 'Ya hay una sincronización igual en curso' : 'Reintento encolado',
+            job
+        });
+    } catch (error) {
+        handleError(res, error, 'retryJob', 'Error al reintentar sincronización');
+    }
+}
+
+/**
+ * GET /api/sync/erp
+ * Estado del cliente de Manager+: limitador (concurrencia, solicitudes del último minuto, pausa por 429)
+ * y métricas por endpoint desde que inició el servidor
+ */
+function getErpMetricas(req, res) {
+    res.json(getMetricasErp());
+}
+
+module.exports = {
+    transmitirJob,
+    createJob,
+    getJobs,
+    getJobPorId,
+    streamJob,
+    cancelJob,
+    retryJob,
+    getErpMetricas
+};
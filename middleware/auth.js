@@ -0,0 +1,112 @@
+/**
+ * Middlewares de autenticación y roles
+ *
+ * El token se envía en el header "Authorization: Bearer <token>". Solo los streams SSE (EventSource
+ * no permite headers) pueden enviarlo como ?token=<token>: en cualquier otra ruta un token en la URL
+ * terminaría en el historial del navegador y en los logs de proxies, así que se ignora.
+ */
+
+const crypto = require('crypto');
+const { ROLES, tieneRol, getUsuarioPorToken } = require('../services/authService');
+const { logError } = require('../utils/logger');
+
+// Rutas de streams SSE que aceptan ?token= (ruta completa, sin query)
+const RUTAS_TOKEN_EN_QUERY = [
+    /^\/api\/dashboard\/sync-stream\/?$/,
+    /^\/api\/sync\/jobs\/[^/]+\/stream\/?$/
+];
+
+function aceptaTokenEnQuery(req) {
+    const ruta = req.originalUrl.split('?')[0];
+    return req.method === 'GET' && RUTAS_TOKEN_EN_QUERY.some(patron => patron.test(ruta));
+}
+
+function extraerToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return aceptaTokenEnQuery(req) ? req.query.token || null : null;
+}
+
+/**
+ * URL de la petición sin el parámetro token (para registrarla en el log)
+ */
+function urlSinToken(url) {
+    const [ruta, query] = url.split('?');
+    if (!query) return ruta;
+
+    const params = new URLSearchParams(query);
+    params.delete('token');
+    const resto = params.toString();
+    return resto ? `${ruta}?${resto}` : ruta;
+}
+
+/**
+ * Exigir una sesión válida; deja el usuario en req.usuario
+ */
+async function autenticar(req, res, next) {
+    try {
+        const token = extraerToken(req);
+        if (!token) {
+            return res.status(401).json({ error: 'Autenticación requerida' });
+        }
+
+        const usuario = await getUsuarioPorToken(token);
+        if (!usuario) {
+            return res.status(401).json({ error: 'Sesión inválida o expirada' });
+        }
+
+        req.usuario = usuario;
+        next();
+    } catch (error) {
+        logError(`Error en autenticación: ${error.message}`);
+        res.status(500).json({
+            error: 'Error al validar la sesión',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Exigir un rol mínimo (usar después de autenticar)
+ *
+ * @param {string} rol - viewer | buyer | admin
+ */
+function requerirRol(rol) {
+    return (req, res, next) => {
+        if (!req.usuario) {
+            return res.status(401).json({ error: 'Autenticación requerida' });
+        }
+        if (!tieneRol(req.usuario.rol, rol)) {
+            return res.status(403).json({ error: `Se requiere rol ${rol}` });
+        }
+        next();
+    };
+}
+
+const soloBuyer = requerirRol(ROLES.BUYER);
+const soloAdmin = requerirRol(ROLES.ADMIN);
+
+/**
+ * Proteger GET /metrics con METRICS_TOKEN ("Authorization: Bearer <token>") si está configurado;
+ * sin METRICS_TOKEN el endpoint queda abierto (como /health) para el scraper de Prometheus
+ */
+function autenticarMetricas(req, res, next) {
+    const esperado = process.env.METRICS_TOKEN;
+    if (!esperado) return next();
+
+    const recibido = Buffer.from(extraerToken(req) || '');
+    const valido = Buffer.from(esperado);
+    if (recibido.length !== valido.length || !crypto.timingSafeEqual(recibido, valido)) {
+        return res.status(401).json({ error: 'Token de métricas inválido' });
+    }
+    next();
+}
+
+module.exports = {
+    autenticar,
+    requerirRol,
+    soloBuyer,
+    soloAdmin,
+    autenticarMetricas,
+    urlSinToken
+};
@@ -0,0 +1,41 @@
+/**
+ * Middleware de métricas HTTP para Prometheus (GET /metrics)
+ */
+
+const { crearContador, crearHistograma } = require('../utils/metrics');
+
+const httpDuracion = crearHistograma('http_request_duration_seconds',
+    'Duración de las respuestas HTTP por método, ruta y status', ['method', 'route', 'status'],
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+const httpTotal = crearContador('http_requests_total', 'Respuestas HTTP por método, ruta y status', ['method', 'route', 'status']);
+
+/**
+ * Ruta para la etiqueta: el patrón de Express (/api/sync/jobs/:id), no la URL, para no crear una serie
+ * por cada ID. Las URLs que no coinciden con ninguna ruta se agrupan en "sin_ruta".
+ */
+function getRuta(req) {
+    if (!req.route) return 'sin_ruta';
+    // Al terminar la respuesta Express ya restauró req.baseUrl; los routers se montan en /api/<recurso>
+    const base = req.baseUrl || (req.originalUrl.match(/^\/api\/[^/?]+/) || [''])[0];
+    const ruta = String(req.route.path);
+    return ruta === '/' && base ? base : `${base}${ruta}`;
+}
+
+/**
+ * Medir cada respuesta (incluidas las de error)
+ */
+function medirRequest(req, res, next) {
+    const inicio = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const etiquetas = { method: req.method, route: getRuta(req), status: res.statusCode };
+        httpTotal.inc(etiquetas);
+        httpDuracion.observe(etiquetas, Number(process.hrtime.bigint() - inicio) / 1e9);
+    });
+
+    next();
+}
+
+module.exports = {
+    medirRequest
+};
@@ -0,0 +1,334 @@
+/**
+ * Generador de datos sintéticos de Manager+ para el mock local (mock/managerMasMock.js)
+ *
+ * Produce un catálogo de productos, stock por bodega y documentos de venta (FAVE, BOVE, NCVE)
+ * con la misma forma que entrega la API real. Las ventas siguen una distribución de Pareto entre
+ * productos (pocos productos concentran la mayor parte), estacionalidad mensual por producto,
+ * productos de venta intermitente y notas de crédito que devuelven parte de facturas anteriores.
+ *
+ * Es determinista: la misma semilla y fecha de corte generan los mismos datos.
+ *
+ * Uso:
+ *   node mock/generadorDocumentos.js [archivo.json]
+ *   MOCK_ERP_SEMILLA=7 MOCK_ERP_PRODUCTOS=200 MOCK_ERP_MESES=24 node mock/generadorDocumentos.js data/mock-erp.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { format, addDays, subMonths, startOfMonth } = require('date-fns');
+
+const MARCAS = ['KC', 'AX', 'TR', 'PL', 'MG'];
+const FAMILIAS = ['Adhesivos', 'Cintas', 'Herramientas', 'Limpieza', 'Embalaje', 'Pinturas'];
+const ARTICULOS = ['Cinta', 'Adhesivo', 'Pegamento', 'Espátula', 'Brocha', 'Rodillo', 'Sellador', 'Film', 'Guante', 'Paño'];
+const VARIANTES = ['100 ml', '250 ml', '1 L', '18 mm', '24 mm', '48 mm', 'Chico', 'Mediano', 'Grande', 'Industrial'];
+const CLIENTES = [
+    { rut: '76123456-7', razon_social: 'Ferretería El Tornillo Ltda.' },
+    { rut: '77234567-8', razon_social: 'Comercial Sur SpA' },
+    { rut: '78345678-9', razon_social: 'Distribuidora Central S.A.' },
+    { rut: '96456789-0', razon_social: 'Construcciones Andes Ltda.' },
+    { rut: '79567890-1', razon_social: 'Pinturas y Más SpA' },
+    { rut: '76678901-2', razon_social: 'Embalajes del Pacífico Ltda.' }
+];
+
+const BODEGA_GENERAL = 'Bodega General';
+const BODEGA_SALA = 'Sala de Ventas';
+const BODEGA_TEMPORAL = 'Bodega temporal';
+
+// Documentos de venta y proporción de documentos por día respecto de las facturas
+const TIPOS_VENTA = { FAVE: 1, BOVE: 0.6 };
+
+// Proporción de facturas que terminan con una nota de crédito
+const TASA_NOTAS_CREDITO = 0.03;
+
+/**
+ * Generador pseudoaleatorio con semilla (mulberry32)
+ */
+function crearAleatorio(semilla) {
+    let estado = semilla >>> 0;
+    const siguiente = () => {
+        estado = (estado + 0x6D2B79F5) >>> 0;
+        let t = estado;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        siguiente,
+        entero: (min, max) => min + Math.floor(siguiente() * (max - min + 1)),
+        elegir: (lista) => lista[Math.floor(siguiente() * lista.length)],
+        // Aproximación de Poisson suficiente para cantidades chicas
+        poisson: (media) => {
+            const limite = Math.exp(-media);
+            let k = 0;
+            let p = siguiente();
+            while (p > limite) {
+                k++;
+                p *= siguiente();
+            }
+            return k;
+        }
+    };
+}
+
+/**
+ * Elegir un índice según pesos (pesosAcumulados: suma acumulada de los pesos)
+ */
+function elegirPonderado(aleatorio, pesosAcumulados) {
+    const objetivo = aleatorio.siguiente() * pesosAcumulados[pesosAcumulados.length - 1];
+    let bajo = 0;
+    let alto = pesosAcumulados.length - 1;
+    while (bajo < alto) {
+        const medio = (bajo + alto) >> 1;
+        if (pesosAcumulados[medio] < objetivo) bajo = medio + 1;
+        else alto = medio;
+    }
+    return bajo;
+}
+
+/**
+ * Catálogo de productos con su perfil de venta (peso, estacionalidad, intermitencia)
+ */
+function generarProductos(aleatorio, cantidad) {
+    const productos = [];
+    const usados = new Set();
+
+    for (let i = 0; i < cantidad; i++) {
+        const marca = MARCAS[i % MARCAS.length];
+        let sku;
+        do {
+            sku = `${marca}-${aleatorio.entero(1000, 9999)}`;
+        } while (usados.has(sku));
+        usados.add(sku);
+
+        const nombre = `${aleatorio.elegir(ARTICULOS)} ${marca} ${aleatorio.elegir(VARIANTES)}`;
+        const precio = aleatorio.entero(8, 400) * 100;
+
+        productos.push({
+            codigo_prod: sku,
+            nombre,
+            descripcion: nombre,
+            familia: aleatorio.elegir(FAMILIAS),
+            unidadstock: 'UN',
+            precio,
+            // Perfil de venta (se quita antes de guardar el catálogo)
+            _perfil: {
+                // Pareto: el producto i-ésimo (en orden aleatorio) pesa 1/rango^1.2
+                peso: 1 / Math.pow(i + 1, 1.2),
+                intermitente: aleatorio.siguiente() < 0.15,
+                amplitud: aleatorio.siguiente() * 0.6,
+                mesPeak: aleatorio.entero(1, 12)
+            }
+        });
+    }
+
+    // Desordenar para que la popularidad no dependa de la marca
+    for (let i = productos.length - 1; i > 0; i--) {
+        const j = Math.floor(aleatorio.siguiente() * (i + 1));
+        [productos[i], productos[j]] = [productos[j], productos[i]];
+    }
+
+    return productos;
+}
+
+/**
+ * Factor de estacionalidad del producto para un mes (1 = mes promedio)
+ */
+function factorEstacional(perfil, mes) {
+    const angulo = ((mes - perfil.mesPeak) / 12) * 2 * Math.PI;
+    return 1 + perfil.amplitud * Math.cos(angulo);
+}
+
+/**
+ * Línea de detalle de un documento
+ */
+function crearDetalle(producto, cantidad) {
+    return {
+        codigo: producto.codigo_prod,
+        descripcion: producto.nombre,
+        cant: cantidad,
+        cantidad,
+        precio_unitario: producto.precio,
+        monto_neto: producto.precio * cantidad
+    };
+}
+
+/**
+ * Cabecera y totales de un documento a partir de sus líneas
+ */
+function crearDocumento(tipo, numero, fecha, cliente, detalles, glosa = '') {
+    const neto = detalles.reduce((sum, d) => sum + d.monto_neto, 0);
+    const iva = Math.round(neto * 0.19);
+
+    return {
+        docnumreg: numero,
+        folio: numero,
+        tipo_documento: tipo,
+        fecha_doc: format(fecha, 'dd/MM/yyyy'),
+        rut_cliente: cliente.rut,
+        razon_social: cliente.razon_social,
+        glosa,
+        monto_neto: neto,
+        iva,
+        total: neto + iva,
+        detalles
+    };
+}
+
+/**
+ * Stock por bodega: la bodega general cubre ~1-3 meses de venta, con algunos quiebres y negativos
+ */
+function generarStock(aleatorio, productos, ventasMensuales) {
+    const stock = [];
+
+    for (const producto of productos) {
+        const ventaMes = ventasMensuales.get(producto.codigo_prod) || 0;
+        const sorteo = aleatorio.siguiente();
+
+        let general;
+        if (sorteo < 0.08) general = 0;
+        else if (sorteo < 0.1) general = -aleatorio.entero(1, 5);
+        else general = Math.round(ventaMes * (0.5 + aleatorio.siguiente() * 2.5)) + aleatorio.entero(0, 10);
+
+        stock.push({ cod_prod: producto.codigo_prod, bodega: BODEGA_GENERAL, saldo: general });
+
+        if (aleatorio.siguiente() < 0.5) {
+            stock.push({ cod_prod: producto.codigo_prod, bodega: BODEGA_SALA, saldo: aleatorio.entero(0, 12) });
+        }
+        if (aleatorio.siguiente() < 0.1) {
+            stock.push({ cod_prod: producto.codigo_prod, bodega: BODEGA_TEMPORAL, saldo: aleatorio.entero(1, 30) });
+        }
+    }
+
+    return stock;
+}
+
+/**
+ * Generar los datos del mock
+ *
+ * @param {object} [opciones]
+ * @param {number} [opciones.semilla=1]
+ * @param {string} [opciones.rutEmpresa]
+ * @param {number} [opciones.productos=80] - Cantidad de productos del catálogo
+ * @param {number} [opciones.meses=13] - Meses de historia de ventas (incluye el mes en curso)
+ * @param {number} [opciones.facturasPorDia=8] - Facturas promedio por día hábil
+ * @param {Date} [opciones.hasta=hoy] - Último día con documentos
+ * @returns {{rutEmpresa, semilla, generado, productos, stock, documentos}}
+ *   documentos: { "FAVE/V": [...], "BOVE/V": [...], "NCVE/V": [...] }
+ */
+function generarFixtures(opciones = {}) {
+    const {
+        semilla = 1,
+        rutEmpresa = process.env.RUT_EMPRESA || '76299574-3',
+        productos: cantidadProductos = 80,
+        meses = 13,
+        facturasPorDia = 8,
+        hasta = new Date()
+    } = opciones;
+
+    const aleatorio = crearAleatorio(semilla);
+    const productos = generarProductos(aleatorio, cantidadProductos);
+    const pesosAcumulados = [];
+    productos.reduce((acum, p) => {
+        pesosAcumulados.push(acum + p._perfil.peso);
+        return acum + p._perfil.peso;
+    }, 0);
+
+    const documentos = { 'FAVE/V': [], 'BOVE/V': [], 'NCVE/V': [] };
+    const numeros = { FAVE: 10000, BOVE: 50000, NCVE: 3000 };
+    const notasPendientes = [];
+    const ventasUltimoMes = new Map();
+    const inicioUltimoMes = subMonths(hasta, 1);
+
+    const fin = new Date(hasta.getFullYear(), hasta.getMonth(), hasta.getDate());
+    for (let dia = startOfMonth(subMonths(fin, meses - 1)); dia <= fin; dia = addDays(dia, 1)) {
+        // Sin ventas los domingos, menos los sábados
+        const diaSemana = dia.getDay();
+        if (diaSemana === 0) continue;
+        const factorDia = diaSemana === 6 ? 0.4 : 1;
+
+        for (const [tipo, proporcion] of Object.entries(TIPOS_VENTA)) {
+            const cantidadDocs = aleatorio.poisson(facturasPorDia * proporcion * factorDia);
+
+            for (let d = 0; d < cantidadDocs; d++) {
+                const detalles = [];
+                const enDocumento = new Set();
+                const lineas = tipo === 'FAVE' ? aleatorio.entero(1, 5) : aleatorio.entero(1, 2);
+
+                for (let l = 0; l < lineas; l++) {
+                    const producto = productos[elegirPonderado(aleatorio, pesosAcumulados)];
+                    if (enDocumento.has(producto.codigo_prod)) continue;
+
+                    const perfil = producto._perfil;
+                    if (perfil.intermitente && aleatorio.siguiente() < 0.7) continue;
+                    if (aleatorio.siguiente() > factorEstacional(perfil, dia.getMonth() + 1) / (1 + perfil.amplitud)) continue;
+
+                    enDocumento.add(producto.codigo_prod);
+                    const cantidad = tipo === 'FAVE' ? 1 + aleatorio.poisson(4) : 1 + aleatorio.poisson(0.5);
+                    detalles.push(crearDetalle(producto, cantidad));
+
+                    if (dia >= inicioUltimoMes) {
+                        ventasUltimoMes.set(producto.codigo_prod, (ventasUltimoMes.get(producto.codigo_prod) || 0) + cantidad);
+                    }
+                }
+
+                if (detalles.length === 0) continue;
+
+                const cliente = tipo === 'FAVE' ? aleatorio.elegir(CLIENTES) : { rut: '66666666-6', razon_social: 'Cliente boleta' };
+                const documento = crearDocumento(tipo, ++numeros[tipo], dia, cliente, detalles);
+                documentos[`${tipo}/V`].push(documento);
+
+                if (tipo === 'FAVE' && aleatorio.siguiente() < TASA_NOTAS_CREDITO) {
+                    notasPendientes.push({ fecha: addDays(dia, aleatorio.entero(1, 10)), factura: documento });
+                }
+            }
+        }
+    }
+
+    // Notas de crédito: devuelven parte de la primera línea de la factura (solo si caen dentro del rango)
+    for (const { fecha, factura } of notasPendientes) {
+        if (fecha > fin) continue;
+        const linea = factura.detalles[0];
+        const producto = productos.find(p => p.codigo_prod === linea.codigo);
+        const cantidad = Math.max(1, Math.floor(linea.cantidad / 2));
+        const cliente = { rut: factura.rut_cliente, razon_social: factura.razon_social };
+        documentos['NCVE/V'].push(crearDocumento('NCVE', ++numeros.NCVE, fecha, cliente, [crearDetalle(producto, cantidad)],
+            `Devolución FAVE ${factura.folio}`));
+    }
+    documentos['NCVE/V'].sort((a, b) => a.docnumreg - b.docnumreg);
+
+    const stock = generarStock(aleatorio, productos, ventasUltimoMes);
+
+    return {
+        rutEmpresa,
+        semilla,
+        generado: fin.toISOString(),
+        productos: productos.map(({ _perfil, ...producto }) => producto),
+        stock,
+        documentos
+    };
+}
+
+if (require.main === module) {
+    const destino = process.argv[2] || path.join(__dirname, '..', 'data', 'mock-erp.json');
+    const fixtures = generarFixtures({
+        semilla: parseInt(process.env.MOCK_ERP_SEMILLA, 10) || 1,
+        productos: parseInt(process.env.MOCK_ERP_PRODUCTOS, 10) || undefined,
+        meses: parseInt(process.env.MOCK_ERP_MESES, 10) || undefined,
+        facturasPorDia: parseFloat(process.env.MOCK_ERP_FACTURAS_POR_DIA) || undefined
+    });
+
+    fs.mkdirSync(path.dirname(destino), { recursive: true });
+    fs.writeFileSync(destino, JSON.stringify(fixtures, null, 2));
+
+    const resumen = Object.entries(fixtures.documentos).map(([tipo, docs]) => `${docs.length} ${tipo.split('/')[0]}`).join(', ');
+    console.log(`✅ ${fixtures.productos.length} productos, ${fixtures.stock.length} registros de stock, ${resumen} → ${destino}`);
+}
+
+module.exports = {
+    BODEGA_GENERAL,
+    BODEGA_SALA,
+    BODEGA_TEMPORAL,
+    crearAleatorio,
+    generarFixtures
+};
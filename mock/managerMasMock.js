@@ -0,0 +1,339 @@
+/**
+ * Mock local de la API de Manager+ para desarrollo sin conexión y pruebas
+ *
+ * Implementa los endpoints que usa el sistema, con la misma forma de respuesta que la API real:
+ *   POST /auth/                                   → { auth_token }
+ *   GET  /documents/:rut/:tipo/:clase?df&dt&docnumreg&details=1&limit
+ *   POST /documents/:rut/:tipo/:clase             → crea un documento (ej. órdenes de compra OC/C)
+ *   GET  /products/:rut?con_stock=S
+ *   GET  /products/:rut/:sku?con_stock=S
+ *   GET  /stock/:rut?dt
+ *
+ * Los datos salen de un archivo de fixtures (ver mock/generadorDocumentos.js) o se generan al iniciar.
+ * Para usarlo basta apuntar ERP_BASE_URL al mock (ej. http://localhost:4010).
+ *
+ * Paginación: con ?page=N (y opcional ?per_page=M) la respuesta trae { data, pagination }; con
+ * tamanoPagina se pagina siempre, como cuando Manager+ corta respuestas grandes.
+ *
+ * Fallas para pruebas:
+ *   - limitePorMinuto: responde 429 { message, retry } al superar N solicitudes por minuto y token
+ *   - tasaError: proporción (0-1) de solicitudes que responden 503 al azar
+ *   - latenciaMs: demora fija de cada respuesta
+ *   - POST /__mock/fallas { ruta, status, veces, retrasoMs, mensaje }: las próximas `veces` solicitudes
+ *     cuya ruta contenga `ruta` responden `status` (retrasoMs sin status = solo demora, ej. para timeouts)
+ *   - GET /__mock/solicitudes: registro de solicitudes recibidas; POST /__mock/reset: vuelve a los datos iniciales
+ *
+ * Uso:
+ *   npm run mock:erp
+ *   MOCK_ERP_FIXTURES=data/mock-erp.json MOCK_ERP_LIMITE_POR_MINUTO=30 npm run mock:erp
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const express = require('express');
+const { format } = require('date-fns');
+const { generarFixtures } = require('./generadorDocumentos');
+
+const PUERTO_POR_DEFECTO = 4010;
+
+// Documentos por página cuando se pide ?page sin ?per_page
+const POR_PAGINA_POR_DEFECTO = 100;
+
+// Manager+ no acepta rangos de documentos mayores a un año
+const MAX_DIAS_RANGO = 366;
+
+/**
+ * Fecha de un documento (dd/MM/yyyy, yyyy-MM-dd o yyyyMMdd) como yyyyMMdd para comparar rangos
+ */
+function fechaComparable(valor) {
+    const str = (valor || '').toString().trim();
+    let match = str.match(/^(\d{2})\/(\d{2})\/(\d{4})/);
+    if (match) return `${match[3]}${match[2]}${match[1]}`;
+    match = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) return `${match[1]}${match[2]}${match[3]}`;
+    return /^\d{8}$/.test(str) ? str : null;
+}
+
+/**
+ * Días entre dos fechas yyyyMMdd
+ */
+function diasEntre(desde, hasta) {
+    const aFecha = (s) => Date.UTC(+s.slice(0, 4), +s.slice(4, 6) - 1, +s.slice(6, 8));
+    return (aFecha(hasta) - aFecha(desde)) / (24 * 60 * 60 * 1000);
+}
+
+/**
+ * Stock de un producto con el formato de con_stock=S (array de arrays con saldo por bodega)
+ */
+function stockDeProducto(stock, sku) {
+    return [stock.filter(s => s.cod_prod === sku).map(s => ({ bodega: s.bodega, saldo: s.saldo }))];
+}
+
+/**
+ * Crear la aplicación del mock
+ *
+ * @param {object} [opciones]
+ * @param {object} [opciones.fixtures] - Datos (ver generarFixtures); si no se indica se generan
+ * @param {string} [opciones.rutEmpresa] - RUT aceptado en las rutas (por defecto el de los fixtures)
+ * @param {string} [opciones.usuario] - Credenciales aceptadas en /auth/ (sin usuario se acepta cualquiera)
+ * @param {string} [opciones.password]
+ * @param {number} [opciones.limitePorMinuto=0] - 0 = sin límite
+ * @param {number} [opciones.tasaError=0]
+ * @param {number} [opciones.latenciaMs=0]
+ * @param {number} [opciones.tamanoPagina=0] - 0 = solo paginar cuando se pide ?page
+ * @returns {express.Application} con app.locals.mock = { estado, reset }
+ */
+function crearMockManager(opciones = {}) {
+    const {
+        usuario = null,
+        password = null,
+        limitePorMinuto = 0,
+        tasaError = 0,
+        latenciaMs = 0,
+        tamanoPagina = 0
+    } = opciones;
+
+    const fixtures = opciones.fixtures || generarFixtures();
+    const rutEmpresa = opciones.rutEmpresa || fixtures.rutEmpresa;
+
+    // Los tokens sobreviven al reset: los clientes guardan el token en caché
+    const estado = { tokens: new Set() };
+    const reset = () => {
+        const copia = JSON.parse(JSON.stringify(fixtures));
+        estado.productos = copia.productos;
+        estado.stock = copia.stock;
+        estado.documentos = copia.documentos;
+        estado.ventanas = new Map();
+        estado.fallas = [];
+        estado.solicitudes = [];
+    };
+    reset();
+
+    const app = express();
+    app.use(express.json({ limit: '5mb' }));
+    app.locals.mock = { estado, reset };
+
+    // Registro de solicitudes, latencia y fallas programadas
+    app.use(async (req, res, next) => {
+        if (req.path.startsWith('/__mock')) return next();
+
+        estado.solicitudes.push({ metodo: req.method, ruta: req.originalUrl, fecha: new Date().toISOString() });
+
+        if (latenciaMs > 0) await new Promise(resolve => setTimeout(resolve, latenciaMs));
+
+        const falla = estado.fallas.find(f => req.originalUrl.includes(f.ruta) && f.veces > 0);
+        if (falla) {
+            falla.veces--;
+            if (falla.retrasoMs) await new Promise(resolve => setTimeout(resolve, falla.retrasoMs));
+            if (falla.status) {
+                return res.status(falla.status).json({ message: falla.mensaje || `Falla simulada (${falla.status})`, retry: falla.retry });
+            }
+        }
+
+        if (tasaError > 0 && Math.random() < tasaError) {
+            return res.status(503).json({ message: 'Servicio no disponible (falla simulada)' });
+        }
+
+        next();
+    });
+
+    // Control del mock
+    app.post('/__mock/fallas', (req, res) => {
+        const { ruta = '/', status, veces = 1, retrasoMs = 0, mensaje, retry } = req.body || {};
+        estado.fallas.push({ ruta, status: status ?? (retrasoMs ? null : 500), veces, retrasoMs, mensaje, retry });
+        res.status(201).json({ fallas: estado.fallas });
+    });
+
+    app.get('/__mock/solicitudes', (req, res) => {
+        res.json({ total: estado.solicitudes.length, solicitudes: estado.solicitudes });
+    });
+
+    app.post('/__mock/reset', (req, res) => {
+        reset();
+        res.json({ message: 'Mock reiniciado' });
+    });
+
+    app.post('/auth/', (req, res) => {
+        const { username, password: clave } = req.body || {};
+        if (!username || (usuario && (username !== usuario || clave !== password))) {
+            return res.status(401).json({ message: 'Usuario o contraseña incorrectos' });
+        }
+
+        const token = crypto.randomBytes(20).toString('hex');
+        estado.tokens.add(token);
+        res.json({ auth_token: token });
+    });
+
+    // Autenticación (Authorization: Token xxx), RUT y límite de solicitudes para el resto de la API
+    app.use((req, res, next) => {
+        const [esquema, token] = (req.get('Authorization') || '').split(' ');
+        if (esquema !== 'Token' || !estado.tokens.has(token)) {
+            return res.status(401).json({ message: 'Token inválido o ausente' });
+        }
+
+        const rut = req.path.split('/')[2];
+        if (rut && rut !== rutEmpresa) {
+            return res.status(404).json({ message: `Empresa ${rut} no encontrada` });
+        }
+
+        if (limitePorMinuto > 0) {
+            const ahora = Date.now();
+            const ventana = (estado.ventanas.get(token) || []).filter(t => ahora - t < 60000);
+            if (ventana.length >= limitePorMinuto) {
+                const retry = Math.max(1, Math.ceil((60000 - (ahora - ventana[0])) / 1000));
+                return res.status(429).json({ message: 'Too many requests', retry });
+            }
+            ventana.push(ahora);
+            estado.ventanas.set(token, ventana);
+        }
+
+        next();
+    });
+
+    /**
+     * Responder una lista con paginación (?page, ?per_page) o límite (?limit)
+     */
+    const responderLista = (req, res, lista) => {
+        const limite = parseInt(req.query.limit, 10);
+        if (limite > 0) lista = lista.slice(0, limite);
+
+        const porPagina = parseInt(req.query.per_page, 10) || tamanoPagina || POR_PAGINA_POR_DEFECTO;
+        if (!req.query.page && !tamanoPagina) {
+            return res.json({ data: lista });
+        }
+
+        const totalPaginas = Math.max(1, Math.ceil(lista.length / porPagina));
+        const pagina = Math.max(1, parseInt(req.query.page, 10) || 1);
+        res.json({
+            data: lista.slice((pagina - 1) * porPagina, pagina * porPagina),
+            pagination: { page: pagina, per_page: porPagina, total: lista.length, total_pages: totalPaginas }
+        });
+    };
+
+    app.get('/documents/:rut/:tipo/:clase', (req, res) => {
+        const { tipo, clase } = req.params;
+        const { df, dt, docnumreg, details } = req.query;
+        let documentos = estado.documentos[`${tipo}/${clase}`] || [];
+
+        if (docnumreg) {
+            documentos = documentos.filter(d => String(d.docnumreg) === String(docnumreg));
+        } else {
+            if (!df || !dt) {
+                return res.status(400).json({ message: 'Parámetros df y dt requeridos (yyyyMMdd)' });
+            }
+            if (diasEntre(df, dt) > MAX_DIAS_RANGO) {
+                return res.status(400).json({ message: 'El rango de fechas no puede superar un año' });
+            }
+            documentos = documentos.filter(d => {
+                const fecha = fechaComparable(d.fecha_doc);
+                return fecha && fecha >= df && fecha <= dt;
+            });
+        }
+
+        if (details !== '1') {
+            documentos = documentos.map(({ detalles, ...cabecera }) => cabecera);
+        }
+
+        responderLista(req, res, documentos);
+    });
+
+    app.post('/documents/:rut/:tipo/:clase', (req, res) => {
+        const { tipo, clase } = req.params;
+        const documento = req.body || {};
+
+        if (!Array.isArray(documento.detalles) || documento.detalles.length === 0) {
+            return res.status(400).json({ message: 'El documento debe tener detalles' });
+        }
+
+        const clave = `${tipo}/${clase}`;
+        if (!estado.documentos[clave]) estado.documentos[clave] = [];
+        const lista = estado.documentos[clave];
+        const numero = lista.reduce((max, d) => Math.max(max, Number(d.docnumreg) || 0), 0) + 1;
+
+        const creado = {
+            ...documento,
+            docnumreg: numero,
+            folio: numero,
+            tipo_documento: tipo,
+            fecha_doc: documento.fecha_doc || format(new Date(), 'dd/MM/yyyy')
+        };
+        lista.push(creado);
+
+        res.status(201).json({ data: creado });
+    });
+
+    app.get('/products/:rut', (req, res) => {
+        const conStock = req.query.con_stock === 'S';
+        const productos = estado.productos.map(p => (conStock ? { ...p, stock: stockDeProducto(estado.stock, p.codigo_prod) } : p));
+        responderLista(req, res, productos);
+    });
+
+    app.get('/products/:rut/:sku', (req, res) => {
+        const producto = estado.productos.find(p => p.codigo_prod === req.params.sku);
+        if (!producto) {
+            return res.status(404).json({ message: `Producto ${req.params.sku} no encontrado` });
+        }
+
+        const conStock = req.query.con_stock === 'S';
+        res.json({ data: [conStock ? { ...producto, stock: stockDeProducto(estado.stock, producto.codigo_prod) } : producto] });
+    });
+
+    app.get('/stock/:rut', (req, res) => {
+        responderLista(req, res, estado.stock);
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({ message: `Endpoint no encontrado: ${req.method} ${req.path}` });
+    });
+
+    return app;
+}
+
+/**
+ * Iniciar el mock en un puerto (0 = puerto libre, útil en pruebas)
+ *
+ * @returns {Promise<{server: import('http').Server, url: string, app: express.Application}>}
+ */
+function iniciarMockManager(opciones = {}) {
+    const { puerto = PUERTO_POR_DEFECTO, ...resto } = opciones;
+    const app = crearMockManager(resto);
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(puerto, () => {
+            resolve({ server, url: `http://127.0.0.1:${server.address().port}`, app });
+        });
+        server.on('error', reject);
+    });
+}
+
+if (require.main === module) {
+    const archivo = process.env.MOCK_ERP_FIXTURES;
+    const fixtures = archivo
+        ? JSON.parse(fs.readFileSync(archivo, 'utf8'))
+        : generarFixtures({ semilla: parseInt(process.env.MOCK_ERP_SEMILLA, 10) || 1 });
+
+    iniciarMockManager({
+        fixtures,
+        puerto: parseInt(process.env.MOCK_ERP_PUERTO, 10) || PUERTO_POR_DEFECTO,
+        rutEmpresa: process.env.RUT_EMPRESA || fixtures.rutEmpresa,
+        usuario: process.env.MOCK_ERP_USUARIO || null,
+        password: process.env.MOCK_ERP_PASSWORD || null,
+        limitePorMinuto: parseInt(process.env.MOCK_ERP_LIMITE_POR_MINUTO, 10) || 0,
+        tasaError: parseFloat(process.env.MOCK_ERP_TASA_ERROR) || 0,
+        latenciaMs: parseInt(process.env.MOCK_ERP_LATENCIA_MS, 10) || 0,
+        tamanoPagina: parseInt(process.env.MOCK_ERP_TAMANO_PAGINA, 10) || 0
+    }).then(({ url }) => {
+        const documentos = Object.values(fixtures.documentos).reduce((sum, docs) => sum + docs.length, 0);
+        console.log(`🧪 Mock de Manager+ en ${url} (${fixtures.productos.length} productos, ${documentos} documentos)`);
+        console.log(`   Usar con ERP_BASE_URL=${url}`);
+    }).catch(error => {
+        console.error('❌ No se pudo iniciar el mock de Manager+:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    crearMockManager,
+    iniciarMockManager
+};
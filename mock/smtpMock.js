@@ -0,0 +1,156 @@
+/**
+ * Servidor SMTP local para probar las alertas por correo sin enviar correos reales
+ *
+ * Acepta cualquier remitente, destinatario y credencial (AUTH PLAIN/LOGIN), guarda los mensajes en
+ * memoria y los muestra en consola. No ofrece STARTTLS: sin SMTP_USUARIO el cliente envía en texto plano;
+ * con usuario hay que agregar SMTP_PERMITIR_SIN_TLS=true.
+ *
+ * Uso:
+ *   npm run mock:smtp                  (puerto 2525; MOCK_SMTP_PUERTO para cambiarlo)
+ *   SMTP_HOST=localhost SMTP_PORT=2525 npm run dev:server
+ *
+ * Desde código (pruebas): const { server, puerto, mensajes } = await iniciarMockSmtp({ puerto: 0 })
+ */
+
+require('dotenv').config();
+const net = require('net');
+
+const PUERTO_POR_DEFECTO = 2525;
+
+/**
+ * Decodificar el cuerpo de un mensaje (base64 o texto) y el asunto MIME
+ */
+function leerMensaje(datos) {
+    const [cabecera, ...resto] = datos.split('\r\n\r\n');
+    const encabezados = {};
+    // Los encabezados largos continúan en líneas que empiezan con espacio
+    for (const linea of cabecera.replace(/\r\n[ \t]+/g, ' ').split('\r\n')) {
+        const separador = linea.indexOf(':');
+        if (separador > 0) encabezados[linea.slice(0, separador).toLowerCase()] = linea.slice(separador + 1).trim();
+    }
+
+    let cuerpo = resto.join('\r\n\r\n');
+    if (/base64/i.test(encabezados['content-transfer-encoding'] || '')) {
+        cuerpo = Buffer.from(cuerpo.replace(/\r\n/g, ''), 'base64').toString('utf8');
+    }
+    // Palabras codificadas seguidas se unen sin el espacio que las separa
+    const asunto = (encabezados.subject || '')
+        .replace(/(\?=)\s+(=\?)/g, '$1$2')
+        .replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (_, b64) => Buffer.from(b64, 'base64').toString('utf8'));
+
+    return { encabezados, asunto, cuerpo };
+}
+
+/**
+ * Iniciar el servidor SMTP de prueba
+ *
+ * @param {object} [opciones]
+ * @param {number} [opciones.puerto=2525] - 0 = puerto libre al azar
+ * @param {boolean} [opciones.silencioso=false] - No mostrar los mensajes en consola
+ * @returns {Promise<{server: net.Server, puerto: number, mensajes: object[]}>}
+ */
+function iniciarMockSmtp({ puerto = PUERTO_POR_DEFECTO, silencioso = false } = {}) {
+    const mensajes = [];
+
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let enData = false;
+        let esperandoAuth = 0;
+        let sobre = { de: null, para: [] };
+
+        const responder = (linea) => socket.write(linea + '\r\n');
+        responder('220 mock-smtp listo');
+
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+
+            for (;;) {
+                if (enData) {
+                    const fin = buffer.indexOf('\r\n.\r\n');
+                    if (fin === -1) return;
+                    const datos = buffer.slice(0, fin).replace(/^\.\./gm, '.');
+                    buffer = buffer.slice(fin + 5);
+                    enData = false;
+
+                    const mensaje = { id: mensajes.length + 1, ...sobre, ...leerMensaje(datos), recibidoAt: new Date() };
+                    mensajes.push(mensaje);
+                    sobre = { de: null, para: [] };
+                    if (!silencioso) {
+                        console.log(`📧 [${mensaje.id}] ${mensaje.de} → ${mensaje.para.join(', ')}: ${mensaje.asunto}\n${mensaje.cuerpo}\n`);
+                    }
+                    responder(`250 OK mensaje ${mensaje.id}`);
+                    continue;
+                }
+
+                const fin = buffer.indexOf('\r\n');
+                if (fin === -1) return;
+                const linea = buffer.slice(0, fin);
+                buffer = buffer.slice(fin + 2);
+
+                if (esperandoAuth > 0) {
+                    esperandoAuth--;
+                    responder(esperandoAuth > 0 ? '334 UGFzc3dvcmQ6' : '235 Autenticado');
+                    continue;
+                }
+
+                const comando = linea.split(' ')[0].toUpperCase();
+                if (comando === 'EHLO') {
+                    responder('250-mock-smtp');
+                    responder('250 AUTH PLAIN LOGIN');
+                } else if (comando === 'HELO' || comando === 'NOOP' || comando === 'RSET') {
+                    if (comando === 'RSET') sobre = { de: null, para: [] };
+                    responder('250 OK');
+                } else if (comando === 'AUTH') {
+                    if (/^AUTH LOGIN/i.test(linea)) {
+                        esperandoAuth = 2;
+                        responder('334 VXNlcm5hbWU6');
+                    } else {
+                        responder('235 Autenticado');
+                    }
+                } else if (comando === 'MAIL') {
+                    sobre.de = (linea.match(/<([^>]*)>/) || [])[1] || null;
+                    responder('250 OK');
+                } else if (comando === 'RCPT') {
+                    sobre.para.push((linea.match(/<([^>]*)>/) || [])[1]);
+                    responder('250 OK');
+                } else if (comando === 'DATA') {
+                    if (sobre.para.length === 0) {
+                        responder('503 Sin destinatarios');
+                    } else {
+                        enData = true;
+                        responder('354 Termine con <CRLF>.<CRLF>');
+                    }
+                } else if (comando === 'QUIT') {
+                    responder('221 Adiós');
+                    socket.end();
+                    return;
+                } else {
+                    responder('502 Comando no implementado');
+                }
+            }
+        });
+
+        socket.on('error', () => {});
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(puerto, () => {
+            resolve({ server, puerto: server.address().port, mensajes });
+        });
+    });
+}
+
+module.exports = {
+    iniciarMockSmtp
+};
+
+if (require.main === module) {
+    const puerto = parseInt(process.env.MOCK_SMTP_PUERTO || PUERTO_POR_DEFECTO, 10);
+    iniciarMockSmtp({ puerto }).then(({ puerto: puertoReal }) => {
+        console.log(`📭 Mock SMTP escuchando en localhost:${puertoReal} (SMTP_HOST=localhost SMTP_PORT=${puertoReal})`);
+    }).catch((error) => {
+        console.error(`❌ No se pudo iniciar el mock SMTP: ${error.message}`);
+        process.exit(1);
+    });
+}
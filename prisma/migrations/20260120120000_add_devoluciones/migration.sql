@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "ventas_historicas" ADD COLUMN "cantidad_bruta" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "ventas_historicas" ADD COLUMN "monto_bruto" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "ventas_historicas" ADD COLUMN "cantidad_devuelta" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "ventas_historicas" ADD COLUMN "monto_devuelto" REAL NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "ventas_actuales" ADD COLUMN "cantidad_bruta" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "ventas_actuales" ADD COLUMN "monto_bruto" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "ventas_actuales" ADD COLUMN "cantidad_devuelta" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "ventas_actuales" ADD COLUMN "monto_devuelto" REAL NOT NULL DEFAULT 0;
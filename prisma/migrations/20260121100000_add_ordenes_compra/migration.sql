@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE "ordenes_compra" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "estado" TEXT NOT NULL DEFAULT 'borrador',
+    "ano" INTEGER NOT NULL,
+    "mes" INTEGER NOT NULL,
+    "proveedor" TEXT,
+    "notas" TEXT,
+    "fecha_aprobacion" DATETIME,
+    "fecha_envio" DATETIME,
+    "fecha_recepcion" DATETIME,
+    "fecha_cancelacion" DATETIME,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "ordenes_compra_lineas" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "orden_id" INTEGER NOT NULL,
+    "producto_id" INTEGER NOT NULL,
+    "cantidad" REAL NOT NULL DEFAULT 0,
+    "cantidad_recibida" REAL NOT NULL DEFAULT 0,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL,
+    CONSTRAINT "ordenes_compra_lineas_orden_id_fkey" FOREIGN KEY ("orden_id") REFERENCES "ordenes_compra" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "ordenes_compra_lineas_producto_id_fkey" FOREIGN KEY ("producto_id") REFERENCES "productos" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ordenes_compra_estado_idx" ON "ordenes_compra"("estado");
+
+-- CreateIndex
+CREATE INDEX "ordenes_compra_ano_mes_idx" ON "ordenes_compra"("ano", "mes");
+
+-- CreateIndex
+CREATE INDEX "ordenes_compra_lineas_orden_id_idx" ON "ordenes_compra_lineas"("orden_id");
+
+-- CreateIndex
+CREATE INDEX "ordenes_compra_lineas_producto_id_idx" ON "ordenes_compra_lineas"("producto_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ordenes_compra_lineas_orden_id_producto_id_key" ON "ordenes_compra_lineas"("orden_id", "producto_id");
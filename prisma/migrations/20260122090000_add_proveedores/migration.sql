@@ -0,0 +1,75 @@
+/*
+  Warnings:
+
+  - You are about to drop the column `proveedor` on the `ordenes_compra` table. All the data in the column will be lost.
+
+*/
+-- CreateTable
+CREATE TABLE "proveedores" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "nombre" TEXT NOT NULL,
+    "rut" TEXT,
+    "email" TEXT,
+    "lead_time_dias" INTEGER NOT NULL DEFAULT 0,
+    "monto_minimo" REAL NOT NULL DEFAULT 0,
+    "moneda" TEXT NOT NULL DEFAULT 'CLP',
+    "activo" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "productos_proveedores" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "producto_id" INTEGER NOT NULL,
+    "proveedor_id" INTEGER NOT NULL,
+    "sku_proveedor" TEXT,
+    "costo_unitario" REAL,
+    "principal" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL,
+    CONSTRAINT "productos_proveedores_producto_id_fkey" FOREIGN KEY ("producto_id") REFERENCES "productos" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "productos_proveedores_proveedor_id_fkey" FOREIGN KEY ("proveedor_id") REFERENCES "proveedores" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- AlterTable
+ALTER TABLE "ordenes_compra_lineas" ADD COLUMN "costo_unitario" REAL;
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_ordenes_compra" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "estado" TEXT NOT NULL DEFAULT 'borrador',
+    "ano" INTEGER NOT NULL,
+    "mes" INTEGER NOT NULL,
+    "proveedor_id" INTEGER,
+    "notas" TEXT,
+    "fecha_aprobacion" DATETIME,
+    "fecha_envio" DATETIME,
+    "fecha_recepcion" DATETIME,
+    "fecha_cancelacion" DATETIME,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL,
+    CONSTRAINT "ordenes_compra_proveedor_id_fkey" FOREIGN KEY ("proveedor_id") REFERENCES "proveedores" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_ordenes_compra" ("ano", "created_at", "estado", "fecha_aprobacion", "fecha_cancelacion", "fecha_envio", "fecha_recepcion", "id", "mes", "notas", "updated_at") SELECT "ano", "created_at", "estado", "fecha_aprobacion", "fecha_cancelacion", "fecha_envio", "fecha_recepcion", "id", "mes", "notas", "updated_at" FROM "ordenes_compra";
+DROP TABLE "ordenes_compra";
+ALTER TABLE "new_ordenes_compra" RENAME TO "ordenes_compra";
+CREATE INDEX "ordenes_compra_estado_idx" ON "ordenes_compra"("estado");
+CREATE INDEX "ordenes_compra_proveedor_id_idx" ON "ordenes_compra"("proveedor_id");
+CREATE INDEX "ordenes_compra_ano_mes_idx" ON "ordenes_compra"("ano", "mes");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "proveedores_nombre_key" ON "proveedores"("nombre");
+
+-- CreateIndex
+CREATE INDEX "productos_proveedores_producto_id_idx" ON "productos_proveedores"("producto_id");
+
+-- CreateIndex
+CREATE INDEX "productos_proveedores_proveedor_id_idx" ON "productos_proveedores"("proveedor_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "productos_proveedores_producto_id_proveedor_id_key" ON "productos_proveedores"("producto_id", "proveedor_id");
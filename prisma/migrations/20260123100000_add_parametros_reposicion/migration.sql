@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "parametros_reposicion" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "producto_id" INTEGER,
+    "familia" TEXT,
+    "dias_cobertura" INTEGER,
+    "lead_time_dias" INTEGER,
+    "nivel_servicio" REAL,
+    "stock_seguridad" REAL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL,
+    CONSTRAINT "parametros_reposicion_producto_id_fkey" FOREIGN KEY ("producto_id") REFERENCES "productos" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "parametros_reposicion_producto_id_key" ON "parametros_reposicion"("producto_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "parametros_reposicion_familia_key" ON "parametros_reposicion"("familia");
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "ventas_anuales" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "producto_id" INTEGER NOT NULL,
+    "ano" INTEGER NOT NULL,
+    "cantidad_vendida" REAL NOT NULL DEFAULT 0,
+    "monto_neto" REAL NOT NULL DEFAULT 0,
+    "cantidad_bruta" REAL NOT NULL DEFAULT 0,
+    "monto_bruto" REAL NOT NULL DEFAULT 0,
+    "cantidad_devuelta" REAL NOT NULL DEFAULT 0,
+    "monto_devuelto" REAL NOT NULL DEFAULT 0,
+    "meses_archivados" INTEGER NOT NULL DEFAULT 0,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL,
+    CONSTRAINT "ventas_anuales_producto_id_fkey" FOREIGN KEY ("producto_id") REFERENCES "productos" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ventas_anuales_ano_idx" ON "ventas_anuales"("ano");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ventas_anuales_producto_id_ano_key" ON "ventas_anuales"("producto_id", "ano");
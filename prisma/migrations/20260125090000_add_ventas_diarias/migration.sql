@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "ventas_diarias" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "producto_id" INTEGER NOT NULL,
+    "fecha" TEXT NOT NULL,
+    "ano" INTEGER NOT NULL,
+    "mes" INTEGER NOT NULL,
+    "doc_type" TEXT NOT NULL,
+    "cantidad" REAL NOT NULL DEFAULT 0,
+    "monto_neto" REAL NOT NULL DEFAULT 0,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL,
+    CONSTRAINT "ventas_diarias_producto_id_fkey" FOREIGN KEY ("producto_id") REFERENCES "productos" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ventas_diarias_fecha_idx" ON "ventas_diarias"("fecha");
+
+-- CreateIndex
+CREATE INDEX "ventas_diarias_ano_mes_idx" ON "ventas_diarias"("ano", "mes");
+
+-- CreateIndex
+CREATE INDEX "ventas_diarias_producto_id_fecha_idx" ON "ventas_diarias"("producto_id", "fecha");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ventas_diarias_producto_id_fecha_doc_type_key" ON "ventas_diarias"("producto_id", "fecha", "doc_type");
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "documentos_sincronizados" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "doc_type" TEXT NOT NULL,
+    "docnumreg" TEXT NOT NULL,
+    "folio" TEXT,
+    "fecha" TEXT NOT NULL,
+    "lineas" INTEGER NOT NULL DEFAULT 0,
+    "cantidad" REAL NOT NULL DEFAULT 0,
+    "monto_neto" REAL NOT NULL DEFAULT 0,
+    "hash" TEXT NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "documentos_sincronizados_fecha_idx" ON "documentos_sincronizados"("fecha");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "documentos_sincronizados_doc_type_docnumreg_key" ON "documentos_sincronizados"("doc_type", "docnumreg");
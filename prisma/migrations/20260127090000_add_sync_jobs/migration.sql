@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "sync_jobs" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "tipo" TEXT NOT NULL,
+    "estado" TEXT NOT NULL DEFAULT 'pendiente',
+    "parametros" TEXT,
+    "origen" TEXT NOT NULL DEFAULT 'manual',
+    "resultado" TEXT,
+    "error" TEXT,
+    "cancelacion_solicitada" BOOLEAN NOT NULL DEFAULT false,
+    "reintento_de_id" INTEGER,
+    "iniciado_at" DATETIME,
+    "finalizado_at" DATETIME,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "sync_job_eventos" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "job_id" INTEGER NOT NULL,
+    "step" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "sync_job_eventos_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "sync_jobs" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "sync_jobs_estado_idx" ON "sync_jobs"("estado");
+
+-- CreateIndex
+CREATE INDEX "sync_jobs_created_at_idx" ON "sync_jobs"("created_at");
+
+-- CreateIndex
+CREATE INDEX "sync_job_eventos_job_id_idx" ON "sync_job_eventos"("job_id");
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "stock_diario" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "producto_id" INTEGER NOT NULL,
+    "fecha" TEXT NOT NULL,
+    "ano" INTEGER NOT NULL,
+    "mes" INTEGER NOT NULL,
+    "stock" REAL NOT NULL DEFAULT 0,
+    "stock_minimo" REAL NOT NULL DEFAULT 0,
+    "lecturas" INTEGER NOT NULL DEFAULT 1,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL,
+    CONSTRAINT "stock_diario_producto_id_fkey" FOREIGN KEY ("producto_id") REFERENCES "productos" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "stock_diario_fecha_idx" ON "stock_diario"("fecha");
+
+-- CreateIndex
+CREATE INDEX "stock_diario_ano_mes_idx" ON "stock_diario"("ano", "mes");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_diario_producto_id_fecha_key" ON "stock_diario"("producto_id", "fecha");
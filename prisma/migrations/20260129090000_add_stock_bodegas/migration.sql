@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "stock_bodegas" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "producto_id" INTEGER NOT NULL,
+    "bodega" TEXT NOT NULL,
+    "saldo" REAL NOT NULL DEFAULT 0,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL,
+    CONSTRAINT "stock_bodegas_producto_id_fkey" FOREIGN KEY ("producto_id") REFERENCES "productos" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "stock_bodegas_bodega_idx" ON "stock_bodegas"("bodega");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_bodegas_producto_id_bodega_key" ON "stock_bodegas"("producto_id", "bodega");
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "usuarios" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "username" TEXT NOT NULL,
+    "nombre" TEXT NOT NULL DEFAULT '',
+    "password_hash" TEXT NOT NULL,
+    "rol" TEXT NOT NULL DEFAULT 'viewer',
+    "activo" BOOLEAN NOT NULL DEFAULT true,
+    "ultimo_acceso" DATETIME,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "usuarios_username_key" ON "usuarios"("username");
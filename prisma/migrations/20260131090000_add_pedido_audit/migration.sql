@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "pedido_audit" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "producto_id" INTEGER NOT NULL,
+    "sku" TEXT NOT NULL,
+    "ano" INTEGER NOT NULL,
+    "mes" INTEGER NOT NULL,
+    "orden_id" INTEGER,
+    "cantidad_anterior" REAL,
+    "cantidad_nueva" REAL NOT NULL,
+    "accion" TEXT NOT NULL,
+    "usuario_id" INTEGER,
+    "usuario" TEXT NOT NULL,
+    "origen" TEXT NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "pedido_audit_producto_id_ano_mes_idx" ON "pedido_audit"("producto_id", "ano", "mes");
+
+-- CreateIndex
+CREATE INDEX "pedido_audit_sku_idx" ON "pedido_audit"("sku");
+
+-- CreateIndex
+CREATE INDEX "pedido_audit_created_at_idx" ON "pedido_audit"("created_at");
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "ordenes_compra" ADD COLUMN "erp_estado" TEXT;
+ALTER TABLE "ordenes_compra" ADD COLUMN "erp_documento" TEXT;
+ALTER TABLE "ordenes_compra" ADD COLUMN "erp_intentos" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "ordenes_compra" ADD COLUMN "erp_error" TEXT;
+ALTER TABLE "ordenes_compra" ADD COLUMN "erp_primer_intento" DATETIME;
+ALTER TABLE "ordenes_compra" ADD COLUMN "fecha_erp" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "ordenes_compra_erp_estado_idx" ON "ordenes_compra"("erp_estado");
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "productos" ADD COLUMN "clase_abc" TEXT;
+ALTER TABLE "productos" ADD COLUMN "clase_xyz" TEXT;
+ALTER TABLE "productos" ADD COLUMN "coeficiente_variacion" REAL;
+ALTER TABLE "productos" ADD COLUMN "fecha_clasificacion" DATETIME;
+
+-- AlterTable
+ALTER TABLE "parametros_reposicion" ADD COLUMN "clase" TEXT;
+
+-- CreateIndex
+CREATE INDEX "productos_clase_abc_clase_xyz_idx" ON "productos"("clase_abc", "clase_xyz");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "parametros_reposicion_clase_key" ON "parametros_reposicion"("clase");
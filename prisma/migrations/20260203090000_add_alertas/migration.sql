@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "alerta_reglas" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "nombre" TEXT NOT NULL,
+    "tipo" TEXT NOT NULL,
+    "activa" BOOLEAN NOT NULL DEFAULT true,
+    "parametros" TEXT,
+    "canales" TEXT NOT NULL,
+    "dedup_minutos" INTEGER NOT NULL DEFAULT 60,
+    "silencio_desde" TEXT,
+    "silencio_hasta" TEXT,
+    "estado" TEXT,
+    "created_by" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "alertas" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "regla_id" INTEGER NOT NULL,
+    "clave" TEXT NOT NULL,
+    "titulo" TEXT NOT NULL,
+    "mensaje" TEXT NOT NULL,
+    "datos" TEXT,
+    "estado" TEXT NOT NULL DEFAULT 'pendiente',
+    "intentos" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "enviada_at" DATETIME,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "alertas_regla_id_fkey" FOREIGN KEY ("regla_id") REFERENCES "alerta_reglas" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "alerta_reglas_tipo_idx" ON "alerta_reglas"("tipo");
+
+-- CreateIndex
+CREATE INDEX "alertas_regla_id_clave_created_at_idx" ON "alertas"("regla_id", "clave", "created_at");
+
+-- CreateIndex
+CREATE INDEX "alertas_estado_idx" ON "alertas"("estado");
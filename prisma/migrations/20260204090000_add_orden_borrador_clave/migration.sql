@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "ordenes_compra" ADD COLUMN "borrador_clave" TEXT;
+
+-- Borradores existentes: la clave queda en el más antiguo de cada mes y proveedor
+UPDATE "ordenes_compra"
+SET "borrador_clave" = "ano" || '-' || "mes" || '-' || IFNULL("proveedor_id", 'sin')
+WHERE "estado" = 'borrador'
+  AND "id" = (
+    SELECT MIN(o."id") FROM "ordenes_compra" o
+    WHERE o."estado" = 'borrador'
+      AND o."ano" = "ordenes_compra"."ano"
+      AND o."mes" = "ordenes_compra"."mes"
+      AND IFNULL(o."proveedor_id", 0) = IFNULL("ordenes_compra"."proveedor_id", 0)
+  );
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ordenes_compra_borrador_clave_key" ON "ordenes_compra"("borrador_clave");
@@ -0,0 +1,3 @@
+-- Sincronizaciones diarias registradas como ventas_actuales: pasan a su propio tipo para que
+-- HEALTH_SYNC_MAX_HORAS y las reglas sync_atrasada no cuenten la sincronización manual del dashboard
+UPDATE "sync_logs" SET "tipo" = 'diaria' WHERE "tipo" = 'ventas_actuales' AND "mensaje" = 'Sincronización diaria';
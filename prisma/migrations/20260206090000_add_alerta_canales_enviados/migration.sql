@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "alertas" ADD COLUMN "canales_enviados" TEXT;
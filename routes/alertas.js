@@ -0,0 +1,43 @@
+/**
+ * Rutas para reglas de alerta (webhook y correo) y su historial
+ */
+
+const express = require('express');
+const router = express.Router();
+const { soloAdmin } = require('../middleware/auth');
+const {
+    getReglas,
+    getReglaPorId,
+    createRegla,
+    updateRegla,
+    deleteRegla,
+    testRegla,
+    getAlertas,
+    evaluar
+} = require('../controllers/alertasController');
+
+// GET /api/alertas?reglaId=1&estado=error&limit=50 - Alertas recientes
+router.get('/', getAlertas);
+
+// POST /api/alertas/evaluar - Evaluar ahora las reglas de condición
+router.post('/evaluar', soloAdmin, evaluar);
+
+// GET /api/alertas/reglas - Solo admin: los canales traen URLs y headers de webhooks (tokens)
+router.get('/reglas', soloAdmin, getReglas);
+
+// POST /api/alertas/reglas - Body: { nombre, tipo, parametros, canales, dedupMinutos?, silencioDesde?, silencioHasta? }
+router.post('/reglas', soloAdmin, createRegla);
+
+// GET /api/alertas/reglas/:id
+router.get('/reglas/:id', soloAdmin, getReglaPorId);
+
+// PATCH /api/alertas/reglas/:id
+router.patch('/reglas/:id', soloAdmin, updateRegla);
+
+// DELETE /api/alertas/reglas/:id
+router.delete('/reglas/:id', soloAdmin, deleteRegla);
+
+// POST /api/alertas/reglas/:id/probar - Enviar una alerta de prueba
+router.post('/reglas/:id/probar', soloAdmin, testRegla);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+/**
+ * Rutas de sesión
+ */
+
+const express = require('express');
+const router = express.Router();
+const { autenticar } = require('../middleware/auth');
+const { postLogin, getMe, putPassword } = require('../controllers/authController');
+
+// POST /api/auth/login - { username, password } → { token, expiraAt, usuario }
+router.post('/login', postLogin);
+
+// GET /api/auth/me - Usuario de la sesión
+router.get('/me', autenticar, getMe);
+
+// PUT /api/auth/password - Cambiar la contraseña propia { actual, nueva }
+router.put('/password', autenticar, putPassword);
+
+module.exports = router;
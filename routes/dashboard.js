@@ -4,26 +4,33 @@
 
 const express = require('express');
 const router = express.Router();
+const { soloBuyer, soloAdmin } = require('../middleware/auth');
 const {
     getDashboard,
+    getBacktest,
     saveOrden,
     resetOrdenes,
     getSyncStatus,
     getSyncHistory,
+    resyncVentas,
     syncStream
 } = require('../controllers/dashboardController');
 
-// GET /api/dashboard?meses=3|6|12&marca=KC
+// GET /api/dashboard?meses=3|6|12&marca=KC&proveedor=1&metodo=holt_winters&clase=A,BX
+//     &q=wypall&estado=critical,warning&ocultarCero=true&sort=-compraSugerida&page=1&pageSize=100
 router.get('/', getDashboard);
 
+// GET /api/dashboard/pronostico/backtest?meses=3 - Error de cada método de pronóstico
+router.get('/pronostico/backtest', getBacktest);
+
 // POST /api/dashboard/orden
-router.post('/orden', saveOrden);
+router.post('/orden', soloBuyer, saveOrden);
 
 // DELETE /api/dashboard/orden/reset - Resetear todas las órdenes del mes
-router.delete('/orden/reset', resetOrdenes);
+router.delete('/orden/reset', soloAdmin, resetOrdenes);
 
 // GET /api/dashboard/sync-stream - Stream SSE para sincronización
-router.get('/sync-stream', syncStream);
+router.get('/sync-stream', soloBuyer, syncStream);
 
 // GET /api/dashboard/sync-status
 router.get('/sync-status', getSyncStatus);
@@ -31,4 +38,7 @@ router.get('/sync-status', getSyncStatus);
 // GET /api/dashboard/sync-history - Historial de sincronizaciones
 router.get('/sync-history', getSyncHistory);
 
+// POST /api/dashboard/resync - Re-sincronizar ventas de un rango { desde, hasta, force }
+router.post('/resync', soloBuyer, resyncVentas);
+
 module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * Rutas de salud (sin sesión: las consultan Docker y el monitoreo)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getHealthLive, getHealthReady } = require('../controllers/healthController');
+
+// GET /health - igual que /health/live (compatibilidad)
+router.get('/', getHealthLive);
+
+// GET /health/live
+router.get('/live', getHealthLive);
+
+// GET /health/ready - 503 si algún chequeo falla
+router.get('/ready', getHealthReady);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+/**
+ * Rutas para consultar los logs del servidor (solo admin)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { soloAdmin } = require('../middleware/auth');
+const { getLogs } = require('../controllers/logsController');
+
+router.use(soloAdmin);
+
+// GET /api/logs?nivel=warn&q=Manager&jobId=12&requestId=...&desde=2026-01-01T00:00:00Z&hasta=...&limit=200
+router.get('/', getLogs);
+
+module.exports = router;
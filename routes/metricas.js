@@ -0,0 +1,15 @@
+/**
+ * Ruta de métricas para Prometheus (fuera de /api: la consulta el scraper, no el frontend)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { autenticarMetricas } = require('../middleware/auth');
+const { getMetricas } = require('../controllers/metricasController');
+
+router.use(autenticarMetricas);
+
+// GET /metrics - Authorization: Bearer <METRICS_TOKEN> si está configurado
+router.get('/', getMetricas);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * Rutas para endpoints de órdenes de compra
+ */
+
+const express = require('express');
+const router = express.Router();
+const { soloBuyer } = require('../middleware/auth');
+const {
+    getOrdenes,
+    getBorrador,
+    getOrdenPorId,
+    createOrden,
+    updateOrden,
+    upsertLinea,
+    dividirOrden,
+    updateEstado,
+    enviarErp,
+    recibirOrden,
+    deleteOrden
+} = require('../controllers/ordenesController');
+
+// GET /api/ordenes?estado=borrador&ano=2026&mes=1&proveedor=3
+router.get('/', getOrdenes);
+
+// GET /api/ordenes/borrador?proveedor=3 - Orden en borrador del mes actual (se crea si no existe)
+router.get('/borrador', getBorrador);
+
+// GET /api/ordenes/:id
+router.get('/:id', getOrdenPorId);
+
+// POST /api/ordenes
+router.post('/', soloBuyer, createOrden);
+
+// PATCH /api/ordenes/:id - Cabecera (proveedor, notas)
+router.patch('/:id', soloBuyer, updateOrden);
+
+// PUT /api/ordenes/:id/lineas/:productoId
+router.put('/:id/lineas/:productoId', soloBuyer, upsertLinea);
+
+// POST /api/ordenes/:id/dividir - Repartir líneas en borradores por proveedor principal
+router.post('/:id/dividir', soloBuyer, dividirOrden);
+
+// POST /api/ordenes/:id/estado - Transición de estado
+router.post('/:id/estado', soloBuyer, updateEstado);
+
+// POST /api/ordenes/:id/erp - Crear la orden en Manager+ (idempotente)
+router.post('/:id/erp', soloBuyer, enviarErp);
+
+// POST /api/ordenes/:id/recepcion - Registrar mercadería recibida
+router.post('/:id/recepcion', soloBuyer, recibirOrden);
+
+// DELETE /api/ordenes/:id
+router.delete('/:id', soloBuyer, deleteOrden);
+
+module.exports = router;
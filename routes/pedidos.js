@@ -4,27 +4,47 @@
 
 const express = require('express');
 const router = express.Router();
+const { soloBuyer } = require('../middleware/auth');
 const {
     getPedidos,
+    getAuditoria,
+    exportPedidos,
+    previewImport,
+    importPedidos,
     getPedidosPorProducto,
     upsertPedido,
     deletePedido,
     upsertPedidoActual
 } = require('../controllers/pedidosController');
 
+// Archivos de importación (CSV/XLSX) como cuerpo binario
+const archivoImportacion = express.raw({ type: () => true, limit: '10mb' });
+
 // GET /api/pedidos?productoId=1&ano=2026&mes=1&marca=KC
 router.get('/', getPedidos);
 
+// GET /api/pedidos/auditoria?sku=KC-123&ano=2026&mes=1&usuario=ana&desde=2026-01-01&hasta=2026-01-31
+router.get('/auditoria', getAuditoria);
+
+// GET /api/pedidos/export?ano=2026&mes=1&marca=KC&formato=xlsx|csv|pdf&agrupar=marca|proveedor&costos=true
+router.get('/export', exportPedidos);
+
+// POST /api/pedidos/import/preview?nombre=compras.xlsx&ano=2026&mes=1 (body: archivo)
+router.post('/import/preview', soloBuyer, archivoImportacion, previewImport);
+
+// POST /api/pedidos/import?nombre=compras.xlsx&ano=2026&mes=1&omitirErrores=true (body: archivo)
+router.post('/import', soloBuyer, archivoImportacion, importPedidos);
+
 // GET /api/pedidos/:productoId
 router.get('/:productoId', getPedidosPorProducto);
 
 // PUT /api/pedidos/:productoId/actual
-router.put('/:productoId/actual', upsertPedidoActual);
+router.put('/:productoId/actual', soloBuyer, upsertPedidoActual);
 
 // PUT /api/pedidos/:productoId
-router.put('/:productoId', upsertPedido);
+router.put('/:productoId', soloBuyer, upsertPedido);
 
 // DELETE /api/pedidos/:productoId/:ano/:mes
-router.delete('/:productoId/:ano/:mes', deletePedido);
+router.delete('/:productoId/:ano/:mes', soloBuyer, deletePedido);
 
 module.exports = router;
@@ -4,10 +4,14 @@
 
 const express = require('express');
 const router = express.Router();
+const { soloAdmin } = require('../middleware/auth');
 const {
     getVentasHistoricas,
     getVentasActuales,
-    getProductosCompleto
+    getProductosCompleto,
+    getVentasDiarias,
+    getClasificacion,
+    recalcularClasificacion
 } = require('../controllers/productosController');
 
 // GET /api/productos/ventas-historicas?meses=12&marca=KC
@@ -19,4 +23,13 @@ router.get('/ventas-actuales', getVentasActuales);
 // GET /api/productos/completo?meses=12&marca=KC
 router.get('/completo', getProductosCompleto);
 
+// GET /api/productos/clasificacion - Productos por clase ABC/XYZ
+router.get('/clasificacion', getClasificacion);
+
+// POST /api/productos/clasificacion - Recalcular la clasificación ABC/XYZ
+router.post('/clasificacion', soloAdmin, recalcularClasificacion);
+
+// GET /api/productos/:productoId/ventas-diarias?desde=2026-01-01&hasta=2026-01-31
+router.get('/:productoId/ventas-diarias', getVentasDiarias);
+
 module.exports = router;
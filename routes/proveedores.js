@@ -0,0 +1,43 @@
+/**
+ * Rutas para endpoints de proveedores
+ */
+
+const express = require('express');
+const router = express.Router();
+const { soloBuyer, soloAdmin } = require('../middleware/auth');
+const {
+    getProveedores,
+    getProveedorPorId,
+    createProveedor,
+    updateProveedor,
+    deleteProveedor,
+    upsertProductoProveedor,
+    asignarPorPrefijo,
+    deleteProductoProveedor
+} = require('../controllers/proveedoresController');
+
+// GET /api/proveedores?inactivos=true
+router.get('/', getProveedores);
+
+// GET /api/proveedores/:id - Incluye productos asociados
+router.get('/:id', getProveedorPorId);
+
+// POST /api/proveedores
+router.post('/', soloBuyer, createProveedor);
+
+// PUT /api/proveedores/:id
+router.put('/:id', soloBuyer, updateProveedor);
+
+// DELETE /api/proveedores/:id
+router.delete('/:id', soloAdmin, deleteProveedor);
+
+// POST /api/proveedores/:id/productos/prefijo - Asociar productos por prefijo SKU
+router.post('/:id/productos/prefijo', soloBuyer, asignarPorPrefijo);
+
+// PUT /api/proveedores/:id/productos/:productoId
+router.put('/:id/productos/:productoId', soloBuyer, upsertProductoProveedor);
+
+// DELETE /api/proveedores/:id/productos/:productoId
+router.delete('/:id/productos/:productoId', soloBuyer, deleteProductoProveedor);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+/**
+ * Rutas para parámetros de reposición
+ */
+
+const express = require('express');
+const router = express.Router();
+const { soloAdmin } = require('../middleware/auth');
+const {
+    getParametros,
+    upsertParametro,
+    deleteParametro
+} = require('../controllers/reposicionController');
+
+// GET /api/reposicion/parametros
+router.get('/parametros', getParametros);
+
+// PUT /api/reposicion/parametros - Body con productoId, familia o clase (A, X, AX...)
+router.put('/parametros', soloAdmin, upsertParametro);
+
+// DELETE /api/reposicion/parametros/:id
+router.delete('/parametros/:id', soloAdmin, deleteParametro);
+
+module.exports = router;
@@ -6,15 +6,18 @@ const express = require('express');
 const router = express.Router();
 const {
     ejecutarRotacionCompleta,
-    necesitaRotacion
+    necesitaRotacion,
+    limpiarDatosAntiguos,
+    previsualizarLimpieza
 } = require('../services/rotacionService');
 const { logInfo } = require('../utils/logger');
+const { soloAdmin } = require('../middleware/auth');
 
 /**
  * POST /api/rotacion/ejecutar
  * Ejecutar rotación manual de datos (mover mes actual a histórico y limpiar datos antiguos)
  */
-router.post('/ejecutar', async (req, res) => {
+router.post('/ejecutar', soloAdmin, async (req, res) => {
     try {
         logInfo('Rotación manual iniciada desde API');
         const resultado = await ejecutarRotacionCompleta();
@@ -48,4 +51,40 @@ router.get('/verificar', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/rotacion/limpieza
+ * Dry-run: qué datos eliminaría la limpieza con la retención configurada
+ */
+router.get('/limpieza', async (req, res) => {
+    try {
+        const preview = await previsualizarLimpieza();
+        res.json(preview);
+    } catch (error) {
+        res.status(500).json({
+            error: 'Error al previsualizar limpieza',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/rotacion/limpieza
+ * Ejecutar solo la limpieza de datos antiguos (archivando según la configuración)
+ */
+router.post('/limpieza', soloAdmin, async (req, res) => {
+    try {
+        logInfo('Limpieza manual iniciada desde API');
+        const resultado = await limpiarDatosAntiguos();
+        res.json({
+            message: 'Limpieza ejecutada exitosamente',
+            resultado
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Error al ejecutar limpieza',
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
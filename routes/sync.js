@@ -0,0 +1,39 @@
+/**
+ * Rutas para los jobs de sincronización
+ */
+
+const express = require('express');
+const router = express.Router();
+const { soloBuyer } = require('../middleware/auth');
+const {
+    createJob,
+    getJobs,
+    getJobPorId,
+    streamJob,
+    cancelJob,
+    retryJob,
+    getErpMetricas
+} = require('../controllers/syncController');
+
+// GET /api/sync/jobs?limit=50&estado=error
+router.get('/jobs', getJobs);
+
+// POST /api/sync/jobs - Encolar una sincronización { tipo, parametros }
+router.post('/jobs', soloBuyer, createJob);
+
+// GET /api/sync/jobs/:id - Job con sus eventos
+router.get('/jobs/:id', getJobPorId);
+
+// GET /api/sync/jobs/:id/stream - Stream SSE del progreso
+router.get('/jobs/:id/stream', streamJob);
+
+// POST /api/sync/jobs/:id/cancel
+router.post('/jobs/:id/cancel', soloBuyer, cancelJob);
+
+// POST /api/sync/jobs/:id/retry
+router.post('/jobs/:id/retry', soloBuyer, retryJob);
+
+// GET /api/sync/erp - Limitador y métricas por endpoint del cliente de Manager+
+router.get('/erp', getErpMetricas);
+
+module.exports = router;
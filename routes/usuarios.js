@@ -0,0 +1,29 @@
+/**
+ * Rutas de administración de usuarios (solo admin)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { soloAdmin } = require('../middleware/auth');
+const {
+    getUsuarios,
+    createUsuario,
+    updateUsuario,
+    deleteUsuario
+} = require('../controllers/authController');
+
+router.use(soloAdmin);
+
+// GET /api/usuarios
+router.get('/', getUsuarios);
+
+// POST /api/usuarios - { username, password, nombre, rol }
+router.post('/', createUsuario);
+
+// PATCH /api/usuarios/:id - { nombre, rol, activo, password }
+router.patch('/:id', updateUsuario);
+
+// DELETE /api/usuarios/:id
+router.delete('/:id', deleteUsuario);
+
+module.exports = router;
@@ -6,7 +6,7 @@
 require('dotenv').config();
 const Database = require('better-sqlite3');
 const { getPrismaClient } = require('../prisma/client');
-const { getMesActual } = require('../services/rotacionService');
+const { getMesActual } = require('../utils/periodo');
 const { logInfo, logSuccess, logError, logWarning } = require('../utils/logger');
 const path = require('path');
 
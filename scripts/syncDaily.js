@@ -4,15 +4,30 @@
  * Diseñado para ejecutarse vía CRON a la 1 AM todos los días
  * Sincroniza SOLO los documentos del día anterior para eficiencia
  * 
+ * Cada documento sincronizado queda en un registro (tipo + docnumreg): volver a sincronizar
+ * un día sin cambios en el ERP no escribe nada, y un rango se puede re-sincronizar con
+ * `node scripts/syncDaily.js range <desde> <hasta>` para corregir documentos modificados o anulados.
+ *
  * Uso: node scripts/syncDaily.js
  * Cron: 0 1 * * * cd /path/to/project && node scripts/syncDaily.js
  */
 
 require('dotenv').config();
-const { format, subDays, getYear, getMonth, startOfMonth, endOfMonth, eachDayOfInterval } = require('date-fns');
+const { format, subDays, getYear, getMonth, startOfMonth, endOfMonth, addMonths, parseISO, isValid } = require('date-fns');
 const { getPrismaClient } = require('../prisma/client');
 const { logSection, logSuccess, logError, logWarning, logInfo } = require('../utils/logger');
-const { getDailySales, getMonthlySales, getCurrentStock, getAllProducts } = require('../services/salesService');
+const { getAllSales, getDocumentDate, aggregateSalesByDay, getCurrentStock, getAllProducts } = require('../services/salesService');
+const { TIMEOUT_TRANSACCION, reemplazarVentasDiarias, getTotalesMes } = require('../services/ventaDiariaService');
+const {
+    getClaveDocumento,
+    compararDocumentos,
+    requiereProceso,
+    registrarDocumentos,
+    formatDocumento
+} = require('../services/documentoSincronizadoService');
+const { registrarFotoStock } = require('../services/stockDiarioService');
+const { registrarStockBodegas } = require('../services/stockBodegaService');
+const { httpError } = require('../utils/httpError');
 
 const prisma = getPrismaClient();
 
@@ -63,60 +78,274 @@ async function syncNewProducts() {
 }
 
 /**
- * Sincronizar ventas de un día específico
+ * Convertir ventas diarias por SKU en filas por productoId (crea los productos que no existan)
+ * Descarta las filas con fecha fuera del rango sincronizado.
  */
-async function syncDaySales(date) {
-    const year = getYear(date);
-    const month = getMonth(date) + 1;
-    const dateStr = format(date, 'yyyy-MM-dd');
-
-    logInfo(`Sincronizando ventas del ${dateStr}...`);
-
-    try {
-        const { sales, documentsCount } = await getDailySales(date);
-
-        if (sales.size === 0) {
-            logWarning(`  Sin ventas para ${dateStr}`);
-            return { processed: 0, updated: 0 };
+async function toFilasDiarias(dailySales, desde, hasta) {
+    const productos = new Map();
+    const filas = [];
+    let fueraDeRango = 0;
+
+    for (const venta of dailySales) {
+        if (venta.fecha < desde || venta.fecha > hasta) {
+            fueraDeRango++;
+            continue;
         }
 
-        let updated = 0;
-
-        for (const [sku, data] of sales) {
-            // Buscar el producto
-            const producto = await prisma.producto.findUnique({
-                where: { sku }
+        if (!productos.has(venta.sku)) {
+            let producto = await prisma.producto.findUnique({
+                where: { sku: venta.sku }
             });
 
             if (!producto) {
                 // Crear producto si no existe
-                const newProduct = await prisma.producto.create({
-                    data: { sku, descripcion: 'Producto nuevo (auto-creado)', familia: '' }
+                producto = await prisma.producto.create({
+                    data: { sku: venta.sku, descripcion: 'Producto nuevo (auto-creado)', familia: '' }
                 });
-                await upsertMonthlySale(newProduct.id, year, month, data.cantidad, data.montoNeto);
-                updated++;
-                continue;
             }
+            productos.set(venta.sku, producto.id);
+        }
 
-            // Actualizar venta mensual (acumular)
-            await upsertMonthlySale(producto.id, year, month, data.cantidad, data.montoNeto, true);
-            updated++;
+        filas.push({ productoId: productos.get(venta.sku), ...venta });
+    }
+
+    if (fueraDeRango > 0) {
+        logWarning(`  ${fueraDeRango} ventas con fecha fuera de ${desde}..${hasta} descartadas`);
+    }
+
+    return filas;
+}
+
+/**
+ * Dividir un rango de fechas en tramos de un mes como máximo
+ */
+function dividirPorMes(inicio, fin) {
+    const tramos = [];
+    let desde = inicio;
+
+    while (desde <= fin) {
+        const hasta = endOfMonth(desde) < fin ? endOfMonth(desde) : fin;
+        tramos.push({
+            inicio: desde,
+            fin: hasta,
+            desde: format(desde, 'yyyy-MM-dd'),
+            hasta: format(hasta, 'yyyy-MM-dd')
+        });
+        desde = startOfMonth(addMonths(desde, 1));
+    }
+
+    return tramos;
+}
+
+/**
+ * Traer del ERP los documentos de un tramo y compararlos con el registro
+ */
+async function leerTramo(tramo) {
+    const documentos = await getAllSales(tramo.inicio, tramo.fin, { estricto: true });
+
+    // Documentos cuya fecha queda fuera del tramo (el ERP filtra por otra fecha) se dejan a su propio día
+    const enRango = documentos.filter(doc => {
+        const fecha = getDocumentDate(doc) || tramo.desde;
+        return fecha >= tramo.desde && fecha <= tramo.hasta;
+    });
+    if (enRango.length < documentos.length) {
+        logWarning(`  ${documentos.length - enRango.length} documentos con fecha fuera de ${tramo.desde}..${tramo.hasta} descartados`);
+    }
+
+    const comparacion = await compararDocumentos(enRango, tramo.desde, tramo.hasta);
+    return { tramo, enRango, comparacion };
+}
+
+/**
+ * Leer los días fuera del tramo desde los que el ERP movió documentos hacia él
+ * (y, a su vez, los días desde los que se movieron documentos hacia esos)
+ */
+async function leerDiasMovidos(principal) {
+    const lecturas = [];
+    const leidos = new Set();
+    const pendientes = [...principal.comparacion.diasMovidos];
+
+    while (pendientes.length > 0) {
+        const fecha = pendientes.shift();
+        if (leidos.has(fecha) || (fecha >= principal.tramo.desde && fecha <= principal.tramo.hasta)) continue;
+        leidos.add(fecha);
+
+        const dia = parseISO(fecha);
+        const lectura = await leerTramo({ inicio: dia, fin: dia, desde: fecha, hasta: fecha });
+        lecturas.push(lectura);
+        pendientes.push(...lectura.comparacion.diasMovidos);
+    }
+
+    return lecturas;
+}
+
+/**
+ * Sincronizar las ventas de un tramo (dentro de un mismo mes)
+ * Si ningún documento es nuevo, cambió o desapareció respecto al registro, no se escribe nada.
+ * Si hay diferencias, se reemplazan las ventas diarias del tramo, se aplica la diferencia a la
+ * venta mensual y se actualiza el registro de documentos, todo en una transacción.
+ * Si el ERP movió documentos al tramo desde otros días, esos días se reprocesan en la misma
+ * transacción: si no, sus ventas seguirían contando los documentos movidos.
+ */
+async function syncSalesTramo(tramo, force) {
+    const principal = await leerTramo(tramo);
+    const { comparacion } = principal;
+    const procesado = force || requiereProceso(comparacion);
+    let lecturas = [principal];
+    let diferencias = [];
+
+    if (procesado) {
+        lecturas = [principal, ...await leerDiasMovidos(principal)];
+        for (const lectura of lecturas) {
+            const { desde, hasta } = lectura.tramo;
+            lectura.filas = await toFilasDiarias(aggregateSalesByDay(lectura.enRango, desde), desde, hasta);
+        }
+
+        // Los días movidos primero: su registro suelta los documentos que el tramo vuelve a registrar con la fecha nueva
+        diferencias = await prisma.$transaction(async (tx) => {
+            const aplicadas = [];
+            for (const lectura of [...lecturas].reverse()) {
+                const resultado = await reemplazarVentasDiarias(lectura.tramo.desde, lectura.tramo.hasta, lectura.filas, tx);
+                await registrarDocumentos(tx, lectura.comparacion);
+                aplicadas.push(...resultado.diferencias);
+            }
+            return aplicadas;
+        }, { timeout: TIMEOUT_TRANSACCION });
+    }
+
+    // Un documento movido se informa como modificado (con su fecha anterior), no además como eliminado de su día anterior
+    const comparaciones = lecturas.map(l => l.comparacion);
+    const registradosDeNuevo = new Set(comparaciones.flatMap(c => [...c.nuevos, ...c.modificados])
+        .map(d => getClaveDocumento(d.docType, d.docnumreg)));
+
+    return {
+        desde: tramo.desde,
+        hasta: tramo.hasta,
+        documentos: principal.enRango.length,
+        procesado,
+        nuevos: comparaciones.flatMap(c => c.nuevos).map(formatDocumento),
+        modificados: comparaciones.flatMap(c => c.modificados).map(formatDocumento),
+        eliminados: comparaciones.flatMap(c => c.eliminados)
+            .filter(d => !registradosDeNuevo.has(getClaveDocumento(d.docType, d.docnumreg)))
+            .map(formatDocumento),
+        diasMovidos: lecturas.slice(1).map(l => l.tramo.desde),
+        sinCambios: comparacion.sinCambios,
+        sinClave: comparacion.sinClave,
+        productosActualizados: new Set(diferencias.map(d => d.productoId)).size
+    };
+}
+
+/**
+ * Re-sincronizar exactamente las ventas de un rango de fechas
+ *
+ * @param {string} desde - yyyy-MM-dd (inclusive)
+ * @param {string} hasta - yyyy-MM-dd (inclusive)
+ * @param {object} [opciones]
+ * @param {boolean} [opciones.force=false] - Reprocesar aunque el registro no muestre cambios
+ * @param {Function} [opciones.alProcesarTramo] - async (tramo) antes de cada mes; si lanza error se detiene
+ * @returns {Promise<object>} Reporte con los documentos nuevos, modificados y eliminados
+ */
+async function syncSalesRange(desde, hasta, { force = false, alProcesarTramo = null } = {}) {
+    const inicio = parseISO(desde);
+    const fin = parseISO(hasta);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(desde) || !/^\d{4}-\d{2}-\d{2}$/.test(hasta) || !isValid(inicio) || !isValid(fin)) {
+        throw httpError('Las fechas "desde" y "hasta" deben tener formato yyyy-MM-dd');
+    }
+    if (inicio > fin) {
+        throw httpError('La fecha "desde" no puede ser posterior a "hasta"');
+    }
+
+    logInfo(`Sincronizando ventas del ${desde} al ${hasta}${force ? ' (forzado)' : ''}...`);
+
+    const reporte = {
+        desde,
+        hasta,
+        documentos: 0,
+        productosActualizados: 0,
+        nuevos: [],
+        modificados: [],
+        eliminados: [],
+        sinCambios: 0,
+        sinClave: 0,
+        periodos: []
+    };
+
+    try {
+        for (const tramo of dividirPorMes(inicio, fin)) {
+            if (alProcesarTramo) await alProcesarTramo(tramo);
+
+            const resultado = await syncSalesTramo(tramo, force);
+
+            reporte.documentos += resultado.documentos;
+            reporte.productosActualizados += resultado.productosActualizados;
+            reporte.nuevos.push(...resultado.nuevos);
+            reporte.modificados.push(...resultado.modificados);
+            reporte.eliminados.push(...resultado.eliminados);
+            reporte.sinCambios += resultado.sinCambios;
+            reporte.sinClave += resultado.sinClave;
+            reporte.periodos.push({
+                desde: resultado.desde,
+                hasta: resultado.hasta,
+                documentos: resultado.documentos,
+                procesado: resultado.procesado,
+                diasMovidos: resultado.diasMovidos,
+                productosActualizados: resultado.productosActualizados
+            });
+            if (resultado.diasMovidos.length > 0) {
+                logWarning(`  ${resultado.desde}..${resultado.hasta}: documentos movidos desde ${resultado.diasMovidos.join(', ')} (días reprocesados)`);
+            }
+
+            if (!resultado.procesado) {
+                logInfo(`  ${resultado.desde}..${resultado.hasta}: sin cambios (${resultado.documentos} documentos ya sincronizados)`);
+            }
         }
 
-        logSuccess(`  ${documentsCount} documentos, ${updated} productos actualizados`);
+        logSuccess(`  ${reporte.documentos} documentos: ${reporte.nuevos.length} nuevos, ${reporte.modificados.length} modificados, ${reporte.eliminados.length} eliminados, ${reporte.productosActualizados} productos actualizados`);
+        if (reporte.sinClave > 0) {
+            logWarning(`  ${reporte.sinClave} documentos sin docnumreg (no se pueden registrar)`);
+        }
 
-        return { processed: documentsCount, updated };
+        return reporte;
 
     } catch (error) {
-        logError(`Error sincronizando ${dateStr}: ${error.message}`);
+        logError(`Error sincronizando ${desde}..${hasta}: ${error.message}`);
         throw error;
     }
 }
 
 /**
- * Upsert de venta mensual
+ * Sincronizar ventas de un día específico
+ * Volver a sincronizar el mismo día no duplica ventas: si los documentos no cambiaron no se escribe nada.
  */
-async function upsertMonthlySale(productoId, ano, mes, cantidad, montoNeto, accumulate = false) {
+async function syncDaySales(date) {
+    const dateStr = format(date, 'yyyy-MM-dd');
+    const reporte = await syncSalesRange(dateStr, dateStr);
+
+    return { processed: reporte.documentos, updated: reporte.productosActualizados, reporte };
+}
+
+/**
+ * Campos de venta (neta, bruta y devuelta) a partir de un registro agregado por aggregateSalesByProduct
+ */
+function toVentaFields(data) {
+    return {
+        cantidadVendida: data.cantidad || 0,
+        montoNeto: data.montoNeto || 0,
+        cantidadBruta: data.cantidadBruta || 0,
+        montoBruto: data.montoBruto || 0,
+        cantidadDevuelta: data.cantidadDevuelta || 0,
+        montoDevuelto: data.montoDevuelto || 0
+    };
+}
+
+/**
+ * Upsert de venta mensual (reemplaza los totales del mes)
+ * @param {object} data - Venta agregada { cantidad, montoNeto, cantidadBruta, montoBruto, cantidadDevuelta, montoDevuelto }
+ */
+async function upsertMonthlySale(productoId, ano, mes, data) {
+    const fields = toVentaFields(data);
+
     const existing = await prisma.ventaHistorica.findUnique({
         where: {
             productoId_ano_mes: { productoId, ano, mes }
@@ -124,31 +353,17 @@ async function upsertMonthlySale(productoId, ano, mes, cantidad, montoNeto, accu
     });
 
     if (existing) {
-        if (accumulate) {
-            await prisma.ventaHistorica.update({
-                where: { id: existing.id },
-                data: {
-                    cantidadVendida: existing.cantidadVendida + cantidad,
-                    montoNeto: existing.montoNeto + montoNeto
-                }
-            });
-        } else {
-            await prisma.ventaHistorica.update({
-                where: { id: existing.id },
-                data: {
-                    cantidadVendida: cantidad,
-                    montoNeto: montoNeto
-                }
-            });
-        }
+        await prisma.ventaHistorica.update({
+            where: { id: existing.id },
+            data: fields
+        });
     } else {
         await prisma.ventaHistorica.create({
             data: {
                 productoId,
                 ano,
                 mes,
-                cantidadVendida: cantidad,
-                montoNeto: montoNeto
+                ...fields
             }
         });
     }
@@ -156,39 +371,44 @@ async function upsertMonthlySale(productoId, ano, mes, cantidad, montoNeto, accu
 
 /**
  * Sincronizar mes completo (para inicialización o recálculo)
+ * Reprocesa las ventas diarias del mes (aunque el registro no muestre cambios)
+ * y recalcula la venta mensual desde ellas.
  */
 async function syncFullMonth(year, month) {
     logSection(`SINCRONIZANDO MES COMPLETO: ${month}/${year}`);
 
     try {
-        const { sales, documentsCount } = await getMonthlySales(year, month);
+        const desde = format(new Date(year, month - 1, 1), 'yyyy-MM-dd');
+        const hasta = format(endOfMonth(new Date(year, month - 1, 1)), 'yyyy-MM-dd');
 
-        if (sales.size === 0) {
+        const reporte = await syncSalesRange(desde, hasta, { force: true });
+
+        if (reporte.documentos === 0) {
             logWarning(`Sin ventas para ${month}/${year}`);
-            return { processed: 0, updated: 0 };
         }
 
+        // Reemplazar venta mensual (no acumular) con los totales de las ventas diarias
+        const totales = await getTotalesMes(year, month);
         let updated = 0;
 
-        for (const [sku, data] of sales) {
-            let producto = await prisma.producto.findUnique({
-                where: { sku }
-            });
-
-            if (!producto) {
-                producto = await prisma.producto.create({
-                    data: { sku, descripcion: 'Producto nuevo (auto-creado)', familia: '' }
-                });
-            }
-
-            // Reemplazar venta mensual (no acumular)
-            await upsertMonthlySale(producto.id, year, month, data.cantidad, data.montoNeto, false);
+        for (const [productoId, data] of totales) {
+            await upsertMonthlySale(productoId, year, month, data);
             updated++;
         }
 
-        logSuccess(`${documentsCount} documentos, ${updated} productos actualizados`);
+        // Productos que tenían venta en el mes pero ya no aparecen en el ERP quedan en 0
+        await prisma.ventaHistorica.updateMany({
+            where: {
+                ano: year,
+                mes: month,
+                productoId: { notIn: Array.from(totales.keys()) }
+            },
+            data: toVentaFields({})
+        });
+
+        logSuccess(`${reporte.documentos} documentos, ${updated} productos actualizados`);
 
-        return { processed: documentsCount, updated };
+        return { processed: reporte.documentos, updated, reporte };
 
     } catch (error) {
         logError(`Error sincronizando ${month}/${year}: ${error.message}`);
@@ -240,7 +460,15 @@ async function syncCurrentMonthData(includeToday = false) {
 
         // 2. Obtener stock actual (siempre live)
         logInfo('Obteniendo stock actual...');
-        const stockMap = await getCurrentStock();
+        const { stockMap, bodegasMap } = await getCurrentStock({ porBodega: true });
+
+        // Detalle por bodega (stockMap solo suma las bodegas disponibles)
+        const stockBodegas = await registrarStockBodegas(bodegasMap);
+        logInfo(`Stock por bodega: ${stockBodegas.registros} registros en ${stockBodegas.bodegas} bodegas`);
+
+        // Foto diaria del stock (para detectar días sin stock al calcular la demanda)
+        const fotoStock = await registrarFotoStock(stockMap, formatChileDate(new Date(), 'yyyy-MM-dd'));
+        logInfo(`Foto de stock del ${fotoStock.fecha}: ${fotoStock.sinStock} de ${fotoStock.productos} productos sin stock`);
 
         // 3. Actualizar VentaActual con los datos acumulados hasta ayer
         let updated = 0;
@@ -258,9 +486,8 @@ async function syncCurrentMonthData(includeToday = false) {
             await prisma.ventaActual.create({
                 data: {
                     productoId: producto.id,
-                    cantidadVendida: data.cantidad,
-                    stockActual: stockActual,
-                    montoNeto: data.montoNeto
+                    ...toVentaFields(data),
+                    stockActual: stockActual
                 }
             });
             updated++;
@@ -384,6 +611,17 @@ async function main() {
             await syncFullMonth(year, month);
             break;
 
+        case 'range': {
+            const [desde, hasta = desde] = args.slice(1).filter(a => !a.startsWith('--'));
+            const reporte = await syncSalesRange(desde, hasta, { force: args.includes('--force') });
+            for (const tipo of ['nuevos', 'modificados', 'eliminados']) {
+                for (const doc of reporte[tipo]) {
+                    console.log(`  [${tipo}] ${doc.fecha} ${doc.docType} ${doc.docnumreg} (folio ${doc.folio || '-'}): ${doc.cantidad} u.`);
+                }
+            }
+            break;
+        }
+
         case 'current':
             await syncCurrentMonthData();
             break;
@@ -400,6 +638,9 @@ Comandos:
   daily, yesterday  - Sincroniza el día anterior (defecto, para CRON)
   init, initial [N] - Sincronización inicial de N meses (defecto: 12)
   month [año] [mes] - Sincronizar un mes específico
+  range <desde> [hasta] [--force]
+                    - Re-sincronizar un rango (yyyy-MM-dd) e informar documentos
+                      nuevos, modificados y eliminados
   current           - Sincronizar solo datos del mes actual
   products          - Sincronizar solo productos
             `);
@@ -419,6 +660,7 @@ module.exports = {
     syncYesterday,
     syncInitial,
     syncFullMonth,
+    syncSalesRange,
     syncCurrentMonthData,
     syncNewProducts,
     syncDaySales
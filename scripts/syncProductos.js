@@ -6,8 +6,7 @@
  */
 
 require('dotenv').config();
-const axios = require('axios');
-const { getAuthHeaders } = require('../utils/auth');
+const { erpGet } = require('../utils/erpClient');
 const { getDatabase, closeDatabase } = require('../utils/database');
 const { logSection, logSuccess, logError, logWarning, logInfo, logProgress } = require('../utils/logger');
 
@@ -21,12 +20,11 @@ async function getAllProducts() {
     try {
         logInfo('Obteniendo productos de Manager+...');
         
-        const headers = await getAuthHeaders();
-        const url = `${ERP_BASE_URL}/products/${RUT_EMPRESA}?con_stock=S&con_listaprecios=S&pic=1`;
+        const params = { con_stock: 'S', con_listaprecios: 'S', pic: '1' };
         
-        logInfo(`URL: ${url}`);
+        logInfo(`URL: ${ERP_BASE_URL}/products/${RUT_EMPRESA}?${new URLSearchParams(params)}`);
         
-        const response = await axios.get(url, { headers });
+        const response = await erpGet(`/products/${RUT_EMPRESA}`, { params });
         
         const products = response.data.data || response.data || [];
         
@@ -0,0 +1,60 @@
+/**
+ * Administración de usuarios desde la terminal
+ *
+ * Útil para crear el primer administrador o recuperar el acceso sin pasar por la API.
+ */
+
+require('dotenv').config();
+const { getPrismaClient } = require('../prisma/client');
+const { logSuccess, logError } = require('../utils/logger');
+const { ROLES, listarUsuarios, crearUsuario, actualizarUsuario } = require('../services/authService');
+
+const prisma = getPrismaClient();
+
+async function main() {
+    const args = process.argv.slice(2);
+    const comando = args[0];
+
+    switch (comando) {
+        case 'crear': {
+            const [username, password, rol = ROLES.VIEWER, ...nombre] = args.slice(1);
+            const usuario = await crearUsuario({ username, password, rol, nombre: nombre.join(' ') });
+            logSuccess(`Usuario creado: ${usuario.username} (${usuario.rol})`);
+            break;
+        }
+
+        case 'password': {
+            const [username, password] = args.slice(1);
+            const usuario = await prisma.usuario.findUnique({ where: { username: (username || '').toLowerCase() } });
+            if (!usuario) throw new Error(`Usuario "${username}" no encontrado`);
+            await actualizarUsuario(usuario.id, { password, activo: true });
+            logSuccess(`Contraseña de ${usuario.username} actualizada`);
+            break;
+        }
+
+        case 'listar':
+            for (const u of await listarUsuarios()) {
+                console.log(`  ${u.username.padEnd(20)} ${u.rol.padEnd(8)} ${u.activo ? 'activo' : 'inactivo'}  ${u.nombre}`);
+            }
+            break;
+
+        default:
+            console.log(`
+Uso: node scripts/usuarios.js [comando]
+
+Comandos:
+  crear <usuario> <contraseña> [viewer|buyer|admin] [nombre]
+                    - Crear un usuario (rol por defecto: viewer)
+  password <usuario> <contraseña>
+                    - Cambiar la contraseña (y reactivar el usuario)
+  listar            - Listar usuarios
+            `);
+    }
+
+    await prisma.$disconnect();
+}
+
+main().catch(error => {
+    logError(`Error: ${error.message}`);
+    process.exit(1);
+});
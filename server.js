@@ -7,44 +7,84 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const cron = require('node-cron');
-const { logInfo, logSuccess, logError } = require('./utils/logger');
+const crypto = require('crypto');
+const { logInfo, logSuccess, logError, logDebug, crearLogger, conContexto } = require('./utils/logger');
 const { necesitaRotacion, ejecutarRotacionCompleta } = require('./services/rotacionService');
-const { syncYesterday } = require('./scripts/syncDaily');
+const { TIPOS: TIPOS_JOB, encolarJob, recuperarJobsInterrumpidos } = require('./services/syncJobService');
+const { asegurarAdminInicial } = require('./services/authService');
+const { iniciarVentasEnVivo } = require('./services/ventasEnVivoService');
+const { TIPOS_REGLA, notificar, iniciarAlertas } = require('./services/alertaService');
+const { autenticar, urlSinToken } = require('./middleware/auth');
+const { medirRequest } = require('./middleware/metricas');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const isProduction = process.env.NODE_ENV === 'production';
 
 // Middlewares
-app.use(cors());
+// Content-Disposition expuesto para leer el nombre de los archivos exportados desde el cliente
+app.use(cors({ exposedHeaders: ['Content-Disposition', 'X-Request-Id', 'X-Export-Lineas'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(medirRequest);
 
-// Middleware de logging desactivado para reducir ruido en consola
-// Descomentar para debug:
-// app.use((req, res, next) => {
-//     logInfo(`${req.method} ${req.path}`);
-//     next();
-// });
+// ID de request: se toma de X-Request-Id (si viene de un proxy) o se genera, se devuelve en la
+// respuesta y acompaña a todo lo que se registre mientras se atiende (req.log o logInfo/logError)
+app.use((req, res, next) => {
+    const requestId = (req.get('X-Request-Id') || '').slice(0, 100) || crypto.randomUUID();
+    const inicio = Date.now();
+
+    req.id = requestId;
+    req.log = crearLogger({ requestId });
+    res.set('X-Request-Id', requestId);
+
+    // Una línea por request solo con LOG_LEVEL=debug, para no llenar la consola
+    res.on('finish', () => {
+        logDebug(`${req.method} ${urlSinToken(req.originalUrl)} ${res.statusCode} ${Date.now() - inicio} ms`, {
+            requestId,
+            usuario: req.usuario?.username
+        });
+    });
+
+    conContexto({ requestId }, next);
+});
 
 // Rutas de API (deben ir antes de los archivos estáticos)
 const productosRoutes = require('./routes/productos');
 const pedidosRoutes = require('./routes/pedidos');
 const rotacionRoutes = require('./routes/rotacion');
 const dashboardRoutes = require('./routes/dashboard');
+const ordenesRoutes = require('./routes/ordenes');
+const proveedoresRoutes = require('./routes/proveedores');
+const reposicionRoutes = require('./routes/reposicion');
+const syncRoutes = require('./routes/sync');
+const authRoutes = require('./routes/auth');
+const usuariosRoutes = require('./routes/usuarios');
+const logsRoutes = require('./routes/logs');
+const alertasRoutes = require('./routes/alertas');
+const metricasRoutes = require('./routes/metricas');
+const healthRoutes = require('./routes/health');
 
-app.use('/api/productos', productosRoutes);
-app.use('/api/pedidos', pedidosRoutes);
-app.use('/api/rotacion', rotacionRoutes);
-app.use('/api/dashboard', dashboardRoutes);
+// Todas las rutas de API exigen sesión (salvo el login); cada router exige además el rol
+// buyer para modificar y admin para las acciones destructivas (ver middleware/auth.js)
+app.use('/api/auth', authRoutes);
+app.use('/api/usuarios', autenticar, usuariosRoutes);
+app.use('/api/productos', autenticar, productosRoutes);
+app.use('/api/pedidos', autenticar, pedidosRoutes);
+app.use('/api/rotacion', autenticar, rotacionRoutes);
+app.use('/api/dashboard', autenticar, dashboardRoutes);
+app.use('/api/ordenes', autenticar, ordenesRoutes);
+app.use('/api/proveedores', autenticar, proveedoresRoutes);
+app.use('/api/reposicion', autenticar, reposicionRoutes);
+app.use('/api/sync', autenticar, syncRoutes);
+app.use('/api/logs', autenticar, logsRoutes);
+app.use('/api/alertas', autenticar, alertasRoutes);
 
-// Ruta de salud
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        timestamp: new Date().toISOString()
-    });
-});
+// Rutas de salud
+app.use('/health', healthRoutes);
+
+// Métricas para Prometheus
+app.use('/metrics', metricasRoutes);
 
 // Servir archivos estáticos según el entorno
 if (isProduction) {
@@ -67,21 +107,96 @@ if (isProduction) {
             version: '1.0.0',
             frontend: 'http://localhost:3001 (Next.js dev server)',
             endpoints: {
+                auth: {
+                    login: 'POST /api/auth/login',
+                    sesion: 'GET /api/auth/me',
+                    cambiarPassword: 'PUT /api/auth/password'
+                },
+                usuarios: {
+                    listar: 'GET /api/usuarios',
+                    crear: 'POST /api/usuarios',
+                    actualizar: 'PATCH /api/usuarios/:id',
+                    eliminar: 'DELETE /api/usuarios/:id'
+                },
                 productos: {
                     ventasHistoricas: 'GET /api/productos/ventas-historicas?meses=12&marca=KC',
                     ventasActuales: 'GET /api/productos/ventas-actuales?marca=KC',
-                    completo: 'GET /api/productos/completo?meses=12&marca=KC'
+                    completo: 'GET /api/productos/completo?meses=12&marca=KC',
+                    ventasDiarias: 'GET /api/productos/:productoId/ventas-diarias?desde=2026-01-01&hasta=2026-01-31',
+                    clasificacion: 'GET /api/productos/clasificacion',
+                    recalcularClasificacion: 'POST /api/productos/clasificacion'
                 },
                 pedidos: {
                     listar: 'GET /api/pedidos?productoId=1&ano=2026&mes=1&marca=KC',
+                    auditoria: 'GET /api/pedidos/auditoria?sku=KC-123&ano=2026&mes=1&usuario=ana',
+                    importarPreview: 'POST /api/pedidos/import/preview?nombre=compras.xlsx&ano=2026&mes=1',
+                    importar: 'POST /api/pedidos/import?nombre=compras.xlsx&ano=2026&mes=1&omitirErrores=true',
+                    exportar: 'GET /api/pedidos/export?ano=2026&mes=1&marca=KC&formato=xlsx|csv|pdf&agrupar=marca|proveedor&costos=true',
                     porProducto: 'GET /api/pedidos/:productoId',
                     crearActualizar: 'PUT /api/pedidos/:productoId',
                     crearActualizarActual: 'PUT /api/pedidos/:productoId/actual',
                     eliminar: 'DELETE /api/pedidos/:productoId/:ano/:mes'
                 },
+                ordenes: {
+                    listar: 'GET /api/ordenes?estado=borrador&ano=2026&mes=1&proveedor=1',
+                    borradorActual: 'GET /api/ordenes/borrador?proveedor=1',
+                    detalle: 'GET /api/ordenes/:id',
+                    crear: 'POST /api/ordenes',
+                    actualizar: 'PATCH /api/ordenes/:id',
+                    linea: 'PUT /api/ordenes/:id/lineas/:productoId',
+                    dividir: 'POST /api/ordenes/:id/dividir',
+                    cambiarEstado: 'POST /api/ordenes/:id/estado',
+                    enviarErp: 'POST /api/ordenes/:id/erp',
+                    recepcion: 'POST /api/ordenes/:id/recepcion',
+                    eliminar: 'DELETE /api/ordenes/:id'
+                },
+                proveedores: {
+                    listar: 'GET /api/proveedores?inactivos=true',
+                    detalle: 'GET /api/proveedores/:id',
+                    crear: 'POST /api/proveedores',
+                    actualizar: 'PUT /api/proveedores/:id',
+                    eliminar: 'DELETE /api/proveedores/:id',
+                    asociarProducto: 'PUT /api/proveedores/:id/productos/:productoId',
+                    asociarPorPrefijo: 'POST /api/proveedores/:id/productos/prefijo',
+                    desasociarProducto: 'DELETE /api/proveedores/:id/productos/:productoId'
+                },
+                reposicion: {
+                    parametros: 'GET /api/reposicion/parametros',
+                    guardarParametro: 'PUT /api/reposicion/parametros',
+                    eliminarParametro: 'DELETE /api/reposicion/parametros/:id'
+                },
+                sync: {
+                    encolar: 'POST /api/sync/jobs',
+                    listar: 'GET /api/sync/jobs?limit=50&estado=error',
+                    detalle: 'GET /api/sync/jobs/:id',
+                    stream: 'GET /api/sync/jobs/:id/stream',
+                    cancelar: 'POST /api/sync/jobs/:id/cancel',
+                    reintentar: 'POST /api/sync/jobs/:id/retry',
+                    erp: 'GET /api/sync/erp'
+                },
                 rotacion: {
                     ejecutar: 'POST /api/rotacion/ejecutar',
-                    verificar: 'GET /api/rotacion/verificar'
+                    verificar: 'GET /api/rotacion/verificar',
+                    previsualizarLimpieza: 'GET /api/rotacion/limpieza',
+                    limpiar: 'POST /api/rotacion/limpieza'
+                },
+                logs: {
+                    buscar: 'GET /api/logs?nivel=warn&q=Manager&jobId=12&requestId=...&desde=...&limit=200'
+                },
+                alertas: {
+                    reglas: 'GET /api/alertas/reglas',
+                    regla: 'GET /api/alertas/reglas/:id',
+                    crearRegla: 'POST /api/alertas/reglas',
+                    actualizarRegla: 'PATCH /api/alertas/reglas/:id',
+                    eliminarRegla: 'DELETE /api/alertas/reglas/:id',
+                    probarRegla: 'POST /api/alertas/reglas/:id/probar',
+                    historial: 'GET /api/alertas?reglaId=1&estado=error&limit=50',
+                    evaluar: 'POST /api/alertas/evaluar'
+                },
+                metricas: 'GET /metrics (Prometheus)',
+                salud: {
+                    live: 'GET /health/live',
+                    ready: 'GET /health/ready'
                 }
             }
         });
@@ -90,7 +205,7 @@ if (isProduction) {
 
 // Manejo de errores
 app.use((err, req, res, next) => {
-    logError(`Error no manejado: ${err.message}`);
+    logError(`Error no manejado: ${err.message}`, { stack: err.stack });
     res.status(err.status || 500).json({
         error: 'Error interno del servidor',
         message: process.env.NODE_ENV === 'development' ? err.message : 'Error interno'
@@ -118,37 +233,51 @@ async function startServer() {
     const prisma = getPrismaClient();
 
     try {
+        // Crear el administrador inicial si aún no hay usuarios
+        await asegurarAdminInicial();
+
         // Verificar rotación antes de iniciar
         await verificarRotacionInicial();
 
-        // Verificar si hay datos en VentaActual (si está vacía, sincronizar)
+        // Jobs que quedaron en curso por un reinicio se marcan con error; los pendientes se retoman
+        await recuperarJobsInterrumpidos();
+
+        // Verificar si hay datos en VentaActual (si está vacía, sincronizar en segundo plano)
         const ventaActualCount = await prisma.ventaActual.count();
         if (ventaActualCount === 0) {
-            logInfo('📊 VentaActual vacía. Ejecutando sincronización inicial...');
-            try {
-                await syncYesterday();
-                logSuccess('✅ Sincronización inicial completada');
-            } catch (error) {
-                logError(`❌ Error en sincronización inicial: ${error.message}`);
-                // Continuamos sin datos - el usuario puede usar el botón manual
-            }
+            logInfo('📊 VentaActual vacía. Encolando sincronización inicial...');
+            // Si falla, el error queda en el job y el usuario puede reintentar desde /historial
+            await encolarJob(TIPOS_JOB.DIARIA, {}, { origen: 'inicio' });
         } else {
             logInfo(`📊 VentaActual contiene ${ventaActualCount} registros`);
         }
 
         // Programar sincronización diaria a las 01:00 AM
+        // Pasa por la cola de jobs para no solaparse con una sincronización manual
         cron.schedule('0 1 * * *', async () => {
-            logInfo('⏰ Ejecutando sincronización diaria programada (01:00 AM)...');
+            logInfo('⏰ Encolando sincronización diaria programada (01:00 AM)...');
             try {
-                await syncYesterday();
-                logSuccess('✅ Sincronización diaria programada completada');
+                await encolarJob(TIPOS_JOB.DIARIA, {}, { origen: 'cron' });
             } catch (error) {
-                logError(`❌ Error en sincronización diaria programada: ${error.message}`);
+                logError(`❌ Error al encolar sincronización diaria programada: ${error.message}`);
+                await notificar(TIPOS_REGLA.SYNC_FALLIDA, {
+                    tipoJob: TIPOS_JOB.DIARIA,
+                    clave: 'encolar_diaria',
+                    titulo: 'Sincronización diaria no programada',
+                    mensaje: `No se pudo encolar la sincronización diaria de las 01:00: ${error.message}`,
+                    datos: { error: error.message }
+                });
             }
         });
 
         logInfo('🕒 Tarea CRON programada: Sincronización diaria a las 01:00 AM');
 
+        // Ventas de hoy para el dashboard, refrescadas en segundo plano
+        iniciarVentasEnVivo();
+
+        // Reglas de alerta por condición (sincronización atrasada, stock crítico)
+        iniciarAlertas();
+
         const server = app.listen(PORT, () => {
             logSuccess(`🚀 Servidor iniciado en http://localhost:${PORT}`);
             logInfo(`📊 API de Órdenes de Compra - AXAM`);
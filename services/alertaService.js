@@ -0,0 +1,743 @@
+/**
+ * Alertas por webhook y correo
+ *
+ * Tipos de regla (parametros según el tipo):
+ * - sync_fallida: un job de sincronización terminó con error o no se pudo encolar el de las 01:00
+ *     { tiposJob?: ['diaria', 'mes_actual', 'rango'] } (por defecto todos)
+ * - sync_atrasada: la última sincronización exitosa (SyncLog) de un tipo supera maxHoras
+ *     { tipoSync: 'diaria', maxHoras: 26 }
+ * - rotacion_fallida: la rotación mensual de datos falló
+ * - stock_critico: SKUs de una marca que pasan a "Crítico" (stock < 50% del promedio mensual)
+ *     { marca: 'KC', meses?: 3 }
+ *
+ * Los eventos (sync_fallida, rotacion_fallida) llegan por notificar(); las condiciones (sync_atrasada,
+ * stock_critico) se evalúan cada ALERTAS_INTERVALO_MINUTOS. Cada alerta queda en la tabla alertas:
+ * - Deduplicación: misma regla y clave dentro de dedupMinutos no se vuelve a crear
+ * - Horas de silencio (hora de Chile): la alerta queda pendiente y sale en la primera evaluación
+ *   posterior al silencio
+ * - Si un canal falla, la alerta sigue pendiente y se reintenta solo por los canales que fallaron,
+ *   hasta ALERTAS_MAX_INTENTOS
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { subMonths, getYear, getMonth } = require('date-fns');
+const { getPrismaClient } = require('../prisma/client');
+const { logInfo, logError, logWarning } = require('../utils/logger');
+const { getChileDate } = require('../utils/timezone');
+const { enviarCorreo } = require('../utils/smtpClient');
+const { getMesActual } = require('../utils/periodo');
+const { TIPOS_JOB } = require('./syncTipos');
+const { buildFiltroProducto } = require('./proveedorService');
+const { ESTADOS_STOCK, calcularEstadoStock } = require('./reposicionService');
+const { getDiasSinStock, corregirVentasMensuales } = require('./stockDiarioService');
+const { httpError } = require('../utils/httpError');
+
+const prisma = getPrismaClient();
+
+const TIPOS_REGLA = {
+    SYNC_FALLIDA: 'sync_fallida',
+    SYNC_ATRASADA: 'sync_atrasada',
+    ROTACION_FALLIDA: 'rotacion_fallida',
+    STOCK_CRITICO: 'stock_critico'
+};
+
+const TIPOS_CANAL = {
+    WEBHOOK: 'webhook',
+    EMAIL: 'email'
+};
+
+const ESTADOS_ALERTA = {
+    PENDIENTE: 'pendiente',
+    ENVIADA: 'enviada',
+    ERROR: 'error'
+};
+
+// Configuración (variables de entorno)
+const CONFIG = {
+    // 0 = sin evaluación periódica (solo eventos y POST /api/alertas/evaluar)
+    intervaloMinutos: parseInt(process.env.ALERTAS_INTERVALO_MINUTOS ?? '15', 10),
+    maxIntentos: parseInt(process.env.ALERTAS_MAX_INTENTOS || '3', 10),
+    webhookTimeoutMs: parseInt(process.env.ALERTAS_WEBHOOK_TIMEOUT_MS || '10000', 10)
+};
+
+const MESES_PROMEDIO = [3, 6, 12];
+const FORMATO_HORA = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const FORMATO_EMAIL = /^[^\s@,;<>]+@[^\s@,;<>]+\.[^\s@,;<>]+$/;
+
+// Máximo de SKUs que se listan en el mensaje (el detalle completo va en datos)
+const MAX_SKUS_MENSAJE = 20;
+
+let timer = null;
+let evaluando = false;
+
+function parseJson(valor, porDefecto) {
+    if (!valor) return porDefecto;
+    try {
+        return JSON.parse(valor);
+    } catch {
+        return porDefecto;
+    }
+}
+
+/**
+ * Regla tal como la devuelve la API (JSON ya parseado, sin el estado interno)
+ */
+function formatRegla(regla) {
+    const { estado, ...resto } = regla;
+    return {
+        ...resto,
+        parametros: parseJson(regla.parametros, {}),
+        canales: parseJson(regla.canales, [])
+    };
+}
+
+function formatAlerta(alerta) {
+    const { canalesEnviados, ...resto } = alerta;
+    return {
+        ...resto,
+        datos: parseJson(alerta.datos, null)
+    };
+}
+
+// ==========================================
+// VALIDACIÓN
+// ==========================================
+
+/**
+ * Normalizar los parámetros según el tipo de regla
+ */
+function parseParametros(tipo, parametros = {}) {
+    if (parametros === null || typeof parametros !== 'object' || Array.isArray(parametros)) {
+        throw httpError('"parametros" debe ser un objeto');
+    }
+
+    switch (tipo) {
+        case TIPOS_REGLA.SYNC_FALLIDA: {
+            if (parametros.tiposJob === undefined || parametros.tiposJob === null) return {};
+            const validos = Object.values(TIPOS_JOB);
+            const tiposJob = Array.isArray(parametros.tiposJob) ? parametros.tiposJob : [parametros.tiposJob];
+            const invalido = tiposJob.find(t => !validos.includes(t));
+            if (tiposJob.length === 0 || invalido !== undefined) {
+                throw httpError(`"tiposJob" inválido. Valores permitidos: ${validos.join(', ')}`);
+            }
+            return { tiposJob };
+        }
+
+        case TIPOS_REGLA.SYNC_ATRASADA: {
+            const tipoSync = (parametros.tipoSync || '').toString().trim();
+            const maxHoras = parseFloat(parametros.maxHoras);
+            if (!tipoSync) {
+                throw httpError('"tipoSync" es requerido (ej: diaria)');
+            }
+            if (isNaN(maxHoras) || maxHoras <= 0) {
+                throw httpError('"maxHoras" debe ser un número mayor a 0');
+            }
+            return { tipoSync, maxHoras };
+        }
+
+        case TIPOS_REGLA.STOCK_CRITICO: {
+            const marca = (parametros.marca || '').toString().trim().toUpperCase();
+            const meses = parametros.meses === undefined ? 3 : parseInt(parametros.meses, 10);
+            if (!marca) {
+                throw httpError('"marca" es requerida (prefijo del SKU)');
+            }
+            if (!MESES_PROMEDIO.includes(meses)) {
+                throw httpError('"meses" debe ser 3, 6 o 12');
+            }
+            return { marca, meses };
+        }
+
+        default:
+            return {};
+    }
+}
+
+/**
+ * Normalizar los canales de envío
+ *
+ * webhook: { tipo: 'webhook', url, headers? }
+ * email: { tipo: 'email', para: ['a@b.cl'] | 'a@b.cl, c@d.cl' }
+ */
+function parseCanales(canales) {
+    if (!Array.isArray(canales) || canales.length === 0) {
+        throw httpError('Se requiere al menos un canal en "canales"');
+    }
+
+    return canales.map((canal, i) => {
+        const posicion = `Canal ${i + 1}`;
+        if (!canal || typeof canal !== 'object') {
+            throw httpError(`${posicion}: formato inválido`);
+        }
+
+        if (canal.tipo === TIPOS_CANAL.WEBHOOK) {
+            let url;
+            try {
+                url = new URL(canal.url);
+            } catch {
+                throw httpError(`${posicion}: "url" inválida`);
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw httpError(`${posicion}: la URL debe ser http o https`);
+            }
+            if (canal.headers !== undefined && (canal.headers === null || typeof canal.headers !== 'object'
+                || Object.values(canal.headers).some(v => typeof v !== 'string'))) {
+                throw httpError(`${posicion}: "headers" debe ser un objeto de textos`);
+            }
+            return { tipo: TIPOS_CANAL.WEBHOOK, url: url.toString(), ...(canal.headers ? { headers: canal.headers } : {}) };
+        }
+
+        if (canal.tipo === TIPOS_CANAL.EMAIL) {
+            const para = (Array.isArray(canal.para) ? canal.para : (canal.para || '').toString().split(/[,;]/))
+                .map(p => p.toString().trim())
+                .filter(Boolean);
+            const invalido = para.find(p => !FORMATO_EMAIL.test(p));
+            if (para.length === 0) {
+                throw httpError(`${posicion}: "para" requiere al menos un correo`);
+            }
+            if (invalido) {
+                throw httpError(`${posicion}: correo inválido "${invalido}"`);
+            }
+            return { tipo: TIPOS_CANAL.EMAIL, para };
+        }
+
+        throw httpError(`${posicion}: tipo inválido. Valores permitidos: ${Object.values(TIPOS_CANAL).join(', ')}`);
+    });
+}
+
+/**
+ * Normalizar los datos editables de una regla
+ *
+ * @param {object} datos - Body del request
+ * @param {object} [actual] - Regla existente (al actualizar, los campos omitidos se conservan)
+ */
+function parseDatosRegla(datos, actual = null) {
+    const data = {};
+
+    if (!actual || datos.nombre !== undefined) {
+        const nombre = (datos.nombre || '').toString().trim();
+        if (!nombre) throw httpError('"nombre" es requerido');
+        data.nombre = nombre;
+    }
+
+    const tipo = actual ? actual.tipo : datos.tipo;
+    if (!actual && !Object.values(TIPOS_REGLA).includes(tipo)) {
+        throw httpError(`"tipo" inválido. Valores permitidos: ${Object.values(TIPOS_REGLA).join(', ')}`);
+    }
+    if (actual && datos.tipo !== undefined && datos.tipo !== actual.tipo) {
+        throw httpError('El tipo de una regla no se puede cambiar; cree una regla nueva');
+    }
+
+    if (!actual || datos.parametros !== undefined) {
+        const parametros = parseParametros(tipo, datos.parametros ?? {});
+        data.parametros = JSON.stringify(parametros);
+        // Al cambiar la marca o el período se parte de cero con los SKUs ya avisados
+        if (actual) data.estado = null;
+    }
+
+    if (!actual || datos.canales !== undefined) {
+        data.canales = JSON.stringify(parseCanales(datos.canales));
+    }
+
+    if (datos.activa !== undefined) {
+        data.activa = datos.activa === true || datos.activa === 'true';
+    }
+
+    if (datos.dedupMinutos !== undefined) {
+        const dedupMinutos = parseInt(datos.dedupMinutos, 10);
+        if (isNaN(dedupMinutos) || dedupMinutos < 0) {
+            throw httpError('"dedupMinutos" debe ser un número de minutos mayor o igual a 0');
+        }
+        data.dedupMinutos = dedupMinutos;
+    }
+
+    if (datos.silencioDesde !== undefined || datos.silencioHasta !== undefined) {
+        const desde = datos.silencioDesde !== undefined ? datos.silencioDesde || null : actual?.silencioDesde ?? null;
+        const hasta = datos.silencioHasta !== undefined ? datos.silencioHasta || null : actual?.silencioHasta ?? null;
+        if ((desde === null) !== (hasta === null)) {
+            throw httpError('Las horas de silencio requieren "silencioDesde" y "silencioHasta" (o ninguna)');
+        }
+        if (desde !== null && (!FORMATO_HORA.test(desde) || !FORMATO_HORA.test(hasta))) {
+            throw httpError('Las horas de silencio deben tener formato HH:mm (ej: 22:00)');
+        }
+        if (desde !== null && desde === hasta) {
+            throw httpError('"silencioDesde" y "silencioHasta" no pueden ser iguales');
+        }
+        data.silencioDesde = desde;
+        data.silencioHasta = hasta;
+    }
+
+    return data;
+}
+
+// ==========================================
+// CRUD DE REGLAS
+// ==========================================
+
+async function listarReglas() {
+    const reglas = await prisma.alertaRegla.findMany({ orderBy: { id: 'asc' } });
+    return reglas.map(formatRegla);
+}
+
+async function buscarRegla(id) {
+    const regla = await prisma.alertaRegla.findUnique({ where: { id } });
+    if (!regla) {
+        throw httpError('Regla no encontrada', 404);
+    }
+    return regla;
+}
+
+async function getRegla(id) {
+    return formatRegla(await buscarRegla(id));
+}
+
+async function crearRegla(datos, usuario = null) {
+    const data = parseDatosRegla(datos);
+    const regla = await prisma.alertaRegla.create({
+        data: { ...data, tipo: datos.tipo, createdBy: usuario }
+    });
+    logInfo(`Regla de alerta #${regla.id} creada: ${regla.nombre} (${regla.tipo})`);
+    return formatRegla(regla);
+}
+
+async function actualizarRegla(id, datos) {
+    const actual = await buscarRegla(id);
+    const regla = await prisma.alertaRegla.update({
+        where: { id },
+        data: parseDatosRegla(datos, actual)
+    });
+    return formatRegla(regla);
+}
+
+/**
+ * Eliminar una regla (sus alertas se eliminan en cascada)
+ */
+async function eliminarRegla(id) {
+    const result = await prisma.alertaRegla.deleteMany({ where: { id } });
+    if (result.count === 0) {
+        throw httpError('Regla no encontrada', 404);
+    }
+}
+
+/**
+ * Alertas recientes, opcionalmente de una regla o en un estado
+ */
+async function listarAlertas({ reglaId, estado, limite = 50 } = {}) {
+    if (estado && !Object.values(ESTADOS_ALERTA).includes(estado)) {
+        throw httpError(`Estado inválido. Valores permitidos: ${Object.values(ESTADOS_ALERTA).join(', ')}`);
+    }
+
+    const alertas = await prisma.alerta.findMany({
+        where: {
+            ...(reglaId ? { reglaId } : {}),
+            ...(estado ? { estado } : {})
+        },
+        include: { regla: { select: { id: true, nombre: true, tipo: true } } },
+        orderBy: { createdAt: 'desc' },
+        take: limite
+    });
+    return alertas.map(formatAlerta);
+}
+
+// ==========================================
+// ENVÍO
+// ==========================================
+
+/**
+ * ¿La regla está en sus horas de silencio? (hora de Chile; el rango puede cruzar la medianoche)
+ */
+function enSilencio(regla, ahora = getChileDate()) {
+    if (!regla.silencioDesde || !regla.silencioHasta) return false;
+
+    const minutos = (hora) => {
+        const [h, m] = hora.split(':').map(Number);
+        return h * 60 + m;
+    };
+    const actual = ahora.getHours() * 60 + ahora.getMinutes();
+    const desde = minutos(regla.silencioDesde);
+    const hasta = minutos(regla.silencioHasta);
+
+    return desde < hasta
+        ? actual >= desde && actual < hasta
+        : actual >= desde || actual < hasta;
+}
+
+async function enviarWebhook(canal, alerta, regla) {
+    await axios.post(canal.url, {
+        // "text" lo muestran directamente Slack, Google Chat y Mattermost
+        text: `*${alerta.titulo}*\n${alerta.mensaje}`,
+        alerta: {
+            id: alerta.id,
+            regla: { id: regla.id, nombre: regla.nombre, tipo: regla.tipo },
+            clave: alerta.clave,
+            titulo: alerta.titulo,
+            mensaje: alerta.mensaje,
+            datos: parseJson(alerta.datos, null),
+            createdAt: alerta.createdAt
+        }
+    }, {
+        headers: canal.headers,
+        timeout: CONFIG.webhookTimeoutMs
+    });
+}
+
+async function enviarEmail(canal, alerta, regla) {
+    const datos = parseJson(alerta.datos, null);
+    const texto = [
+        alerta.mensaje,
+        '',
+        `Regla: ${regla.nombre} (${regla.tipo})`,
+        `Fecha: ${new Date(alerta.createdAt).toLocaleString('es-CL', { timeZone: 'America/Santiago' })}`,
+        ...(datos ? ['', 'Detalle:', JSON.stringify(datos, null, 2)] : [])
+    ].join('\n');
+
+    await enviarCorreo({ para: canal.para, asunto: `[AXAM] ${alerta.titulo}`, texto });
+}
+
+/**
+ * Identificador de un canal para recordar a cuáles ya se envió una alerta
+ * (un hash: la alerta es visible para todos y la URL o los headers del webhook pueden traer tokens)
+ */
+function claveCanal(canal) {
+    return crypto.createHash('sha256').update(JSON.stringify(canal)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Enviar una alerta por los canales de su regla que aún no la recibieron y guardar el resultado
+ * Si algún canal falla, el reintento (hasta CONFIG.maxIntentos) va solo a los canales pendientes.
+ */
+async function enviarAlerta(alerta, regla) {
+    const canales = parseJson(regla.canales, []);
+    const enviados = new Set(parseJson(alerta.canalesEnviados, []));
+    const errores = [];
+
+    for (const canal of canales) {
+        const clave = claveCanal(canal);
+        if (enviados.has(clave)) continue;
+        try {
+            if (canal.tipo === TIPOS_CANAL.WEBHOOK) {
+                await enviarWebhook(canal, alerta, regla);
+            } else if (canal.tipo === TIPOS_CANAL.EMAIL) {
+                await enviarEmail(canal, alerta, regla);
+            }
+            enviados.add(clave);
+        } catch (error) {
+            errores.push(`${canal.tipo}: ${error.message}`);
+        }
+    }
+
+    const intentos = alerta.intentos + 1;
+    const estado = errores.length === 0
+        ? ESTADOS_ALERTA.ENVIADA
+        : intentos >= CONFIG.maxIntentos ? ESTADOS_ALERTA.ERROR : ESTADOS_ALERTA.PENDIENTE;
+
+    if (errores.length > 0) {
+        logWarning(`Alerta #${alerta.id} (${regla.nombre}): envío fallido, intento ${intentos}/${CONFIG.maxIntentos}`, { errores });
+    } else {
+        logInfo(`🔔 Alerta #${alerta.id} enviada: ${alerta.titulo}`);
+    }
+
+    return prisma.alerta.update({
+        where: { id: alerta.id },
+        data: {
+            estado,
+            intentos,
+            error: errores.length > 0 ? errores.join('; ') : null,
+            canalesEnviados: JSON.stringify(Array.from(enviados)),
+            enviadaAt: errores.length === 0 ? new Date() : null
+        }
+    });
+}
+
+/**
+ * Registrar una alerta de una regla (con deduplicación) y enviarla si no está en silencio
+ *
+ * @returns {Promise<object|null>} La alerta creada, o null si se descartó por duplicada
+ */
+async function dispararAlerta(regla, { clave, titulo, mensaje, datos = null }) {
+    if (regla.dedupMinutos > 0) {
+        const reciente = await prisma.alerta.findFirst({
+            where: {
+                reglaId: regla.id,
+                clave,
+                createdAt: { gte: new Date(Date.now() - regla.dedupMinutos * 60000) }
+            },
+            select: { id: true }
+        });
+        if (reciente) return null;
+    }
+
+    const alerta = await prisma.alerta.create({
+        data: {
+            reglaId: regla.id,
+            clave,
+            titulo,
+            mensaje,
+            datos: datos ? JSON.stringify(datos) : null
+        }
+    });
+
+    if (enSilencio(regla)) {
+        logInfo(`Alerta #${alerta.id} en espera: horas de silencio de "${regla.nombre}" (${regla.silencioDesde}-${regla.silencioHasta})`);
+        return alerta;
+    }
+
+    return enviarAlerta(alerta, regla);
+}
+
+/**
+ * Notificar un evento a las reglas activas de su tipo
+ * No lanza errores: una falla de alertas no debe interrumpir la sincronización o la rotación.
+ *
+ * @param {string} tipo - TIPOS_REGLA
+ * @param {object} evento - { clave, titulo, mensaje, datos?, tipoJob? }
+ */
+async function notificar(tipo, { tipoJob, ...evento }) {
+    try {
+        const reglas = await prisma.alertaRegla.findMany({ where: { tipo, activa: true } });
+
+        for (const regla of reglas) {
+            const { tiposJob } = parseJson(regla.parametros, {});
+            if (tipoJob && tiposJob && !tiposJob.includes(tipoJob)) continue;
+            await dispararAlerta(regla, evento);
+        }
+    } catch (error) {
+        logError(`Error al notificar alerta ${tipo}: ${error.message}`);
+    }
+}
+
+/**
+ * Enviar las alertas que esperaban el fin de las horas de silencio o un reintento
+ */
+async function procesarPendientes() {
+    const pendientes = await prisma.alerta.findMany({
+        where: { estado: ESTADOS_ALERTA.PENDIENTE },
+        include: { regla: true },
+        orderBy: { id: 'asc' }
+    });
+
+    let enviadas = 0;
+    for (const { regla, ...alerta } of pendientes) {
+        if (!regla.activa || enSilencio(regla)) continue;
+        const resultado = await enviarAlerta(alerta, regla);
+        if (resultado.estado === ESTADOS_ALERTA.ENVIADA) enviadas++;
+    }
+    return enviadas;
+}
+
+// ==========================================
+// EVALUACIÓN DE CONDICIONES
+// ==========================================
+
+async function evaluarSyncAtrasada(regla) {
+    const { tipoSync, maxHoras } = parseJson(regla.parametros, {});
+    const ultimo = await prisma.syncLog.findFirst({
+        where: { tipo: tipoSync },
+        orderBy: { createdAt: 'desc' },
+        select: { createdAt: true }
+    });
+
+    const edadHoras = ultimo ? (Date.now() - new Date(ultimo.createdAt).getTime()) / 3600000 : null;
+    if (edadHoras !== null && edadHoras <= maxHoras) return null;
+
+    return dispararAlerta(regla, {
+        clave: tipoSync,
+        titulo: `Sincronización atrasada: ${tipoSync}`,
+        mensaje: edadHoras === null
+            ? `No hay sincronizaciones exitosas de "${tipoSync}" registradas`
+            : `La última sincronización exitosa de "${tipoSync}" fue hace ${edadHoras.toFixed(1)} horas (máximo ${maxHoras})`,
+        datos: { tipoSync, ultima: ultimo?.createdAt ?? null, edadHoras: edadHoras !== null ? parseFloat(edadHoras.toFixed(1)) : null, maxHoras }
+    });
+}
+
+/**
+ * SKUs de una marca en estado crítico, con el mismo criterio del dashboard
+ * (promedio de los últimos meses cerrados corregido por días sin stock, contra el stock actual)
+ */
+async function getSkusCriticos({ marca, meses }) {
+    const mesActual = getMesActual();
+    const inicioMesActual = new Date(mesActual.ano, mesActual.mes - 1, 1);
+    const periodo = [];
+    for (let i = meses; i >= 1; i--) {
+        const fecha = subMonths(inicioMesActual, i);
+        periodo.push({ ano: getYear(fecha), mes: getMonth(fecha) + 1 });
+    }
+    const filtroFecha = { OR: periodo.map(({ ano, mes }) => ({ ano, mes })) };
+    const filtroProducto = buildFiltroProducto({ marca });
+
+    const productos = await prisma.producto.findMany({
+        where: filtroProducto,
+        select: {
+            id: true,
+            sku: true,
+            descripcion: true,
+            ventasHistoricas: { where: filtroFecha, select: { ano: true, mes: true, cantidadVendida: true } },
+            ventasActuales: { select: { stockActual: true } }
+        },
+        orderBy: { sku: 'asc' }
+    });
+    const diasSinStockMap = await getDiasSinStock({ producto: filtroProducto, ...filtroFecha });
+
+    const criticos = [];
+    for (const producto of productos) {
+        const ventas = new Map(producto.ventasHistoricas.map(v => [`${v.ano}-${v.mes}`, v.cantidadVendida]));
+        const corregidas = corregirVentasMensuales(
+            periodo.map(({ ano, mes }) => ({ ano, mes, cantidad: ventas.get(`${ano}-${mes}`) || 0 })),
+            diasSinStockMap.get(producto.id)
+        );
+        const promedio = corregidas.reduce((sum, v) => sum + v.cantidadCorregida, 0) / corregidas.length;
+        const stockActual = producto.ventasActuales?.[0]?.stockActual || 0;
+
+        if (calcularEstadoStock({ stockActual, promedio, compraSugerida: 0 }) === ESTADOS_STOCK.CRITICO) {
+            criticos.push({
+                sku: producto.sku,
+                descripcion: producto.descripcion,
+                stockActual,
+                promedio: parseFloat(promedio.toFixed(2))
+            });
+        }
+    }
+
+    return criticos;
+}
+
+/**
+ * Avisar solo los SKUs que pasaron a crítico desde la evaluación anterior
+ * El estado de la regla guarda los SKUs críticos actuales: uno que se recupera y vuelve a caer se avisa de nuevo.
+ * Sin estado (regla nueva o con parámetros cambiados) solo se registran los críticos actuales como punto
+ * de partida: avisar todos los críticos de la marca de una vez no dice qué cambió.
+ */
+async function evaluarStockCritico(regla) {
+    const parametros = parseJson(regla.parametros, {});
+    const criticos = await getSkusCriticos(parametros);
+    const estado = parseJson(regla.estado, null);
+    const anteriores = new Set(estado?.criticos || []);
+    const nuevos = estado ? criticos.filter(c => !anteriores.has(c.sku)) : [];
+
+    if (!estado) {
+        logInfo(`Regla de alerta #${regla.id} (${regla.nombre}): punto de partida con ${criticos.length} SKUs críticos, sin avisar`);
+    }
+
+    const alerta = nuevos.length > 0 ? await alertarCriticos(regla, parametros, nuevos, criticos.length) : null;
+
+    await prisma.alertaRegla.update({
+        where: { id: regla.id },
+        data: { estado: JSON.stringify({ criticos: criticos.map(c => c.sku), evaluadaAt: new Date() }) }
+    });
+
+    return alerta;
+}
+
+function alertarCriticos(regla, parametros, nuevos, totalCriticos) {
+    const listado = nuevos.slice(0, MAX_SKUS_MENSAJE)
+        .map(c => `- ${c.sku} ${c.descripcion}: stock ${c.stockActual}, promedio ${c.promedio}/mes`);
+    if (nuevos.length > MAX_SKUS_MENSAJE) {
+        listado.push(`... y ${nuevos.length - MAX_SKUS_MENSAJE} más`);
+    }
+
+    return dispararAlerta(regla, {
+        clave: `${parametros.marca}:${nuevos.map(c => c.sku).join(',')}`,
+        titulo: `${nuevos.length} SKU${nuevos.length === 1 ? '' : 's'} ${parametros.marca} en stock crítico`,
+        mensaje: `Pasaron a crítico (stock < 50% del promedio de ${parametros.meses} meses):\n${listado.join('\n')}`,
+        datos: { marca: parametros.marca, meses: parametros.meses, nuevos, totalCriticos }
+    });
+}
+
+const EVALUADORES = {
+    [TIPOS_REGLA.SYNC_ATRASADA]: evaluarSyncAtrasada,
+    [TIPOS_REGLA.STOCK_CRITICO]: evaluarStockCritico
+};
+
+/**
+ * Evaluar las reglas de condición activas y enviar las alertas pendientes
+ * Una sola evaluación a la vez; si ya hay una en curso se omite.
+ *
+ * @returns {Promise<{evaluadas: number, disparadas: number, enviadasPendientes: number, errores: string[]}|null>}
+ */
+async function evaluarReglas() {
+    if (evaluando) return null;
+    evaluando = true;
+
+    try {
+        const reglas = await prisma.alertaRegla.findMany({
+            where: { activa: true, tipo: { in: Object.keys(EVALUADORES) } },
+            orderBy: { id: 'asc' }
+        });
+
+        let disparadas = 0;
+        const errores = [];
+        for (const regla of reglas) {
+            try {
+                const alerta = await EVALUADORES[regla.tipo](regla);
+                if (alerta) disparadas++;
+            } catch (error) {
+                logError(`Error al evaluar regla de alerta #${regla.id} (${regla.nombre}): ${error.message}`);
+                errores.push(`#${regla.id}: ${error.message}`);
+            }
+        }
+
+        const enviadasPendientes = await procesarPendientes();
+
+        return { evaluadas: reglas.length, disparadas, enviadasPendientes, errores };
+    } finally {
+        evaluando = false;
+    }
+}
+
+/**
+ * Enviar una alerta de prueba por los canales de la regla (ignora deduplicación y horas de silencio)
+ */
+async function probarRegla(id) {
+    const regla = await buscarRegla(id);
+    const alerta = await prisma.alerta.create({
+        data: {
+            reglaId: regla.id,
+            clave: `prueba:${Date.now()}`,
+            titulo: `Prueba: ${regla.nombre}`,
+            mensaje: 'Alerta de prueba. Si la recibe, los canales de esta regla están bien configurados.'
+        }
+    });
+    return formatAlerta(await enviarAlerta(alerta, regla));
+}
+
+/**
+ * Iniciar la evaluación periódica (ALERTAS_INTERVALO_MINUTOS)
+ */
+function iniciarAlertas() {
+    if (timer || CONFIG.intervaloMinutos <= 0) return;
+
+    const ejecutar = () => evaluarReglas().catch(error => {
+        logError(`Error en la evaluación de alertas: ${error.message}`);
+    });
+
+    timer = setInterval(ejecutar, CONFIG.intervaloMinutos * 60000);
+    timer.unref();
+    ejecutar();
+    logInfo(`🔔 Alertas: evaluación cada ${CONFIG.intervaloMinutos} minutos`);
+}
+
+function detenerAlertas() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    CONFIG,
+    TIPOS_REGLA,
+    TIPOS_CANAL,
+    ESTADOS_ALERTA,
+    listarReglas,
+    getRegla,
+    crearRegla,
+    actualizarRegla,
+    eliminarRegla,
+    listarAlertas,
+    notificar,
+    evaluarReglas,
+    probarRegla,
+    enSilencio,
+    iniciarAlertas,
+    detenerAlertas
+};
@@ -0,0 +1,345 @@
+/**
+ * Usuarios y autenticación de la API
+ *
+ * Las contraseñas se guardan con scrypt (sal aleatoria por usuario) y las sesiones son tokens
+ * firmados HS256 con formato JWT, ambos con el módulo crypto de Node. El token solo identifica
+ * al usuario: el rol y si está activo se leen de la base en cada petición, así que un cambio de
+ * rol o una desactivación aplica de inmediato.
+ *
+ * Roles (cada uno incluye los permisos del anterior):
+ * - viewer: consultar
+ * - buyer: editar compras, órdenes, proveedores y lanzar sincronizaciones
+ * - admin: acciones destructivas (reset, rotación, limpieza), parámetros y usuarios
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getPrismaClient } = require('../prisma/client');
+const { logInfo, logWarning } = require('../utils/logger');
+const { httpError } = require('../utils/httpError');
+
+const prisma = getPrismaClient();
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = {
+    VIEWER: 'viewer',
+    BUYER: 'buyer',
+    ADMIN: 'admin'
+};
+
+const NIVEL_ROL = {
+    [ROLES.VIEWER]: 1,
+    [ROLES.BUYER]: 2,
+    [ROLES.ADMIN]: 3
+};
+
+const CONFIG = {
+    horasToken: parseInt(process.env.AUTH_TOKEN_HORAS || '12', 10),
+    minLargoPassword: 8
+};
+
+// Sin AUTH_SECRET los tokens se firman con una clave aleatoria y expiran al reiniciar el servidor
+const SECRETO = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+    logWarning('AUTH_SECRET no configurado: las sesiones se invalidan al reiniciar el servidor');
+}
+
+// Campos que se exponen del usuario (nunca el hash)
+const CAMPOS_PUBLICOS = {
+    id: true,
+    username: true,
+    nombre: true,
+    rol: true,
+    activo: true,
+    ultimoAcceso: true,
+    createdAt: true
+};
+
+function esRolValido(rol) {
+    return Object.values(ROLES).includes(rol);
+}
+
+/**
+ * Indica si un rol alcanza el nivel de otro (admin tiene todo lo de buyer, y buyer lo de viewer)
+ */
+function tieneRol(rol, requerido) {
+    return (NIVEL_ROL[rol] || 0) >= (NIVEL_ROL[requerido] || Infinity);
+}
+
+async function hashPassword(password) {
+    const sal = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, sal, 64);
+    return `scrypt$${sal}$${hash.toString('hex')}`;
+}
+
+async function verificarPassword(password, passwordHash) {
+    const [algoritmo, sal, hashHex] = (passwordHash || '').split('$');
+    if (algoritmo !== 'scrypt' || !sal || !hashHex) return false;
+
+    const esperado = Buffer.from(hashHex, 'hex');
+    const hash = await scrypt(password, sal, esperado.length);
+    return crypto.timingSafeEqual(hash, esperado);
+}
+
+function base64url(valor) {
+    return Buffer.from(valor).toString('base64url');
+}
+
+function firmar(contenido) {
+    return crypto.createHmac('sha256', SECRETO).update(contenido).digest('base64url');
+}
+
+/**
+ * Emitir un token de sesión para un usuario
+ *
+ * @returns {{token: string, expiraAt: string}}
+ */
+function emitirToken(usuario) {
+    const ahora = Math.floor(Date.now() / 1000);
+    const exp = ahora + CONFIG.horasToken * 3600;
+
+    const cabecera = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ sub: usuario.id, username: usuario.username, iat: ahora, exp }));
+    const contenido = `${cabecera}.${payload}`;
+
+    return {
+        token: `${contenido}.${firmar(contenido)}`,
+        expiraAt: new Date(exp * 1000).toISOString()
+    };
+}
+
+/**
+ * Validar firma y vencimiento de un token
+ *
+ * @returns {object|null} Payload, o null si el token no es válido
+ */
+function leerToken(token) {
+    const partes = (token || '').split('.');
+    if (partes.length !== 3) return null;
+
+    const [cabecera, payload, firma] = partes;
+    const esperada = Buffer.from(firmar(`${cabecera}.${payload}`));
+    const recibida = Buffer.from(firma);
+    if (esperada.length !== recibida.length || !crypto.timingSafeEqual(esperada, recibida)) {
+        return null;
+    }
+
+    try {
+        const datos = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!datos.exp || datos.exp < Math.floor(Date.now() / 1000)) return null;
+        return datos;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Usuario activo dueño de un token
+ *
+ * @returns {Promise<object|null>} Usuario (campos públicos) o null si el token o el usuario no son válidos
+ */
+async function getUsuarioPorToken(token) {
+    const datos = leerToken(token);
+    if (!datos) return null;
+
+    const usuario = await prisma.usuario.findUnique({
+        where: { id: datos.sub },
+        select: CAMPOS_PUBLICOS
+    });
+
+    return usuario && usuario.activo ? usuario : null;
+}
+
+/**
+ * Iniciar sesión
+ *
+ * @returns {Promise<{token: string, expiraAt: string, usuario: object}>}
+ */
+async function login(username, password) {
+    if (!username || !password) {
+        throw httpError('Usuario y contraseña son obligatorios');
+    }
+
+    const usuario = await prisma.usuario.findUnique({
+        where: { username: username.toString().trim().toLowerCase() }
+    });
+
+    // Mismo mensaje si el usuario no existe, para no revelar qué usuarios hay
+    if (!usuario || !usuario.activo || !(await verificarPassword(password.toString(), usuario.passwordHash))) {
+        throw httpError('Usuario o contraseña incorrectos', 401);
+    }
+
+    const actualizado = await prisma.usuario.update({
+        where: { id: usuario.id },
+        data: { ultimoAcceso: new Date() },
+        select: CAMPOS_PUBLICOS
+    });
+
+    return { ...emitirToken(actualizado), usuario: actualizado };
+}
+
+function validarPassword(password) {
+    if (!password || password.toString().length < CONFIG.minLargoPassword) {
+        throw httpError(`La contraseña debe tener al menos ${CONFIG.minLargoPassword} caracteres`);
+    }
+}
+
+function validarRol(rol) {
+    if (!esRolValido(rol)) {
+        throw httpError(`Rol inválido. Valores permitidos: ${Object.values(ROLES).join(', ')}`);
+    }
+}
+
+/**
+ * Evitar quedarse sin administradores activos
+ */
+async function verificarOtroAdmin(id) {
+    const otros = await prisma.usuario.count({
+        where: { rol: ROLES.ADMIN, activo: true, id: { not: id } }
+    });
+    if (otros === 0) {
+        throw httpError('Debe quedar al menos un administrador activo', 409);
+    }
+}
+
+async function listarUsuarios() {
+    return prisma.usuario.findMany({
+        select: CAMPOS_PUBLICOS,
+        orderBy: { username: 'asc' }
+    });
+}
+
+/**
+ * Crear un usuario
+ *
+ * @param {object} datos - { username, password, nombre?, rol? }
+ */
+async function crearUsuario({ username, password, nombre = '', rol = ROLES.VIEWER }) {
+    const nombreUsuario = (username || '').toString().trim().toLowerCase();
+    if (!/^[a-z0-9._-]{3,40}$/.test(nombreUsuario)) {
+        throw httpError('El usuario debe tener entre 3 y 40 caracteres (letras, números, punto, guion)');
+    }
+    validarPassword(password);
+    validarRol(rol);
+
+    const existente = await prisma.usuario.findUnique({ where: { username: nombreUsuario } });
+    if (existente) {
+        throw httpError(`El usuario "${nombreUsuario}" ya existe`, 409);
+    }
+
+    return prisma.usuario.create({
+        data: {
+            username: nombreUsuario,
+            nombre: nombre || '',
+            rol,
+            passwordHash: await hashPassword(password.toString())
+        },
+        select: CAMPOS_PUBLICOS
+    });
+}
+
+/**
+ * Actualizar nombre, rol, estado o contraseña de un usuario
+ *
+ * @param {number} id
+ * @param {object} cambios - { nombre?, rol?, activo?, password? }
+ */
+async function actualizarUsuario(id, { nombre, rol, activo, password }) {
+    const usuario = await prisma.usuario.findUnique({ where: { id } });
+    if (!usuario) {
+        throw httpError('Usuario no encontrado', 404);
+    }
+
+    const data = {};
+    if (nombre !== undefined) data.nombre = nombre || '';
+    if (rol !== undefined) {
+        validarRol(rol);
+        data.rol = rol;
+    }
+    if (activo !== undefined) data.activo = Boolean(activo);
+    if (password !== undefined) {
+        validarPassword(password);
+        data.passwordHash = await hashPassword(password.toString());
+    }
+
+    const dejaDeSerAdmin = (data.rol && data.rol !== ROLES.ADMIN) || data.activo === false;
+    if (usuario.rol === ROLES.ADMIN && usuario.activo && dejaDeSerAdmin) {
+        await verificarOtroAdmin(id);
+    }
+
+    return prisma.usuario.update({
+        where: { id },
+        data,
+        select: CAMPOS_PUBLICOS
+    });
+}
+
+async function eliminarUsuario(id) {
+    const usuario = await prisma.usuario.findUnique({ where: { id } });
+    if (!usuario) {
+        throw httpError('Usuario no encontrado', 404);
+    }
+    if (usuario.rol === ROLES.ADMIN && usuario.activo) {
+        await verificarOtroAdmin(id);
+    }
+
+    await prisma.usuario.delete({ where: { id } });
+}
+
+/**
+ * Cambiar la contraseña propia, validando la actual
+ */
+async function cambiarPassword(id, actual, nueva) {
+    const usuario = await prisma.usuario.findUnique({ where: { id } });
+    if (!usuario || !(await verificarPassword((actual || '').toString(), usuario.passwordHash))) {
+        throw httpError('La contraseña actual no es correcta', 401);
+    }
+    validarPassword(nueva);
+
+    await prisma.usuario.update({
+        where: { id },
+        data: { passwordHash: await hashPassword(nueva.toString()) }
+    });
+}
+
+/**
+ * Crear el primer administrador si no hay usuarios (AUTH_ADMIN_USUARIO / AUTH_ADMIN_PASSWORD)
+ */
+async function asegurarAdminInicial() {
+    const total = await prisma.usuario.count();
+    if (total > 0) return null;
+
+    const password = process.env.AUTH_ADMIN_PASSWORD;
+    if (!password) {
+        logWarning('No hay usuarios. Define AUTH_ADMIN_PASSWORD o crea uno con: npm run usuario:crear -- <usuario> <contraseña> admin');
+        return null;
+    }
+
+    const admin = await crearUsuario({
+        username: process.env.AUTH_ADMIN_USUARIO || 'admin',
+        password,
+        nombre: 'Administrador',
+        rol: ROLES.ADMIN
+    });
+    logInfo(`👤 Usuario administrador inicial creado: ${admin.username}`);
+    return admin;
+}
+
+module.exports = {
+    ROLES,
+    CONFIG,
+    esRolValido,
+    tieneRol,
+    hashPassword,
+    verificarPassword,
+    emitirToken,
+    leerToken,
+    getUsuarioPorToken,
+    login,
+    listarUsuarios,
+    crearUsuario,
+    actualizarUsuario,
+    eliminarUsuario,
+    cambiarPassword,
+    asegurarAdminInicial
+};
@@ -0,0 +1,231 @@
+/**
+ * Clasificación ABC/XYZ del catálogo
+ *
+ * ABC: productos ordenados por monto vendido (montoNeto) en los últimos meses cerrados; los que
+ *      acumulan hasta CLASIFICACION_UMBRAL_A del monto total son A, hasta CLASIFICACION_UMBRAL_B son B,
+ *      el resto (y los sin ventas) C.
+ * XYZ: coeficiente de variación (desviación / promedio) de la venta mensual en unidades del mismo
+ *      período, contando los meses sin venta como 0: hasta CLASIFICACION_CV_X es X (demanda estable),
+ *      hasta CLASIFICACION_CV_Y es Y, sobre eso o sin ventas Z.
+ *
+ * La clase se guarda en el producto y se recalcula después de cada rotación mensual.
+ */
+
+const { getPrismaClient } = require('../prisma/client');
+const { getMesActual } = require('../utils/periodo');
+const { logInfo, logSuccess } = require('../utils/logger');
+const { httpError } = require('../utils/httpError');
+
+const prisma = getPrismaClient();
+
+const CLASES_ABC = ['A', 'B', 'C'];
+const CLASES_XYZ = ['X', 'Y', 'Z'];
+
+// Configuración (variables de entorno)
+const CONFIG = {
+    meses: parseInt(process.env.CLASIFICACION_MESES || '12', 10),
+    umbralA: parseFloat(process.env.CLASIFICACION_UMBRAL_A || '0.8'),
+    umbralB: parseFloat(process.env.CLASIFICACION_UMBRAL_B || '0.95'),
+    cvX: parseFloat(process.env.CLASIFICACION_CV_X || '0.5'),
+    cvY: parseFloat(process.env.CLASIFICACION_CV_Y || '1')
+};
+
+/**
+ * Normalizar una clase: 'A', 'x' o 'ax' → 'A', 'X', 'AX' (null si no es válida)
+ */
+function normalizarClase(valor) {
+    const clase = (valor || '').toString().trim().toUpperCase();
+    if (CLASES_ABC.includes(clase) || CLASES_XYZ.includes(clase)) return clase;
+    if (clase.length === 2 && CLASES_ABC.includes(clase[0]) && CLASES_XYZ.includes(clase[1])) return clase;
+    return null;
+}
+
+/**
+ * Filtro Prisma de productos por una o más clases separadas por coma ("A", "AX", "A,B", "Z")
+ * Lanza 400 si alguna clase no es válida; retorna null sin filtro.
+ */
+function buildFiltroClase(valor) {
+    if (!valor) return null;
+
+    const condiciones = valor.toString().split(',').filter(c => c.trim()).map(c => {
+        const clase = normalizarClase(c);
+        if (!clase) {
+            throw httpError(`Clase inválida: "${c.trim()}". Use A, B, C, X, Y, Z o combinaciones como AX`);
+        }
+        if (clase.length === 2) return { claseAbc: clase[0], claseXyz: clase[1] };
+        return CLASES_ABC.includes(clase) ? { claseAbc: clase } : { claseXyz: clase };
+    });
+
+    return condiciones.length > 0 ? { OR: condiciones } : null;
+}
+
+/**
+ * Meses cerrados del período de clasificación (los CONFIG.meses anteriores al mes actual)
+ */
+function getPeriodo(mesActual = getMesActual()) {
+    const meses = [];
+    for (let i = CONFIG.meses; i >= 1; i--) {
+        const fecha = new Date(mesActual.ano, mesActual.mes - 1 - i, 1);
+        meses.push({ ano: fecha.getFullYear(), mes: fecha.getMonth() + 1 });
+    }
+    return meses;
+}
+
+/**
+ * Coeficiente de variación de una serie (null si el promedio es 0)
+ */
+function coeficienteVariacion(valores) {
+    const media = valores.reduce((sum, v) => sum + v, 0) / valores.length;
+    if (media <= 0) return null;
+
+    const varianza = valores.reduce((sum, v) => sum + (v - media) ** 2, 0) / valores.length;
+    return Math.sqrt(varianza) / media;
+}
+
+/**
+ * Clasificar productos a partir de sus ventas mensuales
+ *
+ * @param {Array<{productoId: number, montoNeto: number, cantidades: number[]}>} productos
+ *   cantidades: venta en unidades de cada mes del período (0 si no hubo venta)
+ * @returns {Map<number, {claseAbc, claseXyz, coeficienteVariacion, montoNeto, participacion}>}
+ */
+function clasificar(productos) {
+    const total = productos.reduce((sum, p) => sum + Math.max(0, p.montoNeto), 0);
+    const ordenados = [...productos].sort((a, b) => b.montoNeto - a.montoNeto);
+    const resultado = new Map();
+    let acumulado = 0;
+
+    for (const p of ordenados) {
+        const participacion = total > 0 ? Math.max(0, p.montoNeto) / total : 0;
+        // La clase depende de la participación acumulada antes del producto: el que cruza el umbral queda dentro
+        let claseAbc = 'C';
+        if (p.montoNeto > 0) {
+            if (acumulado < CONFIG.umbralA) claseAbc = 'A';
+            else if (acumulado < CONFIG.umbralB) claseAbc = 'B';
+        }
+        acumulado += participacion;
+
+        const cv = p.cantidades.length > 0 ? coeficienteVariacion(p.cantidades) : null;
+        let claseXyz = 'Z';
+        if (cv !== null && cv <= CONFIG.cvX) claseXyz = 'X';
+        else if (cv !== null && cv <= CONFIG.cvY) claseXyz = 'Y';
+
+        resultado.set(p.productoId, {
+            claseAbc,
+            claseXyz,
+            coeficienteVariacion: cv !== null ? parseFloat(cv.toFixed(3)) : null,
+            montoNeto: p.montoNeto,
+            participacion: parseFloat((participacion * 100).toFixed(2))
+        });
+    }
+
+    return resultado;
+}
+
+/**
+ * Recalcular y guardar la clase de todos los productos del catálogo
+ *
+ * @returns {Promise<object>} Resumen (ver getResumenClasificacion) con el período usado
+ */
+async function clasificarCatalogo() {
+    const periodo = getPeriodo();
+    const desde = periodo[0];
+    const hasta = periodo[periodo.length - 1];
+
+    logInfo(`Clasificando catálogo ABC/XYZ con ventas de ${desde.mes}/${desde.ano} a ${hasta.mes}/${hasta.ano}...`);
+
+    const [productos, ventas] = await Promise.all([
+        prisma.producto.findMany({ select: { id: true } }),
+        prisma.ventaHistorica.findMany({
+            where: {
+                OR: periodo.map(m => ({ ano: m.ano, mes: m.mes }))
+            },
+            select: { productoId: true, ano: true, mes: true, cantidadVendida: true, montoNeto: true }
+        })
+    ]);
+
+    const indiceMes = new Map(periodo.map((m, i) => [`${m.ano}-${m.mes}`, i]));
+    const porProducto = new Map(productos.map(p => [p.id, {
+        productoId: p.id,
+        montoNeto: 0,
+        cantidades: new Array(periodo.length).fill(0)
+    }]));
+
+    for (const venta of ventas) {
+        const datos = porProducto.get(venta.productoId);
+        if (!datos) continue;
+        datos.montoNeto += venta.montoNeto;
+        datos.cantidades[indiceMes.get(`${venta.ano}-${venta.mes}`)] += venta.cantidadVendida;
+    }
+
+    const clases = clasificar(Array.from(porProducto.values()));
+    const ahora = new Date();
+
+    await prisma.$transaction(Array.from(clases.entries()).map(([productoId, c]) => prisma.producto.update({
+        where: { id: productoId },
+        data: {
+            claseAbc: c.claseAbc,
+            claseXyz: c.claseXyz,
+            coeficienteVariacion: c.coeficienteVariacion,
+            fechaClasificacion: ahora
+        }
+    })));
+
+    logSuccess(`Catálogo clasificado: ${clases.size} productos`);
+
+    return {
+        periodo: { desde, hasta, meses: periodo.length },
+        ...(await getResumenClasificacion())
+    };
+}
+
+/**
+ * Resumen de la clasificación guardada: productos por clase ABC, XYZ y matriz combinada
+ */
+async function getResumenClasificacion() {
+    const grupos = await prisma.producto.groupBy({
+        by: ['claseAbc', 'claseXyz'],
+        _count: { _all: true },
+        _max: { fechaClasificacion: true }
+    });
+
+    const abc = Object.fromEntries(CLASES_ABC.map(c => [c, 0]));
+    const xyz = Object.fromEntries(CLASES_XYZ.map(c => [c, 0]));
+    const matriz = {};
+    let sinClasificar = 0;
+    let fechaClasificacion = null;
+
+    for (const g of grupos) {
+        const cantidad = g._count._all;
+        if (!g.claseAbc || !g.claseXyz) {
+            sinClasificar += cantidad;
+            continue;
+        }
+        abc[g.claseAbc] = (abc[g.claseAbc] || 0) + cantidad;
+        xyz[g.claseXyz] = (xyz[g.claseXyz] || 0) + cantidad;
+        matriz[`${g.claseAbc}${g.claseXyz}`] = cantidad;
+        if (g._max.fechaClasificacion && (!fechaClasificacion || g._max.fechaClasificacion > fechaClasificacion)) {
+            fechaClasificacion = g._max.fechaClasificacion;
+        }
+    }
+
+    return {
+        configuracion: CONFIG,
+        fechaClasificacion,
+        abc,
+        xyz,
+        matriz,
+        sinClasificar
+    };
+}
+
+module.exports = {
+    CLASES_ABC,
+    CLASES_XYZ,
+    CONFIG,
+    normalizarClase,
+    buildFiltroClase,
+    clasificar,
+    clasificarCatalogo,
+    getResumenClasificacion
+};
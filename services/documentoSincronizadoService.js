@@ -0,0 +1,212 @@
+/**
+ * Registro de documentos sincronizados (ledger)
+ *
+ * Cada documento de venta traído del ERP se identifica por tipo + docnumreg y se guarda
+ * con una huella de su contenido. Al sincronizar un rango se compara lo que informa el ERP
+ * con lo registrado para saber qué documentos son nuevos, cuáles cambiaron y cuáles
+ * desaparecieron (anulados o cambiados de fecha). Si no hay diferencias la sincronización
+ * del rango no escribe nada. Un documento que el ERP cambió de fecha hacia el rango se busca
+ * por su clave: su día anterior se informa para reprocesarlo junto con el rango.
+ */
+
+const crypto = require('crypto');
+const { getPrismaClient } = require('../prisma/client');
+const { extractProductsFromDocument, getDocumentDate, isCreditDocument } = require('./salesService');
+
+const prisma = getPrismaClient();
+
+// Claves por consulta al buscar documentos registrados fuera del rango (límite de variables de SQLite)
+const CLAVES_POR_CONSULTA = 500;
+
+/**
+ * Clave única de un documento ("FAVE|12345"), o null si el ERP no informa docnumreg
+ */
+function getClaveDocumento(docType, docnumreg) {
+    if (docnumreg === undefined || docnumreg === null || docnumreg === '') return null;
+    return `${docType}|${docnumreg}`;
+}
+
+/**
+ * Resumen de un documento del ERP tal como se guarda en el registro
+ *
+ * @param {object} documento - Documento con _docType
+ * @param {string} fechaPorDefecto - Fecha (yyyy-MM-dd) si el documento no trae una reconocible
+ * @returns {{docType, docnumreg, folio, fecha, lineas, cantidad, montoNeto, hash}}
+ */
+function resumirDocumento(documento, fechaPorDefecto) {
+    const fecha = getDocumentDate(documento) || fechaPorDefecto;
+    const productos = extractProductsFromDocument(documento)
+        .map(p => ({ sku: p.sku, cantidad: p.cantidad, montoNeto: p.montoNeto }))
+        .sort((a, b) => a.sku.localeCompare(b.sku) || a.cantidad - b.cantidad || a.montoNeto - b.montoNeto);
+
+    // Las NCVE se informan con signo variable: se registran en positivo como en VentaDiaria
+    const signo = (valor) => isCreditDocument(documento._docType) ? Math.abs(valor) : valor;
+
+    const hash = crypto.createHash('sha1')
+        .update(JSON.stringify({ fecha, productos }))
+        .digest('hex');
+
+    return {
+        docType: documento._docType,
+        docnumreg: documento.docnumreg != null ? documento.docnumreg.toString() : null,
+        folio: documento.folio != null ? documento.folio.toString() : null,
+        fecha,
+        lineas: productos.length,
+        cantidad: productos.reduce((sum, p) => sum + signo(p.cantidad), 0),
+        montoNeto: productos.reduce((sum, p) => sum + signo(p.montoNeto), 0),
+        hash
+    };
+}
+
+/**
+ * Buscar en el registro documentos por tipo y docnumreg, sin importar su fecha
+ *
+ * @param {Array<{docType, docnumreg}>} resumenes
+ * @returns {Promise<Map<string, object>>} clave → fila del registro
+ */
+async function buscarRegistrados(resumenes) {
+    const encontrados = new Map();
+
+    for (let i = 0; i < resumenes.length; i += CLAVES_POR_CONSULTA) {
+        const porTipo = new Map();
+        for (const { docType, docnumreg } of resumenes.slice(i, i + CLAVES_POR_CONSULTA)) {
+            if (!porTipo.has(docType)) porTipo.set(docType, []);
+            porTipo.get(docType).push(docnumreg);
+        }
+
+        const filas = await prisma.documentoSincronizado.findMany({
+            where: { OR: Array.from(porTipo, ([docType, docnumregs]) => ({ docType, docnumreg: { in: docnumregs } })) }
+        });
+        filas.forEach(f => encontrados.set(getClaveDocumento(f.docType, f.docnumreg), f));
+    }
+
+    return encontrados;
+}
+
+/**
+ * Comparar los documentos del ERP de un rango con los registrados
+ *
+ * Un documento registrado con una fecha fuera del rango (el ERP le cambió la fecha) es un modificado:
+ * su fecha anterior va en diasMovidos, porque las ventas de ese día todavía lo incluyen.
+ *
+ * @param {Array} documentos - Documentos del ERP con _docType
+ * @param {string} desde - yyyy-MM-dd (inclusive)
+ * @param {string} hasta - yyyy-MM-dd (inclusive)
+ * @returns {Promise<{nuevos: Array, modificados: Array, eliminados: Array, diasMovidos: string[], sinCambios: number, sinClave: number}>}
+ *   modificados incluye `anterior` con los valores registrados; eliminados son filas del registro
+ */
+async function compararDocumentos(documentos, desde, hasta) {
+    const registrados = await prisma.documentoSincronizado.findMany({
+        where: { fecha: { gte: desde, lte: hasta } }
+    });
+    const porClave = new Map(registrados.map(r => [getClaveDocumento(r.docType, r.docnumreg), r]));
+
+    const resumenes = [];
+    const vistos = new Set();
+    let sinClave = 0;
+
+    for (const documento of documentos) {
+        const resumen = resumirDocumento(documento, desde);
+        const clave = getClaveDocumento(resumen.docType, resumen.docnumreg);
+
+        if (!clave) {
+            sinClave++;
+            continue;
+        }
+        // El ERP puede repetir un documento en páginas consecutivas
+        if (vistos.has(clave)) continue;
+        vistos.add(clave);
+        resumenes.push({ clave, resumen });
+    }
+
+    const fueraDelRango = await buscarRegistrados(resumenes.filter(r => !porClave.has(r.clave)).map(r => r.resumen));
+
+    const nuevos = [];
+    const modificados = [];
+    const diasMovidos = new Set();
+    let sinCambios = 0;
+
+    for (const { clave, resumen } of resumenes) {
+        const anterior = porClave.get(clave) || fueraDelRango.get(clave);
+        if (!anterior) {
+            nuevos.push(resumen);
+        } else if (anterior.hash !== resumen.hash) {
+            if (anterior.fecha < desde || anterior.fecha > hasta) diasMovidos.add(anterior.fecha);
+            modificados.push({
+                ...resumen,
+                anterior: {
+                    fecha: anterior.fecha,
+                    lineas: anterior.lineas,
+                    cantidad: anterior.cantidad,
+                    montoNeto: anterior.montoNeto
+                }
+            });
+        } else {
+            sinCambios++;
+        }
+    }
+
+    const eliminados = registrados.filter(r => !vistos.has(getClaveDocumento(r.docType, r.docnumreg)));
+
+    return { nuevos, modificados, eliminados, diasMovidos: Array.from(diasMovidos).sort(), sinCambios, sinClave };
+}
+
+/**
+ * Indica si la comparación obliga a reprocesar el rango
+ * Los documentos sin docnumreg no se pueden seguir, así que siempre fuerzan el reproceso.
+ */
+function requiereProceso(comparacion) {
+    return comparacion.nuevos.length > 0 ||
+        comparacion.modificados.length > 0 ||
+        comparacion.eliminados.length > 0 ||
+        comparacion.sinClave > 0;
+}
+
+/**
+ * Aplicar la comparación al registro (dentro de la transacción de la sincronización)
+ *
+ * @param {object} tx - Cliente de transacción de Prisma
+ * @param {object} comparacion - Resultado de compararDocumentos()
+ */
+async function registrarDocumentos(tx, comparacion) {
+    for (const { anterior, ...documento } of [...comparacion.nuevos, ...comparacion.modificados]) {
+        const { docType, docnumreg, ...datos } = documento;
+        await tx.documentoSincronizado.upsert({
+            where: { docType_docnumreg: { docType, docnumreg } },
+            update: datos,
+            create: documento
+        });
+    }
+
+    if (comparacion.eliminados.length > 0) {
+        await tx.documentoSincronizado.deleteMany({
+            where: { id: { in: comparacion.eliminados.map(d => d.id) } }
+        });
+    }
+}
+
+/**
+ * Datos de un documento para el reporte de sincronización
+ */
+function formatDocumento(documento) {
+    const formateado = {
+        docType: documento.docType,
+        docnumreg: documento.docnumreg,
+        folio: documento.folio,
+        fecha: documento.fecha,
+        lineas: documento.lineas,
+        cantidad: documento.cantidad,
+        montoNeto: documento.montoNeto
+    };
+    if (documento.anterior) formateado.anterior = documento.anterior;
+    return formateado;
+}
+
+module.exports = {
+    getClaveDocumento,
+    resumirDocumento,
+    compararDocumentos,
+    requiereProceso,
+    registrarDocumentos,
+    formatDocumento
+};
@@ -0,0 +1,282 @@
+/**
+ * Servicio para enviar órdenes de compra aprobadas a Manager+ como documentos de compra
+ *
+ * Crea el documento (tipo ERP_OC_TIPO_DOC, por defecto "OC") con la API de documentos de Manager+
+ * y guarda el número devuelto en la orden. Cada documento lleva la referencia AXAM-OC-{id} en la
+ * glosa: antes de cada intento se busca esa referencia en Manager+, así un reintento tras un timeout
+ * (documento creado pero respuesta perdida) recupera el número en vez de crear un duplicado.
+ * El rate limit, los reintentos de las consultas y la reautenticación los maneja utils/erpClient.
+ */
+
+const { format } = require('date-fns');
+const { erpGet, erpPost } = require('../utils/erpClient');
+const { logInfo, logSuccess, logError, logWarning } = require('../utils/logger');
+const { getPrismaClient } = require('../prisma/client');
+const { ESTADOS, getOrden } = require('./ordenCompraService');
+const { httpError } = require('../utils/httpError');
+
+const RUT_EMPRESA = process.env.RUT_EMPRESA;
+const ERP_BASE_URL = process.env.ERP_BASE_URL;
+const prisma = getPrismaClient();
+
+// Tipo de documento de compra en Manager+
+const TIPO_DOCUMENTO = process.env.ERP_OC_TIPO_DOC || 'OC';
+
+// Intentos de buscar y crear el documento cuando la creación queda sin respuesta (red, timeout, 5xx)
+const MAX_INTENTOS = parseInt(process.env.ERP_OC_MAX_INTENTOS, 10) || 3;
+
+// Espera antes de volver a buscar: Manager+ puede seguir procesando la creación que quedó sin respuesta
+const ESPERA_BUSQUEDA_MS = parseInt(process.env.ERP_OC_ESPERA_MS || '5000', 10);
+
+// Enviar automáticamente al aprobar una orden
+const ENVIO_AUTOMATICO = process.env.ERP_OC_ENVIO_AUTOMATICO === 'true';
+
+// Un envío "enviando" más antiguo que esto se considera abandonado (proceso caído) y se puede retomar
+const ENVIO_ABANDONADO_MS = 10 * 60 * 1000;
+
+const ESTADOS_ERP = {
+    ENVIANDO: 'enviando',
+    SINCRONIZADA: 'sincronizada',
+    ERROR: 'error'
+};
+
+// Estados de la orden que se pueden enviar al ERP
+const ESTADOS_ENVIABLES = [ESTADOS.APROBADA, ESTADOS.ENVIADA, ESTADOS.RECIBIDA_PARCIAL, ESTADOS.RECIBIDA];
+
+/**
+ * Referencia con que se identifica la orden en Manager+
+ */
+function getReferencia(ordenId) {
+    return `AXAM-OC-${ordenId}`;
+}
+
+/**
+ * Número del documento en una respuesta de Manager+ (el campo varía según la versión de la API)
+ */
+function getNumeroDocumento(documento) {
+    if (!documento || typeof documento !== 'object') return null;
+    const numero = documento.folio ?? documento.numero ?? documento.num_doc ?? documento.docnumreg;
+    return numero !== undefined && numero !== null && numero !== '' ? String(numero) : null;
+}
+
+/**
+ * Armar el documento de compra de Manager+ a partir de una orden con sus líneas
+ */
+function construirDocumento(orden) {
+    const referencia = getReferencia(orden.id);
+    const periodo = `${String(orden.mes).padStart(2, '0')}/${orden.ano}`;
+
+    return {
+        rut_empresa: RUT_EMPRESA,
+        tipo_documento: TIPO_DOCUMENTO,
+        fecha_doc: format(new Date(), 'dd/MM/yyyy'),
+        rut_proveedor: orden.proveedor?.rut || '',
+        referencia,
+        glosa: [`${referencia} compra ${periodo}`, orden.notas].filter(Boolean).join(' - '),
+        detalles: orden.lineas.map(l => ({
+            codigo_prod: l.producto.sku,
+            descripcion: l.producto.descripcion,
+            cantidad: l.cantidad,
+            precio_unitario: l.costoUnitario || 0
+        }))
+    };
+}
+
+/**
+ * Indica si una creación fallida pudo haber llegado a Manager+ (sin respuesta o 5xx): solo
+ * buscando la referencia se sabe si el documento existe
+ */
+function creacionIncierta(error) {
+    const status = error.response?.status;
+    return !status || status >= 500;
+}
+
+/**
+ * Buscar en Manager+ un documento de compra ya creado para la orden (por su referencia)
+ *
+ * Recorre todas las páginas del rango: Manager+ corta las respuestas grandes y el documento de la
+ * orden puede no estar en la primera.
+ *
+ * @param {number} ordenId
+ * @param {Date} desde - Fecha del primer intento de envío
+ * @returns {Promise<string|null>} Número del documento o null si no existe
+ */
+async function buscarDocumentoExistente(ordenId, desde) {
+    const referencia = getReferencia(ordenId);
+    const df = format(desde, 'yyyyMMdd');
+    const dt = format(new Date(), 'yyyyMMdd');
+
+    for (let pagina = 1; ; pagina++) {
+        const response = await erpGet(`/documents/${RUT_EMPRESA}/${TIPO_DOCUMENTO}/C`, {
+            params: { df, dt, page: pagina }
+        });
+        const documentos = response.data?.data || response.data || [];
+
+        if (!Array.isArray(documentos)) return null;
+
+        const documento = documentos.find(d =>
+            d.referencia === referencia || (typeof d.glosa === 'string' && d.glosa.includes(referencia))
+        );
+        if (documento) return getNumeroDocumento(documento);
+
+        // Sin datos de paginación la respuesta trae todos los documentos del rango
+        const totalPaginas = parseInt(response.data?.pagination?.total_pages, 10) || 1;
+        if (pagina >= totalPaginas || documentos.length === 0) return null;
+    }
+}
+
+/**
+ * Crear el documento de compra en Manager+
+ * erpClient repite el POST solo ante 429 y 401 (no llegó a procesarse); un error de red o 5xx se devuelve
+ *
+ * @returns {Promise<string>} Número del documento creado
+ */
+async function crearDocumento(documento) {
+    const response = await erpPost(`/documents/${RUT_EMPRESA}/${TIPO_DOCUMENTO}/C/`, documento);
+    const data = response.data?.data ?? response.data;
+    const numero = getNumeroDocumento(Array.isArray(data) ? data[0] : data) || getNumeroDocumento(response.data);
+
+    if (!numero) {
+        throw new Error('Manager+ no devolvió el número del documento creado');
+    }
+
+    return numero;
+}
+
+/**
+ * Tomar la orden para enviarla: solo un envío a la vez por orden
+ *
+ * @returns {Promise<boolean>} false si otro envío está en curso o ya se sincronizó
+ */
+async function reservarEnvio(ordenId, primerIntento) {
+    const abandonado = new Date(Date.now() - ENVIO_ABANDONADO_MS);
+
+    const { count } = await prisma.ordenCompra.updateMany({
+        where: {
+            id: ordenId,
+            erpDocumento: null,
+            OR: [
+                { erpEstado: null },
+                { erpEstado: ESTADOS_ERP.ERROR },
+                { erpEstado: ESTADOS_ERP.ENVIANDO, updatedAt: { lt: abandonado } }
+            ]
+        },
+        data: {
+            erpEstado: ESTADOS_ERP.ENVIANDO,
+            erpError: null,
+            erpPrimerIntento: primerIntento
+        }
+    });
+
+    return count === 1;
+}
+
+/**
+ * Enviar una orden de compra a Manager+
+ *
+ * Idempotente: si la orden ya tiene documento no se vuelve a crear, y antes de cada intento se
+ * busca el documento por su referencia por si un intento anterior sí alcanzó a crearlo. Solo se
+ * vuelve a intentar cuando la creación quedó sin respuesta; cualquier otro error termina el envío.
+ *
+ * @param {number} ordenId
+ * @returns {Promise<{orden: object, documento: string, creado: boolean}>}
+ */
+async function enviarOrden(ordenId) {
+    const orden = await getOrden(ordenId);
+
+    if (orden.erpDocumento) {
+        return { orden, documento: orden.erpDocumento, creado: false };
+    }
+
+    if (!ESTADOS_ENVIABLES.includes(orden.estado)) {
+        throw httpError(`Solo se pueden enviar a Manager+ órdenes aprobadas (estado actual: "${orden.estado}")`, 409);
+    }
+
+    if (orden.lineas.length === 0) {
+        throw httpError('No se puede enviar a Manager+ una orden sin líneas', 409);
+    }
+
+    if (!orden.proveedor?.rut) {
+        throw httpError('El proveedor de la orden no tiene RUT; es necesario para el documento en Manager+', 409);
+    }
+
+    if (!ERP_BASE_URL || !RUT_EMPRESA) {
+        throw httpError('Manager+ no está configurado (ERP_BASE_URL, RUT_EMPRESA)', 503);
+    }
+
+    const primerIntento = orden.erpPrimerIntento || new Date();
+
+    if (!(await reservarEnvio(ordenId, primerIntento))) {
+        throw httpError(`La orden #${ordenId} ya se está enviando a Manager+`, 409);
+    }
+
+    const documento = construirDocumento(orden);
+    let ultimoError = null;
+
+    for (let intento = 1; intento <= MAX_INTENTOS; intento++) {
+        let creando = false;
+
+        await prisma.ordenCompra.update({
+            where: { id: ordenId },
+            data: { erpIntentos: { increment: 1 } }
+        });
+
+        try {
+            let numero = await buscarDocumentoExistente(ordenId, primerIntento);
+            const creado = !numero;
+
+            if (!numero) {
+                creando = true;
+                numero = await crearDocumento(documento);
+            }
+
+            await prisma.ordenCompra.update({
+                where: { id: ordenId },
+                data: {
+                    erpEstado: ESTADOS_ERP.SINCRONIZADA,
+                    erpDocumento: numero,
+                    erpError: null,
+                    fechaErp: new Date()
+                }
+            });
+
+            if (creado) {
+                logSuccess(`Orden de compra #${ordenId} creada en Manager+ como ${TIPO_DOCUMENTO} ${numero}`);
+            } else {
+                logInfo(`Orden de compra #${ordenId} ya existía en Manager+ como ${TIPO_DOCUMENTO} ${numero}`);
+            }
+
+            return { orden: await getOrden(ordenId), documento: numero, creado };
+
+        } catch (error) {
+            ultimoError = error;
+
+            if (!creando || !creacionIncierta(error) || intento === MAX_INTENTOS) {
+                break;
+            }
+
+            const detalle = error.response?.data?.message || error.message;
+            logWarning(`Envío de orden #${ordenId} a Manager+ sin respuesta (intento ${intento}/${MAX_INTENTOS}): ${detalle}. Se busca si se creó antes de reintentar...`);
+            await new Promise(resolve => setTimeout(resolve, ESPERA_BUSQUEDA_MS));
+        }
+    }
+
+    const mensaje = ultimoError.response?.data?.message || ultimoError.message;
+
+    await prisma.ordenCompra.update({
+        where: { id: ordenId },
+        data: { erpEstado: ESTADOS_ERP.ERROR, erpError: mensaje }
+    });
+
+    logError(`No se pudo enviar la orden #${ordenId} a Manager+: ${mensaje}`);
+    throw httpError(`No se pudo enviar la orden a Manager+: ${mensaje}`, 502);
+}
+
+module.exports = {
+    ESTADOS_ERP,
+    ENVIO_AUTOMATICO,
+    getReferencia,
+    construirDocumento,
+    buscarDocumentoExistente,
+    enviarOrden
+};
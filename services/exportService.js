@@ -0,0 +1,349 @@
+/**
+ * Exportación de cantidades a comprar (Excel, CSV y PDF) para enviar a proveedores
+ *
+ * Las cantidades de un mes son las de la columna "A Comprar" del dashboard: las líneas de sus
+ * órdenes en borrador o, si el mes no tiene borradores, los pedidos sueltos (ordenCompraService.tieneBorradores).
+ * Las líneas se agrupan por marca (prefijo del SKU) o por proveedor, un grupo por hoja/sección.
+ */
+
+const { getPrismaClient } = require('../prisma/client');
+const { buildFiltroProducto } = require('./proveedorService');
+const { ESTADOS: ESTADOS_ORDEN, tieneBorradores } = require('./ordenCompraService');
+const { generarXlsx } = require('../utils/xlsx');
+const { generarPdf } = require('../utils/pdf');
+const { formatChileDate } = require('../utils/timezone');
+
+const prisma = getPrismaClient();
+
+const FORMATOS = {
+    XLSX: 'xlsx',
+    CSV: 'csv',
+    PDF: 'pdf'
+};
+
+const AGRUPACIONES = {
+    MARCA: 'marca',
+    PROVEEDOR: 'proveedor'
+};
+
+const CONTENT_TYPES = {
+    [FORMATOS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    [FORMATOS.CSV]: 'text/csv; charset=utf-8',
+    [FORMATOS.PDF]: 'application/pdf'
+};
+
+const MESES = [
+    'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
+    'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'
+];
+
+const SIN_PROVEEDOR = 'Sin proveedor';
+const SIN_MARCA = 'Sin marca';
+
+/**
+ * Marca de un producto: letras iniciales del SKU (KC-123 → KC)
+ */
+function getMarcaSku(sku) {
+    const prefijo = (sku || '').match(/^[A-Za-z]+/);
+    return prefijo ? prefijo[0].toUpperCase() : SIN_MARCA;
+}
+
+/**
+ * Líneas a comprar de un mes, una por producto y proveedor
+ *
+ * @param {object} filtros - { ano, mes, marca?, proveedorId? }
+ * @returns {Promise<{origen: 'borradores'|'pedidos', lineas: Array<object>}>}
+ */
+async function getLineasExport({ ano, mes, marca, proveedorId }) {
+    const filtroProducto = buildFiltroProducto({ marca, proveedorId });
+    const selectProducto = { id: true, sku: true, descripcion: true, familia: true };
+
+    const desdeBorradores = await tieneBorradores(ano, mes);
+
+    let registros;
+    if (desdeBorradores) {
+        const lineas = await prisma.ordenCompraLinea.findMany({
+            where: {
+                cantidad: { gt: 0 },
+                producto: filtroProducto,
+                orden: { ano, mes, estado: ESTADOS_ORDEN.BORRADOR }
+            },
+            include: {
+                producto: { select: selectProducto },
+                orden: { select: { proveedor: { select: { id: true, nombre: true } } } }
+            }
+        });
+        registros = lineas.map(l => ({
+            producto: l.producto,
+            cantidad: l.cantidad,
+            costoUnitario: l.costoUnitario,
+            proveedor: l.orden.proveedor
+        }));
+    } else {
+        const pedidos = await prisma.pedido.findMany({
+            where: { ano, mes, cantidad: { gt: 0 }, producto: filtroProducto },
+            include: {
+                producto: {
+                    select: {
+                        ...selectProducto,
+                        proveedores: {
+                            include: { proveedor: { select: { id: true, nombre: true } } },
+                            orderBy: [{ principal: 'desc' }, { id: 'asc' }],
+                            take: 1
+                        }
+                    }
+                }
+            }
+        });
+        registros = pedidos.map(p => {
+            const principal = p.producto.proveedores[0] || null;
+            return {
+                producto: p.producto,
+                cantidad: p.cantidad,
+                costoUnitario: principal?.costoUnitario ?? null,
+                proveedor: principal?.proveedor || null
+            };
+        });
+    }
+
+    // Un producto puede estar en más de un borrador del mes: sumar por producto y proveedor
+    const porClave = new Map();
+    for (const registro of registros) {
+        const clave = `${registro.producto.id}:${registro.proveedor?.id ?? ''}`;
+        const existente = porClave.get(clave);
+        if (existente) {
+            existente.cantidad += registro.cantidad;
+            existente.costoUnitario = existente.costoUnitario ?? registro.costoUnitario;
+            continue;
+        }
+        porClave.set(clave, {
+            productoId: registro.producto.id,
+            sku: registro.producto.sku,
+            descripcion: registro.producto.descripcion,
+            familia: registro.producto.familia || '',
+            marca: getMarcaSku(registro.producto.sku),
+            proveedorId: registro.proveedor?.id ?? null,
+            proveedor: registro.proveedor?.nombre || SIN_PROVEEDOR,
+            cantidad: registro.cantidad,
+            costoUnitario: registro.costoUnitario ?? null
+        });
+    }
+
+    return {
+        origen: desdeBorradores ? 'borradores' : 'pedidos',
+        lineas: Array.from(porClave.values())
+    };
+}
+
+/**
+ * Agrupar líneas por marca o proveedor, con totales (los sin proveedor/marca al final)
+ */
+function agruparLineas(lineas, agrupar) {
+    const campo = agrupar === AGRUPACIONES.PROVEEDOR ? 'proveedor' : 'marca';
+    const sinGrupo = agrupar === AGRUPACIONES.PROVEEDOR ? SIN_PROVEEDOR : SIN_MARCA;
+
+    const grupos = new Map();
+    for (const linea of lineas) {
+        const nombre = linea[campo];
+        if (!grupos.has(nombre)) grupos.set(nombre, []);
+        grupos.get(nombre).push(linea);
+    }
+
+    return Array.from(grupos.entries())
+        .sort(([a], [b]) => (a === sinGrupo) - (b === sinGrupo) || a.localeCompare(b, 'es'))
+        .map(([nombre, items]) => {
+            items.sort((a, b) => a.sku.localeCompare(b.sku));
+            const conCosto = items.filter(i => i.costoUnitario !== null);
+            return {
+                nombre,
+                items,
+                totalCantidad: items.reduce((sum, i) => sum + i.cantidad, 0),
+                totalCosto: conCosto.length > 0
+                    ? conCosto.reduce((sum, i) => sum + i.cantidad * i.costoUnitario, 0)
+                    : null
+            };
+        });
+}
+
+function totalLinea(item) {
+    return item.costoUnitario !== null ? item.cantidad * item.costoUnitario : null;
+}
+
+function escaparCsv(valor) {
+    if (valor === null || valor === undefined) return '';
+    const texto = String(valor);
+    return /[",;\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * CSV con una fila por línea y la columna del grupo (con BOM para que Excel lea las tildes)
+ */
+function generarCsv(grupos, { agrupar, costos }) {
+    const encabezado = [
+        agrupar === AGRUPACIONES.PROVEEDOR ? 'Proveedor' : 'Marca',
+        'SKU', 'Descripción', 'Familia', 'Cantidad',
+        ...(costos ? ['Costo unitario', 'Total'] : [])
+    ];
+
+    const filas = grupos.flatMap(grupo => grupo.items.map(item => [
+        grupo.nombre,
+        item.sku,
+        item.descripcion,
+        item.familia,
+        item.cantidad,
+        ...(costos ? [item.costoUnitario, totalLinea(item)] : [])
+    ]));
+
+    const lineas = [encabezado, ...filas].map(fila => fila.map(escaparCsv).join(','));
+    return Buffer.from(`\uFEFF${lineas.join('\r\n')}\r\n`, 'utf8');
+}
+
+function tituloGrupo(grupo, agrupar) {
+    return agrupar === AGRUPACIONES.PROVEEDOR
+        ? `Pedido de compra - ${grupo.nombre}`
+        : `Pedido de compra - Marca ${grupo.nombre}`;
+}
+
+/**
+ * Excel con una hoja por grupo
+ */
+function generarXlsxExport(grupos, { agrupar, costos, periodo, generado }) {
+    const hojas = grupos.map(grupo => ({
+        nombre: grupo.nombre,
+        anchos: [18, 50, 20, 12, ...(costos ? [16, 16] : [])],
+        filas: [
+            [{ valor: tituloGrupo(grupo, agrupar), estilo: 'negrita' }],
+            [`Mes de compra: ${periodo}`],
+            [`Generado: ${generado}`],
+            [],
+            ['SKU', 'Descripción', 'Familia', 'Cantidad', ...(costos ? ['Costo unitario', 'Total'] : [])]
+                .map(valor => ({ valor, estilo: 'negrita' })),
+            ...grupo.items.map(item => [
+                item.sku,
+                item.descripcion,
+                item.familia,
+                { valor: item.cantidad, estilo: 'numero' },
+                ...(costos
+                    ? [{ valor: item.costoUnitario, estilo: 'moneda' }, { valor: totalLinea(item), estilo: 'moneda' }]
+                    : [])
+            ]),
+            [
+                { valor: 'Total', estilo: 'negrita' },
+                `${grupo.items.length} productos`,
+                '',
+                { valor: grupo.totalCantidad, estilo: 'numeroNegrita' },
+                ...(costos ? ['', { valor: grupo.totalCosto, estilo: 'monedaNegrita' }] : [])
+            ]
+        ]
+    }));
+
+    return generarXlsx(hojas);
+}
+
+function formatNumero(valor) {
+    return valor === null || valor === undefined ? '' : Math.round(valor).toLocaleString('es-CL');
+}
+
+function formatMoneda(valor) {
+    return valor === null || valor === undefined ? '' : `$${formatNumero(valor)}`;
+}
+
+/**
+ * PDF con una sección (páginas nuevas) por grupo
+ */
+function generarPdfExport(grupos, { agrupar, costos, periodo, generado }) {
+    const columnas = [
+        { titulo: 'SKU', ancho: 14 },
+        { titulo: 'Descripción', ancho: costos ? 38 : 50 },
+        { titulo: 'Familia', ancho: 16 },
+        { titulo: 'Cantidad', ancho: 10, alinear: 'derecha' },
+        ...(costos
+            ? [{ titulo: 'Costo unit.', ancho: 11, alinear: 'derecha' }, { titulo: 'Total', ancho: 13, alinear: 'derecha' }]
+            : [])
+    ];
+
+    return generarPdf({
+        pie: `Generado ${generado}`,
+        secciones: grupos.map(grupo => ({
+            titulo: tituloGrupo(grupo, agrupar),
+            subtitulos: [`Mes de compra: ${periodo}`, `${grupo.items.length} productos`],
+            columnas,
+            filas: grupo.items.map(item => [
+                item.sku,
+                item.descripcion,
+                item.familia,
+                formatNumero(item.cantidad),
+                ...(costos ? [formatMoneda(item.costoUnitario), formatMoneda(totalLinea(item))] : [])
+            ]),
+            total: [
+                'Total', '', '',
+                formatNumero(grupo.totalCantidad),
+                ...(costos ? ['', formatMoneda(grupo.totalCosto)] : [])
+            ]
+        }))
+    });
+}
+
+/**
+ * Generar el archivo de exportación de un mes
+ *
+ * @param {object} opciones
+ * @param {number} opciones.ano
+ * @param {number} opciones.mes
+ * @param {string} [opciones.marca] - Prefijo del SKU
+ * @param {number} [opciones.proveedorId]
+ * @param {string} [opciones.formato] - xlsx | csv | pdf
+ * @param {string} [opciones.agrupar] - marca | proveedor
+ * @param {boolean} [opciones.costos] - Incluir costo unitario y total
+ * @returns {Promise<{contenido: Buffer, contentType: string, nombreArchivo: string, lineas: number, grupos: number, origen: string}>}
+ */
+async function exportarPedidos({
+    ano,
+    mes,
+    marca,
+    proveedorId,
+    formato = FORMATOS.XLSX,
+    agrupar = AGRUPACIONES.MARCA,
+    costos = false
+}) {
+    const { origen, lineas } = await getLineasExport({ ano, mes, marca, proveedorId });
+    const grupos = agruparLineas(lineas, agrupar);
+
+    const opciones = {
+        agrupar,
+        costos,
+        periodo: `${MESES[mes - 1]} ${ano}`,
+        generado: formatChileDate(new Date(), 'dd-MM-yyyy HH:mm')
+    };
+
+    let contenido;
+    if (formato === FORMATOS.CSV) {
+        contenido = generarCsv(grupos, opciones);
+    } else if (formato === FORMATOS.PDF) {
+        contenido = await generarPdfExport(grupos, opciones);
+    } else {
+        contenido = await generarXlsxExport(grupos, opciones);
+    }
+
+    const sufijo = [marca ? marca.toUpperCase().replace(/[^A-Z0-9-]/g, '') : null, proveedorId ? `proveedor-${proveedorId}` : null]
+        .filter(Boolean)
+        .join('_');
+
+    return {
+        contenido,
+        contentType: CONTENT_TYPES[formato],
+        nombreArchivo: `pedidos_${ano}-${String(mes).padStart(2, '0')}${sufijo ? `_${sufijo}` : ''}.${formato}`,
+        lineas: lineas.length,
+        grupos: grupos.length,
+        origen
+    };
+}
+
+module.exports = {
+    FORMATOS,
+    AGRUPACIONES,
+    getMarcaSku,
+    getLineasExport,
+    agruparLineas,
+    exportarPedidos
+};
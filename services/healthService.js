@@ -0,0 +1,154 @@
+/**
+ * Chequeos de salud del servidor
+ *
+ * - live: el proceso responde (no consulta dependencias; para reiniciar el contenedor si se cuelga)
+ * - ready: base de datos, autenticación con Manager+, antigüedad de la última sincronización exitosa
+ *   (SyncLog) de cada tipo y rotación mensual pendiente. Cada chequeo informa su estado y duración.
+ */
+
+const { getPrismaClient } = require('../prisma/client');
+const { getAuthToken } = require('../utils/auth');
+const { necesitaRotacion } = require('./rotacionService');
+
+const prisma = getPrismaClient();
+
+const ESTADOS = {
+    OK: 'ok',
+    ERROR: 'error'
+};
+
+/**
+ * Horas máximas por tipo de SyncLog: "diaria:26,productos:168" → { diaria: 26, productos: 168 }
+ */
+function parseMaxHoras(valor) {
+    const maximos = {};
+    for (const par of (valor || '').split(',')) {
+        const [tipo, horas] = par.split(':').map(s => s.trim());
+        if (tipo && Number.isFinite(parseFloat(horas))) maximos[tipo] = parseFloat(horas);
+    }
+    return maximos;
+}
+
+// Configuración (variables de entorno)
+const CONFIG = {
+    timeoutMs: parseInt(process.env.HEALTH_TIMEOUT_MS || '5000', 10),
+    // La sincronización diaria corre a las 01:00: 26 horas da margen para que termine
+    syncMaxHoras: parseMaxHoras(process.env.HEALTH_SYNC_MAX_HORAS ?? 'diaria:26')
+};
+
+/**
+ * Ejecutar un chequeo con límite de tiempo
+ *
+ * @param {Function} fn - async () => { ok: boolean, mensaje, ...detalle }
+ * @returns {Promise<{status: string, duracionMs: number, mensaje: string}>}
+ */
+async function ejecutarChequeo(fn) {
+    const inicio = Date.now();
+    let timer;
+
+    try {
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`Sin respuesta en ${CONFIG.timeoutMs} ms`)), CONFIG.timeoutMs);
+            timer.unref();
+        });
+        const { ok, ...detalle } = await Promise.race([fn(), timeout]);
+        return { status: ok ? ESTADOS.OK : ESTADOS.ERROR, duracionMs: Date.now() - inicio, ...detalle };
+    } catch (error) {
+        return { status: ESTADOS.ERROR, duracionMs: Date.now() - inicio, mensaje: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function chequearBaseDatos() {
+    await prisma.$queryRaw`SELECT 1`;
+    return { ok: true, mensaje: 'Conexión OK' };
+}
+
+/**
+ * Autenticación con Manager+ (usa el token en caché si sigue vigente)
+ */
+async function chequearErp() {
+    await getAuthToken();
+    return { ok: true, mensaje: 'Autenticación OK' };
+}
+
+/**
+ * Antigüedad de la última sincronización exitosa de cada tipo contra su máximo configurado
+ */
+async function chequearSincronizacion() {
+    const grupos = await prisma.syncLog.groupBy({
+        by: ['tipo'],
+        _max: { createdAt: true }
+    });
+    const ultimas = new Map(grupos.map(g => [g.tipo, g._max.createdAt]));
+    const tipos = [...new Set([...Object.keys(CONFIG.syncMaxHoras), ...ultimas.keys()])];
+
+    const detalle = {};
+    const vencidos = [];
+
+    for (const tipo of tipos) {
+        const ultima = ultimas.get(tipo) || null;
+        const edadHoras = ultima ? parseFloat(((Date.now() - new Date(ultima).getTime()) / 3600000).toFixed(1)) : null;
+        const maxHoras = CONFIG.syncMaxHoras[tipo] ?? null;
+        const vencido = maxHoras !== null && (edadHoras === null || edadHoras > maxHoras);
+
+        detalle[tipo] = { ultima, edadHoras, maxHoras, status: vencido ? ESTADOS.ERROR : ESTADOS.OK };
+        if (vencido) {
+            vencidos.push(edadHoras === null ? `${tipo} sin sincronizaciones` : `${tipo} hace ${edadHoras} h (máx. ${maxHoras} h)`);
+        }
+    }
+
+    return {
+        ok: vencidos.length === 0,
+        mensaje: vencidos.length > 0 ? `Sincronización atrasada: ${vencidos.join('; ')}` : 'Sincronizaciones al día',
+        tipos: detalle
+    };
+}
+
+async function chequearRotacion() {
+    const pendiente = await necesitaRotacion();
+    return {
+        ok: !pendiente,
+        mensaje: pendiente ? 'Rotación mensual pendiente' : 'Sin rotación pendiente'
+    };
+}
+
+/**
+ * Liveness: solo confirma que el proceso atiende requests
+ */
+function getLive() {
+    return {
+        status: ESTADOS.OK,
+        timestamp: new Date().toISOString(),
+        uptimeSegundos: Math.round(process.uptime())
+    };
+}
+
+/**
+ * Readiness: todos los chequeos en paralelo; status "error" si alguno falla
+ */
+async function getReady() {
+    const inicio = Date.now();
+    const [baseDatos, erp, sincronizacion, rotacion] = await Promise.all([
+        ejecutarChequeo(chequearBaseDatos),
+        ejecutarChequeo(chequearErp),
+        ejecutarChequeo(chequearSincronizacion),
+        ejecutarChequeo(chequearRotacion)
+    ]);
+    const checks = { baseDatos, erp, sincronizacion, rotacion };
+
+    return {
+        status: Object.values(checks).every(c => c.status === ESTADOS.OK) ? ESTADOS.OK : ESTADOS.ERROR,
+        timestamp: new Date().toISOString(),
+        duracionMs: Date.now() - inicio,
+        checks
+    };
+}
+
+module.exports = {
+    CONFIG,
+    ESTADOS,
+    getLive,
+    getReady
+};
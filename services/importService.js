@@ -0,0 +1,315 @@
+/**
+ * Importación de cantidades a comprar desde planillas (CSV o XLSX)
+ *
+ * El archivo debe tener columnas SKU y Cantidad (y opcionalmente Año y Mes; si no vienen se usa
+ * el mes indicado o el actual). Se busca la fila de encabezados en las primeras filas de cada
+ * hoja, así también se puede reimportar un archivo generado por la exportación.
+ *
+ * El análisis (vista previa) no escribe nada: valida cada fila, la cruza con Producto y la
+ * compara con la cantidad vigente del mes (la que muestra el dashboard). Al aplicar se vuelve a
+ * analizar el archivo y las filas se guardan en los borradores del mes, igual que la columna
+ * "A Comprar", en una sola transacción junto con su auditoría.
+ */
+
+const { getPrismaClient } = require('../prisma/client');
+const { getMesActual } = require('../utils/periodo');
+const { getCantidadesMes, setCantidadBorrador } = require('./ordenCompraService');
+const { leerXlsx } = require('../utils/xlsx');
+const { leerCsv } = require('../utils/csv');
+const { logInfo } = require('../utils/logger');
+const { httpError } = require('../utils/httpError');
+
+const prisma = getPrismaClient();
+
+const ESTADOS_FILA = {
+    NUEVO: 'nuevo',
+    CAMBIO: 'cambio',
+    SIN_CAMBIO: 'sin_cambio',
+    ERROR: 'error'
+};
+
+// Nombres aceptados por columna (sin tildes y en minúsculas)
+const COLUMNAS = {
+    sku: ['sku', 'codigo', 'cod', 'codigo producto', 'cod producto'],
+    cantidad: ['cantidad', 'cant', 'qty', 'a comprar', 'cantidad a comprar', 'compra', 'pedido'],
+    ano: ['ano', 'anio', 'year'],
+    mes: ['mes', 'month']
+};
+
+const MAX_FILAS = 5000;
+const FILAS_BUSQUEDA_ENCABEZADO = 10;
+
+// Hasta MAX_FILAS escrituras con su auditoría en una sola transacción
+const TIMEOUT_TRANSACCION = 120000;
+
+function normalizarEncabezado(valor) {
+    return String(valor ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function celdaVacia(valor) {
+    return valor === null || valor === undefined || String(valor).trim() === '';
+}
+
+/**
+ * Leer las hojas del archivo: XLSX si es un ZIP, si no CSV
+ */
+async function leerArchivo(buffer, nombreArchivo = '') {
+    const esZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+    if (esZip) {
+        try {
+            return { formato: 'xlsx', hojas: await leerXlsx(buffer) };
+        } catch (error) {
+            throw httpError(`No se pudo leer el archivo Excel: ${error.message}`);
+        }
+    }
+
+    if (/\.xls$/i.test(nombreArchivo) || buffer.subarray(0, 4).toString('hex') === 'd0cf11e0') {
+        throw httpError('El formato .xls no está soportado: guarda el archivo como .xlsx o .csv');
+    }
+
+    return { formato: 'csv', hojas: [{ nombre: null, filas: leerCsv(buffer) }] };
+}
+
+/**
+ * Buscar la fila de encabezados (debe tener SKU y Cantidad)
+ *
+ * @returns {{indice: number, columnas: {sku: number, cantidad: number, ano: number, mes: number}}|null}
+ */
+function buscarEncabezado(filas) {
+    for (let i = 0; i < Math.min(filas.length, FILAS_BUSQUEDA_ENCABEZADO); i++) {
+        const nombres = (filas[i] || []).map(normalizarEncabezado);
+        const columnas = {};
+        for (const [campo, aceptados] of Object.entries(COLUMNAS)) {
+            columnas[campo] = nombres.findIndex(n => aceptados.includes(n));
+        }
+        if (columnas.sku >= 0 && columnas.cantidad >= 0) {
+            return { indice: i, columnas };
+        }
+    }
+    return null;
+}
+
+/**
+ * Número desde una celda (acepta coma decimal en textos: "12,5")
+ *
+ * @returns {number|null} null si está vacía, NaN si no es un número
+ */
+function parseNumero(valor) {
+    if (celdaVacia(valor)) return null;
+    if (typeof valor === 'number') return valor;
+    const texto = String(valor).trim().replace(/\s/g, '');
+    return /^-?\d+([.,]\d+)?$/.test(texto) ? Number(texto.replace(',', '.')) : NaN;
+}
+
+/**
+ * Convertir las filas de datos de una hoja en filas de importación (sin validar contra la base)
+ */
+function extraerFilas(hoja, encabezado, periodo) {
+    const { columnas } = encabezado;
+    const filas = [];
+
+    for (let i = encabezado.indice + 1; i < hoja.filas.length; i++) {
+        const celdas = hoja.filas[i] || [];
+        if (celdas.every(celdaVacia)) continue;
+
+        const sku = celdaVacia(celdas[columnas.sku]) ? '' : String(celdas[columnas.sku]).trim();
+        // Fila de totales de la exportación
+        if (sku.toUpperCase() === 'TOTAL') continue;
+
+        const fila = {
+            hoja: hoja.nombre,
+            linea: i + 1,
+            sku,
+            productoId: null,
+            descripcion: null,
+            ano: periodo.ano,
+            mes: periodo.mes,
+            cantidadAnterior: null,
+            cantidad: null,
+            estado: ESTADOS_FILA.ERROR,
+            errores: []
+        };
+
+        if (!sku) fila.errores.push('SKU vacío');
+
+        const cantidad = parseNumero(celdas[columnas.cantidad]);
+        if (cantidad === null) {
+            fila.errores.push('Cantidad vacía');
+        } else if (Number.isNaN(cantidad) || cantidad < 0) {
+            fila.errores.push(`Cantidad inválida: "${celdas[columnas.cantidad]}"`);
+        } else {
+            fila.cantidad = cantidad;
+        }
+
+        if (columnas.ano >= 0 && !celdaVacia(celdas[columnas.ano])) {
+            const ano = parseNumero(celdas[columnas.ano]);
+            if (!Number.isInteger(ano) || ano < 2000 || ano > 2100) {
+                fila.errores.push(`Año inválido: "${celdas[columnas.ano]}"`);
+            } else {
+                fila.ano = ano;
+            }
+        }
+
+        if (columnas.mes >= 0 && !celdaVacia(celdas[columnas.mes])) {
+            const mes = parseNumero(celdas[columnas.mes]);
+            if (!Number.isInteger(mes) || mes < 1 || mes > 12) {
+                fila.errores.push(`Mes inválido: "${celdas[columnas.mes]}" (debe ser 1-12)`);
+            } else {
+                fila.mes = mes;
+            }
+        }
+
+        filas.push(fila);
+    }
+
+    return filas;
+}
+
+/**
+ * Analizar un archivo sin escribir nada (vista previa)
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {object} [opciones]
+ * @param {string} [opciones.nombreArchivo]
+ * @param {number} [opciones.ano] - Año por defecto para filas sin columna Año (por defecto el actual)
+ * @param {number} [opciones.mes] - Mes por defecto para filas sin columna Mes
+ * @returns {Promise<{archivo: object, periodo: object, resumen: object, filas: Array<object>}>}
+ */
+async function analizarImportacion(buffer, { nombreArchivo = '', ano, mes } = {}) {
+    const mesActual = getMesActual();
+    const periodo = { ano: ano || mesActual.ano, mes: mes || mesActual.mes };
+    const { formato, hojas } = await leerArchivo(buffer, nombreArchivo);
+
+    const filas = [];
+    const hojasLeidas = [];
+    for (const hoja of hojas) {
+        const encabezado = buscarEncabezado(hoja.filas);
+        if (!encabezado) continue;
+        hojasLeidas.push(hoja.nombre);
+        filas.push(...extraerFilas(hoja, encabezado, periodo));
+    }
+
+    if (hojasLeidas.length === 0) {
+        throw httpError('No se encontraron las columnas SKU y Cantidad en el archivo');
+    }
+    if (filas.length > MAX_FILAS) {
+        throw httpError(`El archivo tiene ${filas.length} filas; el máximo es ${MAX_FILAS}`);
+    }
+
+    // Validar SKUs contra Producto (exacto o en mayúsculas)
+    const skus = [...new Set(filas.filter(f => f.sku).flatMap(f => [f.sku, f.sku.toUpperCase()]))];
+    const productos = await prisma.producto.findMany({
+        where: { sku: { in: skus } },
+        select: { id: true, sku: true, descripcion: true }
+    });
+    const productosPorSku = new Map(productos.map(p => [p.sku, p]));
+
+    const vistas = new Map();
+    for (const fila of filas) {
+        if (!fila.sku) continue;
+        const producto = productosPorSku.get(fila.sku) || productosPorSku.get(fila.sku.toUpperCase());
+        if (!producto) {
+            fila.errores.push(`SKU no existe: "${fila.sku}"`);
+            continue;
+        }
+        fila.productoId = producto.id;
+        fila.sku = producto.sku;
+        fila.descripcion = producto.descripcion;
+        if (fila.errores.length > 0) continue;
+
+        const clave = `${producto.id}:${fila.ano}:${fila.mes}`;
+        const previa = vistas.get(clave);
+        if (previa) {
+            fila.errores.push(`Duplicado: mismo SKU y mes que la línea ${previa.linea}${previa.hoja ? ` (${previa.hoja})` : ''}`);
+        } else {
+            vistas.set(clave, fila);
+        }
+    }
+
+    // Cantidades vigentes de las filas válidas (borradores o pedidos del mes) para armar la diferencia
+    const validas = filas.filter(f => f.errores.length === 0);
+    const porMes = new Map();
+    for (const fila of validas) {
+        const clave = `${fila.ano}:${fila.mes}`;
+        if (!porMes.has(clave)) porMes.set(clave, { ano: fila.ano, mes: fila.mes, productoIds: [] });
+        porMes.get(clave).productoIds.push(fila.productoId);
+    }
+    const existentesMap = new Map();
+    for (const { ano: anoFila, mes: mesFila, productoIds } of porMes.values()) {
+        const cantidades = await getCantidadesMes(anoFila, mesFila, productoIds);
+        cantidades.forEach((cantidad, productoId) => existentesMap.set(`${productoId}:${anoFila}:${mesFila}`, cantidad));
+    }
+
+    for (const fila of filas) {
+        if (fila.errores.length > 0) continue;
+        const anterior = existentesMap.get(`${fila.productoId}:${fila.ano}:${fila.mes}`);
+        fila.cantidadAnterior = anterior ?? null;
+        // Una cantidad 0 sin nada cargado no cambia nada
+        if ((anterior ?? 0) === fila.cantidad) {
+            fila.estado = ESTADOS_FILA.SIN_CAMBIO;
+        } else if (anterior === undefined) {
+            fila.estado = ESTADOS_FILA.NUEVO;
+        } else {
+            fila.estado = ESTADOS_FILA.CAMBIO;
+        }
+    }
+
+    const contar = estado => filas.filter(f => f.estado === estado).length;
+
+    return {
+        archivo: { nombre: nombreArchivo || null, formato, hojas: hojasLeidas.filter(Boolean) },
+        periodo,
+        resumen: {
+            total: filas.length,
+            nuevos: contar(ESTADOS_FILA.NUEVO),
+            cambios: contar(ESTADOS_FILA.CAMBIO),
+            sinCambio: contar(ESTADOS_FILA.SIN_CAMBIO),
+            errores: contar(ESTADOS_FILA.ERROR)
+        },
+        filas
+    };
+}
+
+/**
+ * Aplicar un archivo: guarda las filas nuevas o con cambios en los borradores del mes, en una transacción
+ *
+ * Si hay filas con error no se guarda nada, salvo que se pida omitirlas.
+ *
+ * @param {Buffer} buffer
+ * @param {object} [opciones] - Las de analizarImportacion, más:
+ * @param {boolean} [opciones.omitirErrores] - Aplicar las filas válidas aunque otras tengan errores
+ * @param {object|null} [opciones.auditoria] - Contexto de pedidoAuditService.contextoAuditoria
+ * @returns {Promise<object>} Análisis con { aplicada, aplicados }
+ */
+async function aplicarImportacion(buffer, { omitirErrores = false, auditoria = null, ...opciones } = {}) {
+    const analisis = await analizarImportacion(buffer, opciones);
+
+    if (analisis.resumen.errores > 0 && !omitirErrores) {
+        return { ...analisis, aplicada: false, aplicados: 0 };
+    }
+
+    const aplicables = analisis.filas.filter(f => f.estado === ESTADOS_FILA.NUEVO || f.estado === ESTADOS_FILA.CAMBIO);
+
+    // Cada fila con su auditoría; si una falla no se guarda ninguna
+    await prisma.$transaction(async (tx) => {
+        for (const fila of aplicables) {
+            await setCantidadBorrador(fila.ano, fila.mes, fila.productoId, fila.cantidad, auditoria, tx);
+        }
+    }, { timeout: TIMEOUT_TRANSACCION });
+
+    logInfo(`📥 Importación ${analisis.archivo.nombre || analisis.archivo.formato}: ${aplicables.length} cantidades guardadas en borradores (${analisis.resumen.errores} filas con error omitidas)`);
+
+    return { ...analisis, aplicada: true, aplicados: aplicables.length };
+}
+
+module.exports = {
+    ESTADOS_FILA,
+    MAX_FILAS,
+    analizarImportacion,
+    aplicarImportacion
+};
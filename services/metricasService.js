@@ -0,0 +1,78 @@
+/**
+ * Gauges de Prometheus que se calculan al momento de cada consulta a GET /metrics
+ *
+ * Los contadores e histogramas se observan donde ocurren (HTTP en middleware/metricas.js, Manager+ en
+ * utils/erpClient.js, jobs en syncJobService); aquí se agrega el estado actual: última sincronización
+ * exitosa por tipo, productos, jobs activos, edad del caché de ventas en vivo y el limitador del ERP.
+ */
+
+const { getPrismaClient } = require('../prisma/client');
+const { crearGauge, renderMetricas } = require('../utils/metrics');
+const { getMetricasErp } = require('../utils/erpClient');
+const { getEstado: getEstadoVentasEnVivo } = require('./ventasEnVivoService');
+const { ESTADOS: ESTADOS_JOB } = require('./syncJobService');
+
+const prisma = getPrismaClient();
+
+const segundos = (fecha) => Math.floor(new Date(fecha).getTime() / 1000);
+
+crearGauge('sync_last_success_timestamp_seconds',
+    'Fecha (epoch) de la última sincronización exitosa por tipo de SyncLog', ['tipo'], async (gauge) => {
+        const grupos = await prisma.syncLog.groupBy({
+            by: ['tipo'],
+            _max: { createdAt: true }
+        });
+        for (const g of grupos) {
+            if (g._max.createdAt) gauge.set({ tipo: g.tipo }, segundos(g._max.createdAt));
+        }
+    });
+
+crearGauge('products', 'Productos en el catálogo', [], async (gauge) => {
+    gauge.set({}, await prisma.producto.count());
+});
+
+crearGauge('sync_jobs_active', 'Jobs de sincronización pendientes o en curso', ['estado'], async (gauge) => {
+    const grupos = await prisma.syncJob.groupBy({
+        by: ['estado'],
+        where: { estado: { in: [ESTADOS_JOB.PENDIENTE, ESTADOS_JOB.EN_CURSO] } },
+        _count: { _all: true }
+    });
+    gauge.set({ estado: ESTADOS_JOB.PENDIENTE }, 0);
+    gauge.set({ estado: ESTADOS_JOB.EN_CURSO }, 0);
+    for (const g of grupos) gauge.set({ estado: g.estado }, g._count._all);
+});
+
+crearGauge('live_sales_age_seconds',
+    'Segundos desde la última actualización exitosa del caché de ventas de hoy (sin valor si aún no hay datos)', [], (gauge) => {
+        const { edadSegundos } = getEstadoVentasEnVivo();
+        if (edadSegundos !== null) gauge.set({}, edadSegundos);
+    });
+
+crearGauge('live_sales_consecutive_errors', 'Refrescos seguidos del caché de ventas de hoy que fallaron', [], (gauge) => {
+    gauge.set({}, getEstadoVentasEnVivo().erroresConsecutivos);
+});
+
+crearGauge('erp_in_flight_requests', 'Solicitudes a Manager+ en curso y en cola del limitador', ['estado'], (gauge) => {
+    const { activas, enCola } = getMetricasErp();
+    gauge.set({ estado: 'activa' }, activas);
+    gauge.set({ estado: 'en_cola' }, enCola);
+});
+
+crearGauge('process_resident_memory_bytes', 'Memoria residente del proceso', [], (gauge) => {
+    gauge.set({}, process.memoryUsage().rss);
+});
+
+crearGauge('process_start_time_seconds', 'Inicio del proceso (epoch)', [], (gauge) => {
+    gauge.set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+});
+
+/**
+ * Todas las métricas en formato de exposición de Prometheus
+ */
+function getMetricas() {
+    return renderMetricas();
+}
+
+module.exports = {
+    getMetricas
+};
@@ -0,0 +1,798 @@
+/**
+ * Servicio de órdenes de compra
+ *
+ * Una orden de compra tiene cabecera (estado, mes, proveedor, fechas) y líneas por producto.
+ * Ciclo de vida: borrador → aprobada → enviada → recibida_parcial → recibida (o cancelada)
+ *
+ * El dashboard trabaja sobre las órdenes en borrador del mes actual (una por proveedor): borradorClave
+ * es única y solo está definida mientras la orden está en borrador, así la base de datos rechaza un
+ * segundo borrador para el mismo mes y proveedor. Al crear el primer borrador de un mes, los pedidos sueltos
+ * del mes pasan a sus líneas y dejan de existir como pedidos.
+ */
+
+const { getPrismaClient } = require('../prisma/client');
+const { getMesActual } = require('../utils/periodo');
+const { getProveedorPrincipal } = require('./proveedorService');
+const { ACCIONES: ACCIONES_AUDITORIA, registrarCambio, registrarCambios } = require('./pedidoAuditService');
+const { logInfo } = require('../utils/logger');
+const { httpError } = require('../utils/httpError');
+
+const prisma = getPrismaClient();
+
+// Dividir una orden o aplicar una importación recorre muchas líneas: puede superar el timeout
+// por defecto (5 s) de las transacciones
+const TIMEOUT_TRANSACCION = 60000;
+
+const ESTADOS = {
+    BORRADOR: 'borrador',
+    APROBADA: 'aprobada',
+    ENVIADA: 'enviada',
+    RECIBIDA_PARCIAL: 'recibida_parcial',
+    RECIBIDA: 'recibida',
+    CANCELADA: 'cancelada'
+};
+
+// Transiciones permitidas: estado actual → estados destino
+const TRANSICIONES = {
+    [ESTADOS.BORRADOR]: [ESTADOS.APROBADA, ESTADOS.CANCELADA],
+    [ESTADOS.APROBADA]: [ESTADOS.BORRADOR, ESTADOS.ENVIADA, ESTADOS.CANCELADA],
+    [ESTADOS.ENVIADA]: [ESTADOS.RECIBIDA_PARCIAL, ESTADOS.RECIBIDA, ESTADOS.CANCELADA],
+    [ESTADOS.RECIBIDA_PARCIAL]: [ESTADOS.RECIBIDA, ESTADOS.CANCELADA],
+    [ESTADOS.RECIBIDA]: [],
+    [ESTADOS.CANCELADA]: []
+};
+
+// Estados cuyas cantidades pendientes de recibir cuentan como stock en camino
+const ESTADOS_ABIERTOS = [ESTADOS.APROBADA, ESTADOS.ENVIADA, ESTADOS.RECIBIDA_PARCIAL];
+
+const INCLUDE_LINEAS = {
+    proveedor: true,
+    lineas: {
+        include: {
+            producto: {
+                select: { id: true, sku: true, descripcion: true, familia: true }
+            }
+        },
+        orderBy: { producto: { sku: 'asc' } }
+    }
+};
+
+/**
+ * Ejecutar fn con el cliente de la transacción recibida, o en una transacción nueva
+ *
+ * Cada cambio de cantidades se escribe junto con su auditoría: si algo falla no queda ninguno de los dos.
+ */
+function enTransaccion(tx, fn) {
+    return tx ? fn(tx) : prisma.$transaction(fn, { timeout: TIMEOUT_TRANSACCION });
+}
+
+/**
+ * Obtener una orden con sus líneas (lanza 404 si no existe)
+ */
+async function getOrden(id, db = prisma) {
+    const orden = await db.ordenCompra.findUnique({
+        where: { id },
+        include: INCLUDE_LINEAS
+    });
+
+    if (!orden) {
+        throw httpError('Orden de compra no encontrada', 404);
+    }
+
+    return orden;
+}
+
+/**
+ * Listar órdenes con filtros opcionales
+ *
+ * @param {object} filtros
+ * @param {string} [filtros.estado]
+ * @param {number} [filtros.ano]
+ * @param {number} [filtros.mes]
+ * @param {number} [filtros.proveedorId]
+ */
+async function listarOrdenes(filtros = {}) {
+    const where = {};
+    if (filtros.estado) where.estado = filtros.estado;
+    if (filtros.ano) where.ano = filtros.ano;
+    if (filtros.mes) where.mes = filtros.mes;
+    if (filtros.proveedorId) where.proveedorId = filtros.proveedorId;
+
+    return prisma.ordenCompra.findMany({
+        where,
+        include: {
+            proveedor: { select: { id: true, nombre: true } },
+            _count: { select: { lineas: true } }
+        },
+        orderBy: [{ ano: 'desc' }, { mes: 'desc' }, { id: 'desc' }]
+    });
+}
+
+/**
+ * Verificar que el proveedor exista (null = orden sin proveedor asignado)
+ */
+async function assertProveedor(proveedorId) {
+    if (!proveedorId) return;
+
+    const proveedor = await prisma.proveedor.findUnique({ where: { id: proveedorId } });
+    if (!proveedor) {
+        throw httpError('Proveedor no encontrado', 404);
+    }
+}
+
+/**
+ * Clave de unicidad de un borrador (mes y proveedor)
+ */
+function claveBorrador(ano, mes, proveedorId) {
+    return `${ano}-${mes}-${proveedorId ?? 'sin'}`;
+}
+
+/**
+ * Violación de la clave única de borrador (P2002 de Prisma)
+ */
+function esBorradorDuplicado(error) {
+    return error.code === 'P2002';
+}
+
+/**
+ * Error 409 para un segundo borrador del mismo mes y proveedor
+ */
+function borradorDuplicadoError(ano, mes, proveedorId) {
+    const proveedor = proveedorId ? `el proveedor ${proveedorId}` : 'órdenes sin proveedor';
+    return httpError(`Ya existe una orden en borrador de ${mes}/${ano} para ${proveedor}`, 409);
+}
+
+/**
+ * Crear la orden en borrador de un mes y proveedor (lanza el P2002 de Prisma si ya existe)
+ *
+ * Si es el primer borrador del mes, los pedidos sueltos del mes pasan a ser sus líneas y se eliminan:
+ * desde ahí la cantidad vive solo en la orden, así al aprobarla o cancelarla el mes no vuelve a mostrar
+ * cantidades que ya se pidieron (cada copia queda en la auditoría como "mover").
+ */
+async function crearBorrador(ano, mes, proveedorId, notas, auditoria, db) {
+    const pedidos = await tieneBorradores(ano, mes, db)
+        ? []
+        : await db.pedido.findMany({ where: { ano, mes, cantidad: { gt: 0 } } });
+
+    const orden = await db.ordenCompra.create({
+        data: {
+            estado: ESTADOS.BORRADOR,
+            ano,
+            mes,
+            proveedorId,
+            borradorClave: claveBorrador(ano, mes, proveedorId),
+            notas,
+            lineas: {
+                create: pedidos.map(p => ({
+                    productoId: p.productoId,
+                    cantidad: p.cantidad
+                }))
+            }
+        }
+    });
+
+    if (pedidos.length > 0) {
+        await db.pedido.deleteMany({ where: { id: { in: pedidos.map(p => p.id) } } });
+        await registrarCambios(auditoria, pedidos.map(p => ({
+            productoId: p.productoId,
+            ano,
+            mes,
+            ordenId: orden.id,
+            anterior: null,
+            nueva: p.cantidad,
+            accion: ACCIONES_AUDITORIA.MOVER
+        })), db);
+    }
+
+    logInfo(`Orden de compra #${orden.id} creada en borrador para ${mes}/${ano} (${pedidos.length} líneas desde pedidos)`);
+
+    return orden;
+}
+
+/**
+ * Crear una orden en borrador (409 si el mes ya tiene un borrador para ese proveedor)
+ *
+ * @param {object} datos - { ano, mes, proveedorId, notas }
+ * @param {object|null} [auditoria] - Contexto de pedidoAuditService.contextoAuditoria (pedidos que pasan a la orden)
+ */
+async function crearOrden(datos = {}, auditoria = null) {
+    const mesActual = getMesActual();
+    await assertProveedor(datos.proveedorId);
+
+    const ano = datos.ano || mesActual.ano;
+    const mes = datos.mes || mesActual.mes;
+    const proveedorId = datos.proveedorId || null;
+
+    try {
+        const orden = await enTransaccion(null, db => crearBorrador(ano, mes, proveedorId, datos.notas || null, auditoria, db));
+        return await getOrden(orden.id);
+    } catch (error) {
+        if (esBorradorDuplicado(error)) throw borradorDuplicadoError(ano, mes, proveedorId);
+        throw error;
+    }
+}
+
+/**
+ * Buscar la orden en borrador de un mes y proveedor (sin crearla)
+ */
+async function findBorrador(ano, mes, proveedorId = null, db = prisma) {
+    return db.ordenCompra.findFirst({
+        where: { estado: ESTADOS.BORRADOR, ano, mes, proveedorId },
+        orderBy: { id: 'asc' }
+    });
+}
+
+/**
+ * Obtener la orden en borrador de un mes y proveedor (la crea si no existe)
+ *
+ * Si es el primer borrador del mes se lleva los pedidos sueltos del mes (ver crearBorrador).
+ *
+ * @param {object|null} [auditoria] - Contexto de pedidoAuditService.contextoAuditoria
+ * @param {object} [tx] - Cliente de una transacción en curso
+ */
+async function getOrCreateBorrador(ano, mes, proveedorId = null, auditoria = null, tx = null) {
+    return enTransaccion(tx, async (db) => {
+        const existente = await findBorrador(ano, mes, proveedorId, db);
+
+        if (existente) {
+            return existente;
+        }
+
+        try {
+            return await crearBorrador(ano, mes, proveedorId, null, auditoria, db);
+        } catch (error) {
+            // Otra petición lo creó entre la búsqueda y el create
+            if (esBorradorDuplicado(error)) return findBorrador(ano, mes, proveedorId, db);
+            throw error;
+        }
+    });
+}
+
+/**
+ * ¿El mes ya tiene órdenes en borrador?
+ *
+ * Desde que existe una, las cantidades a comprar del mes son las líneas de los borradores
+ * (lo que muestra el dashboard) y la tabla de pedidos ya no se lee. Sin borradores, los pedidos
+ * del mes son solo lo cargado después de que el último borrador se aprobara o cancelara: lo
+ * anterior pasó a las órdenes al crear el primer borrador.
+ */
+async function tieneBorradores(ano, mes, db = prisma) {
+    const borradores = await db.ordenCompra.count({ where: { estado: ESTADOS.BORRADOR, ano, mes } });
+    return borradores > 0;
+}
+
+/**
+ * Cantidades a comprar vigentes de un mes por producto, las mismas que muestra el dashboard:
+ * la suma de las líneas de los borradores o, si el mes aún no tiene borradores, los pedidos
+ *
+ * @param {number[]} productoIds
+ * @returns {Promise<Map<number, number>>} productoId → cantidad (sin entrada si no hay cantidad cargada)
+ */
+async function getCantidadesMes(ano, mes, productoIds, db = prisma) {
+    const cantidades = new Map();
+
+    if (await tieneBorradores(ano, mes, db)) {
+        const lineas = await db.ordenCompraLinea.findMany({
+            where: { productoId: { in: productoIds }, orden: { estado: ESTADOS.BORRADOR, ano, mes } },
+            select: { productoId: true, cantidad: true }
+        });
+        lineas.forEach(l => cantidades.set(l.productoId, (cantidades.get(l.productoId) || 0) + l.cantidad));
+        return cantidades;
+    }
+
+    const pedidos = await db.pedido.findMany({
+        where: { ano, mes, productoId: { in: productoIds } },
+        select: { productoId: true, cantidad: true }
+    });
+    pedidos.forEach(p => cantidades.set(p.productoId, p.cantidad));
+    return cantidades;
+}
+
+/**
+ * Listar las cantidades a comprar vigentes por producto y mes, con la misma regla que getCantidadesMes:
+ * en los meses con borradores la suma de sus líneas, en el resto los pedidos
+ *
+ * @param {object} [filtros]
+ * @param {number} [filtros.productoId]
+ * @param {number} [filtros.ano]
+ * @param {number} [filtros.mes]
+ * @param {object} [filtros.producto] - Filtro de producto (proveedorService.buildFiltroProducto)
+ * @returns {Promise<object[]>} { id, producto, ano, mes, cantidad, ordenId, createdAt, updatedAt }; id es null
+ *   en las cantidades de borradores y ordenId el primer borrador con el producto. Más reciente primero y por SKU.
+ */
+async function listarCantidades(filtros = {}) {
+    const { productoId, ano, mes, producto } = filtros;
+    const selectProducto = { select: { id: true, sku: true, descripcion: true } };
+
+    const borradores = await prisma.ordenCompra.findMany({
+        where: { estado: ESTADOS.BORRADOR, ano, mes },
+        select: { ano: true, mes: true }
+    });
+    const mesesConBorrador = new Set(borradores.map(b => `${b.ano}-${b.mes}`));
+
+    const pedidos = await prisma.pedido.findMany({
+        where: { productoId, ano, mes, producto },
+        include: { producto: selectProducto }
+    });
+    const lineas = mesesConBorrador.size === 0 ? [] : await prisma.ordenCompraLinea.findMany({
+        where: { productoId, producto, orden: { estado: ESTADOS.BORRADOR, ano, mes } },
+        include: { producto: selectProducto, orden: { select: { ano: true, mes: true } } },
+        orderBy: { ordenId: 'asc' }
+    });
+
+    const filas = pedidos
+        .filter(p => !mesesConBorrador.has(`${p.ano}-${p.mes}`))
+        .map(p => ({
+            id: p.id,
+            producto: p.producto,
+            ano: p.ano,
+            mes: p.mes,
+            cantidad: p.cantidad,
+            ordenId: null,
+            createdAt: p.createdAt,
+            updatedAt: p.updatedAt
+        }));
+
+    // Un producto en más de un borrador del mes suma sus líneas, como en el dashboard
+    const porProductoMes = new Map();
+    for (const linea of lineas) {
+        const clave = `${linea.productoId}-${linea.orden.ano}-${linea.orden.mes}`;
+        const fila = porProductoMes.get(clave);
+        if (fila) {
+            fila.cantidad += linea.cantidad;
+            if (linea.updatedAt > fila.updatedAt) fila.updatedAt = linea.updatedAt;
+            continue;
+        }
+        porProductoMes.set(clave, {
+            id: null,
+            producto: linea.producto,
+            ano: linea.orden.ano,
+            mes: linea.orden.mes,
+            cantidad: linea.cantidad,
+            ordenId: linea.ordenId,
+            createdAt: linea.createdAt,
+            updatedAt: linea.updatedAt
+        });
+    }
+    filas.push(...porProductoMes.values());
+
+    return filas.sort((a, b) => b.ano - a.ano || b.mes - a.mes || a.producto.sku.localeCompare(b.producto.sku));
+}
+
+/**
+ * Obtener la orden en borrador del mes actual para un proveedor (la crea si no existe)
+ */
+async function getBorradorActual(proveedorId = null, auditoria = null) {
+    const mesActual = getMesActual();
+    return getOrCreateBorrador(mesActual.ano, mesActual.mes, proveedorId, auditoria);
+}
+
+/**
+ * Verificar que la orden esté en borrador (solo los borradores se pueden editar)
+ */
+function assertEditable(orden) {
+    if (orden.estado !== ESTADOS.BORRADOR) {
+        throw httpError(`La orden #${orden.id} está en estado "${orden.estado}" y no se puede modificar`, 409);
+    }
+}
+
+/**
+ * Costo unitario de un producto para la orden: el del proveedor de la orden,
+ * o el del proveedor principal si la orden no tiene proveedor
+ */
+async function getCostoUnitario(productoId, proveedorId, db = prisma) {
+    const asociacion = await db.productoProveedor.findFirst({
+        where: proveedorId ? { productoId, proveedorId } : { productoId },
+        orderBy: [{ principal: 'desc' }, { id: 'asc' }]
+    });
+
+    return asociacion?.costoUnitario ?? null;
+}
+
+/**
+ * Fijar la cantidad de un producto en una orden en borrador
+ * Cantidad 0 elimina la línea.
+ *
+ * @param {object|null} [auditoria] - Contexto de pedidoAuditService.contextoAuditoria para registrar el cambio
+ * @param {object} [tx] - Cliente de una transacción en curso
+ */
+async function setCantidadLinea(ordenId, productoId, cantidad, auditoria = null, tx = null) {
+    return enTransaccion(tx, async (db) => {
+        const orden = await db.ordenCompra.findUnique({ where: { id: ordenId } });
+        if (!orden) {
+            throw httpError('Orden de compra no encontrada', 404);
+        }
+        assertEditable(orden);
+
+        const anterior = await db.ordenCompraLinea.findUnique({
+            where: { ordenId_productoId: { ordenId, productoId } }
+        });
+        const cambio = {
+            productoId,
+            ano: orden.ano,
+            mes: orden.mes,
+            ordenId,
+            anterior: anterior?.cantidad ?? null,
+            nueva: cantidad > 0 ? cantidad : 0
+        };
+
+        if (!cantidad || cantidad <= 0) {
+            await db.ordenCompraLinea.deleteMany({
+                where: { ordenId, productoId }
+            });
+            await registrarCambio(auditoria, cambio, db);
+            return null;
+        }
+
+        const costoUnitario = await getCostoUnitario(productoId, orden.proveedorId, db);
+
+        const linea = await db.ordenCompraLinea.upsert({
+            where: {
+                ordenId_productoId: { ordenId, productoId }
+            },
+            update: { cantidad, costoUnitario },
+            create: { ordenId, productoId, cantidad, costoUnitario }
+        });
+        await registrarCambio(auditoria, cambio, db);
+
+        return linea;
+    });
+}
+
+/**
+ * Fijar la cantidad a comprar de un producto en los borradores de un mes
+ *
+ * Si el producto ya está en algún borrador del mes se actualiza esa línea;
+ * si no, se agrega al borrador de su proveedor principal (o al borrador sin proveedor).
+ *
+ * @param {object} [tx] - Cliente de una transacción en curso
+ * @returns {Promise<number|null>} ID de la orden modificada
+ */
+async function setCantidadBorrador(ano, mes, productoId, cantidad, auditoria = null, tx = null) {
+    return enTransaccion(tx, async (db) => {
+        const lineaExistente = await db.ordenCompraLinea.findFirst({
+            where: {
+                productoId,
+                orden: { estado: ESTADOS.BORRADOR, ano, mes }
+            }
+        });
+
+        if (lineaExistente) {
+            await setCantidadLinea(lineaExistente.ordenId, productoId, cantidad, auditoria, db);
+            return lineaExistente.ordenId;
+        }
+
+        // Sin línea no hay nada que borrar, salvo que la cantidad siga en los pedidos del mes:
+        // en ese caso se crea el borrador (que se lleva los pedidos) y se borra ahí
+        if (!cantidad || cantidad <= 0) {
+            const pedido = await db.pedido.findFirst({ where: { productoId, ano, mes, cantidad: { gt: 0 } } });
+            if (!pedido || await tieneBorradores(ano, mes, db)) return null;
+        }
+
+        const principal = await getProveedorPrincipal(productoId, db);
+        const borrador = await getOrCreateBorrador(ano, mes, principal?.proveedorId ?? null, auditoria, db);
+
+        await setCantidadLinea(borrador.id, productoId, cantidad, auditoria, db);
+        return borrador.id;
+    });
+}
+
+/**
+ * Eliminar todas las líneas de una orden en borrador
+ *
+ * @param {object|null} [auditoria] - Contexto de auditoría: cada línea eliminada queda registrada como reset
+ */
+async function vaciarOrden(ordenId, auditoria = null) {
+    return enTransaccion(null, async (db) => {
+        const orden = await getOrden(ordenId, db);
+        assertEditable(orden);
+
+        const result = await db.ordenCompraLinea.deleteMany({
+            where: { ordenId }
+        });
+
+        await registrarCambios(auditoria, orden.lineas.map(l => ({
+            productoId: l.productoId,
+            sku: l.producto.sku,
+            ano: orden.ano,
+            mes: orden.mes,
+            ordenId,
+            anterior: l.cantidad,
+            nueva: 0,
+            accion: ACCIONES_AUDITORIA.RESET
+        })), db);
+
+        return result.count;
+    });
+}
+
+/**
+ * Eliminar las líneas de todos los borradores de un mes (opcionalmente de un solo proveedor)
+ *
+ * @param {object|null} [auditoria] - Contexto de auditoría: cada línea eliminada queda registrada como reset
+ */
+async function vaciarBorradores(ano, mes, proveedorId = undefined, auditoria = null) {
+    const where = { estado: ESTADOS.BORRADOR, ano, mes };
+    if (proveedorId !== undefined) where.proveedorId = proveedorId;
+
+    return enTransaccion(null, async (db) => {
+        const lineas = auditoria
+            ? await db.ordenCompraLinea.findMany({
+                where: { orden: where },
+                include: { producto: { select: { sku: true } } }
+            })
+            : [];
+
+        const result = await db.ordenCompraLinea.deleteMany({
+            where: { orden: where }
+        });
+
+        await registrarCambios(auditoria, lineas.map(l => ({
+            productoId: l.productoId,
+            sku: l.producto.sku,
+            ano,
+            mes,
+            ordenId: l.ordenId,
+            anterior: l.cantidad,
+            nueva: 0,
+            accion: ACCIONES_AUDITORIA.RESET
+        })), db);
+
+        return result.count;
+    });
+}
+
+/**
+ * Dividir una orden en borrador según el proveedor principal de cada producto
+ *
+ * Las líneas cuyo proveedor principal no es el de la orden se mueven al borrador
+ * del mismo mes de su proveedor (creándolo si hace falta). Todo en una transacción; cada
+ * movimiento queda en la auditoría como "mover" en la orden de origen y en la de destino.
+ *
+ * @param {object|null} [auditoria] - Contexto de pedidoAuditService.contextoAuditoria
+ * @returns {Promise<Array<{ordenId: number, proveedorId: number|null, lineas: number}>>} Órdenes que recibieron líneas
+ */
+async function dividirPorProveedor(ordenId, auditoria = null) {
+    const destinos = await enTransaccion(null, async (db) => {
+        const orden = await getOrden(ordenId, db);
+        assertEditable(orden);
+
+        const resumenes = new Map();
+
+        for (const linea of orden.lineas) {
+            const principal = await getProveedorPrincipal(linea.productoId, db);
+            const proveedorId = principal?.proveedorId ?? null;
+
+            if (proveedorId === orden.proveedorId) continue;
+
+            const destino = await getOrCreateBorrador(orden.ano, orden.mes, proveedorId, auditoria, db);
+            const lineaDestino = await db.ordenCompraLinea.findUnique({
+                where: { ordenId_productoId: { ordenId: destino.id, productoId: linea.productoId } }
+            });
+            const cantidad = linea.cantidad + (lineaDestino?.cantidad || 0);
+
+            await setCantidadLinea(destino.id, linea.productoId, cantidad, null, db);
+            await db.ordenCompraLinea.delete({ where: { id: linea.id } });
+            await registrarCambios(auditoria, [
+                { ordenId, anterior: linea.cantidad, nueva: 0 },
+                { ordenId: destino.id, anterior: lineaDestino?.cantidad ?? null, nueva: cantidad }
+            ].map(c => ({
+                ...c,
+                productoId: linea.productoId,
+                sku: linea.producto.sku,
+                ano: orden.ano,
+                mes: orden.mes,
+                accion: ACCIONES_AUDITORIA.MOVER
+            })), db);
+
+            const resumen = resumenes.get(destino.id) || { ordenId: destino.id, proveedorId, lineas: 0 };
+            resumen.lineas++;
+            resumenes.set(destino.id, resumen);
+        }
+
+        return Array.from(resumenes.values());
+    });
+
+    logInfo(`Orden de compra #${ordenId} dividida en ${destinos.length} órdenes por proveedor`);
+
+    return destinos;
+}
+
+/**
+ * Actualizar datos de cabecera de una orden en borrador
+ */
+async function actualizarCabecera(ordenId, datos) {
+    const orden = await getOrden(ordenId);
+    assertEditable(orden);
+
+    const data = {};
+    if (datos.proveedorId !== undefined) {
+        await assertProveedor(datos.proveedorId);
+        data.proveedorId = datos.proveedorId || null;
+        data.borradorClave = claveBorrador(orden.ano, orden.mes, data.proveedorId);
+    }
+    if (datos.notas !== undefined) data.notas = datos.notas || null;
+
+    try {
+        return await prisma.ordenCompra.update({
+            where: { id: ordenId },
+            data,
+            include: INCLUDE_LINEAS
+        });
+    } catch (error) {
+        if (esBorradorDuplicado(error)) throw borradorDuplicadoError(orden.ano, orden.mes, data.proveedorId);
+        throw error;
+    }
+}
+
+/**
+ * Cambiar el estado de una orden validando la transición
+ *
+ * Cancelar un borrador saca sus líneas de las cantidades a comprar del mes: quedan en la auditoría como eliminadas.
+ *
+ * @param {object|null} [auditoria] - Contexto de pedidoAuditService.contextoAuditoria
+ */
+async function cambiarEstado(ordenId, nuevoEstado, auditoria = null) {
+    const orden = await getOrden(ordenId);
+
+    if (!Object.values(ESTADOS).includes(nuevoEstado)) {
+        throw httpError(`Estado inválido: "${nuevoEstado}"`);
+    }
+
+    if (!TRANSICIONES[orden.estado].includes(nuevoEstado)) {
+        throw httpError(`No se puede pasar de "${orden.estado}" a "${nuevoEstado}"`, 409);
+    }
+
+    if (nuevoEstado === ESTADOS.APROBADA && orden.lineas.length === 0) {
+        throw httpError('No se puede aprobar una orden sin líneas', 409);
+    }
+
+    // Una vez creada en Manager+ la orden ya no se puede volver a editar
+    if (nuevoEstado === ESTADOS.BORRADOR && orden.erpDocumento) {
+        throw httpError(`La orden ya está en Manager+ (documento ${orden.erpDocumento}); no puede volver a borrador`, 409);
+    }
+
+    const data = {
+        estado: nuevoEstado,
+        borradorClave: nuevoEstado === ESTADOS.BORRADOR ? claveBorrador(orden.ano, orden.mes, orden.proveedorId) : null
+    };
+    const ahora = new Date();
+
+    if (nuevoEstado === ESTADOS.APROBADA) data.fechaAprobacion = ahora;
+    if (nuevoEstado === ESTADOS.ENVIADA) data.fechaEnvio = ahora;
+    if (nuevoEstado === ESTADOS.RECIBIDA) data.fechaRecepcion = ahora;
+    if (nuevoEstado === ESTADOS.CANCELADA) data.fechaCancelacion = ahora;
+    if (nuevoEstado === ESTADOS.BORRADOR) data.fechaAprobacion = null;
+
+    let actualizada;
+    try {
+        actualizada = await enTransaccion(null, async (db) => {
+            const resultado = await db.ordenCompra.update({
+                where: { id: ordenId },
+                data,
+                include: INCLUDE_LINEAS
+            });
+
+            if (orden.estado === ESTADOS.BORRADOR && nuevoEstado === ESTADOS.CANCELADA) {
+                await registrarCambios(auditoria, orden.lineas.map(l => ({
+                    productoId: l.productoId,
+                    sku: l.producto.sku,
+                    ano: orden.ano,
+                    mes: orden.mes,
+                    ordenId,
+                    anterior: l.cantidad,
+                    nueva: 0
+                })), db);
+            }
+
+            return resultado;
+        });
+    } catch (error) {
+        if (esBorradorDuplicado(error)) throw borradorDuplicadoError(orden.ano, orden.mes, orden.proveedorId);
+        throw error;
+    }
+
+    logInfo(`Orden de compra #${ordenId}: ${orden.estado} → ${nuevoEstado}`);
+
+    return actualizada;
+}
+
+/**
+ * Registrar la recepción de mercadería de una orden enviada
+ * El estado pasa a recibida_parcial o recibida según lo pendiente.
+ *
+ * @param {number} ordenId
+ * @param {Array<{productoId: number, cantidad: number}>} items - Cantidades recibidas en esta entrega
+ */
+async function registrarRecepcion(ordenId, items) {
+    const orden = await getOrden(ordenId);
+
+    if (![ESTADOS.ENVIADA, ESTADOS.RECIBIDA_PARCIAL].includes(orden.estado)) {
+        throw httpError(`Solo se puede recibir una orden enviada (estado actual: "${orden.estado}")`, 409);
+    }
+
+    const lineasPorProducto = new Map(orden.lineas.map(l => [l.productoId, l]));
+
+    for (const item of items) {
+        if (!lineasPorProducto.has(item.productoId)) {
+            throw httpError(`El producto ${item.productoId} no pertenece a la orden #${ordenId}`);
+        }
+        if (!(item.cantidad > 0)) {
+            throw httpError(`Cantidad recibida inválida para el producto ${item.productoId}`);
+        }
+    }
+
+    await prisma.$transaction(async (tx) => {
+        for (const item of items) {
+            const linea = lineasPorProducto.get(item.productoId);
+            linea.cantidadRecibida += item.cantidad;
+            await tx.ordenCompraLinea.update({
+                where: { id: linea.id },
+                data: { cantidadRecibida: linea.cantidadRecibida }
+            });
+        }
+
+        const completa = orden.lineas.every(l => l.cantidadRecibida >= l.cantidad);
+
+        await tx.ordenCompra.update({
+            where: { id: ordenId },
+            data: completa
+                ? { estado: ESTADOS.RECIBIDA, fechaRecepcion: new Date() }
+                : { estado: ESTADOS.RECIBIDA_PARCIAL }
+        });
+    });
+
+    return getOrden(ordenId);
+}
+
+/**
+ * Eliminar una orden (solo borradores o canceladas)
+ */
+async function eliminarOrden(ordenId, auditoria = null) {
+    const orden = await getOrden(ordenId);
+
+    if (![ESTADOS.BORRADOR, ESTADOS.CANCELADA].includes(orden.estado)) {
+        throw httpError('Solo se pueden eliminar órdenes en borrador o canceladas', 409);
+    }
+
+    await enTransaccion(null, async (db) => {
+        await db.ordenCompra.delete({ where: { id: ordenId } });
+
+        // Las líneas de un borrador eran cantidades a comprar vigentes
+        if (orden.estado === ESTADOS.BORRADOR) {
+            await registrarCambios(auditoria, orden.lineas.map(l => ({
+                productoId: l.productoId,
+                sku: l.producto.sku,
+                ano: orden.ano,
+                mes: orden.mes,
+                ordenId,
+                anterior: l.cantidad,
+                nueva: 0
+            })), db);
+        }
+    });
+}
+
+module.exports = {
+    ESTADOS,
+    TRANSICIONES,
+    ESTADOS_ABIERTOS,
+    getOrden,
+    listarOrdenes,
+    crearOrden,
+    findBorrador,
+    tieneBorradores,
+    getCantidadesMes,
+    listarCantidades,
+    getOrCreateBorrador,
+    getBorradorActual,
+    setCantidadLinea,
+    setCantidadBorrador,
+    vaciarOrden,
+    vaciarBorradores,
+    dividirPorProveedor,
+    actualizarCabecera,
+    cambiarEstado,
+    registrarRecepcion,
+    eliminarOrden
+};
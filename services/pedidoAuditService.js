@@ -0,0 +1,132 @@
+/**
+ * Auditoría de cantidades a comprar
+ *
+ * Cada cambio de cantidad (pedidos por mes y líneas de órdenes en borrador) se agrega a
+ * PedidoAudit con el valor anterior, el nuevo, el usuario y el endpoint que lo hizo. La tabla
+ * es de solo inserción: no hay endpoints para editarla ni borrarla.
+ *
+ * El registro se escribe con el mismo cliente de transacción que el cambio: si la auditoría falla,
+ * el cambio tampoco se aplica.
+ */
+
+const { getPrismaClient } = require('../prisma/client');
+
+const prisma = getPrismaClient();
+
+const ACCIONES = {
+    CREAR: 'crear',
+    ACTUALIZAR: 'actualizar',
+    ELIMINAR: 'eliminar',
+    RESET: 'reset',
+    // La cantidad pasa de un lugar a otro sin cambiar lo que se compra (pedidos → borrador, dividir por proveedor)
+    MOVER: 'mover'
+};
+
+const USUARIO_SISTEMA = 'sistema';
+const LIMITE_MAXIMO = 1000;
+
+/**
+ * Quién y desde dónde se hace el cambio, a partir de la petición HTTP
+ *
+ * @returns {{usuarioId: number|null, usuario: string, origen: string}}
+ */
+function contextoAuditoria(req) {
+    const ruta = req.route?.path !== undefined ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+    return {
+        usuarioId: req.usuario?.id ?? null,
+        usuario: req.usuario?.username || USUARIO_SISTEMA,
+        origen: `${req.method} ${ruta.replace(/\/$/, '') || '/'}`
+    };
+}
+
+/**
+ * Acción que corresponde a un cambio de cantidad
+ */
+function resolverAccion(anterior, nueva) {
+    if (anterior === null || anterior === undefined) return ACCIONES.CREAR;
+    if (!nueva) return ACCIONES.ELIMINAR;
+    return ACCIONES.ACTUALIZAR;
+}
+
+/**
+ * Registrar cambios de cantidad; los que no cambian nada se omiten
+ *
+ * @param {object|null} contexto - Resultado de contextoAuditoria (null = no auditar)
+ * @param {Array<{productoId, ano, mes, ordenId?, sku?, anterior: number|null, nueva: number, accion?}>} cambios
+ * @param {object} [db] - Cliente de la transacción en la que se hizo el cambio
+ * @returns {Promise<number>} Registros creados
+ */
+async function registrarCambios(contexto, cambios, db = prisma) {
+    if (!contexto) return 0;
+
+    const efectivos = cambios.filter(c => (c.anterior ?? 0) !== (c.nueva || 0) || c.accion === ACCIONES.RESET);
+    if (efectivos.length === 0) return 0;
+
+    // SKU como foto del momento (el historial se conserva aunque el producto cambie o se elimine)
+    const sinSku = [...new Set(efectivos.filter(c => !c.sku).map(c => c.productoId))];
+    const skus = new Map();
+    if (sinSku.length > 0) {
+        const productos = await db.producto.findMany({
+            where: { id: { in: sinSku } },
+            select: { id: true, sku: true }
+        });
+        productos.forEach(p => skus.set(p.id, p.sku));
+    }
+
+    const data = efectivos.map(c => ({
+        productoId: c.productoId,
+        sku: c.sku || skus.get(c.productoId) || `#${c.productoId}`,
+        ano: c.ano,
+        mes: c.mes,
+        ordenId: c.ordenId ?? null,
+        cantidadAnterior: c.anterior ?? null,
+        cantidadNueva: c.nueva || 0,
+        accion: c.accion || resolverAccion(c.anterior, c.nueva),
+        usuarioId: contexto.usuarioId,
+        usuario: contexto.usuario,
+        origen: contexto.origen
+    }));
+
+    const result = await db.pedidoAudit.createMany({ data });
+    return result.count;
+}
+
+/**
+ * Registrar un cambio de cantidad
+ */
+async function registrarCambio(contexto, cambio, db = prisma) {
+    return registrarCambios(contexto, [cambio], db);
+}
+
+/**
+ * Historial de cambios, más recientes primero
+ *
+ * @param {object} filtros - { productoId, sku, ano, mes, usuario, desde, hasta (yyyy-MM-dd), limit }
+ */
+async function listarCambios(filtros = {}) {
+    const where = {};
+    if (filtros.productoId) where.productoId = filtros.productoId;
+    if (filtros.sku) where.sku = { contains: filtros.sku.trim() };
+    if (filtros.ano) where.ano = filtros.ano;
+    if (filtros.mes) where.mes = filtros.mes;
+    if (filtros.usuario) where.usuario = filtros.usuario.toLowerCase();
+    if (filtros.desde || filtros.hasta) {
+        where.createdAt = {};
+        if (filtros.desde) where.createdAt.gte = new Date(`${filtros.desde}T00:00:00`);
+        if (filtros.hasta) where.createdAt.lte = new Date(`${filtros.hasta}T23:59:59.999`);
+    }
+
+    return prisma.pedidoAudit.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: Math.min(filtros.limit || 200, LIMITE_MAXIMO)
+    });
+}
+
+module.exports = {
+    ACCIONES,
+    contextoAuditoria,
+    registrarCambio,
+    registrarCambios,
+    listarCambios
+};
@@ -0,0 +1,302 @@
+/**
+ * Servicio de pronóstico de demanda mensual
+ *
+ * Métodos disponibles (?metodo=):
+ * - promedio:     media simple de los últimos N meses (comportamiento original del dashboard)
+ * - ponderado:    media móvil ponderada, los meses recientes pesan más
+ * - holt:         suavizamiento exponencial doble (nivel + tendencia)
+ * - holt_winters: Holt con estacionalidad anual aditiva (requiere 24 meses de historia)
+ * - estacional:   media reciente × índice estacional del mismo mes del año anterior
+ *
+ * Todos reciben la serie mensual en orden cronológico (más antiguo primero) y pronostican
+ * el mes siguiente al último de la serie. Cada método se evalúa con un backtest
+ * de un paso hacia adelante sobre la historia guardada (MAPE y WAPE).
+ */
+
+const { getPrismaClient } = require('../prisma/client');
+const { getMesActual } = require('../utils/periodo');
+const { subMonths, getYear, getMonth } = require('date-fns');
+
+const prisma = getPrismaClient();
+
+// Meses de historia que se cargan para pronosticar (la estacionalidad necesita al menos 24)
+const HISTORIA_MESES = 36;
+
+// Cantidad de meses que se evalúan en el backtest
+const BACKTEST_MESES = 6;
+
+const TEMPORADA = 12;
+
+// Constantes de suavizamiento
+const ALPHA = 0.3;
+const BETA = 0.1;
+const GAMMA = 0.2;
+
+const METODOS = {
+    PROMEDIO: 'promedio',
+    PONDERADO: 'ponderado',
+    HOLT: 'holt',
+    HOLT_WINTERS: 'holt_winters',
+    ESTACIONAL: 'estacional'
+};
+
+/**
+ * Media simple de los últimos `ventana` meses (los meses faltantes cuentan como 0)
+ */
+function promedioSimple(serie, { ventana }) {
+    const ultimos = serie.slice(-ventana);
+    return ultimos.reduce((sum, v) => sum + v, 0) / ventana;
+}
+
+/**
+ * Media móvil ponderada lineal: el mes más reciente pesa `ventana`, el más antiguo 1
+ */
+function promedioPonderado(serie, { ventana }) {
+    const ultimos = serie.slice(-ventana);
+    const offset = ventana - ultimos.length;
+
+    let suma = 0;
+    let pesos = 0;
+    ultimos.forEach((valor, i) => {
+        const peso = offset + i + 1;
+        suma += valor * peso;
+        pesos += peso;
+    });
+
+    return pesos > 0 ? suma / pesos : 0;
+}
+
+/**
+ * Suavizamiento exponencial doble de Holt (nivel + tendencia)
+ */
+function holt(serie) {
+    if (serie.length < 2) return serie[0] || 0;
+
+    let nivel = serie[0];
+    let tendencia = serie[1] - serie[0];
+
+    for (let t = 1; t < serie.length; t++) {
+        const nivelAnterior = nivel;
+        nivel = ALPHA * serie[t] + (1 - ALPHA) * (nivel + tendencia);
+        tendencia = BETA * (nivel - nivelAnterior) + (1 - BETA) * tendencia;
+    }
+
+    return nivel + tendencia;
+}
+
+/**
+ * Holt-Winters aditivo con temporada de 12 meses
+ * Se inicializa con las dos primeras temporadas de la serie.
+ */
+function holtWinters(serie) {
+    const mediaTemporada = (desde) =>
+        serie.slice(desde, desde + TEMPORADA).reduce((sum, v) => sum + v, 0) / TEMPORADA;
+
+    const media1 = mediaTemporada(0);
+    const media2 = mediaTemporada(TEMPORADA);
+
+    let nivel = media1;
+    let tendencia = (media2 - media1) / TEMPORADA;
+    const estacional = serie.slice(0, TEMPORADA).map(v => v - media1);
+
+    for (let t = TEMPORADA; t < serie.length; t++) {
+        const s = t % TEMPORADA;
+        const nivelAnterior = nivel;
+
+        nivel = ALPHA * (serie[t] - estacional[s]) + (1 - ALPHA) * (nivel + tendencia);
+        tendencia = BETA * (nivel - nivelAnterior) + (1 - BETA) * tendencia;
+        estacional[s] = GAMMA * (serie[t] - nivel) + (1 - GAMMA) * estacional[s];
+    }
+
+    return nivel + tendencia + estacional[serie.length % TEMPORADA];
+}
+
+/**
+ * Índice estacional año contra año
+ * Pronóstico = media de los últimos `ventana` meses × (venta del mismo mes del año anterior / media de ese año)
+ */
+function indiceEstacional(serie, { ventana }) {
+    const ultimoAno = serie.slice(-TEMPORADA);
+    const mediaAno = ultimoAno.reduce((sum, v) => sum + v, 0) / TEMPORADA;
+    // El mes a pronosticar es el siguiente al último: su par del año anterior es el primero de la ventana de 12
+    const mismoMesAnoAnterior = ultimoAno[0];
+
+    const indice = mediaAno > 0 ? mismoMesAnoAnterior / mediaAno : 1;
+
+    return promedioSimple(serie, { ventana }) * indice;
+}
+
+// Historia mínima de cada método; con menos datos se usa el método de respaldo
+const DEFINICIONES = {
+    [METODOS.PROMEDIO]: { fn: promedioSimple, minimo: 1, respaldo: null },
+    [METODOS.PONDERADO]: { fn: promedioPonderado, minimo: 1, respaldo: null },
+    [METODOS.HOLT]: { fn: holt, minimo: 3, respaldo: METODOS.PONDERADO },
+    [METODOS.HOLT_WINTERS]: { fn: holtWinters, minimo: 2 * TEMPORADA, respaldo: METODOS.HOLT },
+    [METODOS.ESTACIONAL]: { fn: indiceEstacional, minimo: TEMPORADA, respaldo: METODOS.PONDERADO }
+};
+
+/**
+ * Verificar si un método existe
+ */
+function esMetodoValido(metodo) {
+    return Object.prototype.hasOwnProperty.call(DEFINICIONES, metodo);
+}
+
+/**
+ * Pronosticar el mes siguiente al último de la serie
+ *
+ * @param {number[]} serie - Venta mensual en orden cronológico
+ * @param {string} metodo - Uno de METODOS
+ * @param {object} opciones - { ventana } meses usados por los métodos de promedio
+ * @returns {{valor: number, metodoAplicado: string}} Pronóstico (≥ 0) y método efectivamente usado
+ */
+function pronosticar(serie, metodo, opciones) {
+    let aplicado = metodo;
+
+    while (serie.length < DEFINICIONES[aplicado].minimo && DEFINICIONES[aplicado].respaldo) {
+        aplicado = DEFINICIONES[aplicado].respaldo;
+    }
+
+    const valor = serie.length > 0 ? DEFINICIONES[aplicado].fn(serie, opciones) : 0;
+
+    return {
+        valor: Math.max(0, valor),
+        metodoAplicado: aplicado
+    };
+}
+
+/**
+ * Backtest de un paso hacia adelante sobre los últimos meses de la serie
+ * Para cada mes evaluado se pronostica solo con la historia anterior a ese mes.
+ *
+ * @returns {{mape: number|null, wape: number|null, puntos: number, errorAbsoluto: number, totalReal: number}}
+ */
+function backtest(serie, metodo, opciones, meses = BACKTEST_MESES) {
+    let errorAbsoluto = 0;
+    let totalReal = 0;
+    let sumaPorcentual = 0;
+    let puntosPorcentuales = 0;
+    let puntos = 0;
+
+    for (let t = Math.max(1, serie.length - meses); t < serie.length; t++) {
+        const real = serie[t];
+        const { valor } = pronosticar(serie.slice(0, t), metodo, opciones);
+        const error = Math.abs(real - valor);
+
+        errorAbsoluto += error;
+        totalReal += real;
+        puntos++;
+
+        // MAPE no está definido para meses sin venta
+        if (real > 0) {
+            sumaPorcentual += error / real;
+            puntosPorcentuales++;
+        }
+    }
+
+    return {
+        mape: puntosPorcentuales > 0 ? parseFloat((sumaPorcentual / puntosPorcentuales * 100).toFixed(2)) : null,
+        wape: totalReal > 0 ? parseFloat((errorAbsoluto / totalReal * 100).toFixed(2)) : null,
+        puntos,
+        errorAbsoluto,
+        totalReal
+    };
+}
+
+/**
+ * Construir la serie mensual continua de un producto a partir de sus ventas históricas
+ * Se descartan los meses iniciales sin venta (el producto aún no se vendía).
+ *
+ * @param {Array} ventas - Registros de VentaHistorica del producto
+ * @param {Array<{ano: number, mes: number}>} meses - Meses de la historia en orden cronológico
+ * @returns {number[]}
+ */
+function construirSerie(ventas, meses) {
+    const porMes = new Map(ventas.map(v => [`${v.ano}-${v.mes}`, v.cantidadVendida]));
+    const serie = meses.map(m => porMes.get(`${m.ano}-${m.mes}`) || 0);
+
+    const primero = serie.findIndex(v => v !== 0);
+    return primero === -1 ? [] : serie.slice(primero);
+}
+
+/**
+ * Meses de la historia de pronóstico (hasta el mes anterior al actual)
+ */
+function getMesesHistoria(meses = HISTORIA_MESES) {
+    const mesActual = getMesActual();
+    const inicio = new Date(mesActual.ano, mesActual.mes - 1, 1);
+    const resultado = [];
+
+    for (let i = meses; i >= 1; i--) {
+        const fecha = subMonths(inicio, i);
+        resultado.push({ ano: getYear(fecha), mes: getMonth(fecha) + 1 });
+    }
+
+    return resultado;
+}
+
+/**
+ * Backtest de todos los métodos sobre el catálogo (o un filtro de productos)
+ * WAPE agregado = Σ error absoluto / Σ venta real de todos los productos.
+ *
+ * @param {object} filtroProducto - Filtro Prisma sobre Producto
+ * @param {number} ventana - Meses de los métodos de promedio
+ * @returns {Promise<Array<{metodo: string, wape: number|null, productos: number, puntos: number}>>}
+ */
+async function backtestCatalogo(filtroProducto, ventana) {
+    const meses = getMesesHistoria();
+    const desde = meses[0];
+
+    const ventas = await prisma.ventaHistorica.findMany({
+        where: {
+            producto: filtroProducto,
+            OR: [
+                { ano: { gt: desde.ano } },
+                { ano: desde.ano, mes: { gte: desde.mes } }
+            ]
+        },
+        select: { productoId: true, ano: true, mes: true, cantidadVendida: true }
+    });
+
+    const porProducto = new Map();
+    for (const venta of ventas) {
+        if (!porProducto.has(venta.productoId)) porProducto.set(venta.productoId, []);
+        porProducto.get(venta.productoId).push(venta);
+    }
+
+    const series = Array.from(porProducto.values())
+        .map(v => construirSerie(v, meses))
+        .filter(serie => serie.length > 1);
+
+    return Object.values(METODOS).map(metodo => {
+        let errorAbsoluto = 0;
+        let totalReal = 0;
+        let puntos = 0;
+
+        for (const serie of series) {
+            const resultado = backtest(serie, metodo, { ventana });
+            errorAbsoluto += resultado.errorAbsoluto;
+            totalReal += resultado.totalReal;
+            puntos += resultado.puntos;
+        }
+
+        return {
+            metodo,
+            wape: totalReal > 0 ? parseFloat((errorAbsoluto / totalReal * 100).toFixed(2)) : null,
+            productos: series.length,
+            puntos
+        };
+    });
+}
+
+module.exports = {
+    METODOS,
+    HISTORIA_MESES,
+    BACKTEST_MESES,
+    esMetodoValido,
+    pronosticar,
+    backtest,
+    construirSerie,
+    getMesesHistoria,
+    backtestCatalogo
+};
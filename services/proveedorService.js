@@ -0,0 +1,271 @@
+/**
+ * Servicio de proveedores y su relación con productos
+ *
+ * Un producto puede comprarse a varios proveedores (con su propio SKU y costo);
+ * el proveedor marcado como "principal" es al que se asignan las compras por defecto.
+ */
+
+const { getPrismaClient } = require('../prisma/client');
+const { logInfo } = require('../utils/logger');
+const { httpError } = require('../utils/httpError');
+
+const prisma = getPrismaClient();
+
+/**
+ * Construir el filtro de productos por marca (prefijo SKU) y/o proveedor
+ *
+ * @param {object} filtros
+ * @param {string} [filtros.marca] - Prefijo del SKU
+ * @param {number} [filtros.proveedorId] - ID del proveedor
+ * @returns {object} Filtro Prisma sobre el modelo Producto
+ */
+function buildFiltroProducto({ marca, proveedorId } = {}) {
+    const filtro = {};
+
+    if (marca) {
+        filtro.sku = { startsWith: marca.toUpperCase() };
+    }
+
+    if (proveedorId) {
+        filtro.proveedores = { some: { proveedorId } };
+    }
+
+    return filtro;
+}
+
+/**
+ * Listar proveedores con la cantidad de productos asociados
+ */
+async function listarProveedores({ incluirInactivos = false } = {}) {
+    return prisma.proveedor.findMany({
+        where: incluirInactivos ? {} : { activo: true },
+        include: {
+            _count: { select: { productos: true } }
+        },
+        orderBy: { nombre: 'asc' }
+    });
+}
+
+/**
+ * Obtener un proveedor con sus productos (lanza 404 si no existe)
+ */
+async function getProveedor(id) {
+    const proveedor = await prisma.proveedor.findUnique({
+        where: { id },
+        include: {
+            productos: {
+                include: {
+                    producto: {
+                        select: { id: true, sku: true, descripcion: true, familia: true }
+                    }
+                },
+                orderBy: { producto: { sku: 'asc' } }
+            }
+        }
+    });
+
+    if (!proveedor) {
+        throw httpError('Proveedor no encontrado', 404);
+    }
+
+    return proveedor;
+}
+
+/**
+ * Normalizar los datos editables de un proveedor
+ */
+function parseDatosProveedor(datos) {
+    const data = {};
+
+    if (datos.nombre !== undefined) {
+        if (!datos.nombre || !datos.nombre.toString().trim()) {
+            throw httpError('El nombre del proveedor es obligatorio');
+        }
+        data.nombre = datos.nombre.toString().trim();
+    }
+    if (datos.rut !== undefined) data.rut = datos.rut || null;
+    if (datos.email !== undefined) data.email = datos.email || null;
+    if (datos.leadTimeDias !== undefined) {
+        const leadTime = parseInt(datos.leadTimeDias, 10);
+        if (isNaN(leadTime) || leadTime < 0) {
+            throw httpError('El lead time debe ser un número de días mayor o igual a 0');
+        }
+        data.leadTimeDias = leadTime;
+    }
+    if (datos.montoMinimo !== undefined) {
+        const monto = parseFloat(datos.montoMinimo);
+        if (isNaN(monto) || monto < 0) {
+            throw httpError('El monto mínimo debe ser mayor o igual a 0');
+        }
+        data.montoMinimo = monto;
+    }
+    if (datos.moneda !== undefined) data.moneda = (datos.moneda || 'CLP').toString().toUpperCase();
+    if (datos.activo !== undefined) data.activo = Boolean(datos.activo);
+
+    return data;
+}
+
+/**
+ * Crear un proveedor
+ */
+async function crearProveedor(datos) {
+    if (!datos.nombre) {
+        throw httpError('El nombre del proveedor es obligatorio');
+    }
+
+    const data = parseDatosProveedor(datos);
+
+    const existente = await prisma.proveedor.findUnique({ where: { nombre: data.nombre } });
+    if (existente) {
+        throw httpError(`Ya existe un proveedor llamado "${data.nombre}"`, 409);
+    }
+
+    return prisma.proveedor.create({ data });
+}
+
+/**
+ * Actualizar un proveedor
+ */
+async function actualizarProveedor(id, datos) {
+    await getProveedor(id);
+
+    return prisma.proveedor.update({
+        where: { id },
+        data: parseDatosProveedor(datos)
+    });
+}
+
+/**
+ * Eliminar un proveedor (sus asociaciones con productos se eliminan en cascada)
+ */
+async function eliminarProveedor(id) {
+    await getProveedor(id);
+    await prisma.proveedor.delete({ where: { id } });
+}
+
+/**
+ * Asociar un producto a un proveedor (o actualizar la asociación)
+ * Si se marca como principal, se desmarca el principal anterior del producto.
+ *
+ * @param {number} proveedorId
+ * @param {number} productoId
+ * @param {object} datos - { skuProveedor, costoUnitario, principal }
+ */
+async function asignarProducto(proveedorId, productoId, datos = {}) {
+    const producto = await prisma.producto.findUnique({ where: { id: productoId } });
+    if (!producto) {
+        throw httpError('Producto no encontrado', 404);
+    }
+    await getProveedor(proveedorId);
+
+    const data = {};
+    if (datos.skuProveedor !== undefined) data.skuProveedor = datos.skuProveedor || null;
+    if (datos.costoUnitario !== undefined) {
+        const costo = datos.costoUnitario === null || datos.costoUnitario === '' ? null : parseFloat(datos.costoUnitario);
+        if (costo !== null && (isNaN(costo) || costo < 0)) {
+            throw httpError('El costo unitario debe ser mayor o igual a 0');
+        }
+        data.costoUnitario = costo;
+    }
+    if (datos.principal !== undefined) data.principal = Boolean(datos.principal);
+
+    // Un producto sin proveedores toma el primero como principal
+    const asociaciones = await prisma.productoProveedor.count({ where: { productoId } });
+    if (asociaciones === 0 && data.principal === undefined) {
+        data.principal = true;
+    }
+
+    return prisma.$transaction(async (tx) => {
+        if (data.principal) {
+            await tx.productoProveedor.updateMany({
+                where: { productoId, proveedorId: { not: proveedorId } },
+                data: { principal: false }
+            });
+        }
+
+        return tx.productoProveedor.upsert({
+            where: {
+                productoId_proveedorId: { productoId, proveedorId }
+            },
+            update: data,
+            create: { productoId, proveedorId, ...data }
+        });
+    });
+}
+
+/**
+ * Asociar a un proveedor todos los productos cuyo SKU empieza con un prefijo
+ * Útil para migrar desde el filtro por marca (prefijo SKU)
+ *
+ * @returns {Promise<{asignados: number, existentes: number}>}
+ */
+async function asignarProductosPorPrefijo(proveedorId, prefijo, { principal = true } = {}) {
+    if (!prefijo) {
+        throw httpError('Se requiere un prefijo de SKU');
+    }
+    await getProveedor(proveedorId);
+
+    const productos = await prisma.producto.findMany({
+        where: { sku: { startsWith: prefijo.toUpperCase() } },
+        select: {
+            id: true,
+            proveedores: { select: { proveedorId: true } }
+        }
+    });
+
+    let asignados = 0;
+    let existentes = 0;
+
+    for (const producto of productos) {
+        if (producto.proveedores.some(p => p.proveedorId === proveedorId)) {
+            existentes++;
+            continue;
+        }
+        // Solo queda como principal si el producto no tiene otro proveedor
+        await asignarProducto(proveedorId, producto.id, {
+            principal: principal && producto.proveedores.length === 0
+        });
+        asignados++;
+    }
+
+    logInfo(`Proveedor #${proveedorId}: ${asignados} productos asignados por prefijo "${prefijo}" (${existentes} ya asociados)`);
+
+    return { asignados, existentes };
+}
+
+/**
+ * Quitar la asociación entre un producto y un proveedor
+ */
+async function quitarProducto(proveedorId, productoId) {
+    const result = await prisma.productoProveedor.deleteMany({
+        where: { proveedorId, productoId }
+    });
+
+    if (result.count === 0) {
+        throw httpError('El producto no está asociado a este proveedor', 404);
+    }
+}
+
+/**
+ * Obtener la asociación principal de un producto (o null si no tiene proveedor)
+ */
+async function getProveedorPrincipal(productoId, db = prisma) {
+    return db.productoProveedor.findFirst({
+        where: { productoId },
+        include: { proveedor: true },
+        orderBy: [{ principal: 'desc' }, { id: 'asc' }]
+    });
+}
+
+module.exports = {
+    buildFiltroProducto,
+    listarProveedores,
+    getProveedor,
+    crearProveedor,
+    actualizarProveedor,
+    eliminarProveedor,
+    asignarProducto,
+    asignarProductosPorPrefijo,
+    quitarProducto,
+    getProveedorPrincipal
+};
@@ -0,0 +1,341 @@
+/**
+ * Motor de reposición: punto de reorden y nivel objetivo por producto
+ *
+ * Para cada producto:
+ *   demanda diaria   = demanda mensual pronosticada (o promedio mensual) / 30
+ *   stock seguridad  = z(nivel de servicio) × desviación diaria × √lead time  (o unidades fijas)
+ *   punto de reorden = demanda diaria × lead time + stock seguridad
+ *   nivel objetivo   = demanda diaria × (lead time + días de cobertura) + stock seguridad
+ *   compra sugerida  = nivel objetivo − stock actual − pendiente en órdenes abiertas
+ *
+ * Los parámetros se resuelven en orden: producto → familia → clase (combinada AX, luego ABC, luego XYZ)
+ * → proveedor (lead time) → valores globales.
+ */
+
+const { getPrismaClient } = require('../prisma/client');
+const { ESTADOS_ABIERTOS } = require('./ordenCompraService');
+const { normalizarClase } = require('./clasificacionService');
+const { httpError } = require('../utils/httpError');
+
+const prisma = getPrismaClient();
+
+const DIAS_MES = 30;
+
+// Estados del stock (los mismos valores que usa el cliente)
+const ESTADOS_STOCK = {
+    SOBRESTOCK: 'overstock',
+    CRITICO: 'critical',
+    BAJO: 'warning',
+    OK: 'healthy'
+};
+
+// Valores globales (configurables por variables de entorno)
+const DEFAULTS = {
+    diasCobertura: parseInt(process.env.REPOSICION_DIAS_COBERTURA || '30', 10),
+    leadTimeDias: parseInt(process.env.REPOSICION_LEAD_TIME_DIAS || '7', 10),
+    nivelServicio: parseFloat(process.env.REPOSICION_NIVEL_SERVICIO || '0.95')
+};
+
+/**
+ * Inversa de la normal estándar (aproximación de Abramowitz-Stegun 26.2.23)
+ * Convierte un nivel de servicio en el factor z del stock de seguridad.
+ */
+function getFactorZ(nivelServicio) {
+    if (nivelServicio <= 0.5) return 0;
+
+    const p = Math.min(nivelServicio, 0.9999);
+    const t = Math.sqrt(-2 * Math.log(1 - p));
+    const z = t - (2.515517 + 0.802853 * t + 0.010328 * t * t) /
+        (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+
+    return parseFloat(z.toFixed(3));
+}
+
+/**
+ * Desviación estándar muestral de una serie
+ */
+function desviacionEstandar(valores) {
+    if (valores.length < 2) return 0;
+
+    const media = valores.reduce((sum, v) => sum + v, 0) / valores.length;
+    const varianza = valores.reduce((sum, v) => sum + (v - media) ** 2, 0) / (valores.length - 1);
+
+    return Math.sqrt(varianza);
+}
+
+/**
+ * Cargar todos los parámetros configurados, indexados por producto, familia y clase
+ */
+async function cargarParametros() {
+    const parametros = await prisma.parametroReposicion.findMany();
+
+    const porProducto = new Map();
+    const porFamilia = new Map();
+    const porClase = new Map();
+
+    for (const p of parametros) {
+        if (p.productoId) porProducto.set(p.productoId, p);
+        else if (p.familia) porFamilia.set(p.familia, p);
+        else if (p.clase) porClase.set(p.clase, p);
+    }
+
+    return { porProducto, porFamilia, porClase };
+}
+
+/**
+ * Resolver los parámetros efectivos de un producto
+ *
+ * @param {object} producto - { id, familia, claseAbc?, claseXyz? }
+ * @param {object} parametros - Resultado de cargarParametros()
+ * @param {number|null} leadTimeProveedor - Lead time del proveedor principal
+ * @returns {object} { diasCobertura, leadTimeDias, nivelServicio, stockSeguridad, origen }
+ */
+function resolverParametros(producto, parametros, leadTimeProveedor = null) {
+    const delProducto = parametros.porProducto.get(producto.id) || {};
+    const deFamilia = (producto.familia && parametros.porFamilia.get(producto.familia)) || {};
+    const porClase = parametros.porClase || new Map();
+    const deClases = [
+        producto.claseAbc && producto.claseXyz && porClase.get(`${producto.claseAbc}${producto.claseXyz}`),
+        producto.claseAbc && porClase.get(producto.claseAbc),
+        producto.claseXyz && porClase.get(producto.claseXyz)
+    ].filter(Boolean);
+
+    // Primer valor definido en la cadena, con el nivel del que se tomó
+    const resolver = (campo, proveedor) => {
+        if (delProducto[campo] != null) return { valor: delProducto[campo], origen: 'producto' };
+        if (deFamilia[campo] != null) return { valor: deFamilia[campo], origen: 'familia' };
+        const deClase = deClases.find(c => c[campo] != null);
+        if (deClase) return { valor: deClase[campo], origen: `clase ${deClase.clase}` };
+        if (proveedor != null) return { valor: proveedor, origen: 'proveedor' };
+        return { valor: DEFAULTS[campo] ?? null, origen: 'global' };
+    };
+
+    const diasCobertura = resolver('diasCobertura');
+    const leadTimeDias = resolver('leadTimeDias', leadTimeProveedor || null);
+    const nivelServicio = resolver('nivelServicio');
+    const stockSeguridad = resolver('stockSeguridad');
+
+    return {
+        diasCobertura: diasCobertura.valor,
+        leadTimeDias: leadTimeDias.valor,
+        nivelServicio: nivelServicio.valor,
+        stockSeguridad: stockSeguridad.valor,
+        origen: {
+            diasCobertura: diasCobertura.origen,
+            leadTimeDias: leadTimeDias.origen,
+            nivelServicio: nivelServicio.origen,
+            stockSeguridad: stockSeguridad.valor != null ? stockSeguridad.origen : 'calculado'
+        }
+    };
+}
+
+/**
+ * Unidades pendientes de recibir por producto en órdenes abiertas (aprobadas, enviadas o recibidas parcialmente)
+ *
+ * @returns {Promise<Map<number, number>>} productoId → unidades en tránsito
+ */
+async function getPendientesPorProducto() {
+    const lineas = await prisma.ordenCompraLinea.findMany({
+        where: {
+            orden: { estado: { in: ESTADOS_ABIERTOS } }
+        },
+        select: { productoId: true, cantidad: true, cantidadRecibida: true }
+    });
+
+    const pendientes = new Map();
+    for (const linea of lineas) {
+        const pendiente = Math.max(0, linea.cantidad - linea.cantidadRecibida);
+        pendientes.set(linea.productoId, (pendientes.get(linea.productoId) || 0) + pendiente);
+    }
+
+    return pendientes;
+}
+
+/**
+ * Calcular la reposición de un producto
+ *
+ * @param {object} datos
+ * @param {number[]} datos.ventasMensuales - Venta neta de cada mes del período
+ * @param {number} [datos.demandaMensual] - Pronóstico del mes (si no se indica, promedio de ventasMensuales)
+ * @param {number} datos.stockActual
+ * @param {number} datos.enTransito - Pendiente en órdenes abiertas
+ * @param {object} datos.parametros - Resultado de resolverParametros()
+ * @returns {object} Desglose de cada término y la compra sugerida
+ */
+function calcularReposicion({ ventasMensuales, demandaMensual, stockActual, enTransito, parametros }) {
+    const meses = ventasMensuales.length || 1;
+    const promedioMensual = ventasMensuales.reduce((sum, v) => sum + v, 0) / meses;
+
+    const demandaDiaria = (demandaMensual ?? promedioMensual) / DIAS_MES;
+    // Desviación diaria asumiendo días independientes: σ_mes / √30
+    const desviacionDiaria = desviacionEstandar(ventasMensuales) / Math.sqrt(DIAS_MES);
+
+    const { diasCobertura, leadTimeDias, nivelServicio } = parametros;
+    const factorZ = getFactorZ(nivelServicio);
+
+    const stockSeguridad = parametros.stockSeguridad != null
+        ? parametros.stockSeguridad
+        : factorZ * desviacionDiaria * Math.sqrt(leadTimeDias);
+
+    const demandaLeadTime = demandaDiaria * leadTimeDias;
+    const demandaCobertura = demandaDiaria * diasCobertura;
+    const puntoReorden = demandaLeadTime + stockSeguridad;
+    const nivelObjetivo = demandaLeadTime + demandaCobertura + stockSeguridad;
+    const posicion = stockActual + enTransito;
+
+    const redondear = (valor) => parseFloat(valor.toFixed(2));
+
+    return {
+        demandaDiaria: redondear(demandaDiaria),
+        desviacionDiaria: redondear(desviacionDiaria),
+        leadTimeDias,
+        diasCobertura,
+        nivelServicio,
+        factorZ,
+        demandaLeadTime: redondear(demandaLeadTime),
+        demandaCobertura: redondear(demandaCobertura),
+        stockSeguridad: redondear(stockSeguridad),
+        puntoReorden: redondear(puntoReorden),
+        nivelObjetivo: redondear(nivelObjetivo),
+        stockActual,
+        enTransito,
+        posicion,
+        bajoPuntoReorden: posicion <= puntoReorden,
+        // Negativo = sobrestock respecto al nivel objetivo
+        compraSugerida: Math.round(nivelObjetivo - posicion),
+        origen: parametros.origen
+    };
+}
+
+/**
+ * Estado del stock de un producto (semáforo del dashboard)
+ *
+ * - overstock: la compra sugerida es negativa (hay más stock del nivel objetivo)
+ * - critical: stock < 50% del promedio mensual
+ * - warning: stock entre 50% y 100% del promedio
+ * - healthy: stock >= promedio (o sin stock ni venta)
+ */
+function calcularEstadoStock({ stockActual, promedio, compraSugerida }) {
+    if (compraSugerida < 0) return ESTADOS_STOCK.SOBRESTOCK;
+    if (promedio === 0 && stockActual === 0) return ESTADOS_STOCK.OK;
+
+    const ratio = promedio > 0 ? stockActual / promedio : stockActual > 0 ? Infinity : 0;
+    if (ratio < 0.5) return ESTADOS_STOCK.CRITICO;
+    if (ratio < 1) return ESTADOS_STOCK.BAJO;
+    return ESTADOS_STOCK.OK;
+}
+
+/**
+ * Normalizar los datos editables de un parámetro
+ */
+function parseDatosParametro(datos) {
+    const data = {};
+
+    const entero = (campo, etiqueta) => {
+        if (datos[campo] === undefined) return;
+        if (datos[campo] === null || datos[campo] === '') {
+            data[campo] = null;
+            return;
+        }
+        const valor = parseInt(datos[campo], 10);
+        if (isNaN(valor) || valor < 0) {
+            throw httpError(`${etiqueta} debe ser un número de días mayor o igual a 0`);
+        }
+        data[campo] = valor;
+    };
+
+    entero('diasCobertura', 'Los días de cobertura');
+    entero('leadTimeDias', 'El lead time');
+
+    if (datos.nivelServicio !== undefined) {
+        const nivel = datos.nivelServicio === null || datos.nivelServicio === '' ? null : parseFloat(datos.nivelServicio);
+        if (nivel !== null && (isNaN(nivel) || nivel < 0.5 || nivel >= 1)) {
+            throw httpError('El nivel de servicio debe estar entre 0.5 y 0.999');
+        }
+        data.nivelServicio = nivel;
+    }
+
+    if (datos.stockSeguridad !== undefined) {
+        const stock = datos.stockSeguridad === null || datos.stockSeguridad === '' ? null : parseFloat(datos.stockSeguridad);
+        if (stock !== null && (isNaN(stock) || stock < 0)) {
+            throw httpError('El stock de seguridad debe ser mayor o igual a 0');
+        }
+        data.stockSeguridad = stock;
+    }
+
+    return data;
+}
+
+/**
+ * Listar los parámetros configurados
+ */
+async function listarParametros() {
+    return prisma.parametroReposicion.findMany({
+        include: {
+            producto: { select: { id: true, sku: true, descripcion: true, familia: true } }
+        },
+        orderBy: [{ clase: 'asc' }, { familia: 'asc' }, { productoId: 'asc' }]
+    });
+}
+
+/**
+ * Crear o actualizar el parámetro de un producto, de una familia o de una clase ABC/XYZ
+ *
+ * @param {object} datos - { productoId | familia | clase, diasCobertura?, leadTimeDias?, nivelServicio?, stockSeguridad? }
+ */
+async function guardarParametro(datos) {
+    const productoId = datos.productoId ? parseInt(datos.productoId, 10) : null;
+    const familia = datos.familia ? datos.familia.toString().trim() : null;
+    const clase = datos.clase ? normalizarClase(datos.clase) : null;
+
+    if ([productoId, familia, datos.clase].filter(Boolean).length !== 1) {
+        throw httpError('Se debe indicar "productoId", "familia" o "clase" (solo uno)');
+    }
+    if (productoId !== null && isNaN(productoId)) {
+        throw httpError('ID de producto inválido');
+    }
+    if (datos.clase && !clase) {
+        throw httpError('Clase inválida. Use A, B, C, X, Y, Z o una combinación como AX');
+    }
+
+    if (productoId) {
+        const producto = await prisma.producto.findUnique({ where: { id: productoId } });
+        if (!producto) {
+            throw httpError('Producto no encontrado', 404);
+        }
+    }
+
+    const data = parseDatosParametro(datos);
+    const where = productoId ? { productoId } : familia ? { familia } : { clase };
+
+    return prisma.parametroReposicion.upsert({
+        where,
+        update: data,
+        create: { ...where, ...data }
+    });
+}
+
+/**
+ * Eliminar un parámetro (el producto, familia o clase vuelve a los valores heredados)
+ */
+async function eliminarParametro(id) {
+    const result = await prisma.parametroReposicion.deleteMany({ where: { id } });
+
+    if (result.count === 0) {
+        throw httpError('Parámetro no encontrado', 404);
+    }
+}
+
+module.exports = {
+    DEFAULTS,
+    ESTADOS_STOCK,
+    getFactorZ,
+    cargarParametros,
+    resolverParametros,
+    getPendientesPorProducto,
+    calcularReposicion,
+    calcularEstadoStock,
+    listarParametros,
+    guardarParametro,
+    eliminarParametro
+};
@@ -1,23 +1,33 @@
 /**
  * Servicio para rotar datos históricos
  * Mueve las ventas del mes actual a históricas cuando cambia el mes
- * Elimina datos históricos mayores a 12 meses
+ * Elimina datos históricos más antiguos que la retención configurada (RETENCION_MESES)
  */
 
+const fs = require('fs');
+const path = require('path');
 const { getPrismaClient } = require('../prisma/client');
 const { logInfo, logSuccess, logError, logWarning } = require('../utils/logger');
+const { getMesActual } = require('../utils/periodo');
+const { clasificarCatalogo } = require('./clasificacionService');
+const { TIPOS_REGLA, notificar } = require('./alertaService');
 const { getYear, getMonth, subMonths, startOfMonth, endOfMonth } = require('date-fns');
 
 const prisma = getPrismaClient();
 
+const MODOS_ARCHIVO = ['resumen', 'archivo'];
+
 /**
- * Obtener el mes actual en formato { ano, mes }
+ * Campos de venta (neta, bruta y devuelta) que se copian de VentaActual a VentaHistorica
  */
-function getMesActual() {
-    const ahora = new Date();
+function getCamposVenta(venta) {
     return {
-        ano: getYear(ahora),
-        mes: getMonth(ahora) + 1 // getMonth devuelve 0-11, necesitamos 1-12
+        cantidadVendida: venta.cantidadVendida,
+        montoNeto: venta.montoNeto,
+        cantidadBruta: venta.cantidadBruta,
+        montoBruto: venta.montoBruto,
+        cantidadDevuelta: venta.cantidadDevuelta,
+        montoDevuelto: venta.montoDevuelto
     };
 }
 
@@ -59,16 +69,12 @@ async function rotarVentasActualesAHistoricas() {
                                 mes: mesActual.mes
                             }
                         },
-                        update: {
-                            cantidadVendida: ventaActual.cantidadVendida,
-                            montoNeto: ventaActual.montoNeto
-                        },
+                        update: getCamposVenta(ventaActual),
                         create: {
                             productoId: ventaActual.productoId,
                             ano: mesActual.ano,
                             mes: mesActual.mes,
-                            cantidadVendida: ventaActual.cantidadVendida,
-                            montoNeto: ventaActual.montoNeto
+                            ...getCamposVenta(ventaActual)
                         }
                     });
                     
@@ -77,7 +83,11 @@ async function rotarVentasActualesAHistoricas() {
                         where: { productoId: ventaActual.productoId },
                         data: {
                             cantidadVendida: 0,
-                            montoNeto: 0
+                            montoNeto: 0,
+                            cantidadBruta: 0,
+                            montoBruto: 0,
+                            cantidadDevuelta: 0,
+                            montoDevuelto: 0
                             // Mantener stockActual
                         }
                     });
@@ -100,48 +110,236 @@ async function rotarVentasActualesAHistoricas() {
 }
 
 /**
- * Limpiar datos históricos mayores a 12 meses
+ * Configuración de retención (variables de entorno)
+ * - RETENCION_MESES: meses de historia a conservar; 0 o "ilimitado" = nunca eliminar (por defecto 36)
+ * - RETENCION_ARCHIVAR: qué hacer antes de eliminar: "resumen" (tabla anual), "archivo" (CSV), ambos separados por coma, o "ninguno"
+ * - RETENCION_DIRECTORIO: carpeta de los CSV exportados (por defecto data/archivo)
+ */
+function getConfiguracionRetencion() {
+    const valorMeses = (process.env.RETENCION_MESES || '36').toString().trim().toLowerCase();
+    const meses = valorMeses === 'ilimitado' ? 0 : parseInt(valorMeses, 10);
+
+    const archivar = (process.env.RETENCION_ARCHIVAR || 'resumen')
+        .split(',')
+        .map(v => v.trim().toLowerCase())
+        .filter(v => MODOS_ARCHIVO.includes(v));
+
+    return {
+        meses: isNaN(meses) || meses <= 0 ? null : meses,
+        resumenAnual: archivar.includes('resumen'),
+        exportarArchivo: archivar.includes('archivo'),
+        directorio: process.env.RETENCION_DIRECTORIO || path.join(__dirname, '..', 'data', 'archivo')
+    };
+}
+
+/**
+ * Filtro Prisma de los registros (ano, mes) anteriores al límite de retención
+ * Retorna null si la retención es ilimitada.
+ */
+function getFiltroAntiguos(config) {
+    if (!config.meses) return null;
+
+    const mesActual = getMesActual();
+    const fechaLimite = subMonths(new Date(mesActual.ano, mesActual.mes - 1, 1), config.meses);
+    const anoLimite = getYear(fechaLimite);
+    const mesLimite = getMonth(fechaLimite) + 1;
+
+    return {
+        limite: { ano: anoLimite, mes: mesLimite },
+        where: {
+            OR: [
+                { ano: { lt: anoLimite } },
+                {
+                    ano: anoLimite,
+                    mes: { lt: mesLimite }
+                }
+            ]
+        }
+    };
+}
+
+/**
+ * Vista previa de la limpieza (dry-run): qué se eliminaría con la configuración actual
+ */
+async function previsualizarLimpieza() {
+    const config = getConfiguracionRetencion();
+    const filtro = getFiltroAntiguos(config);
+
+    if (!filtro) {
+        return {
+            configuracion: config,
+            limite: null,
+            ventasEliminadas: 0,
+            ventasDiariasEliminadas: 0,
+            fotosStockEliminadas: 0,
+            pedidosEliminados: 0,
+            porAno: []
+        };
+    }
+
+    const porAno = await prisma.ventaHistorica.groupBy({
+        by: ['ano'],
+        where: filtro.where,
+        _count: { _all: true },
+        _sum: { cantidadVendida: true, montoNeto: true },
+        orderBy: { ano: 'asc' }
+    });
+    const pedidosEliminados = await prisma.pedido.count({ where: filtro.where });
+    const ventasDiariasEliminadas = await prisma.ventaDiaria.count({ where: filtro.where });
+    const fotosStockEliminadas = await prisma.stockDiario.count({ where: filtro.where });
+
+    return {
+        configuracion: config,
+        limite: filtro.limite,
+        ventasEliminadas: porAno.reduce((sum, a) => sum + a._count._all, 0),
+        ventasDiariasEliminadas,
+        fotosStockEliminadas,
+        pedidosEliminados,
+        porAno: porAno.map(a => ({
+            ano: a.ano,
+            registros: a._count._all,
+            cantidadVendida: a._sum.cantidadVendida || 0,
+            montoNeto: a._sum.montoNeto || 0
+        }))
+    };
+}
+
+/**
+ * Convertir registros a CSV (los valores no llevan comas ni comillas: son IDs, SKUs y números)
+ */
+function toCSV(columnas, filas) {
+    const lineas = [columnas.join(',')];
+    for (const fila of filas) {
+        lineas.push(columnas.map(c => fila[c] ?? '').join(','));
+    }
+    return lineas.join('\n') + '\n';
+}
+
+/**
+ * Exportar a CSV las ventas y pedidos que se van a eliminar
+ *
+ * @returns {Promise<string[]>} Rutas de los archivos generados
+ */
+async function exportarArchivo(config, filtro, ventas, pedidos) {
+    await fs.promises.mkdir(config.directorio, { recursive: true });
+
+    const sufijo = `antes_${filtro.limite.ano}-${String(filtro.limite.mes).padStart(2, '0')}_${Date.now()}`;
+    const archivos = [];
+
+    if (ventas.length > 0) {
+        const ruta = path.join(config.directorio, `ventas_historicas_${sufijo}.csv`);
+        await fs.promises.writeFile(ruta, toCSV(
+            ['productoId', 'ano', 'mes', ...Object.keys(getCamposVenta(ventas[0]))],
+            ventas
+        ));
+        archivos.push(ruta);
+    }
+
+    if (pedidos.length > 0) {
+        const ruta = path.join(config.directorio, `pedidos_${sufijo}.csv`);
+        await fs.promises.writeFile(ruta, toCSV(['productoId', 'ano', 'mes', 'cantidad'], pedidos));
+        archivos.push(ruta);
+    }
+
+    return archivos;
+}
+
+/**
+ * Sumar las ventas a archivar por producto y año
  */
-async function limpiarDatosAntiguos() {
+function agruparPorAno(ventas) {
+    const resumen = new Map();
+
+    for (const venta of ventas) {
+        const key = `${venta.productoId}-${venta.ano}`;
+        if (!resumen.has(key)) {
+            resumen.set(key, {
+                productoId: venta.productoId,
+                ano: venta.ano,
+                mesesArchivados: 0,
+                ...Object.fromEntries(Object.keys(getCamposVenta(venta)).map(c => [c, 0]))
+            });
+        }
+
+        const acumulado = resumen.get(key);
+        for (const [campo, valor] of Object.entries(getCamposVenta(venta))) {
+            acumulado[campo] += valor || 0;
+        }
+        acumulado.mesesArchivados++;
+    }
+
+    return Array.from(resumen.values());
+}
+
+/**
+ * Limpiar datos históricos más antiguos que la retención configurada
+ * Antes de eliminar se archivan según RETENCION_ARCHIVAR (resumen anual y/o CSV).
+ *
+ * @param {object} opciones
+ * @param {boolean} [opciones.dryRun=false] - Solo informar qué se eliminaría
+ */
+async function limpiarDatosAntiguos({ dryRun = false } = {}) {
     try {
-        const mesActual = getMesActual();
-        const fechaLimite = subMonths(new Date(mesActual.ano, mesActual.mes - 1, 1), 12);
-        const anoLimite = getYear(fechaLimite);
-        const mesLimite = getMonth(fechaLimite) + 1;
-        
-        logInfo(`Limpiando datos históricos anteriores a ${mesLimite}/${anoLimite}...`);
-        
-        // Eliminar ventas históricas mayores a 12 meses
-        const resultadoVentas = await prisma.ventaHistorica.deleteMany({
-            where: {
-                OR: [
-                    { ano: { lt: anoLimite } },
-                    {
-                        ano: anoLimite,
-                        mes: { lt: mesLimite }
-                    }
-                ]
-            }
-        });
-        
-        // Eliminar pedidos históricos mayores a 12 meses
-        const resultadoPedidos = await prisma.pedido.deleteMany({
-            where: {
-                OR: [
-                    { ano: { lt: anoLimite } },
-                    {
-                        ano: anoLimite,
-                        mes: { lt: mesLimite }
-                    }
-                ]
+        if (dryRun) {
+            return await previsualizarLimpieza();
+        }
+
+        const config = getConfiguracionRetencion();
+        const filtro = getFiltroAntiguos(config);
+
+        if (!filtro) {
+            logInfo('Retención ilimitada: no se eliminan datos históricos');
+            return { ventasEliminadas: 0, ventasDiariasEliminadas: 0, fotosStockEliminadas: 0, pedidosEliminados: 0, resumenesAnuales: 0, archivos: [] };
+        }
+
+        logInfo(`Limpiando datos históricos anteriores a ${filtro.limite.mes}/${filtro.limite.ano} (retención ${config.meses} meses)...`);
+
+        const archivar = config.resumenAnual || config.exportarArchivo;
+        const ventas = archivar
+            ? await prisma.ventaHistorica.findMany({ where: filtro.where, orderBy: [{ ano: 'asc' }, { mes: 'asc' }] })
+            : [];
+        const pedidos = config.exportarArchivo
+            ? await prisma.pedido.findMany({ where: filtro.where, orderBy: [{ ano: 'asc' }, { mes: 'asc' }] })
+            : [];
+
+        // El CSV se escribe antes de tocar la base: si falla, no se elimina nada
+        const archivos = config.exportarArchivo
+            ? await exportarArchivo(config, filtro, ventas, pedidos)
+            : [];
+
+        const resumenes = config.resumenAnual ? agruparPorAno(ventas) : [];
+
+        // Resumen anual y eliminación en la misma transacción para no sumar dos veces el mismo mes
+        const { resultadoVentas, resultadoDiarias, resultadoStock, resultadoPedidos } = await prisma.$transaction(async (tx) => {
+            for (const { productoId, ano, ...totales } of resumenes) {
+                await tx.ventaAnual.upsert({
+                    where: { productoId_ano: { productoId, ano } },
+                    update: Object.fromEntries(Object.entries(totales).map(([c, v]) => [c, { increment: v }])),
+                    create: { productoId, ano, ...totales }
+                });
             }
+
+            return {
+                resultadoVentas: await tx.ventaHistorica.deleteMany({ where: filtro.where }),
+                resultadoDiarias: await tx.ventaDiaria.deleteMany({ where: filtro.where }),
+                resultadoStock: await tx.stockDiario.deleteMany({ where: filtro.where }),
+                resultadoPedidos: await tx.pedido.deleteMany({ where: filtro.where })
+            };
         });
-        
+
         logSuccess(`Limpieza completada: ${resultadoVentas.count} ventas eliminadas, ${resultadoPedidos.count} pedidos eliminados`);
-        
+        if (resumenes.length > 0 || archivos.length > 0) {
+            logInfo(`Archivado: ${resumenes.length} resúmenes anuales, ${archivos.length} archivos CSV`);
+        }
+
         return {
+            limite: filtro.limite,
             ventasEliminadas: resultadoVentas.count,
-            pedidosEliminados: resultadoPedidos.count
+            ventasDiariasEliminadas: resultadoDiarias.count,
+            fotosStockEliminadas: resultadoStock.count,
+            pedidosEliminados: resultadoPedidos.count,
+            resumenesAnuales: resumenes.length,
+            archivos
         };
     } catch (error) {
         logError(`Error al limpiar datos antiguos: ${error.message}`);
@@ -150,7 +348,7 @@ async function limpiarDatosAntiguos() {
 }
 
 /**
- * Ejecutar rotación completa: rotar ventas actuales y limpiar datos antiguos
+ * Ejecutar rotación completa: rotar ventas actuales, limpiar datos antiguos y reclasificar el catálogo (ABC/XYZ)
  */
 async function ejecutarRotacionCompleta() {
     try {
@@ -158,15 +356,25 @@ async function ejecutarRotacionCompleta() {
         
         const rotacion = await rotarVentasActualesAHistoricas();
         const limpieza = await limpiarDatosAntiguos();
+
+        const clasificacion = await clasificarCatalogo();
         
         logSuccess('=== ROTACIÓN COMPLETA FINALIZADA ===');
         
         return {
             rotacion,
-            limpieza
+            limpieza,
+            clasificacion
         };
     } catch (error) {
         logError(`Error en rotación completa: ${error.message}`);
+
+        await notificar(TIPOS_REGLA.ROTACION_FALLIDA, {
+            clave: 'rotacion',
+            titulo: 'Rotación mensual fallida',
+            mensaje: `La rotación de datos del mes falló: ${error.message}`,
+            datos: { error: error.message }
+        });
         throw error;
     }
 }
@@ -208,7 +416,8 @@ async function necesitaRotacion() {
 module.exports = {
     rotarVentasActualesAHistoricas,
     limpiarDatosAntiguos,
+    previsualizarLimpieza,
+    getConfiguracionRetencion,
     ejecutarRotacionCompleta,
-    necesitaRotacion,
-    getMesActual
+    necesitaRotacion
 };
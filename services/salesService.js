@@ -5,33 +5,49 @@
  * Basado en la lógica del código antiguo (gestioncompra.js)
  */
 
-const axios = require('axios');
 const { format, addDays } = require('date-fns');
-const { getAuthHeaders } = require('../utils/auth');
+const { erpGet } = require('../utils/erpClient');
 const { logInfo, logSuccess, logError, logWarning } = require('../utils/logger');
+const { getNombreBodega, esBodegaDisponible } = require('../utils/bodegas');
 
 const RUT_EMPRESA = process.env.RUT_EMPRESA;
-const ERP_BASE_URL = process.env.ERP_BASE_URL;
 
 // Tipos de documentos de venta (del código antiguo)
 const DOCUMENT_TYPES = ["FAVE", "BOVE", "NCVE"];
 
+// Tipos de documentos que representan devoluciones (restan a la venta)
+const CREDIT_DOCUMENT_TYPES = ["NCVE"];
+
+/**
+ * Indica si un tipo de documento es una nota de crédito (devolución)
+ */
+function isCreditDocument(docType) {
+    return CREDIT_DOCUMENT_TYPES.includes(docType);
+}
+
 /**
  * Obtener documentos de venta de un tipo específico para un rango de fechas
  * Usa details=1 para obtener los productos en una sola llamada (optimización clave)
+ *
+ * @param {object} [opciones]
+ * @param {boolean} [opciones.detalles=true] - Incluir las líneas de cada documento
+ * @param {string|number} [opciones.docnumreg] - Obtener solo ese documento
  */
-async function getDocumentsByType(docType, fechaInicio, fechaFin) {
-    try {
-        const headers = await getAuthHeaders();
+async function getDocumentsByType(docType, fechaInicio, fechaFin, opciones = {}) {
+    const { detalles = true, docnumreg } = opciones;
 
+    try {
         const fechaInicioStr = format(fechaInicio, 'yyyyMMdd');
         const fechaFinStr = format(fechaFin, 'yyyyMMdd');
 
         // Usar details=1 para obtener productos en una sola llamada (como el código antiguo)
-        const url = `${ERP_BASE_URL}/documents/${RUT_EMPRESA}/${docType}/V?details=1&df=${fechaInicioStr}&dt=${fechaFinStr}`;
+        const params = { df: fechaInicioStr, dt: fechaFinStr };
+        if (detalles) params.details = '1';
+        if (docnumreg !== undefined) params.docnumreg = String(docnumreg);
 
-        const response = await axios.get(url, {
-            headers,
+        // Rate limit y reintentos los maneja el cliente ERP
+        const response = await erpGet(`/documents/${RUT_EMPRESA}/${docType}/V`, {
+            params,
             timeout: 120000 // 2 minutos para documentos con detalles
         });
 
@@ -44,12 +60,6 @@ async function getDocumentsByType(docType, fechaInicio, fechaFin) {
         return documents;
 
     } catch (error) {
-        if (error.response?.status === 429) {
-            const retryAfter = error.response?.data?.retry || 10;
-            logWarning(`Rate limit en ${docType}, esperando ${retryAfter}s...`);
-            await new Promise(resolve => setTimeout(resolve, (retryAfter + 1) * 1000));
-            return getDocumentsByType(docType, fechaInicio, fechaFin); // Reintentar
-        }
         logError(`Error al obtener ${docType}: ${error.message}`);
         throw error;
     }
@@ -58,8 +68,12 @@ async function getDocumentsByType(docType, fechaInicio, fechaFin) {
 /**
  * Obtener TODAS las ventas de FAVE, BOVE y NCVE para un rango de fechas
  * Combina todos los tipos de documentos en una sola respuesta
+ *
+ * @param {object} [opciones]
+ * @param {boolean} [opciones.estricto=false] - Lanzar error si falla algún tipo de documento
+ *   (en vez de omitirlo). Necesario cuando la ausencia de un documento se interpreta como eliminación.
  */
-async function getAllSales(fechaInicio, fechaFin) {
+async function getAllSales(fechaInicio, fechaFin, { estricto = false } = {}) {
     logInfo(`Obteniendo ventas de ${DOCUMENT_TYPES.join(', ')} del ${format(fechaInicio, 'dd/MM/yyyy')} al ${format(fechaFin, 'dd/MM/yyyy')}...`);
 
     const allDocuments = [];
@@ -78,6 +92,11 @@ async function getAllSales(fechaInicio, fechaFin) {
 
     const results = await Promise.all(promises);
 
+    const fallidos = results.filter(r => r.error);
+    if (estricto && fallidos.length > 0) {
+        throw new Error(`No se pudieron obtener ${fallidos.map(r => `${r.type} (${r.error})`).join(', ')}`);
+    }
+
     for (const result of results) {
         // Agregar tipo de documento a cada documento para referencia
         for (const doc of result.documents) {
@@ -131,31 +150,111 @@ function extractProductsFromDocument(document) {
 
 /**
  * Agregar ventas por SKU de una lista de documentos
- * Retorna Map<sku, { cantidad, montoNeto }>
+ * Las notas de crédito (NCVE) se registran como devoluciones y restan a la venta neta.
+ * Retorna Map<sku, { cantidad, montoNeto, cantidadBruta, montoBruto, cantidadDevuelta, montoDevuelto }>
+ * donde cantidad/montoNeto son los valores netos (bruto - devuelto)
  */
 function aggregateSalesByProduct(documents) {
     const salesByProduct = new Map();
 
     for (const doc of documents) {
         const products = extractProductsFromDocument(doc);
+        const esDevolucion = isCreditDocument(doc._docType);
 
         for (const product of products) {
             if (!salesByProduct.has(product.sku)) {
                 salesByProduct.set(product.sku, {
                     cantidad: 0,
-                    montoNeto: 0
+                    montoNeto: 0,
+                    cantidadBruta: 0,
+                    montoBruto: 0,
+                    cantidadDevuelta: 0,
+                    montoDevuelto: 0
                 });
             }
 
             const existing = salesByProduct.get(product.sku);
-            existing.cantidad += product.cantidad;
-            existing.montoNeto += product.montoNeto;
+
+            if (esDevolucion) {
+                // El ERP puede informar las NCVE con cantidades positivas o negativas,
+                // el tipo de documento es el que define que se trata de una devolución
+                existing.cantidadDevuelta += Math.abs(product.cantidad);
+                existing.montoDevuelto += Math.abs(product.montoNeto);
+            } else {
+                existing.cantidadBruta += product.cantidad;
+                existing.montoBruto += product.montoNeto;
+            }
+
+            existing.cantidad = existing.cantidadBruta - existing.cantidadDevuelta;
+            existing.montoNeto = existing.montoBruto - existing.montoDevuelto;
         }
     }
 
     return salesByProduct;
 }
 
+/**
+ * Fecha de un documento en formato yyyy-MM-dd
+ * Manager+ informa la fecha como yyyy-MM-dd, dd/MM/yyyy o yyyyMMdd según el endpoint
+ * Retorna null si el documento no trae una fecha reconocible
+ */
+function getDocumentDate(document) {
+    const value = document.fecha_doc || document.fecha_documento || document.fecha || document.fecha_emision;
+    if (!value) return null;
+
+    const str = value.toString().trim();
+    let match = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+    match = str.match(/^(\d{2})\/(\d{2})\/(\d{4})/);
+    if (match) return `${match[3]}-${match[2]}-${match[1]}`;
+
+    match = str.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+    return null;
+}
+
+/**
+ * Agregar ventas por día, SKU y tipo de documento
+ * Las cantidades de NCVE se guardan en positivo (el tipo de documento indica que son devoluciones).
+ *
+ * @param {Array} documents - Documentos con _docType
+ * @param {string} defaultDate - Fecha (yyyy-MM-dd) para documentos sin fecha reconocible
+ * @returns {Array<{fecha: string, sku: string, docType: string, cantidad: number, montoNeto: number}>}
+ */
+function aggregateSalesByDay(documents, defaultDate) {
+    const salesByDay = new Map();
+    let withoutDate = 0;
+
+    for (const doc of documents) {
+        let fecha = getDocumentDate(doc);
+        if (!fecha) {
+            fecha = defaultDate;
+            withoutDate++;
+        }
+
+        const esDevolucion = isCreditDocument(doc._docType);
+
+        for (const product of extractProductsFromDocument(doc)) {
+            const key = `${fecha}|${product.sku}|${doc._docType}`;
+            if (!salesByDay.has(key)) {
+                salesByDay.set(key, { fecha, sku: product.sku, docType: doc._docType, cantidad: 0, montoNeto: 0 });
+            }
+
+            const existing = salesByDay.get(key);
+            existing.cantidad += esDevolucion ? Math.abs(product.cantidad) : product.cantidad;
+            existing.montoNeto += esDevolucion ? Math.abs(product.montoNeto) : product.montoNeto;
+        }
+    }
+
+    if (withoutDate > 0) {
+        logWarning(`  ${withoutDate} documentos sin fecha reconocible, asignados al ${defaultDate}`);
+    }
+
+    return Array.from(salesByDay.values());
+}
+
 /**
  * Obtener ventas de un día específico, agrupadas por producto
  * Optimizado para sincronización incremental diaria
@@ -169,13 +268,15 @@ async function getDailySales(date) {
 
     const documents = await getAllSales(startOfDay, endOfDay);
     const salesByProduct = aggregateSalesByProduct(documents);
+    const dateStr = format(date, 'yyyy-MM-dd');
 
     logInfo(`  Productos distintos: ${salesByProduct.size}`);
 
     return {
-        date: format(date, 'yyyy-MM-dd'),
+        date: dateStr,
         documentsCount: documents.length,
-        sales: salesByProduct
+        sales: salesByProduct,
+        dailySales: aggregateSalesByDay(documents, dateStr)
     };
 }
 
@@ -196,42 +297,58 @@ async function getMonthlySales(year, month) {
         year,
         month,
         documentsCount: documents.length,
-        sales: salesByProduct
+        sales: salesByProduct,
+        dailySales: aggregateSalesByDay(documents, format(startDate, 'yyyy-MM-dd'))
     };
 }
 
 /**
  * Obtener stock actual de todos los productos
+ * El ERP informa un saldo por producto y bodega; el stock del producto es la suma de las bodegas
+ * disponibles (ver utils/bodegas.js).
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.porBodega=false] - Retornar también el saldo de cada bodega
+ * @returns {Promise<Map<string, number>|{stockMap: Map<string, number>, bodegasMap: Map<string, Map<string, number>>}>}
+ *   sku → stock, o { stockMap, bodegasMap } con porBodega (bodegasMap: sku → (bodega → saldo))
  */
-async function getCurrentStock() {
+async function getCurrentStock({ porBodega = false } = {}) {
     try {
-        const headers = await getAuthHeaders();
         const today = format(new Date(), 'yyyyMMdd');
 
-        const url = `${ERP_BASE_URL}/stock/${RUT_EMPRESA}/?dt=${today}`;
-
         logInfo('Obteniendo stock actual del ERP...');
 
-        const response = await axios.get(url, {
-            headers,
+        const response = await erpGet(`/stock/${RUT_EMPRESA}/`, {
+            params: { dt: today },
             timeout: 60000
         });
 
         const stockData = response.data.data || response.data || [];
 
-        // Convertir a Map<sku, stock>
+        // Convertir a Map<sku, stock> (solo bodegas disponibles) y Map<sku, Map<bodega, saldo>>
         const stockMap = new Map();
+        const bodegasMap = new Map();
         for (const item of stockData) {
             const sku = item.cod_prod || item.codigo_prod;
+            if (!sku) continue;
+
             const stock = parseFloat(item.saldo || item.stock || 0);
-            if (sku) {
-                stockMap.set(sku, stock);
+            const bodega = getNombreBodega(item);
+
+            if (!bodegasMap.has(sku)) bodegasMap.set(sku, new Map());
+            const bodegas = bodegasMap.get(sku);
+            bodegas.set(bodega, (bodegas.get(bodega) || 0) + stock);
+
+            if (esBodegaDisponible(bodega)) {
+                stockMap.set(sku, (stockMap.get(sku) || 0) + stock);
+            } else if (!stockMap.has(sku)) {
+                stockMap.set(sku, 0);
             }
         }
 
         logSuccess(`Stock obtenido para ${stockMap.size} productos`);
 
-        return stockMap;
+        return porBodega ? { stockMap, bodegasMap } : stockMap;
 
     } catch (error) {
         logError(`Error al obtener stock: ${error.message}`);
@@ -244,16 +361,9 @@ async function getCurrentStock() {
  */
 async function getAllProducts() {
     try {
-        const headers = await getAuthHeaders();
-
-        const url = `${ERP_BASE_URL}/products/${RUT_EMPRESA}`;
-
         logInfo('Obteniendo catálogo de productos del ERP...');
 
-        const response = await axios.get(url, {
-            headers,
-            timeout: 60000
-        });
+        const response = await erpGet(`/products/${RUT_EMPRESA}`, { timeout: 60000 });
 
         const products = response.data.data || response.data || [];
 
@@ -269,10 +379,14 @@ async function getAllProducts() {
 
 module.exports = {
     DOCUMENT_TYPES,
+    CREDIT_DOCUMENT_TYPES,
+    isCreditDocument,
     getDocumentsByType,
     getAllSales,
     extractProductsFromDocument,
     aggregateSalesByProduct,
+    getDocumentDate,
+    aggregateSalesByDay,
     getDailySales,
     getMonthlySales,
     getCurrentStock,
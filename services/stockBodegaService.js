@@ -0,0 +1,113 @@
+/**
+ * Stock por bodega
+ *
+ * Manager+ informa el saldo de cada producto por bodega; VentaActual.stockActual guarda solo la
+ * suma de las bodegas disponibles (STOCK_BODEGAS_DISPONIBLES, ver utils/bodegas.js).
+ * Esta tabla guarda el detalle de la última lectura para poder filtrar y desglosar el stock en el
+ * dashboard. Si la configuración cambia, el detalle ya guardado se reinterpreta sin re-sincronizar.
+ */
+
+const { getPrismaClient } = require('../prisma/client');
+const { esBodegaDisponible } = require('../utils/bodegas');
+
+const prisma = getPrismaClient();
+
+/**
+ * Reemplazar el stock por bodega con la última lectura del ERP
+ * Los SKU que no existen en el catálogo se ignoran.
+ *
+ * @param {Map<string, Map<string, number>>} bodegasMap - sku → (bodega → saldo)
+ * @returns {Promise<{productos: number, registros: number, bodegas: number}>}
+ */
+async function registrarStockBodegas(bodegasMap) {
+    const productos = await prisma.producto.findMany({ select: { id: true, sku: true } });
+
+    const filas = [];
+    const bodegas = new Set();
+    let conStock = 0;
+
+    for (const producto of productos) {
+        const porBodega = bodegasMap.get(producto.sku);
+        if (!porBodega || porBodega.size === 0) continue;
+
+        conStock++;
+        for (const [bodega, saldo] of porBodega) {
+            filas.push({ productoId: producto.id, bodega, saldo });
+            bodegas.add(bodega);
+        }
+    }
+
+    await prisma.$transaction([
+        prisma.stockBodega.deleteMany({}),
+        prisma.stockBodega.createMany({ data: filas })
+    ]);
+
+    return { productos: conStock, registros: filas.length, bodegas: bodegas.size };
+}
+
+/**
+ * Bodegas conocidas con su saldo total y si cuentan como stock disponible
+ *
+ * @returns {Promise<Array<{bodega: string, disponible: boolean, productos: number, saldo: number}>>}
+ */
+async function listarBodegas() {
+    const grupos = await prisma.stockBodega.groupBy({
+        by: ['bodega'],
+        _sum: { saldo: true },
+        _count: { _all: true },
+        orderBy: { bodega: 'asc' }
+    });
+
+    return grupos.map(g => ({
+        bodega: g.bodega,
+        disponible: esBodegaDisponible(g.bodega),
+        productos: g._count._all,
+        saldo: g._sum.saldo || 0
+    }));
+}
+
+/**
+ * Parsear el filtro de bodegas del query string ("Bodega General,Sala de ventas")
+ *
+ * @param {string} [valor]
+ * @returns {string[]|null} Nombres en minúsculas, o null si no se filtra
+ */
+function parseFiltroBodegas(valor) {
+    if (!valor) return null;
+    const bodegas = valor.toString()
+        .split(',')
+        .map(b => b.toLowerCase().trim())
+        .filter(Boolean);
+    return bodegas.length > 0 ? bodegas : null;
+}
+
+/**
+ * Desglose del stock de un producto por bodega, y stock resultante del filtro
+ *
+ * @param {Array<{bodega: string, saldo: number}>} stockBodegas - Registros StockBodega del producto
+ * @param {string[]|null} filtro - Resultado de parseFiltroBodegas
+ * @returns {{bodegas: Array<{bodega: string, saldo: number, disponible: boolean}>, stockFiltrado: number|null}}
+ *   stockFiltrado es null sin filtro (se usa el stock disponible de VentaActual)
+ */
+function desglosarStock(stockBodegas = [], filtro = null) {
+    const bodegas = stockBodegas.map(b => ({
+        bodega: b.bodega,
+        saldo: b.saldo,
+        disponible: esBodegaDisponible(b.bodega)
+    }));
+
+    const stockFiltrado = filtro
+        ? bodegas
+            .filter(b => filtro.includes(b.bodega.toLowerCase()))
+            .reduce((sum, b) => sum + b.saldo, 0)
+        : null;
+
+    return { bodegas, stockFiltrado };
+}
+
+module.exports = {
+    registrarStockBodegas,
+    listarBodegas,
+    parseFiltroBodegas,
+    desglosarStock
+};
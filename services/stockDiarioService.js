@@ -0,0 +1,152 @@
+/**
+ * Fotos diarias de stock y corrección de demanda por quiebres
+ *
+ * Cada sincronización guarda el stock leído del ERP por producto y día (StockDiario). Un día
+ * cuenta como "sin stock" si alguna lectura de ese día fue ≤ 0. Con esos días se corrige la
+ * venta mensual que alimenta el promedio y el pronóstico, porque un producto sin stock no
+ * vende aunque tenga demanda:
+ * - si el mes tuvo días sin stock, la venta se extrapola a mes completo: venta × días del mes / días con stock
+ * - si tuvo menos de DEMANDA_MIN_DIAS_CON_STOCK días con stock, el mes se excluye y se reemplaza
+ *   por el promedio de los meses sin quiebre
+ * Los días sin foto (por ejemplo, antes de que existiera esta tabla) se asumen con stock.
+ */
+
+const { getDaysInMonth } = require('date-fns');
+const { getPrismaClient } = require('../prisma/client');
+
+const prisma = getPrismaClient();
+
+const CONFIG = {
+    corregir: process.env.DEMANDA_CORREGIR_QUIEBRES !== 'false',
+    minDiasConStock: parseInt(process.env.DEMANDA_MIN_DIAS_CON_STOCK || '7', 10)
+};
+
+const AJUSTES = {
+    EXTRAPOLADO: 'extrapolado',
+    EXCLUIDO: 'excluido'
+};
+
+/**
+ * Guardar la foto de stock del día para todo el catálogo
+ * Los productos que el ERP no informa quedan con stock 0 (igual que en el dashboard).
+ *
+ * @param {Map<string, number>} stockMap - sku → stock (resultado de getCurrentStock)
+ * @param {string} fecha - yyyy-MM-dd
+ * @returns {Promise<{fecha: string, productos: number, sinStock: number}>}
+ */
+async function registrarFotoStock(stockMap, fecha) {
+    const ano = parseInt(fecha.slice(0, 4), 10);
+    const mes = parseInt(fecha.slice(5, 7), 10);
+
+    const productos = await prisma.producto.findMany({ select: { id: true, sku: true } });
+    const existentes = await prisma.stockDiario.findMany({ where: { fecha } });
+    const porProducto = new Map(existentes.map(e => [e.productoId, e]));
+
+    const nuevas = [];
+    const actualizaciones = [];
+    let sinStock = 0;
+
+    for (const producto of productos) {
+        const stock = stockMap.get(producto.sku) || 0;
+        if (stock <= 0) sinStock++;
+
+        const existente = porProducto.get(producto.id);
+        if (!existente) {
+            nuevas.push({ productoId: producto.id, fecha, ano, mes, stock, stockMinimo: stock });
+        } else {
+            actualizaciones.push(prisma.stockDiario.update({
+                where: { id: existente.id },
+                data: {
+                    stock,
+                    stockMinimo: Math.min(existente.stockMinimo, stock),
+                    lecturas: { increment: 1 }
+                }
+            }));
+        }
+    }
+
+    await prisma.$transaction([
+        prisma.stockDiario.createMany({ data: nuevas }),
+        ...actualizaciones
+    ]);
+
+    return { fecha, productos: productos.length, sinStock };
+}
+
+/**
+ * Días sin stock por producto y mes
+ *
+ * @param {object} where - Filtro Prisma sobre StockDiario (ej. { producto: filtroProducto, ...filtroFecha })
+ * @returns {Promise<Map<number, Map<string, number>>>} productoId → ("ano-mes" → días sin stock)
+ */
+async function getDiasSinStock(where) {
+    const grupos = await prisma.stockDiario.groupBy({
+        by: ['productoId', 'ano', 'mes'],
+        where: { ...where, stockMinimo: { lte: 0 } },
+        _count: { _all: true }
+    });
+
+    const resultado = new Map();
+    for (const g of grupos) {
+        if (!resultado.has(g.productoId)) resultado.set(g.productoId, new Map());
+        resultado.get(g.productoId).set(`${g.ano}-${g.mes}`, g._count._all);
+    }
+
+    return resultado;
+}
+
+/**
+ * Corregir la venta mensual de un producto por los días sin stock
+ *
+ * @param {Array<{ano: number, mes: number, cantidad: number}>} ventas - Meses en orden cronológico
+ * @param {Map<string, number>} [diasSinStock] - "ano-mes" → días sin stock del producto
+ * @param {object} [config] - { corregir, minDiasConStock }
+ * @returns {Array<{ano, mes, cantidad, cantidadCorregida, diasSinStock, ajuste}>}
+ *   ajuste: null | 'extrapolado' | 'excluido'
+ */
+function corregirVentasMensuales(ventas, diasSinStock = new Map(), config = CONFIG) {
+    const corregidas = ventas.map(v => {
+        const diasMes = getDaysInMonth(new Date(v.ano, v.mes - 1, 1));
+        const sinStock = Math.min(diasSinStock.get(`${v.ano}-${v.mes}`) || 0, diasMes);
+        const conStock = diasMes - sinStock;
+
+        if (!config.corregir || sinStock === 0) {
+            return { ...v, cantidadCorregida: v.cantidad, diasSinStock: sinStock, ajuste: null };
+        }
+        if (conStock >= config.minDiasConStock) {
+            return {
+                ...v,
+                cantidadCorregida: parseFloat((v.cantidad * diasMes / conStock).toFixed(2)),
+                diasSinStock: sinStock,
+                ajuste: AJUSTES.EXTRAPOLADO
+            };
+        }
+        return { ...v, cantidadCorregida: v.cantidad, diasSinStock: sinStock, ajuste: AJUSTES.EXCLUIDO };
+    });
+
+    // Meses excluidos: promedio de los meses válidos desde la primera venta (antes el producto no se vendía)
+    const primeraVenta = corregidas.findIndex(v => v.cantidad !== 0);
+    const validos = corregidas
+        .slice(Math.max(primeraVenta, 0))
+        .filter(v => v.ajuste !== AJUSTES.EXCLUIDO);
+
+    if (validos.length > 0) {
+        const promedio = validos.reduce((sum, v) => sum + v.cantidadCorregida, 0) / validos.length;
+        for (const v of corregidas) {
+            // Si el mes vendió más que el promedio estimado se conserva la venta real
+            if (v.ajuste === AJUSTES.EXCLUIDO) {
+                v.cantidadCorregida = parseFloat(Math.max(v.cantidad, promedio).toFixed(2));
+            }
+        }
+    }
+
+    return corregidas;
+}
+
+module.exports = {
+    CONFIG,
+    AJUSTES,
+    registrarFotoStock,
+    getDiasSinStock,
+    corregirVentasMensuales
+};
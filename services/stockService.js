@@ -7,36 +7,49 @@
  */
 
 require('dotenv').config();
-const axios = require('axios');
-const { getAuthHeaders } = require('../utils/auth');
+const { erpGet } = require('../utils/erpClient');
 const { logInfo, logError, logWarning } = require('../utils/logger');
 const { getPrismaClient } = require('../prisma/client');
+const { getNombreBodega, esBodegaDisponible } = require('../utils/bodegas');
+const { registrarStockBodegas } = require('./stockBodegaService');
 
 const RUT_EMPRESA = process.env.RUT_EMPRESA;
-const ERP_BASE_URL = process.env.ERP_BASE_URL;
 const prisma = getPrismaClient();
 
 /**
- * Determina si un registro de stock pertenece a "Bodega General" y excluye "Bodega temporal".
+ * Determina si un registro de stock pertenece a una bodega disponible (por defecto excluye "Bodega temporal").
  */
 function isGeneralWarehouse(stockItem = {}) {
-    const name = (
-        stockItem.bodega ||
-        stockItem.almacen ||
-        stockItem.descripcion_bodega ||
-        stockItem.nombre_bodega ||
-        stockItem.bod ||
-        ''
-    ).toString().toLowerCase().trim();
-
-    // Si no hay nombre de bodega, asumimos bodega general (evita descartar todo por falta de campo)
-    if (!name) return true;
-
-    if (name.includes('temporal')) return false;
-    if (name.includes('general')) return true;
-
-    // Fallback: incluir otras bodegas solo si no son temporales
-    return !name.includes('temporal');
+    return esBodegaDisponible(getNombreBodega(stockItem));
+}
+
+/**
+ * Stock de un producto por bodega, desde el campo "stock" de la respuesta con con_stock=S
+ * Incluye todas las bodegas (también las no disponibles) con su saldo tal cual, negativos incluidos.
+ *
+ * @param {Object} product - Objeto del producto de Manager+
+ * @returns {Map<string, number>} bodega → saldo
+ */
+function extractStockByWarehouse(product) {
+    const bodegas = new Map();
+    const stockEntries = Array.isArray(product.stock) ? product.stock : [];
+
+    const processItem = (item) => {
+        if (!item || typeof item !== 'object') return;
+        const bodega = getNombreBodega(item);
+        const saldo = parseFloat(item.saldo) || 0;
+        bodegas.set(bodega, (bodegas.get(bodega) || 0) + saldo);
+    };
+
+    stockEntries.forEach(entry => {
+        if (Array.isArray(entry)) {
+            entry.forEach(processItem);
+        } else {
+            processItem(entry);
+        }
+    });
+
+    return bodegas;
 }
 
 /**
@@ -46,7 +59,7 @@ function isGeneralWarehouse(stockItem = {}) {
  * donde cada objeto tiene un campo "saldo" que es el stock real
  * 
  * @param {Object} product - Objeto del producto de Manager+
- * @returns {number} Stock total del producto (solo Bodega General)
+ * @returns {number} Stock total del producto (solo bodegas disponibles)
  */
 function extractStockFromProduct(product) {
     let stock = 0;
@@ -102,16 +115,12 @@ function extractStockFromProduct(product) {
  */
 async function getManagerProductBySKU(sku) {
     try {
-        const headers = await getAuthHeaders();
-        
         // Usar el endpoint de productos con con_stock=S para obtener el stock
-        const url = `${ERP_BASE_URL}/products/${RUT_EMPRESA}/${sku}/`;
-        
-        const response = await axios.get(url, {
-            headers,
+        const response = await erpGet(`/products/${RUT_EMPRESA}/${encodeURIComponent(sku)}/`, {
             params: {
                 con_stock: 'S'  // Incluir stock detallado por producto
-            }
+            },
+            endpoint: 'GET /products/:rut/:sku'
         });
 
         const productData = response.data.data || response.data;
@@ -213,18 +222,19 @@ async function getStocksBySKUs(skus, options = {}) {
  * 
  * @param {Object} options - Opciones de procesamiento
  * @param {boolean} options.includeNames - Si es true, también retorna nombres de productos (default: false)
- * @returns {Promise<Object>} Objeto con SKU como clave y stock como valor, o { stocks, names } si includeNames es true
+ * @param {boolean} options.includeBodegas - Si es true, también retorna el stock por bodega (default: false)
+ * @returns {Promise<Object>} Objeto con SKU como clave y stock como valor, o { stocks, names, bodegas }
+ *   si includeNames o includeBodegas es true (bodegas: Map<sku, Map<bodega, saldo>>)
  */
 async function getAllStocks(options = {}) {
-    const { includeNames = false } = options;
+    const { includeNames = false, includeBodegas = false } = options;
     
     try {
         logInfo('Obteniendo todos los productos con stock de Manager+...');
         
-        const headers = await getAuthHeaders();
-        const url = `${ERP_BASE_URL}/products/${RUT_EMPRESA}?con_stock=S`;
-        
-        const response = await axios.get(url, { headers });
+        const response = await erpGet(`/products/${RUT_EMPRESA}`, {
+            params: { con_stock: 'S' }
+        });
         
         let products = response.data.data || response.data || [];
         
@@ -239,6 +249,7 @@ async function getAllStocks(options = {}) {
         
         const stocks = {};
         const names = {};
+        const bodegas = new Map();
         let procesados = 0;
         
         logInfo(`Procesando stock de ${products.length} productos...`);
@@ -269,6 +280,10 @@ async function getAllStocks(options = {}) {
                                   trimmedSku;
                     names[trimmedSku] = nombre;
                 }
+
+                if (includeBodegas) {
+                    bodegas.set(trimmedSku, extractStockByWarehouse(product));
+                }
                 
                 procesados++;
             } else {
@@ -279,8 +294,8 @@ async function getAllStocks(options = {}) {
         const productosConStock = Object.values(stocks).filter(s => s > 0).length;
         logInfo(`Stock extraído de ${procesados} productos (${productosConStock} con stock > 0)`);
         
-        if (includeNames) {
-            return { stocks, names };
+        if (includeNames || includeBodegas) {
+            return { stocks, names, bodegas };
         }
         
         return stocks;
@@ -428,7 +443,7 @@ async function syncAndSaveAllStocks(options = {}) {
         
         // Obtener todos los stocks desde Manager+ (con nombres si está habilitado)
         const { includeNames = true } = options;
-        const result = await getAllStocks({ includeNames });
+        const result = await getAllStocks({ includeNames, includeBodegas: true });
         
         const stocks = result.stocks || result;
         const productNames = result.names || {};
@@ -447,6 +462,10 @@ async function syncAndSaveAllStocks(options = {}) {
 
         // Guardar stocks en la base de datos
         const saveResults = await saveStocksToDatabase(stocks, productNames, options);
+
+        // Detalle por bodega (después de guardar, para que existan los productos nuevos)
+        const stockBodegas = await registrarStockBodegas(result.bodegas);
+        logInfo(`Stock por bodega: ${stockBodegas.registros} registros en ${stockBodegas.bodegas} bodegas`);
         
         return saveResults;
         
@@ -562,6 +581,7 @@ async function syncAndSaveStockBySKU(sku) {
 module.exports = {
     isGeneralWarehouse,
     extractStockFromProduct,
+    extractStockByWarehouse,
     getManagerProductBySKU,
     getStocksBySKUs,
     getAllStocks,
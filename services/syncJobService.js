@@ -0,0 +1,516 @@
+/**
+ * Cola de trabajos de sincronización con el ERP
+ *
+ * Las sincronizaciones se registran como SyncJob y se ejecutan en segundo plano, una a la vez,
+ * independientes de la petición HTTP que las pidió. Cada paso queda guardado como SyncJobEvento
+ * y se publica a los suscriptores (SSE), que pueden conectarse en cualquier momento y reciben
+ * primero los eventos ya guardados.
+ *
+ * Estados: pendiente → en_curso → completado | error | cancelado
+ */
+
+const { EventEmitter } = require('events');
+const { subDays, format, parseISO, differenceInCalendarDays } = require('date-fns');
+const { getPrismaClient } = require('../prisma/client');
+const { logInfo, logError, logWarning, conContexto } = require('../utils/logger');
+const { crearContador, crearHistograma } = require('../utils/metrics');
+const { getMesActual } = require('../utils/periodo');
+const { TIPOS_JOB } = require('./syncTipos');
+const { registrarSync } = require('./syncLogService');
+const { TIPOS_REGLA, notificar } = require('./alertaService');
+const {
+    syncNewProducts,
+    syncDaySales,
+    syncSalesRange,
+    syncCurrentMonthData
+} = require('../scripts/syncDaily');
+const { httpError } = require('../utils/httpError');
+
+const prisma = getPrismaClient();
+
+const TIPOS = TIPOS_JOB;
+
+const ESTADOS = {
+    PENDIENTE: 'pendiente',
+    EN_CURSO: 'en_curso',
+    COMPLETADO: 'completado',
+    ERROR: 'error',
+    CANCELADO: 'cancelado'
+};
+
+const ESTADOS_ACTIVOS = [ESTADOS.PENDIENTE, ESTADOS.EN_CURSO];
+const ESTADOS_REINTENTABLES = [ESTADOS.ERROR, ESTADOS.CANCELADO];
+
+// Prometheus: duración y resultado de cada job ejecutado
+const jobsTotal = crearContador('sync_jobs_total', 'Jobs de sincronización ejecutados por tipo y estado final', ['tipo', 'estado']);
+const jobsDuracion = crearHistograma('sync_job_duration_seconds', 'Duración de los jobs de sincronización',
+    ['tipo', 'estado'], [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600]);
+
+// Pasos que cierran el stream de un job
+const PASOS_FINALES = ['complete', 'error', 'cancelled'];
+
+// Máximo de días que se pueden re-sincronizar en un job de rango (cada mes es una consulta al ERP)
+const MAX_DIAS_RANGO = 366;
+
+// Suscriptores a los eventos de cada job (canal `job:<id>`)
+const emisor = new EventEmitter();
+emisor.setMaxListeners(0);
+
+// Lock del ejecutor: solo un job en curso por proceso
+let ejecutando = false;
+
+/**
+ * Indica si un paso cierra el stream del job
+ */
+function esPasoFinal(step) {
+    return PASOS_FINALES.includes(step);
+}
+
+/**
+ * Job con parámetros y resultado deserializados
+ */
+function formatJob(job) {
+    const { parametros, resultado, ...datos } = job;
+    return {
+        ...datos,
+        parametros: parametros ? JSON.parse(parametros) : {},
+        resultado: resultado ? JSON.parse(resultado) : null
+    };
+}
+
+/**
+ * Validar y normalizar los parámetros de un tipo de job
+ */
+function normalizarParametros(tipo, parametros = {}) {
+    if (!Object.values(TIPOS).includes(tipo)) {
+        throw httpError(`Tipo de job inválido. Opciones: ${Object.values(TIPOS).join(', ')}`);
+    }
+
+    if (tipo !== TIPOS.RANGO) return {};
+
+    const { desde, hasta = desde, force = false } = parametros;
+    const formatoFecha = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!formatoFecha.test(desde || '') || !formatoFecha.test(hasta || '')) {
+        throw httpError('Las fechas "desde" y "hasta" deben tener formato yyyy-MM-dd');
+    }
+
+    const dias = differenceInCalendarDays(parseISO(hasta), parseISO(desde)) + 1;
+    if (isNaN(dias) || dias < 1) {
+        throw httpError('La fecha "desde" no puede ser posterior a "hasta"');
+    }
+    if (dias > MAX_DIAS_RANGO) {
+        throw httpError(`El rango no puede superar ${MAX_DIAS_RANGO} días`);
+    }
+
+    return { desde, hasta, force: Boolean(force) };
+}
+
+/**
+ * Guardar un evento del job y publicarlo a los suscriptores
+ */
+async function registrarEvento(jobId, step, message) {
+    const evento = await prisma.syncJobEvento.create({
+        data: { jobId, step, message }
+    });
+
+    emisor.emit(`job:${jobId}`, evento);
+    return evento;
+}
+
+/**
+ * Suscribirse a los eventos nuevos de un job
+ *
+ * @returns {Function} Función para cancelar la suscripción
+ */
+function suscribir(jobId, listener) {
+    const canal = `job:${jobId}`;
+    emisor.on(canal, listener);
+    return () => emisor.off(canal, listener);
+}
+
+/**
+ * Encolar una sincronización
+ * Si ya hay un job activo (pendiente o en curso) del mismo tipo y parámetros, se devuelve ese
+ * en lugar de crear otro, así dos usuarios que sincronizan a la vez siguen el mismo job.
+ *
+ * @param {string} tipo - Uno de TIPOS
+ * @param {object} [parametros] - Parámetros del tipo (rango: { desde, hasta, force })
+ * @param {object} [opciones] - { origen: 'manual' | 'cron' | 'inicio', reintentoDeId }
+ * @returns {Promise<{job: object, existente: boolean}>}
+ */
+async function encolarJob(tipo, parametros = {}, { origen = 'manual', reintentoDeId = null } = {}) {
+    const normalizados = JSON.stringify(normalizarParametros(tipo, parametros));
+
+    const activo = await prisma.syncJob.findFirst({
+        where: { tipo, parametros: normalizados, estado: { in: ESTADOS_ACTIVOS } },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    if (activo) {
+        return { job: formatJob(activo), existente: true };
+    }
+
+    const job = await prisma.syncJob.create({
+        data: { tipo, parametros: normalizados, origen, reintentoDeId }
+    });
+
+    const enCola = await prisma.syncJob.count({
+        where: { estado: { in: ESTADOS_ACTIVOS }, id: { not: job.id } }
+    });
+    await registrarEvento(job.id, 'queued', enCola > 0
+        ? `En cola: ${enCola} sincronización(es) antes`
+        : 'Sincronización en cola');
+
+    logInfo(`🗂️  SyncJob #${job.id} (${tipo}) encolado desde ${origen}`);
+
+    // No se espera: el job corre en segundo plano
+    procesarCola();
+
+    return { job: formatJob(job), existente: false };
+}
+
+/**
+ * Ejecutar los jobs pendientes en orden de llegada, uno a la vez
+ */
+async function procesarCola() {
+    if (ejecutando) return;
+    ejecutando = true;
+
+    try {
+        while (true) {
+            const siguiente = await prisma.syncJob.findFirst({
+                where: { estado: ESTADOS.PENDIENTE },
+                orderBy: { createdAt: 'asc' }
+            });
+            if (!siguiente) break;
+
+            // Tomar el job solo si sigue pendiente (pudo cancelarse mientras tanto)
+            const tomado = await prisma.syncJob.updateMany({
+                where: { id: siguiente.id, estado: ESTADOS.PENDIENTE },
+                data: { estado: ESTADOS.EN_CURSO, iniciadoAt: new Date() }
+            });
+            if (tomado.count === 0) continue;
+
+            // Todo lo que se registre durante el job lleva su ID (y no el del request que lo encoló)
+            await conContexto({ jobId: siguiente.id, jobTipo: siguiente.tipo }, () => ejecutarJob(siguiente));
+        }
+    } catch (error) {
+        logError(`Error procesando cola de sincronización: ${error.message}`);
+    } finally {
+        ejecutando = false;
+    }
+}
+
+/**
+ * Ejecutar un job y dejar su estado final
+ */
+async function ejecutarJob(job) {
+    const inicio = Date.now();
+    let estadoFinal = ESTADOS.ERROR;
+    const contexto = {
+        parametros: job.parametros ? JSON.parse(job.parametros) : {},
+        evento: (step, message) => registrarEvento(job.id, step, message),
+        // La cancelación es cooperativa: se revisa entre pasos
+        verificarCancelacion: async () => {
+            const actual = await prisma.syncJob.findUnique({
+                where: { id: job.id },
+                select: { cancelacionSolicitada: true }
+            });
+            if (actual?.cancelacionSolicitada) {
+                const error = new Error('Sincronización cancelada');
+                error.cancelado = true;
+                throw error;
+            }
+        }
+    };
+
+    try {
+        const resultado = await EJECUTORES[job.tipo](contexto);
+
+        await prisma.syncJob.update({
+            where: { id: job.id },
+            data: {
+                estado: ESTADOS.COMPLETADO,
+                resultado: JSON.stringify(resultado ?? null),
+                finalizadoAt: new Date()
+            }
+        });
+        await registrarEvento(job.id, 'complete', '¡Sincronización finalizada!');
+        estadoFinal = ESTADOS.COMPLETADO;
+
+    } catch (error) {
+        const estado = error.cancelado ? ESTADOS.CANCELADO : ESTADOS.ERROR;
+        estadoFinal = estado;
+
+        if (error.cancelado) {
+            logWarning(`SyncJob #${job.id} cancelado`);
+        } else {
+            logError(`SyncJob #${job.id} falló: ${error.message}`, { stack: error.stack });
+            // Sin await: el envío de la alerta no retiene la cola
+            notificar(TIPOS_REGLA.SYNC_FALLIDA, {
+                tipoJob: job.tipo,
+                clave: job.tipo,
+                titulo: `Sincronización fallida: ${job.tipo}`,
+                mensaje: `El job de sincronización #${job.id} (${job.tipo}) terminó con error: ${error.message}`,
+                datos: { jobId: job.id, tipo: job.tipo, error: error.message }
+            });
+        }
+
+        await prisma.syncJob.update({
+            where: { id: job.id },
+            data: { estado, error: error.message, finalizadoAt: new Date() }
+        });
+        await registrarEvento(job.id, error.cancelado ? 'cancelled' : 'error',
+            error.cancelado ? 'Sincronización cancelada' : `Error: ${error.message}`);
+    } finally {
+        const etiquetas = { tipo: job.tipo, estado: estadoFinal };
+        jobsTotal.inc(etiquetas);
+        jobsDuracion.observe(etiquetas, (Date.now() - inicio) / 1000);
+    }
+}
+
+/**
+ * Catálogo + ventas y stock del mes actual hasta ahora
+ */
+async function ejecutarMesActual({ evento, verificarCancelacion }) {
+    const mesActual = getMesActual();
+
+    await evento('start', 'Conectando con Manager+...');
+
+    // 1. Productos
+    await evento('products', 'Buscando nuevos productos...');
+    const prodStats = await syncNewProducts();
+    await evento('products_done', `Catálogo: ${prodStats.created} nuevos, ${prodStats.updated} actualizados`);
+
+    // Registrar log de productos si hubo cambios
+    if (prodStats.created > 0 || prodStats.updated > 0) {
+        await registrarSync('productos', {
+            mesTarget: mesActual.mes,
+            anoTarget: mesActual.ano,
+            productos: prodStats.created + prodStats.updated
+        }, `${prodStats.created} nuevos, ${prodStats.updated} actualizados`);
+    }
+
+    await verificarCancelacion();
+
+    // 2. Datos mes actual (Ventas + Stock) - incluir ventas hasta AHORA
+    await evento('data', 'Obteniendo ventas y stock del mes actual...');
+    const dataStats = await syncCurrentMonthData(true);
+    await evento('data_done', `${dataStats.productosConVentas} productos con ventas, ${dataStats.updated} actualizados`);
+
+    await registrarSync('ventas_actuales', {
+        mesTarget: mesActual.mes,
+        anoTarget: mesActual.ano,
+        productos: dataStats.updated || 0,
+        productosConVentas: dataStats.productosConVentas || 0
+    }, 'Sincronización manual desde dashboard');
+
+    return { productos: prodStats, mesActual: dataStats };
+}
+
+/**
+ * Sincronización incremental diaria: catálogo, ventas de ayer y datos del mes hasta ayer
+ */
+async function ejecutarDiaria({ evento, verificarCancelacion }) {
+    const ayer = subDays(new Date(), 1);
+
+    await evento('start', `Sincronización diaria del ${format(ayer, 'dd/MM/yyyy')}`);
+
+    await evento('products', 'Buscando nuevos productos...');
+    const prodStats = await syncNewProducts();
+    await evento('products_done', `Catálogo: ${prodStats.created} nuevos, ${prodStats.updated} actualizados`);
+
+    await verificarCancelacion();
+
+    await evento('sales', 'Sincronizando ventas de ayer...');
+    const ventas = await syncDaySales(ayer);
+    await evento('sales_done', `${ventas.processed} documentos, ${ventas.updated} productos actualizados`);
+
+    await verificarCancelacion();
+
+    await evento('data', 'Obteniendo ventas y stock del mes actual (hasta ayer)...');
+    const dataStats = await syncCurrentMonthData();
+    await evento('data_done', `${dataStats.productosConVentas} productos con ventas, ${dataStats.updated} actualizados`);
+
+    // Tipo propio: /health/ready y las reglas sync_atrasada miden la sincronización diaria, no la manual
+    const mesActual = getMesActual();
+    await registrarSync('diaria', {
+        mesTarget: mesActual.mes,
+        anoTarget: mesActual.ano,
+        documentos: ventas.processed || 0,
+        productos: dataStats.updated || 0,
+        productosConVentas: dataStats.productosConVentas || 0
+    }, 'Sincronización diaria');
+
+    return {
+        productos: prodStats,
+        ventas: { documentos: ventas.processed, productosActualizados: ventas.updated },
+        mesActual: dataStats
+    };
+}
+
+/**
+ * Re-sincronización exacta de las ventas de un rango
+ */
+async function ejecutarRango({ parametros, evento, verificarCancelacion }) {
+    const { desde, hasta, force } = parametros;
+
+    await evento('start', `Re-sincronizando ventas del ${desde} al ${hasta}${force ? ' (forzado)' : ''}`);
+
+    const reporte = await syncSalesRange(desde, hasta, {
+        force,
+        alProcesarTramo: async (tramo) => {
+            await verificarCancelacion();
+            await evento('sales', `Ventas del ${tramo.desde} al ${tramo.hasta}...`);
+        }
+    });
+
+    await evento('sales_done', `${reporte.documentos} documentos: ${reporte.nuevos.length} nuevos, ` +
+        `${reporte.modificados.length} modificados, ${reporte.eliminados.length} eliminados`);
+
+    const fechaHasta = parseISO(hasta);
+    await registrarSync('ventas_historicas', {
+        mesTarget: fechaHasta.getMonth() + 1,
+        anoTarget: fechaHasta.getFullYear(),
+        documentos: reporte.documentos,
+        productosConVentas: reporte.productosActualizados
+    }, `Re-sincronización ${desde} a ${hasta}: ${reporte.nuevos.length} nuevos, ${reporte.modificados.length} modificados, ${reporte.eliminados.length} eliminados`);
+
+    return reporte;
+}
+
+const EJECUTORES = {
+    [TIPOS.MES_ACTUAL]: ejecutarMesActual,
+    [TIPOS.DIARIA]: ejecutarDiaria,
+    [TIPOS.RANGO]: ejecutarRango
+};
+
+/**
+ * Listar los jobs más recientes
+ */
+async function listarJobs({ limit = 50, estado = null } = {}) {
+    const jobs = await prisma.syncJob.findMany({
+        where: estado ? { estado } : {},
+        orderBy: { createdAt: 'desc' },
+        take: limit
+    });
+
+    return jobs.map(formatJob);
+}
+
+/**
+ * Obtener un job con sus eventos
+ */
+async function getJob(id) {
+    const job = await prisma.syncJob.findUnique({
+        where: { id },
+        include: { eventos: { orderBy: { id: 'asc' } } }
+    });
+
+    if (!job) {
+        throw httpError('Job de sincronización no encontrado', 404);
+    }
+
+    return formatJob(job);
+}
+
+/**
+ * Eventos de un job posteriores a un id (para reanudar un stream)
+ */
+async function getEventos(jobId, despuesDeId = 0) {
+    return prisma.syncJobEvento.findMany({
+        where: { jobId, id: { gt: despuesDeId } },
+        orderBy: { id: 'asc' }
+    });
+}
+
+/**
+ * Cancelar un job
+ * Un job pendiente se cancela de inmediato; uno en curso se detiene al terminar el paso actual.
+ */
+async function cancelarJob(id) {
+    const job = await prisma.syncJob.findUnique({ where: { id } });
+
+    if (!job) {
+        throw httpError('Job de sincronización no encontrado', 404);
+    }
+    if (!ESTADOS_ACTIVOS.includes(job.estado)) {
+        throw httpError(`No se puede cancelar un job en estado "${job.estado}"`, 409);
+    }
+
+    const pendiente = await prisma.syncJob.updateMany({
+        where: { id, estado: ESTADOS.PENDIENTE },
+        data: { estado: ESTADOS.CANCELADO, cancelacionSolicitada: true, finalizadoAt: new Date() }
+    });
+
+    if (pendiente.count > 0) {
+        await registrarEvento(id, 'cancelled', 'Sincronización cancelada antes de iniciar');
+    } else {
+        await prisma.syncJob.update({
+            where: { id },
+            data: { cancelacionSolicitada: true }
+        });
+        await registrarEvento(id, 'cancel_requested', 'Cancelación solicitada, se detendrá al terminar el paso actual');
+    }
+
+    return getJob(id);
+}
+
+/**
+ * Reintentar un job con error o cancelado (crea un job nuevo con los mismos parámetros)
+ */
+async function reintentarJob(id) {
+    const job = await prisma.syncJob.findUnique({ where: { id } });
+
+    if (!job) {
+        throw httpError('Job de sincronización no encontrado', 404);
+    }
+    if (!ESTADOS_REINTENTABLES.includes(job.estado)) {
+        throw httpError(`Solo se pueden reintentar jobs con error o cancelados (estado actual: "${job.estado}")`, 409);
+    }
+
+    return encolarJob(job.tipo, job.parametros ? JSON.parse(job.parametros) : {}, {
+        origen: 'manual',
+        reintentoDeId: job.id
+    });
+}
+
+/**
+ * Al iniciar el servidor: marcar como error los jobs que quedaron en curso (el proceso se detuvo)
+ * y retomar los pendientes
+ */
+async function recuperarJobsInterrumpidos() {
+    const interrumpidos = await prisma.syncJob.findMany({
+        where: { estado: ESTADOS.EN_CURSO },
+        select: { id: true }
+    });
+
+    for (const { id } of interrumpidos) {
+        await prisma.syncJob.update({
+            where: { id },
+            data: { estado: ESTADOS.ERROR, error: 'Interrumpido por reinicio del servidor', finalizadoAt: new Date() }
+        });
+        await registrarEvento(id, 'error', 'Error: Interrumpido por reinicio del servidor');
+    }
+
+    if (interrumpidos.length > 0) {
+        logWarning(`${interrumpidos.length} sincronización(es) interrumpidas marcadas con error`);
+    }
+
+    procesarCola();
+}
+
+module.exports = {
+    TIPOS,
+    ESTADOS,
+    esPasoFinal,
+    encolarJob,
+    suscribir,
+    listarJobs,
+    getJob,
+    getEventos,
+    cancelarJob,
+    reintentarJob,
+    recuperarJobsInterrumpidos
+};
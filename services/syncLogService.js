@@ -3,14 +3,14 @@
  */
 
 const { getPrismaClient } = require('../prisma/client');
-const { logInfo } = require('../utils/logger');
+const { logInfo, logError } = require('../utils/logger');
 
 const prisma = getPrismaClient();
 
 /**
  * Registrar una sincronización en el historial
  * 
- * @param {string} tipo - Tipo de sincronización ('ventas_actuales', 'ventas_historicas', 'productos', 'stock')
+ * @param {string} tipo - Tipo de sincronización ('diaria', 'ventas_actuales', 'ventas_historicas', 'productos', 'stock')
  * @param {object} stats - Estadísticas de la sincronización
  * @param {number} stats.mesTarget - Mes que se actualizó (1-12)
  * @param {number} stats.anoTarget - Año que se actualizó
@@ -38,7 +38,7 @@ async function registrarSync(tipo, stats, mensaje = null) {
         return log;
     } catch (error) {
         // No fallar si el log falla - es secundario
-        console.error(`Error registrando sync log: ${error.message}`);
+        logError(`Error registrando sync log: ${error.message}`);
         return null;
     }
 }
@@ -0,0 +1,16 @@
+/**
+ * Tipos de job de sincronización
+ *
+ * Módulo aparte para que quien solo necesita los valores (ej. la validación de reglas de alerta) no
+ * dependa de la cola de jobs.
+ */
+
+const TIPOS_JOB = {
+    MES_ACTUAL: 'mes_actual',   // Catálogo + ventas y stock del mes hasta ahora (botón del dashboard)
+    DIARIA: 'diaria',           // Catálogo + ventas de ayer + datos del mes hasta ayer (CRON)
+    RANGO: 'rango'              // Re-sincronización exacta de ventas de un rango de fechas
+};
+
+module.exports = {
+    TIPOS_JOB
+};
@@ -0,0 +1,238 @@
+/**
+ * Servicio de ventas diarias
+ *
+ * VentaDiaria guarda la venta de cada producto por día y tipo de documento.
+ * Los totales mensuales (VentaHistorica) se derivan de esta tabla:
+ * - al reemplazar un rango se aplica a VentaHistorica la diferencia con lo que había guardado, en la misma transacción
+ * - al sincronizar un mes completo se recalcula el mes entero desde las ventas diarias
+ */
+
+const { getPrismaClient } = require('../prisma/client');
+const { isCreditDocument } = require('./salesService');
+
+const prisma = getPrismaClient();
+
+// Reemplazar un mes completo puede superar el timeout por defecto de las transacciones interactivas
+const TIMEOUT_TRANSACCION = 120000;
+
+/**
+ * Venta agregada vacía (mismo formato que aggregateSalesByProduct)
+ */
+function ventaVacia() {
+    return {
+        cantidad: 0,
+        montoNeto: 0,
+        cantidadBruta: 0,
+        montoBruto: 0,
+        cantidadDevuelta: 0,
+        montoDevuelto: 0
+    };
+}
+
+/**
+ * Sumar filas de VentaDiaria por producto en el formato de aggregateSalesByProduct
+ *
+ * @param {Array<{productoId: number, docType: string, cantidad: number, montoNeto: number}>} filas
+ * @returns {Map<number, object>} productoId → venta agregada
+ */
+function totalesPorProducto(filas) {
+    const totales = new Map();
+
+    for (const fila of filas) {
+        if (!totales.has(fila.productoId)) totales.set(fila.productoId, ventaVacia());
+        const total = totales.get(fila.productoId);
+
+        if (isCreditDocument(fila.docType)) {
+            total.cantidadDevuelta += fila.cantidad;
+            total.montoDevuelto += fila.montoNeto;
+        } else {
+            total.cantidadBruta += fila.cantidad;
+            total.montoBruto += fila.montoNeto;
+        }
+
+        total.cantidad = total.cantidadBruta - total.cantidadDevuelta;
+        total.montoNeto = total.montoBruto - total.montoDevuelto;
+    }
+
+    return totales;
+}
+
+/**
+ * Diferencia (nuevo - anterior) por producto; omite los productos sin cambios
+ *
+ * @returns {Map<number, object>} productoId → diferencia en formato de venta agregada
+ */
+function diferenciaPorProducto(anteriores, nuevas) {
+    const totalesAnteriores = totalesPorProducto(anteriores);
+    const totalesNuevos = totalesPorProducto(nuevas);
+    const productos = new Set([...totalesAnteriores.keys(), ...totalesNuevos.keys()]);
+    const diferencias = new Map();
+
+    for (const productoId of productos) {
+        const anterior = totalesAnteriores.get(productoId) || ventaVacia();
+        const nuevo = totalesNuevos.get(productoId) || ventaVacia();
+
+        const diferencia = {};
+        let cambio = false;
+        for (const campo of Object.keys(nuevo)) {
+            diferencia[campo] = nuevo[campo] - anterior[campo];
+            if (Math.abs(diferencia[campo]) > 1e-9) cambio = true;
+        }
+
+        if (cambio) diferencias.set(productoId, diferencia);
+    }
+
+    return diferencias;
+}
+
+/**
+ * Agrupar filas diarias por mes ("ano-mes")
+ */
+function agruparPorMes(filas) {
+    const porMes = new Map();
+    for (const fila of filas) {
+        const clave = `${fila.ano}-${fila.mes}`;
+        if (!porMes.has(clave)) porMes.set(clave, []);
+        porMes.get(clave).push(fila);
+    }
+    return porMes;
+}
+
+/**
+ * Sumar a VentaHistorica la diferencia entre las filas anteriores y las nuevas, mes a mes
+ *
+ * @returns {Promise<Array<{productoId, ano, mes, diferencia}>>} Productos/mes modificados
+ */
+async function aplicarDiferenciasMensuales(tx, anteriores, nuevas) {
+    const anterioresPorMes = agruparPorMes(anteriores);
+    const nuevasPorMes = agruparPorMes(nuevas);
+    const meses = new Set([...anterioresPorMes.keys(), ...nuevasPorMes.keys()]);
+    const aplicadas = [];
+
+    for (const clave of meses) {
+        const [ano, mes] = clave.split('-').map(Number);
+        const diferencias = diferenciaPorProducto(anterioresPorMes.get(clave) || [], nuevasPorMes.get(clave) || []);
+
+        for (const [productoId, diferencia] of diferencias) {
+            const campos = {
+                cantidadVendida: diferencia.cantidad,
+                montoNeto: diferencia.montoNeto,
+                cantidadBruta: diferencia.cantidadBruta,
+                montoBruto: diferencia.montoBruto,
+                cantidadDevuelta: diferencia.cantidadDevuelta,
+                montoDevuelto: diferencia.montoDevuelto
+            };
+            const incrementos = Object.fromEntries(
+                Object.entries(campos).map(([campo, valor]) => [campo, { increment: valor }])
+            );
+
+            await tx.ventaHistorica.upsert({
+                where: { productoId_ano_mes: { productoId, ano, mes } },
+                update: incrementos,
+                create: { productoId, ano, mes, ...campos }
+            });
+            aplicadas.push({ productoId, ano, mes, diferencia });
+        }
+    }
+
+    return aplicadas;
+}
+
+/**
+ * Reemplazar las ventas diarias de un rango de fechas
+ * La diferencia con lo que había guardado se aplica a VentaHistorica en la misma transacción,
+ * así un reproceso del rango (o uno interrumpido a mitad) nunca duplica ventas.
+ *
+ * @param {string} desde - yyyy-MM-dd (inclusive)
+ * @param {string} hasta - yyyy-MM-dd (inclusive)
+ * @param {Array<{productoId, fecha, docType, cantidad, montoNeto}>} filas - Ventas del rango
+ * @param {object} [tx] - Transacción en curso (si no se indica se abre una)
+ * @returns {Promise<{anteriores: Array, nuevas: Array, diferencias: Array}>} Filas que había antes,
+ *   filas guardadas y productos/mes cuya venta mensual cambió
+ */
+async function reemplazarVentasDiarias(desde, hasta, filas, tx = null) {
+    if (!tx) {
+        return prisma.$transaction(
+            (transaccion) => reemplazarVentasDiarias(desde, hasta, filas, transaccion),
+            { timeout: TIMEOUT_TRANSACCION }
+        );
+    }
+
+    const where = { fecha: { gte: desde, lte: hasta } };
+
+    const nuevas = filas.map(f => ({
+        productoId: f.productoId,
+        fecha: f.fecha,
+        ano: parseInt(f.fecha.slice(0, 4), 10),
+        mes: parseInt(f.fecha.slice(5, 7), 10),
+        docType: f.docType,
+        cantidad: f.cantidad,
+        montoNeto: f.montoNeto
+    }));
+
+    const anteriores = await tx.ventaDiaria.findMany({
+        where,
+        select: { productoId: true, fecha: true, ano: true, mes: true, docType: true, cantidad: true, montoNeto: true }
+    });
+
+    await tx.ventaDiaria.deleteMany({ where });
+    if (nuevas.length > 0) {
+        await tx.ventaDiaria.createMany({ data: nuevas });
+    }
+
+    const diferencias = await aplicarDiferenciasMensuales(tx, anteriores, nuevas);
+
+    return { anteriores, nuevas, diferencias };
+}
+
+/**
+ * Totales de un mes por producto calculados desde las ventas diarias
+ *
+ * @returns {Promise<Map<number, object>>} productoId → venta agregada
+ */
+async function getTotalesMes(ano, mes) {
+    const grupos = await prisma.ventaDiaria.groupBy({
+        by: ['productoId', 'docType'],
+        where: { ano, mes },
+        _sum: { cantidad: true, montoNeto: true }
+    });
+
+    return totalesPorProducto(grupos.map(g => ({
+        productoId: g.productoId,
+        docType: g.docType,
+        cantidad: g._sum.cantidad || 0,
+        montoNeto: g._sum.montoNeto || 0
+    })));
+}
+
+/**
+ * Ventas diarias de un producto entre dos fechas, una entrada por día con venta
+ *
+ * @returns {Promise<Array<{fecha, cantidad, montoNeto, cantidadBruta, montoBruto, cantidadDevuelta, montoDevuelto}>>}
+ */
+async function getVentasDiariasProducto(productoId, desde, hasta) {
+    const filas = await prisma.ventaDiaria.findMany({
+        where: { productoId, fecha: { gte: desde, lte: hasta } },
+        orderBy: { fecha: 'asc' }
+    });
+
+    const porDia = new Map();
+    for (const fila of filas) {
+        if (!porDia.has(fila.fecha)) porDia.set(fila.fecha, []);
+        porDia.get(fila.fecha).push(fila);
+    }
+
+    return Array.from(porDia.entries()).map(([fecha, filasDia]) => ({
+        fecha,
+        ...totalesPorProducto(filasDia).get(productoId)
+    }));
+}
+
+module.exports = {
+    TIMEOUT_TRANSACCION,
+    totalesPorProducto,
+    diferenciaPorProducto,
+    reemplazarVentasDiarias,
+    getTotalesMes,
+    getVentasDiariasProducto
+};
@@ -0,0 +1,286 @@
+/**
+ * Caché de las ventas de HOY (live gap filling del dashboard)
+ *
+ * Las ventas del día aún no están en VentaActual (la sincronización diaria corre a las 01:00), así que
+ * el dashboard las suma desde Manager+. En vez de consultar el ERP en cada request, este servicio
+ * mantiene un caché compartido que se refresca en segundo plano cada VENTAS_VIVO_INTERVALO_SEGUNDOS:
+ *
+ * - El primer refresco del día trae los documentos de hoy con details=1 (una llamada por tipo).
+ * - Los siguientes listan los documentos de hoy sin detalles y solo piden el detalle de los que tienen
+ *   un docnumreg mayor al último visto de su tipo. Si son muchos, se vuelve a traer el día con detalles.
+ *
+ * Si Manager+ falla, el caché conserva lo último obtenido y el error queda en getEstado() (el dashboard
+ * lo informa en meta.ventasEnVivo). Tras errores seguidos la espera hasta el próximo intento se duplica
+ * (hasta VENTAS_VIVO_BACKOFF_MAX_SEGUNDOS), así un ERP caído no recibe una consulta por cada request.
+ */
+
+const { format } = require('date-fns');
+const { getChileDate } = require('../utils/timezone');
+const { logInfo, logError, logWarning } = require('../utils/logger');
+const { DOCUMENT_TYPES, getDocumentsByType, aggregateSalesByProduct } = require('./salesService');
+
+// Configuración (variables de entorno)
+const CONFIG = {
+    // 0 = sin refresco en segundo plano (se refresca al consultar si el caché está vencido)
+    intervaloSegundos: parseInt(process.env.VENTAS_VIVO_INTERVALO_SEGUNDOS ?? '60', 10),
+    // Documentos nuevos a partir de los cuales conviene traer el día completo con detalles
+    maxDetallesIndividuales: parseInt(process.env.VENTAS_VIVO_MAX_DETALLES ?? '20', 10),
+    // Espera máxima entre intentos cuando Manager+ falla seguido
+    backoffMaxSegundos: parseInt(process.env.VENTAS_VIVO_BACKOFF_MAX_SEGUNDOS ?? '600', 10)
+};
+
+const ESTADOS_CACHE = {
+    SIN_DATOS: 'sin_datos',
+    OK: 'ok',
+    ERROR: 'error'
+};
+
+let cache = nuevoCache(null);
+let refrescoEnCurso = null;
+let intervalo = null;
+
+/**
+ * Caché vacío para un día (yyyy-MM-dd)
+ */
+function nuevoCache(dia) {
+    return {
+        dia,
+        // Documentos con detalle por tipo: docnumreg → documento
+        documentos: Object.fromEntries(DOCUMENT_TYPES.map(t => [t, new Map()])),
+        ultimoDocnumreg: Object.fromEntries(DOCUMENT_TYPES.map(t => [t, null])),
+        ventas: new Map(),
+        actualizadoEn: null,
+        ultimoIntento: null,
+        duracionMs: null,
+        error: null,
+        erroresConsecutivos: 0
+    };
+}
+
+/**
+ * Número de registro de un documento (null si el ERP no lo informa)
+ */
+function getDocnumreg(documento) {
+    const numero = Number(documento?.docnumreg);
+    return Number.isFinite(numero) ? numero : null;
+}
+
+/**
+ * Guardar en el caché los documentos nuevos de un tipo (con detalle) y avanzar el último docnumreg
+ */
+function agregarDocumentos(docType, documentos) {
+    const porNumero = cache.documentos[docType];
+
+    for (const documento of documentos) {
+        const numero = getDocnumreg(documento);
+        if (numero === null) continue;
+        documento._docType = docType;
+        porNumero.set(numero, documento);
+        if (cache.ultimoDocnumreg[docType] === null || numero > cache.ultimoDocnumreg[docType]) {
+            cache.ultimoDocnumreg[docType] = numero;
+        }
+    }
+}
+
+/**
+ * Traer los documentos nuevos de un tipo desde el último refresco
+ *
+ * @returns {Promise<number>} Cantidad de documentos nuevos
+ */
+async function refrescarTipo(docType, hoy) {
+    const ultimo = cache.ultimoDocnumreg[docType];
+
+    // Primer refresco del día: todo el día con detalles en una sola llamada
+    if (ultimo === null) {
+        const documentos = await getDocumentsByType(docType, hoy, hoy);
+        const sinNumero = documentos.filter(d => getDocnumreg(d) === null).length;
+        if (sinNumero > 0) {
+            logWarning(`Ventas en vivo: ${sinNumero} documentos ${docType} sin docnumreg no se pueden seguir y se omiten`);
+        }
+        agregarDocumentos(docType, documentos);
+        return documentos.length - sinNumero;
+    }
+
+    // Siguientes: listar sin detalles y pedir solo los nuevos
+    const lista = await getDocumentsByType(docType, hoy, hoy, { detalles: false });
+    const nuevos = lista.filter(d => getDocnumreg(d) !== null && getDocnumreg(d) > ultimo);
+
+    if (nuevos.length === 0) return 0;
+
+    let documentos;
+    if (nuevos.length > CONFIG.maxDetallesIndividuales) {
+        const dia = await getDocumentsByType(docType, hoy, hoy);
+        documentos = dia.filter(d => getDocnumreg(d) !== null && getDocnumreg(d) > ultimo);
+    } else {
+        documentos = [];
+        for (const nuevo of nuevos) {
+            const respuesta = await getDocumentsByType(docType, hoy, hoy, { docnumreg: nuevo.docnumreg });
+            documentos.push(...respuesta.filter(d => getDocnumreg(d) === getDocnumreg(nuevo)));
+        }
+    }
+
+    agregarDocumentos(docType, documentos);
+    return documentos.length;
+}
+
+/**
+ * Refrescar el caché con los documentos nuevos de Manager+
+ * Si ya hay un refresco en curso se espera ese mismo (no se consulta dos veces el ERP).
+ */
+function refrescar() {
+    if (!refrescoEnCurso) {
+        refrescoEnCurso = ejecutarRefresco().finally(() => {
+            refrescoEnCurso = null;
+        });
+    }
+    return refrescoEnCurso;
+}
+
+async function ejecutarRefresco() {
+    const hoy = getChileDate();
+    hoy.setHours(0, 0, 0, 0);
+    const dia = format(hoy, 'yyyy-MM-dd');
+
+    // Cambio de día: las ventas de ayer las trae la sincronización diaria
+    if (cache.dia !== dia) {
+        cache = nuevoCache(dia);
+    }
+
+    const inicio = Date.now();
+    cache.ultimoIntento = new Date();
+
+    // Cada tipo por separado: si uno falla los demás se actualizan igual y el fallido se reintenta completo
+    const resultados = await Promise.allSettled(DOCUMENT_TYPES.map(t => refrescarTipo(t, hoy)));
+    const fallidos = resultados
+        .map((r, i) => ({ docType: DOCUMENT_TYPES[i], resultado: r }))
+        .filter(r => r.resultado.status === 'rejected');
+    const nuevos = resultados.reduce((sum, r) => sum + (r.status === 'fulfilled' ? r.value : 0), 0);
+
+    const todos = DOCUMENT_TYPES.flatMap(t => Array.from(cache.documentos[t].values()));
+    cache.ventas = aggregateSalesByProduct(todos);
+    cache.duracionMs = Date.now() - inicio;
+
+    if (fallidos.length > 0) {
+        cache.error = fallidos
+            .map(f => `${f.docType}: ${f.resultado.reason?.response?.data?.message || f.resultado.reason?.message}`)
+            .join('; ');
+        cache.erroresConsecutivos++;
+        logError(`Ventas en vivo: error al consultar Manager+ (${cache.erroresConsecutivos} seguidos): ${cache.error}`);
+    } else {
+        cache.error = null;
+        cache.erroresConsecutivos = 0;
+        cache.actualizadoEn = new Date();
+        if (nuevos > 0) {
+            logInfo(`Ventas en vivo: ${nuevos} documentos nuevos (${todos.length} hoy, ${cache.duracionMs} ms)`);
+        }
+    }
+
+    return getEstado();
+}
+
+/**
+ * Próximo intento permitido tras errores seguidos (null si el último refresco terminó bien)
+ *
+ * La espera parte en el intervalo y se duplica con cada error, hasta backoffMaxSegundos.
+ */
+function getProximoIntento() {
+    if (cache.erroresConsecutivos === 0 || !cache.ultimoIntento) return null;
+
+    const intervalo = Math.max(CONFIG.intervaloSegundos, 1);
+    const espera = Math.min(intervalo * 2 ** (cache.erroresConsecutivos - 1), Math.max(CONFIG.backoffMaxSegundos, intervalo));
+    return new Date(cache.ultimoIntento.getTime() + espera * 1000);
+}
+
+/**
+ * Indica si se está esperando para reintentar después de un error
+ */
+function enEspera() {
+    const proximoIntento = getProximoIntento();
+    return proximoIntento !== null && Date.now() < proximoIntento.getTime();
+}
+
+/**
+ * Estado del caché para informar en el dashboard
+ */
+function getEstado() {
+    const edadSegundos = cache.actualizadoEn
+        ? Math.round((Date.now() - cache.actualizadoEn.getTime()) / 1000)
+        : null;
+
+    let estado = ESTADOS_CACHE.OK;
+    if (cache.error) estado = ESTADOS_CACHE.ERROR;
+    else if (!cache.actualizadoEn) estado = ESTADOS_CACHE.SIN_DATOS;
+
+    return {
+        estado,
+        dia: cache.dia,
+        actualizadoEn: cache.actualizadoEn,
+        edadSegundos,
+        ultimoIntento: cache.ultimoIntento,
+        duracionMs: cache.duracionMs,
+        error: cache.error,
+        erroresConsecutivos: cache.erroresConsecutivos,
+        proximoIntento: getProximoIntento(),
+        documentos: DOCUMENT_TYPES.reduce((sum, t) => sum + cache.documentos[t].size, 0),
+        intervaloSegundos: CONFIG.intervaloSegundos
+    };
+}
+
+/**
+ * Ventas de hoy por SKU desde el caché (sin esperar al ERP)
+ *
+ * Si el caché es de otro día o está vencido se lanza un refresco en segundo plano, salvo que se esté
+ * esperando tras un error; la respuesta usa lo que hay en el caché en ese momento.
+ *
+ * @returns {{ventas: Map<string, object>, estado: object}} ventas: ver aggregateSalesByProduct
+ */
+function getVentasHoy() {
+    const dia = format(getChileDate(), 'yyyy-MM-dd');
+    const vencido = !cache.actualizadoEn ||
+        Date.now() - cache.actualizadoEn.getTime() > Math.max(CONFIG.intervaloSegundos, 1) * 1000;
+
+    if ((cache.dia !== dia || vencido) && !enEspera()) {
+        refrescar().catch(error => logError(`Ventas en vivo: ${error.message}`));
+    }
+
+    return {
+        ventas: cache.dia === dia ? cache.ventas : new Map(),
+        estado: getEstado()
+    };
+}
+
+/**
+ * Iniciar el refresco periódico en segundo plano (no impide que el proceso termine)
+ */
+function iniciarVentasEnVivo() {
+    if (intervalo || CONFIG.intervaloSegundos <= 0) return;
+
+    refrescar().catch(error => logError(`Ventas en vivo: ${error.message}`));
+    intervalo = setInterval(() => {
+        if (enEspera()) return;
+        refrescar().catch(error => logError(`Ventas en vivo: ${error.message}`));
+    }, CONFIG.intervaloSegundos * 1000);
+    intervalo.unref();
+
+    logInfo(`🛒 Ventas en vivo: refresco cada ${CONFIG.intervaloSegundos}s`);
+}
+
+/**
+ * Detener el refresco periódico
+ */
+function detenerVentasEnVivo() {
+    if (intervalo) {
+        clearInterval(intervalo);
+        intervalo = null;
+    }
+}
+
+module.exports = {
+    CONFIG,
+    ESTADOS_CACHE,
+    getVentasHoy,
+    getEstado,
+    refrescar,
+    iniciarVentasEnVivo,
+    detenerVentasEnVivo
+};
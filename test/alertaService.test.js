@@ -0,0 +1,185 @@
+require('./helpers/entorno');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { subMonths, getYear, getMonth } = require('date-fns');
+const { instalarPrisma } = require('./helpers/prisma');
+const { escuchar } = require('./helpers/servidor');
+const { iniciarMockSmtp } = require('../mock/smtpMock');
+
+const prisma = instalarPrisma();
+
+let smtp;
+let webhook;
+let respuestasWebhook;
+let llamadasWebhook;
+let alertas;
+let enviarCorreo;
+
+before(async () => {
+    smtp = await iniciarMockSmtp({ puerto: 0, silencioso: true });
+
+    // Webhook que responde con los status de respuestasWebhook (200 cuando se acaban)
+    const app = express();
+    app.use(express.json());
+    app.post('/hook', (req, res) => {
+        llamadasWebhook.push(req.body);
+        res.status(respuestasWebhook.shift() || 200).json({});
+    });
+    webhook = await escuchar(app);
+
+    // La configuración SMTP se lee al cargar los módulos
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.puerto);
+    process.env.SMTP_REMITENTE = 'alertas@axam.cl';
+    process.env.ALERTAS_MAX_INTENTOS = '3';
+    alertas = require('../services/alertaService');
+    ({ enviarCorreo } = require('../utils/smtpClient'));
+});
+
+after(async () => {
+    await webhook.cerrar();
+    await new Promise(resolve => smtp.server.close(resolve));
+});
+
+beforeEach(() => {
+    prisma.$reset();
+    smtp.mensajes.length = 0;
+    respuestasWebhook = [];
+    llamadasWebhook = [];
+});
+
+function crearReglaSync(canales) {
+    return alertas.crearRegla({
+        nombre: 'Sync nocturna',
+        tipo: alertas.TIPOS_REGLA.SYNC_FALLIDA,
+        canales,
+        dedupMinutos: 0
+    });
+}
+
+test('la alerta sale por correo con asunto y detalle', async () => {
+    await crearReglaSync([{ tipo: 'email', para: 'compras@axam.cl, gerencia@axam.cl' }]);
+
+    await alertas.notificar(alertas.TIPOS_REGLA.SYNC_FALLIDA, {
+        tipoJob: 'diaria',
+        clave: 'diaria',
+        titulo: 'Sincronización diaria fallida: Manager+ respondió 503 durante la descarga de documentos',
+        mensaje: 'Reintentos agotados',
+        datos: { jobId: 7 }
+    });
+
+    assert.equal(smtp.mensajes.length, 1);
+    const [mensaje] = smtp.mensajes;
+    assert.equal(mensaje.de, 'alertas@axam.cl');
+    assert.deepEqual(mensaje.para, ['compras@axam.cl', 'gerencia@axam.cl']);
+    assert.equal(mensaje.asunto, '[AXAM] Sincronización diaria fallida: Manager+ respondió 503 durante la descarga de documentos');
+    assert.match(mensaje.cuerpo, /^Reintentos agotados\n\nRegla: Sync nocturna \(sync_fallida\)/);
+    assert.match(mensaje.cuerpo, /"jobId": 7/);
+
+    const [alerta] = await alertas.listarAlertas();
+    assert.equal(alerta.estado, alertas.ESTADOS_ALERTA.ENVIADA);
+    assert.equal(alerta.canalesEnviados, undefined);
+});
+
+test('al reintentar solo se reenvía por los canales que fallaron', async () => {
+    await crearReglaSync([
+        { tipo: 'webhook', url: `${webhook.url}/hook`, headers: { 'X-Token': 'secreto' } },
+        { tipo: 'email', para: ['compras@axam.cl'] }
+    ]);
+    respuestasWebhook = [500];
+
+    await alertas.notificar(alertas.TIPOS_REGLA.SYNC_FALLIDA, { clave: 'diaria', titulo: 'Falla', mensaje: 'Detalle' });
+
+    let [alerta] = await alertas.listarAlertas();
+    assert.equal(alerta.estado, alertas.ESTADOS_ALERTA.PENDIENTE);
+    assert.match(alerta.error, /^webhook: .*500/);
+    assert.equal(llamadasWebhook.length, 1);
+    assert.equal(smtp.mensajes.length, 1);
+
+    const resultado = await alertas.evaluarReglas();
+    assert.equal(resultado.enviadasPendientes, 1);
+
+    [alerta] = await alertas.listarAlertas();
+    assert.equal(alerta.estado, alertas.ESTADOS_ALERTA.ENVIADA);
+    assert.equal(alerta.intentos, 2);
+    assert.equal(llamadasWebhook.length, 2);
+    assert.equal(smtp.mensajes.length, 1);
+});
+
+test('stock_critico parte registrando los críticos actuales y avisa solo los que pasan a crítico después', async () => {
+    const inicioMes = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+    const crearProducto = async (sku, stockActual) => {
+        const producto = await prisma.producto.create({ data: { sku, descripcion: `Producto ${sku}` } });
+        for (let i = 1; i <= 3; i++) {
+            const fecha = subMonths(inicioMes, i);
+            await prisma.ventaHistorica.create({
+                data: { productoId: producto.id, ano: getYear(fecha), mes: getMonth(fecha) + 1, cantidadVendida: 100 }
+            });
+        }
+        await prisma.ventaActual.create({ data: { productoId: producto.id, stockActual } });
+        return producto;
+    };
+    await crearProducto('KC-001', 10);
+    const sano = await crearProducto('KC-002', 200);
+
+    const regla = await alertas.crearRegla({
+        nombre: 'Quiebres KC',
+        tipo: alertas.TIPOS_REGLA.STOCK_CRITICO,
+        parametros: { marca: 'KC' },
+        canales: [{ tipo: 'email', para: ['compras@axam.cl'] }]
+    });
+
+    const primera = await alertas.evaluarReglas();
+    assert.equal(primera.disparadas, 0);
+    assert.equal(smtp.mensajes.length, 0);
+    const { estado } = await prisma.alertaRegla.findUnique({ where: { id: regla.id } });
+    assert.deepEqual(JSON.parse(estado).criticos, ['KC-001']);
+
+    await prisma.ventaActual.update({ where: { productoId: sano.id }, data: { stockActual: 5 } });
+
+    const segunda = await alertas.evaluarReglas();
+    assert.equal(segunda.disparadas, 1);
+    assert.equal(smtp.mensajes.length, 1);
+    assert.match(smtp.mensajes[0].asunto, /1 SKU KC en stock crítico/);
+    assert.match(smtp.mensajes[0].cuerpo, /KC-002/);
+    assert.doesNotMatch(smtp.mensajes[0].cuerpo, /KC-001/);
+});
+
+test('con usuario SMTP no se autentica en una conexión sin TLS salvo que se permita', async () => {
+    const correo = { para: ['compras@axam.cl'], asunto: 'Prueba', texto: 'Hola' };
+
+    await assert.rejects(enviarCorreo(correo, { usuario: 'alertas', password: 'clave' }), /STARTTLS/);
+    assert.equal(smtp.mensajes.length, 0);
+
+    const { aceptados } = await enviarCorreo(correo, { usuario: 'alertas', password: 'clave', permitirSinTls: true });
+    assert.deepEqual(aceptados, ['compras@axam.cl']);
+    assert.equal(smtp.mensajes.length, 1);
+});
+
+test('las reglas (con URLs y headers de webhooks) solo las ve un admin', async () => {
+    const { autenticar } = require('../middleware/auth');
+    const { emitirToken } = require('../services/authService');
+    const app = express();
+    app.use('/api/alertas', autenticar, require('../routes/alertas'));
+    const servidor = await escuchar(app);
+
+    try {
+        const regla = await crearReglaSync([{ tipo: 'webhook', url: 'https://hooks.example.com/T000/secreto' }]);
+        const viewer = await prisma.usuario.create({ data: { username: 'luis', passwordHash: 'x', rol: 'viewer' } });
+        const admin = await prisma.usuario.create({ data: { username: 'ana', passwordHash: 'x', rol: 'admin' } });
+        const pedir = (ruta, usuario) => fetch(`${servidor.url}${ruta}`, {
+            headers: { Authorization: `Bearer ${emitirToken(usuario).token}` }
+        });
+
+        assert.equal((await pedir('/api/alertas/reglas', viewer)).status, 403);
+        assert.equal((await pedir(`/api/alertas/reglas/${regla.id}`, viewer)).status, 403);
+        assert.equal((await pedir('/api/alertas', viewer)).status, 200);
+
+        const respuesta = await pedir('/api/alertas/reglas', admin);
+        assert.equal(respuesta.status, 200);
+        assert.equal((await respuesta.json()).reglas[0].canales[0].url, 'https://hooks.example.com/T000/secreto');
+    } finally {
+        await servidor.cerrar();
+    }
+});
@@ -0,0 +1,80 @@
+require('./helpers/entorno');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { instalarPrisma } = require('./helpers/prisma');
+const { escuchar } = require('./helpers/servidor');
+
+const prisma = instalarPrisma();
+const { emitirToken } = require('../services/authService');
+const { autenticar, soloBuyer, urlSinToken } = require('../middleware/auth');
+
+let servidor;
+let tokenBuyer;
+let tokenViewer;
+
+before(async () => {
+    const app = express();
+    const responder = (req, res) => res.json({ usuario: req.usuario.username });
+    app.get('/api/pedidos', autenticar, responder);
+    app.put('/api/pedidos/:id', autenticar, soloBuyer, responder);
+    app.get('/api/dashboard/sync-stream', autenticar, responder);
+    app.get('/api/sync/jobs/:id/stream', autenticar, responder);
+    app.post('/api/sync/jobs/:id/stream', autenticar, responder);
+    servidor = await escuchar(app);
+});
+
+after(() => servidor.cerrar());
+
+beforeEach(async () => {
+    prisma.$reset();
+    const buyer = await prisma.usuario.create({ data: { username: 'ana', passwordHash: 'x', rol: 'buyer' } });
+    const viewer = await prisma.usuario.create({ data: { username: 'luis', passwordHash: 'x', rol: 'viewer' } });
+    tokenBuyer = emitirToken(buyer).token;
+    tokenViewer = emitirToken(viewer).token;
+});
+
+async function pedir(ruta, { token, metodo = 'GET' } = {}) {
+    const respuesta = await fetch(`${servidor.url}${ruta}`, {
+        method: metodo,
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+    return { status: respuesta.status, body: await respuesta.json() };
+}
+
+test('el header Authorization autentica en cualquier ruta', async () => {
+    const { status, body } = await pedir('/api/pedidos', { token: tokenBuyer });
+    assert.equal(status, 200);
+    assert.equal(body.usuario, 'ana');
+});
+
+test('sin token o con un token inválido responde 401', async () => {
+    assert.equal((await pedir('/api/pedidos')).status, 401);
+    assert.equal((await pedir('/api/pedidos', { token: `${tokenBuyer}x` })).status, 401);
+});
+
+test('?token= solo se acepta en los streams SSE', async () => {
+    const query = `token=${encodeURIComponent(tokenBuyer)}`;
+
+    assert.equal((await pedir(`/api/sync/jobs/5/stream?${query}`)).status, 200);
+    assert.equal((await pedir(`/api/dashboard/sync-stream?${query}`)).status, 200);
+
+    assert.equal((await pedir(`/api/pedidos?${query}`)).status, 401);
+    assert.equal((await pedir(`/api/sync/jobs/5/stream?${query}`, { metodo: 'POST' })).status, 401);
+});
+
+test('un usuario desactivado pierde la sesión', async () => {
+    await prisma.usuario.update({ where: { username: 'ana' }, data: { activo: false } });
+    assert.equal((await pedir('/api/pedidos', { token: tokenBuyer })).status, 401);
+});
+
+test('las rutas de escritura exigen rol buyer', async () => {
+    assert.equal((await pedir('/api/pedidos/1', { token: tokenViewer, metodo: 'PUT' })).status, 403);
+    assert.equal((await pedir('/api/pedidos/1', { token: tokenBuyer, metodo: 'PUT' })).status, 200);
+});
+
+test('urlSinToken quita el token y conserva los demás parámetros', () => {
+    assert.equal(urlSinToken('/api/sync/jobs/5/stream?token=abc'), '/api/sync/jobs/5/stream');
+    assert.equal(urlSinToken('/api/dashboard/sync-stream?desde=3&token=abc'), '/api/dashboard/sync-stream?desde=3');
+    assert.equal(urlSinToken('/api/pedidos'), '/api/pedidos');
+});
@@ -0,0 +1,114 @@
+require('./helpers/entorno');
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarMockManager } = require('../mock/managerMasMock');
+
+const RUT_EMPRESA = '76000000-0';
+
+let mock;
+let erpGet;
+let erpPost;
+
+function solicitudes() {
+    return mock.app.locals.mock.estado.solicitudes.map(s => `${s.metodo} ${s.ruta.split('?')[0]}`);
+}
+
+// Las solicitudes fallidas rechazan con el error de axios
+function conStatus(status) {
+    return error => error.response?.status === status;
+}
+
+function fallar(ruta, status, veces, extra = {}) {
+    mock.app.locals.mock.estado.fallas.push({ ruta, status, veces, ...extra });
+}
+
+before(async () => {
+    mock = await iniciarMockManager({
+        puerto: 0,
+        fixtures: { rutEmpresa: RUT_EMPRESA, productos: [{ codigo_prod: 'AX-001', nombre: 'Producto A' }], stock: [], documentos: {} }
+    });
+
+    // La configuración del ERP se lee al cargar los módulos
+    process.env.ERP_BASE_URL = mock.url;
+    process.env.RUT_EMPRESA = RUT_EMPRESA;
+    process.env.ERP_USERNAME = 'pruebas';
+    process.env.ERP_MAX_REINTENTOS = '2';
+    ({ erpGet, erpPost } = require('../utils/erpClient'));
+
+    // Autenticarse una vez para que las pruebas solo vean sus propias solicitudes
+    await erpGet(`/products/${RUT_EMPRESA}`);
+});
+
+after(() => new Promise(resolve => mock.server.close(resolve)));
+
+beforeEach(() => {
+    mock.app.locals.mock.reset();
+});
+
+test('un 5xx en un GET se reintenta hasta responder', async () => {
+    fallar('/products/', 503, 1);
+
+    const response = await erpGet(`/products/${RUT_EMPRESA}`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(solicitudes(), [`GET /products/${RUT_EMPRESA}`, `GET /products/${RUT_EMPRESA}`]);
+});
+
+test('agotados los reintentos el GET devuelve el último error', async () => {
+    fallar('/products/', 503, 5);
+
+    await assert.rejects(erpGet(`/products/${RUT_EMPRESA}`, { reintentos: 1 }), conStatus(503));
+    assert.equal(solicitudes().length, 2);
+});
+
+test('un 5xx en un POST no se reintenta salvo que sea idempotente', async () => {
+    const ruta = `/documents/${RUT_EMPRESA}/OC/C/`;
+    const documento = { glosa: 'AXAM-OC-1', detalles: [{ codigo_prod: 'AX-001', cantidad: 1 }] };
+    fallar('/OC/C/', 503, 1);
+
+    await assert.rejects(erpPost(ruta, documento), conStatus(503));
+    assert.equal(solicitudes().length, 1);
+
+    fallar('/OC/C/', 503, 1);
+    const response = await erpPost(ruta, documento, { idempotente: true });
+    assert.equal(response.status, 201);
+    assert.equal(solicitudes().length, 3);
+});
+
+test('un 400 no se reintenta', async () => {
+    fallar('/products/', 400, 1, { mensaje: 'Parámetro inválido' });
+
+    await assert.rejects(erpGet(`/products/${RUT_EMPRESA}`), conStatus(400));
+    assert.equal(solicitudes().length, 1);
+});
+
+test('un 429 pausa todas las solicitudes lo que pide Manager+ (más un segundo)', async () => {
+    fallar('/products/', 429, 1, { retry: 0 });
+
+    const limitada = erpGet(`/products/${RUT_EMPRESA}`);
+    // Otra solicitud que parte mientras tanto también espera la pausa
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const otra = erpGet(`/stock/${RUT_EMPRESA}`);
+    await Promise.all([limitada, otra]);
+
+    const [primera, ...resto] = mock.app.locals.mock.estado.solicitudes;
+    assert.equal(resto.length, 2);
+    for (const solicitud of resto) {
+        assert.ok(Date.parse(solicitud.fecha) - Date.parse(primera.fecha) >= 900, `${solicitud.ruta} no esperó la pausa`);
+    }
+});
+
+test('un 401 vuelve a autenticar una vez y repite la solicitud', async () => {
+    // Manager+ revoca el token en caché
+    mock.app.locals.mock.estado.tokens.clear();
+
+    const response = await erpGet(`/products/${RUT_EMPRESA}`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(solicitudes(), [`GET /products/${RUT_EMPRESA}`, 'POST /auth/', `GET /products/${RUT_EMPRESA}`]);
+});
+
+test('un segundo 401 seguido no vuelve a autenticar', async () => {
+    fallar('/products/', 401, 2);
+
+    await assert.rejects(erpGet(`/products/${RUT_EMPRESA}`), conStatus(401));
+    assert.deepEqual(solicitudes(), [`GET /products/${RUT_EMPRESA}`, 'POST /auth/', `GET /products/${RUT_EMPRESA}`]);
+});
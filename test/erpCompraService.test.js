@@ -0,0 +1,162 @@
+require('./helpers/entorno');
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { format } = require('date-fns');
+const { instalarPrisma } = require('./helpers/prisma');
+const { iniciarMockManager } = require('../mock/managerMasMock');
+
+const RUT_EMPRESA = '76000000-0';
+const prisma = instalarPrisma();
+
+let mock;
+let ESTADOS_ERP;
+let enviarOrden;
+let ordenId;
+
+/**
+ * Documento de compra ya existente en Manager+ (fecha de hoy, dentro del rango de búsqueda)
+ */
+function documentoOc(docnumreg, glosa) {
+    return { docnumreg, folio: docnumreg, tipo_documento: 'OC', fecha_doc: format(new Date(), 'dd/MM/yyyy'), glosa };
+}
+
+function solicitudes(metodo) {
+    return mock.app.locals.mock.estado.solicitudes.filter(s => s.metodo === metodo && s.ruta.startsWith('/documents/'));
+}
+
+before(async () => {
+    // Documentos de a 2 por página, como cuando Manager+ corta respuestas grandes
+    mock = await iniciarMockManager({
+        puerto: 0,
+        fixtures: { rutEmpresa: RUT_EMPRESA, productos: [], stock: [], documentos: {} },
+        tamanoPagina: 2
+    });
+
+    // La configuración del ERP se lee al cargar los módulos
+    process.env.ERP_BASE_URL = mock.url;
+    process.env.RUT_EMPRESA = RUT_EMPRESA;
+    process.env.ERP_USERNAME = 'pruebas';
+    process.env.ERP_TIMEOUT_MS = '300';
+    process.env.ERP_OC_ESPERA_MS = '500';
+    ({ ESTADOS_ERP, enviarOrden } = require('../services/erpCompraService'));
+});
+
+after(() => new Promise(resolve => mock.server.close(resolve)));
+
+beforeEach(async () => {
+    prisma.$reset();
+    mock.app.locals.mock.reset();
+
+    const producto = await prisma.producto.create({ data: { sku: 'AX-001', descripcion: 'Producto A' } });
+    const proveedor = await prisma.proveedor.create({ data: { nombre: 'Proveedor', rut: '77111222-3' } });
+    const orden = await prisma.ordenCompra.create({
+        data: {
+            ano: 2026,
+            mes: 3,
+            proveedorId: proveedor.id,
+            estado: 'aprobada',
+            lineas: { create: [{ productoId: producto.id, cantidad: 12, costoUnitario: 1500 }] }
+        }
+    });
+    ordenId = orden.id;
+});
+
+test('crea el documento de compra y guarda su número en la orden', async () => {
+    const resultado = await enviarOrden(ordenId);
+    assert.equal(resultado.creado, true);
+
+    const [documento] = mock.app.locals.mock.estado.documentos['OC/C'];
+    assert.equal(documento.rut_proveedor, '77111222-3');
+    assert.match(documento.glosa, new RegExp(`^AXAM-OC-${ordenId} compra 03/2026`));
+    assert.deepEqual(documento.detalles, [{ codigo_prod: 'AX-001', descripcion: 'Producto A', cantidad: 12, precio_unitario: 1500 }]);
+
+    const orden = await prisma.ordenCompra.findUnique({ where: { id: ordenId } });
+    assert.equal(orden.erpEstado, ESTADOS_ERP.SINCRONIZADA);
+    assert.equal(orden.erpDocumento, String(documento.docnumreg));
+    assert.equal(orden.erpIntentos, 1);
+});
+
+test('tras un timeout al crear, el reintento recupera el documento en vez de duplicarlo', async () => {
+    // El mock crea el documento, pero responde después del timeout del cliente
+    mock.app.locals.mock.estado.fallas.push({ ruta: '/OC/C/', status: null, veces: 1, retrasoMs: 600 });
+
+    const resultado = await enviarOrden(ordenId);
+    assert.equal(resultado.creado, false);
+
+    const documentos = mock.app.locals.mock.estado.documentos['OC/C'];
+    assert.equal(documentos.length, 1);
+    assert.equal(solicitudes('POST').length, 1);
+
+    const orden = await prisma.ordenCompra.findUnique({ where: { id: ordenId } });
+    assert.equal(orden.erpEstado, ESTADOS_ERP.SINCRONIZADA);
+    assert.equal(orden.erpDocumento, String(documentos[0].docnumreg));
+    assert.equal(orden.erpIntentos, 2);
+});
+
+test('una orden ya enviada se encuentra aunque su documento esté en otra página', async () => {
+    mock.app.locals.mock.estado.documentos['OC/C'] = [
+        documentoOc(1, 'AXAM-OC-900 compra 02/2026'),
+        documentoOc(2, 'AXAM-OC-901 compra 02/2026'),
+        documentoOc(3, 'AXAM-OC-902 compra 02/2026'),
+        documentoOc(4, `AXAM-OC-${ordenId} compra 03/2026`)
+    ];
+
+    const resultado = await enviarOrden(ordenId);
+    assert.deepEqual([resultado.creado, resultado.documento], [false, '4']);
+
+    assert.equal(solicitudes('POST').length, 0);
+    assert.deepEqual(solicitudes('GET').map(s => new URL(s.ruta, mock.url).searchParams.get('page')), ['1', '2']);
+
+    // Con el número ya guardado no se vuelve a consultar Manager+
+    const repetido = await enviarOrden(ordenId);
+    assert.deepEqual([repetido.creado, repetido.documento], [false, '4']);
+    assert.equal(solicitudes('GET').length, 2);
+});
+
+test('sin el documento en ninguna página lo crea una sola vez', async () => {
+    mock.app.locals.mock.estado.documentos['OC/C'] = [
+        documentoOc(1, 'AXAM-OC-900 compra 02/2026'),
+        documentoOc(2, 'AXAM-OC-901 compra 02/2026'),
+        documentoOc(3, 'AXAM-OC-902 compra 02/2026')
+    ];
+
+    const resultado = await enviarOrden(ordenId);
+    assert.deepEqual([resultado.creado, resultado.documento], [true, '4']);
+    assert.equal(solicitudes('GET').length, 2);
+    assert.equal(solicitudes('POST').length, 1);
+});
+
+test('un 429 al crear lo espera y repite el cliente ERP, sin otro intento del envío', async () => {
+    mock.app.locals.mock.estado.fallas.push({ ruta: '/OC/C/', status: 429, veces: 1, retry: 0 });
+
+    const resultado = await enviarOrden(ordenId);
+    assert.equal(resultado.creado, true);
+
+    assert.equal(solicitudes('POST').length, 2);
+    assert.equal(solicitudes('GET').length, 1);
+    assert.equal(mock.app.locals.mock.estado.documentos['OC/C'].length, 1);
+    const orden = await prisma.ordenCompra.findUnique({ where: { id: ordenId } });
+    assert.equal(orden.erpIntentos, 1);
+});
+
+test('un 5xx al crear vuelve a buscar el documento antes de crearlo de nuevo', async () => {
+    mock.app.locals.mock.estado.fallas.push({ ruta: '/OC/C/', status: 503, veces: 1 });
+
+    const resultado = await enviarOrden(ordenId);
+    assert.equal(resultado.creado, true);
+
+    assert.deepEqual(mock.app.locals.mock.estado.solicitudes.filter(s => s.ruta.startsWith('/documents/')).map(s => s.metodo),
+        ['GET', 'POST', 'GET', 'POST']);
+    const orden = await prisma.ordenCompra.findUnique({ where: { id: ordenId } });
+    assert.equal(orden.erpIntentos, 2);
+});
+
+test('un rechazo de Manager+ al crear (4xx) no se reintenta', async () => {
+    mock.app.locals.mock.estado.fallas.push({ ruta: '/OC/C/', status: 400, veces: 1, mensaje: 'Proveedor no existe' });
+
+    await assert.rejects(enviarOrden(ordenId), { status: 502, message: /Proveedor no existe/ });
+
+    assert.equal(solicitudes('POST').length, 1);
+    const orden = await prisma.ordenCompra.findUnique({ where: { id: ordenId } });
+    assert.deepEqual([orden.erpEstado, orden.erpIntentos, orden.erpError], [ESTADOS_ERP.ERROR, 1, 'Proveedor no existe']);
+});
@@ -0,0 +1,113 @@
+require('./helpers/entorno');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { instalarPrisma } = require('./helpers/prisma');
+
+const prisma = instalarPrisma();
+const { FORMATOS, AGRUPACIONES, exportarPedidos } = require('../services/exportService');
+const { ESTADOS_FILA, analizarImportacion } = require('../services/importService');
+const { ESTADOS, getOrCreateBorrador, setCantidadLinea, cambiarEstado, getCantidadesMes } = require('../services/ordenCompraService');
+const { generarXlsx, leerXlsx } = require('../utils/xlsx');
+const { generarPdf } = require('../utils/pdf');
+
+const PERIODO = { ano: 2026, mes: 3 };
+
+function contarPaginas(pdf) {
+    return (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+beforeEach(() => {
+    prisma.$reset();
+});
+
+test('generarXlsx y leerXlsx conservan valores y nombres de hoja', async () => {
+    const buffer = await generarXlsx([
+        {
+            nombre: 'Marca: AX/01',
+            anchos: [12, 30],
+            filas: [
+                [{ valor: 'SKU', estilo: 'negrita' }, { valor: 'Descripción', estilo: 'negrita' }],
+                [],
+                ['AX-001', 'Perno ñandú <&>', { valor: 1500, estilo: 'numero' }, { valor: 12.5, estilo: 'moneda' }]
+            ]
+        },
+        { nombre: 'marca AX 01', filas: [['otra']] }
+    ]);
+
+    const hojas = await leerXlsx(buffer);
+    assert.deepEqual(hojas, [
+        {
+            nombre: 'Marca AX 01',
+            filas: [['SKU', 'Descripción'], [], ['AX-001', 'Perno ñandú <&>', 1500, 12.5]]
+        },
+        { nombre: 'marca AX 01 (2)', filas: [['otra']] }
+    ]);
+});
+
+test('leerXlsx rechaza un ZIP que no es un libro Excel', async () => {
+    await assert.rejects(leerXlsx(Buffer.from('PK\u0003\u0004no es un libro')), /no es un libro Excel/);
+});
+
+test('el Excel exportado se vuelve a importar sin cambios', async () => {
+    const productoA = await prisma.producto.create({ data: { sku: 'AX-001', descripcion: 'Producto A', familia: 'Pernos' } });
+    const productoB = await prisma.producto.create({ data: { sku: 'BX-002', descripcion: 'Producto B' } });
+    const borrador = await getOrCreateBorrador(PERIODO.ano, PERIODO.mes, null);
+    await setCantidadLinea(borrador.id, productoA.id, 1200);
+    await setCantidadLinea(borrador.id, productoB.id, 3);
+
+    const archivo = await exportarPedidos({ ...PERIODO, formato: FORMATOS.XLSX, agrupar: AGRUPACIONES.MARCA });
+    assert.equal(archivo.lineas, 2);
+    assert.deepEqual((await leerXlsx(archivo.contenido)).map(h => h.nombre), ['AX', 'BX']);
+
+    const analisis = await analizarImportacion(archivo.contenido, { nombreArchivo: archivo.nombreArchivo, ...PERIODO });
+    assert.deepEqual(analisis.filas.map(f => [f.sku, f.cantidad, f.estado]), [
+        ['AX-001', 1200, ESTADOS_FILA.SIN_CAMBIO],
+        ['BX-002', 3, ESTADOS_FILA.SIN_CAMBIO]
+    ]);
+});
+
+test('generarPdf pagina las tablas largas y deja una página si no hay secciones', async () => {
+    const columnas = [{ titulo: 'SKU' }, { titulo: 'Cantidad', alinear: 'derecha' }];
+    const pdf = await generarPdf({
+        pie: 'Generado hoy',
+        secciones: [
+            {
+                titulo: 'Pedido de compra - Marca AX',
+                subtitulos: ['Mes de compra: Marzo 2026'],
+                columnas,
+                filas: Array.from({ length: 120 }, (_, i) => [`AX-${i} ${'descripción muy larga '.repeat(10)}`, i]),
+                total: ['Total', 7140]
+            },
+            { titulo: 'Pedido de compra - Marca BX', columnas, filas: [] }
+        ]
+    });
+
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.match(pdf.subarray(-8).toString(), /%%EOF\s*$/);
+    // 120 filas no caben en una página; la segunda sección empieza en una página nueva
+    assert.equal(contarPaginas(pdf), 4);
+
+    assert.equal(contarPaginas(await generarPdf({ secciones: [] })), 1);
+});
+
+test('exporta lo mismo que muestra el dashboard, sin las órdenes ya aprobadas', async () => {
+    const producto = await prisma.producto.create({ data: { sku: 'AX-001', descripcion: 'Producto A' } });
+    const exportar = () => exportarPedidos({ ...PERIODO, formato: FORMATOS.CSV, agrupar: AGRUPACIONES.MARCA });
+
+    const aprobada = await getOrCreateBorrador(PERIODO.ano, PERIODO.mes, null);
+    await setCantidadLinea(aprobada.id, producto.id, 40);
+    await cambiarEstado(aprobada.id, ESTADOS.APROBADA);
+
+    // Sin borradores: ni el dashboard ni el archivo traen lo ya aprobado
+    assert.equal((await getCantidadesMes(PERIODO.ano, PERIODO.mes, [producto.id])).size, 0);
+    assert.equal((await exportar()).lineas, 0);
+
+    const borrador = await getOrCreateBorrador(PERIODO.ano, PERIODO.mes, null);
+    await setCantidadLinea(borrador.id, producto.id, 6);
+
+    const archivo = await exportar();
+    assert.equal(archivo.origen, 'borradores');
+    assert.equal(archivo.lineas, 1);
+    assert.equal((await getCantidadesMes(PERIODO.ano, PERIODO.mes, [producto.id])).get(producto.id), 6);
+    assert.match(archivo.contenido.toString('utf8'), /^AX,AX-001,Producto A,,6\r$/m);
+});
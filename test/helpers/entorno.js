@@ -0,0 +1,9 @@
+/**
+ * Entorno de las pruebas: sin archivos de log, solo errores en consola y tokens firmados con una clave fija
+ *
+ * Se carga antes que cualquier módulo del proyecto (la configuración se lee al cargarlos).
+ */
+
+process.env.LOG_DIRECTORIO = '';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || 'secreto-de-pruebas';
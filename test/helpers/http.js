@@ -0,0 +1,58 @@
+/**
+ * Petición y respuesta de Express mínimas para probar controladores sin levantar el servidor
+ */
+
+/**
+ * @param {object} [datos] - { params, query, body, usuario, method, path }
+ */
+function crearReq(datos = {}) {
+    const ruta = datos.path || '/';
+    return {
+        method: datos.method || 'GET',
+        params: datos.params || {},
+        query: datos.query || {},
+        body: datos.body || {},
+        headers: datos.headers || {},
+        usuario: datos.usuario,
+        baseUrl: '',
+        route: { path: ruta },
+        originalUrl: ruta,
+        path: ruta
+    };
+}
+
+/**
+ * Respuesta que guarda el status y el cuerpo enviado
+ */
+function crearRes() {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        set(nombre, valor) {
+            res.headers[nombre.toLowerCase()] = valor;
+            return res;
+        },
+        setHeader(nombre, valor) {
+            res.headers[nombre.toLowerCase()] = valor;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+        send(body) {
+            res.body = body;
+            return res;
+        }
+    };
+    return res;
+}
+
+module.exports = {
+    crearReq,
+    crearRes
+};
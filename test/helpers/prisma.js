@@ -0,0 +1,559 @@
+/**
+ * Prisma en memoria para las pruebas
+ *
+ * Los motores de Prisma no siempre están disponibles donde corren las pruebas, así que los servicios se
+ * prueban contra un cliente en memoria que lee prisma/schema.prisma (valores por defecto, claves únicas,
+ * relaciones y borrado en cascada) e implementa la parte de la API que usa el proyecto.
+ *
+ * instalarPrisma() reemplaza prisma/client en la caché de require: hay que llamarlo antes de cargar
+ * cualquier servicio.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RUTA_SCHEMA = path.join(__dirname, '..', '..', 'prisma', 'schema.prisma');
+const ESCALARES = ['Int', 'Float', 'String', 'Boolean', 'DateTime', 'Json', 'BigInt', 'Decimal', 'Bytes'];
+
+/**
+ * Error con el código de Prisma (P2002 clave única, P2025 registro inexistente)
+ */
+function prismaError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function minuscula(nombre) {
+    return nombre.charAt(0).toLowerCase() + nombre.slice(1);
+}
+
+function leerDefault(atributos) {
+    const match = atributos.match(/@default\(((?:[^()]|\(\))*)\)/);
+    if (!match) return undefined;
+
+    const valor = match[1].trim();
+    if (valor === 'autoincrement()') return { autoincrement: true };
+    if (valor === 'now()') return { now: true };
+    if (valor === 'true' || valor === 'false') return { valor: valor === 'true' };
+    if (/^-?\d+(\.\d+)?$/.test(valor)) return { valor: Number(valor) };
+    if (/^".*"$/.test(valor)) return { valor: valor.slice(1, -1) };
+    return undefined;
+}
+
+/**
+ * Modelos del schema: campos, claves únicas y relaciones
+ */
+function leerSchema(texto) {
+    const modelos = {};
+
+    for (const [, nombre, cuerpo] of texto.matchAll(/^model (\w+) \{([\s\S]*?)^\}/gm)) {
+        const modelo = { nombre, campos: {}, unicos: {}, relaciones: {} };
+
+        for (const lineaCruda of cuerpo.split('\n')) {
+            const linea = lineaCruda.replace(/\/\/.*$/, '').trim();
+            if (!linea) continue;
+
+            const unico = linea.match(/^@@unique\(\[([^\]]+)\]/);
+            if (unico) {
+                const campos = unico[1].split(',').map(c => c.trim());
+                modelo.unicos[campos.join('_')] = campos;
+                continue;
+            }
+            if (linea.startsWith('@@')) continue;
+
+            const [, campo, tipo, modificador = '', atributos = ''] = linea.match(/^(\w+)\s+(\w+)(\[\]|\?)?\s*(.*)$/) || [];
+            if (!campo) continue;
+
+            if (ESCALARES.includes(tipo)) {
+                modelo.campos[campo] = {
+                    tipo,
+                    opcional: modificador === '?',
+                    default: leerDefault(atributos),
+                    updatedAt: atributos.includes('@updatedAt')
+                };
+                if (/@(id|unique)\b/.test(atributos)) modelo.unicos[campo] = [campo];
+                continue;
+            }
+
+            const relacion = atributos.match(/@relation\([^)]*fields:\s*\[(\w+)\][^)]*references:\s*\[(\w+)\](?:[^)]*onDelete:\s*(\w+))?/);
+            modelo.relaciones[campo] = relacion
+                ? { modelo: tipo, tipo: 'pertenece', fk: relacion[1], referencia: relacion[2], onDelete: relacion[3] || 'Restrict' }
+                : { modelo: tipo, tipo: modificador === '[]' ? 'muchos' : 'uno' };
+        }
+
+        modelos[nombre] = modelo;
+    }
+
+    // Lado inverso de cada relación: la FK está en el otro modelo
+    for (const modelo of Object.values(modelos)) {
+        for (const relacion of Object.values(modelo.relaciones)) {
+            if (relacion.tipo === 'pertenece') continue;
+            const inversa = Object.values(modelos[relacion.modelo].relaciones)
+                .find(r => r.tipo === 'pertenece' && r.modelo === modelo.nombre);
+            relacion.fk = inversa.fk;
+            relacion.referencia = inversa.referencia;
+            relacion.onDelete = inversa.onDelete;
+        }
+    }
+
+    return modelos;
+}
+
+function valorComparable(valor) {
+    return valor instanceof Date ? valor.getTime() : valor;
+}
+
+function iguales(a, b) {
+    return valorComparable(a ?? null) === valorComparable(b ?? null);
+}
+
+function coincideEscalar(valor, condicion) {
+    if (condicion === null) return valor === null || valor === undefined;
+    if (typeof condicion !== 'object' || condicion instanceof Date) return iguales(valor, condicion);
+
+    const v = valorComparable(valor);
+    return Object.entries(condicion).every(([operador, esperado]) => {
+        if (esperado === undefined || operador === 'mode') return true;
+        const e = valorComparable(esperado);
+        switch (operador) {
+            case 'equals': return coincideEscalar(valor, esperado);
+            case 'not': return !coincideEscalar(valor, esperado);
+            case 'in': return esperado.some(x => iguales(valor, x));
+            case 'notIn': return !esperado.some(x => iguales(valor, x));
+            case 'lt': return v !== null && v !== undefined && v < e;
+            case 'lte': return v !== null && v !== undefined && v <= e;
+            case 'gt': return v !== null && v !== undefined && v > e;
+            case 'gte': return v !== null && v !== undefined && v >= e;
+            case 'contains': return typeof v === 'string' && v.includes(e);
+            case 'startsWith': return typeof v === 'string' && v.startsWith(e);
+            case 'endsWith': return typeof v === 'string' && v.endsWith(e);
+            default: throw new Error(`Operador no soportado en el Prisma de pruebas: ${operador}`);
+        }
+    });
+}
+
+function comoLista(valor) {
+    return Array.isArray(valor) ? valor : [valor];
+}
+
+/**
+ * Crear un cliente en memoria a partir del schema
+ */
+function crearPrisma({ schema = fs.readFileSync(RUTA_SCHEMA, 'utf8') } = {}) {
+    const modelos = leerSchema(schema);
+    let tablas = {};
+    let secuencias = {};
+    let fallas = [];
+
+    function reset() {
+        tablas = Object.fromEntries(Object.keys(modelos).map(m => [m, []]));
+        secuencias = Object.fromEntries(Object.keys(modelos).map(m => [m, 0]));
+        fallas = [];
+    }
+    reset();
+
+    function relacionados(modelo, fila, relacion) {
+        if (relacion.tipo === 'pertenece') {
+            const fk = fila[relacion.fk];
+            if (fk === null || fk === undefined) return null;
+            return tablas[relacion.modelo].find(r => iguales(r[relacion.referencia], fk)) || null;
+        }
+        const filas = tablas[relacion.modelo].filter(r => iguales(r[relacion.fk], fila[relacion.referencia]));
+        return relacion.tipo === 'uno' ? filas[0] || null : filas;
+    }
+
+    function coincide(nombreModelo, fila, where) {
+        const modelo = modelos[nombreModelo];
+
+        return Object.entries(where || {}).every(([clave, condicion]) => {
+            if (condicion === undefined) return true;
+            if (clave === 'AND') return comoLista(condicion).every(w => coincide(nombreModelo, fila, w));
+            if (clave === 'OR') return condicion.some(w => coincide(nombreModelo, fila, w));
+            if (clave === 'NOT') return comoLista(condicion).every(w => !coincide(nombreModelo, fila, w));
+
+            if (modelo.unicos[clave] && modelo.unicos[clave].length > 1) {
+                return Object.entries(condicion).every(([campo, valor]) => iguales(fila[campo], valor));
+            }
+
+            const relacion = modelo.relaciones[clave];
+            if (relacion) {
+                const valor = relacionados(modelo, fila, relacion);
+                if (relacion.tipo === 'muchos') {
+                    if (condicion.some) return valor.some(r => coincide(relacion.modelo, r, condicion.some));
+                    if (condicion.every) return valor.every(r => coincide(relacion.modelo, r, condicion.every));
+                    if (condicion.none) return !valor.some(r => coincide(relacion.modelo, r, condicion.none));
+                    throw new Error(`Filtro de relación no soportado: ${clave}`);
+                }
+                if (condicion === null) return valor === null;
+                if (condicion.is !== undefined) return condicion.is === null ? valor === null : !!valor && coincide(relacion.modelo, valor, condicion.is);
+                if (condicion.isNot !== undefined) return condicion.isNot === null ? valor !== null : !valor || !coincide(relacion.modelo, valor, condicion.isNot);
+                return !!valor && coincide(relacion.modelo, valor, condicion);
+            }
+
+            if (!modelo.campos[clave]) throw new Error(`Campo desconocido en ${nombreModelo}.where: ${clave}`);
+            return coincideEscalar(fila[clave], condicion);
+        });
+    }
+
+    function valorOrden(nombreModelo, fila, orden) {
+        const [clave, direccion] = Object.entries(orden)[0];
+        const relacion = modelos[nombreModelo].relaciones[clave];
+        if (relacion && typeof direccion === 'object') {
+            const relacionado = relacionados(modelos[nombreModelo], fila, relacion);
+            return relacionado ? valorOrden(relacion.modelo, relacionado, direccion) : { valor: null, direccion: 'asc' };
+        }
+        return { valor: valorComparable(fila[clave] ?? null), direccion };
+    }
+
+    function ordenar(nombreModelo, filas, orderBy) {
+        if (!orderBy) return filas;
+        const criterios = comoLista(orderBy);
+
+        return [...filas].sort((a, b) => {
+            for (const criterio of criterios) {
+                const va = valorOrden(nombreModelo, a, criterio);
+                const vb = valorOrden(nombreModelo, b, criterio);
+                const signo = va.direccion === 'desc' ? -1 : 1;
+                // Como SQLite: NULL va primero en orden ascendente
+                if (va.valor === vb.valor) continue;
+                if (va.valor === null) return -signo;
+                if (vb.valor === null) return signo;
+                return va.valor < vb.valor ? -signo : signo;
+            }
+            return 0;
+        });
+    }
+
+    function buscar(nombreModelo, args = {}) {
+        let filas = tablas[nombreModelo].filter(f => coincide(nombreModelo, f, args.where));
+        filas = ordenar(nombreModelo, filas, args.orderBy);
+        if (args.skip) filas = filas.slice(args.skip);
+        if (args.take !== undefined) filas = filas.slice(0, args.take);
+        return filas;
+    }
+
+    /**
+     * Copia de una fila con los campos de select/include
+     */
+    function proyectar(nombreModelo, fila, args = {}) {
+        const modelo = modelos[nombreModelo];
+        const seleccion = args.select || args.include;
+        const resultado = {};
+
+        if (!args.select) {
+            for (const campo of Object.keys(modelo.campos)) resultado[campo] = fila[campo] ?? null;
+        }
+
+        for (const [clave, valor] of Object.entries(seleccion || {})) {
+            if (!valor) continue;
+
+            if (clave === '_count') {
+                resultado._count = Object.fromEntries(Object.entries(valor.select).map(([rel, sub]) => {
+                    const filas = relacionados(modelo, fila, modelo.relaciones[rel]);
+                    return [rel, filas.filter(r => coincide(modelo.relaciones[rel].modelo, r, sub.where)).length];
+                }));
+                continue;
+            }
+
+            const relacion = modelo.relaciones[clave];
+            if (!relacion) {
+                resultado[clave] = fila[clave] ?? null;
+                continue;
+            }
+
+            const sub = valor === true ? {} : valor;
+            const relacionado = relacionados(modelo, fila, relacion);
+            if (relacion.tipo === 'muchos') {
+                let filas = ordenar(relacion.modelo, relacionado.filter(r => coincide(relacion.modelo, r, sub.where)), sub.orderBy);
+                if (sub.take !== undefined) filas = filas.slice(0, sub.take);
+                resultado[clave] = filas.map(r => proyectar(relacion.modelo, r, sub));
+            } else {
+                resultado[clave] = relacionado ? proyectar(relacion.modelo, relacionado, sub) : null;
+            }
+        }
+
+        return structuredClone(resultado);
+    }
+
+    function assertUnicos(nombreModelo, fila, excepto = null) {
+        for (const [nombre, campos] of Object.entries(modelos[nombreModelo].unicos)) {
+            if (campos.some(c => fila[c] === null || fila[c] === undefined)) continue;
+            const duplicada = tablas[nombreModelo].find(r => r !== excepto && campos.every(c => iguales(r[c], fila[c])));
+            if (duplicada) {
+                throw prismaError('P2002', `Unique constraint failed on the fields: (${nombre}) en ${nombreModelo}`);
+            }
+        }
+    }
+
+    function aplicarCambios(nombreModelo, fila, data) {
+        const modelo = modelos[nombreModelo];
+        const nueva = { ...fila };
+
+        for (const [campo, valor] of Object.entries(data)) {
+            if (valor === undefined) continue;
+            const relacion = modelo.relaciones[campo];
+            if (relacion) {
+                if (relacion.tipo !== 'pertenece') throw new Error(`Escritura anidada no soportada: ${nombreModelo}.${campo}`);
+                if (valor.connect) nueva[relacion.fk] = valor.connect[relacion.referencia];
+                if (valor.disconnect) nueva[relacion.fk] = null;
+                continue;
+            }
+            if (!modelo.campos[campo]) throw new Error(`Campo desconocido en ${nombreModelo}: ${campo}`);
+
+            if (valor !== null && typeof valor === 'object' && !(valor instanceof Date)) {
+                const actual = nueva[campo] ?? 0;
+                if ('set' in valor) nueva[campo] = valor.set;
+                if ('increment' in valor) nueva[campo] = actual + valor.increment;
+                if ('decrement' in valor) nueva[campo] = actual - valor.decrement;
+                if ('multiply' in valor) nueva[campo] = actual * valor.multiply;
+                continue;
+            }
+            nueva[campo] = modelo.campos[campo].tipo === 'DateTime' && typeof valor === 'string' ? new Date(valor) : valor;
+        }
+
+        for (const [campo, definicion] of Object.entries(modelo.campos)) {
+            if (definicion.updatedAt) nueva[campo] = new Date();
+        }
+
+        return nueva;
+    }
+
+    function crear(nombreModelo, data) {
+        const modelo = modelos[nombreModelo];
+        const fila = {};
+        const anidados = [];
+
+        for (const [campo, definicion] of Object.entries(modelo.campos)) {
+            const valorDefault = definicion.default;
+            if (valorDefault?.autoincrement) continue;
+            if (valorDefault?.now) fila[campo] = new Date();
+            else if (valorDefault) fila[campo] = valorDefault.valor;
+            else fila[campo] = null;
+        }
+
+        const escalares = {};
+        for (const [campo, valor] of Object.entries(data)) {
+            const relacion = modelo.relaciones[campo];
+            if (relacion && relacion.tipo !== 'pertenece') anidados.push([relacion, valor]);
+            else escalares[campo] = valor;
+        }
+
+        let nueva = aplicarCambios(nombreModelo, fila, escalares);
+        for (const [campo, definicion] of Object.entries(modelo.campos)) {
+            if (definicion.default?.autoincrement && (nueva[campo] === null || nueva[campo] === undefined)) {
+                nueva = { ...nueva, [campo]: ++secuencias[nombreModelo] };
+            } else if (definicion.default?.autoincrement) {
+                secuencias[nombreModelo] = Math.max(secuencias[nombreModelo], nueva[campo]);
+            }
+        }
+
+        assertUnicos(nombreModelo, nueva);
+        tablas[nombreModelo].push(nueva);
+
+        for (const [relacion, valor] of anidados) {
+            for (const hijo of comoLista(valor.create || [])) {
+                crear(relacion.modelo, { ...hijo, [relacion.fk]: nueva[relacion.referencia] });
+            }
+        }
+
+        return nueva;
+    }
+
+    function actualizar(nombreModelo, fila, data) {
+        const nueva = aplicarCambios(nombreModelo, fila, data);
+        assertUnicos(nombreModelo, nueva, fila);
+        Object.assign(fila, nueva);
+        return fila;
+    }
+
+    function eliminar(nombreModelo, fila) {
+        tablas[nombreModelo] = tablas[nombreModelo].filter(r => r !== fila);
+
+        // Relaciones que apuntan a la fila eliminada
+        for (const modelo of Object.values(modelos)) {
+            for (const relacion of Object.values(modelo.relaciones)) {
+                if (relacion.tipo !== 'pertenece' || relacion.modelo !== nombreModelo) continue;
+                for (const hija of tablas[modelo.nombre].filter(r => iguales(r[relacion.fk], fila[relacion.referencia]))) {
+                    if (relacion.onDelete === 'Cascade') eliminar(modelo.nombre, hija);
+                    else if (relacion.onDelete === 'SetNull') hija[relacion.fk] = null;
+                }
+            }
+        }
+    }
+
+    function unica(nombreModelo, where) {
+        const fila = tablas[nombreModelo].find(f => coincide(nombreModelo, f, where));
+        if (!fila) throw prismaError('P2025', `No se encontró el registro de ${nombreModelo}`);
+        return fila;
+    }
+
+    function agregar(filas, args) {
+        const resultado = {};
+        if (args._count) {
+            resultado._count = args._count === true
+                ? filas.length
+                : Object.fromEntries(Object.keys(args._count).map(c => [c, c === '_all' ? filas.length : filas.filter(f => f[c] !== null).length]));
+        }
+        for (const operacion of ['_sum', '_avg', '_min', '_max']) {
+            if (!args[operacion]) continue;
+            resultado[operacion] = {};
+            for (const campo of Object.keys(args[operacion])) {
+                const valores = filas.map(f => f[campo]).filter(v => v !== null && v !== undefined);
+                const numeros = valores.map(valorComparable);
+                let valor = null;
+                if (valores.length > 0) {
+                    if (operacion === '_sum') valor = numeros.reduce((s, v) => s + v, 0);
+                    if (operacion === '_avg') valor = numeros.reduce((s, v) => s + v, 0) / numeros.length;
+                    if (operacion === '_min') valor = valores[numeros.indexOf(Math.min(...numeros))];
+                    if (operacion === '_max') valor = valores[numeros.indexOf(Math.max(...numeros))];
+                }
+                resultado[operacion][campo] = valor;
+            }
+        }
+        return resultado;
+    }
+
+    function delegado(nombreModelo) {
+        const operaciones = {
+            findUnique: (args) => {
+                const fila = tablas[nombreModelo].find(f => coincide(nombreModelo, f, args.where));
+                return fila ? proyectar(nombreModelo, fila, args) : null;
+            },
+            findUniqueOrThrow: (args) => proyectar(nombreModelo, unica(nombreModelo, args.where), args),
+            findFirst: (args = {}) => {
+                const [fila] = buscar(nombreModelo, { ...args, take: 1 });
+                return fila ? proyectar(nombreModelo, fila, args) : null;
+            },
+            findFirstOrThrow: (args = {}) => {
+                const [fila] = buscar(nombreModelo, { ...args, take: 1 });
+                if (!fila) throw prismaError('P2025', `No se encontró el registro de ${nombreModelo}`);
+                return proyectar(nombreModelo, fila, args);
+            },
+            findMany: (args = {}) => buscar(nombreModelo, args).map(f => proyectar(nombreModelo, f, args)),
+            count: (args = {}) => buscar(nombreModelo, args).length,
+            create: (args) => proyectar(nombreModelo, crear(nombreModelo, args.data), args),
+            createMany: (args) => {
+                let count = 0;
+                for (const data of comoLista(args.data)) {
+                    try {
+                        crear(nombreModelo, data);
+                        count++;
+                    } catch (error) {
+                        if (!(args.skipDuplicates && error.code === 'P2002')) throw error;
+                    }
+                }
+                return { count };
+            },
+            update: (args) => proyectar(nombreModelo, actualizar(nombreModelo, unica(nombreModelo, args.where), args.data), args),
+            updateMany: (args) => {
+                const filas = buscar(nombreModelo, { where: args.where });
+                filas.forEach(f => actualizar(nombreModelo, f, args.data));
+                return { count: filas.length };
+            },
+            upsert: (args) => {
+                const fila = tablas[nombreModelo].find(f => coincide(nombreModelo, f, args.where));
+                const resultado = fila ? actualizar(nombreModelo, fila, args.update) : crear(nombreModelo, args.create);
+                return proyectar(nombreModelo, resultado, args);
+            },
+            delete: (args) => {
+                const fila = unica(nombreModelo, args.where);
+                const copia = proyectar(nombreModelo, fila, args);
+                eliminar(nombreModelo, fila);
+                return copia;
+            },
+            deleteMany: (args = {}) => {
+                const filas = buscar(nombreModelo, { where: args.where });
+                filas.forEach(f => eliminar(nombreModelo, f));
+                return { count: filas.length };
+            },
+            aggregate: (args = {}) => agregar(buscar(nombreModelo, args), args),
+            groupBy: (args) => {
+                const grupos = new Map();
+                for (const fila of buscar(nombreModelo, { where: args.where })) {
+                    const clave = JSON.stringify(args.by.map(c => valorComparable(fila[c] ?? null)));
+                    if (!grupos.has(clave)) grupos.set(clave, []);
+                    grupos.get(clave).push(fila);
+                }
+                const resultado = Array.from(grupos.values()).map(filas => ({
+                    ...Object.fromEntries(args.by.map(c => [c, filas[0][c] ?? null])),
+                    ...agregar(filas, args)
+                }));
+                return args.orderBy ? ordenar(nombreModelo, resultado, args.orderBy) : resultado;
+            }
+        };
+
+        // Asíncronas como las de Prisma; una falla programada con $fallar reemplaza la siguiente llamada
+        return Object.fromEntries(Object.entries(operaciones).map(([nombre, fn]) => [nombre, async (args) => {
+            const indice = fallas.findIndex(f => f.modelo === minuscula(nombreModelo) && f.operacion === nombre);
+            if (indice >= 0) {
+                const [falla] = fallas.splice(indice, 1);
+                throw falla.error;
+            }
+            return fn(args);
+        }]));
+    }
+
+    const cliente = {
+        async $transaction(arg) {
+            if (Array.isArray(arg)) {
+                return Promise.all(arg);
+            }
+
+            // Transacción interactiva: si el callback falla se restaura el estado previo
+            const copia = structuredClone({ tablas, secuencias });
+            try {
+                return await arg(cliente);
+            } catch (error) {
+                tablas = copia.tablas;
+                secuencias = copia.secuencias;
+                throw error;
+            }
+        },
+        async $queryRaw() {
+            return [{ ok: 1 }];
+        },
+        async $connect() {},
+        async $disconnect() {},
+
+        /**
+         * Vaciar todas las tablas
+         */
+        $reset: reset,
+
+        /**
+         * Hacer fallar la próxima llamada a modelo.operacion (p. ej. ('pedidoAudit', 'createMany'))
+         */
+        $fallar(modelo, operacion, error = new Error(`Falla simulada en ${modelo}.${operacion}`)) {
+            fallas.push({ modelo, operacion, error });
+        }
+    };
+
+    for (const nombre of Object.keys(modelos)) {
+        cliente[minuscula(nombre)] = delegado(nombre);
+    }
+
+    return cliente;
+}
+
+/**
+ * Reemplazar prisma/client por un cliente en memoria (antes de cargar los servicios)
+ */
+function instalarPrisma() {
+    const prisma = crearPrisma();
+    const ruta = require.resolve('../../prisma/client');
+
+    require.cache[ruta] = {
+        id: ruta,
+        filename: ruta,
+        loaded: true,
+        exports: { getPrismaClient: () => prisma, prisma }
+    };
+
+    return prisma;
+}
+
+module.exports = {
+    crearPrisma,
+    instalarPrisma
+};
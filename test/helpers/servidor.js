@@ -0,0 +1,22 @@
+/**
+ * Levantar una app de Express en un puerto libre para probar middlewares y rutas por HTTP
+ */
+
+/**
+ * @param {import('express').Express} app
+ * @returns {Promise<{url: string, cerrar: () => Promise<void>}>}
+ */
+function escuchar(app) {
+    return new Promise((resolve) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                cerrar: () => new Promise(fin => server.close(fin))
+            });
+        });
+    });
+}
+
+module.exports = {
+    escuchar
+};
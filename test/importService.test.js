@@ -0,0 +1,124 @@
+require('./helpers/entorno');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { instalarPrisma } = require('./helpers/prisma');
+
+const prisma = instalarPrisma();
+const { ESTADOS_FILA, analizarImportacion, aplicarImportacion } = require('../services/importService');
+const { getOrCreateBorrador, setCantidadLinea } = require('../services/ordenCompraService');
+
+const AUDITORIA = { usuarioId: 1, usuario: 'compras', origen: 'POST /api/pedidos/import' };
+const PERIODO = { ano: 2026, mes: 3 };
+let productoA;
+let productoB;
+
+function csv(...lineas) {
+    return Buffer.from(['SKU;Cantidad', ...lineas].join('\n'));
+}
+
+beforeEach(async () => {
+    prisma.$reset();
+    productoA = await prisma.producto.create({ data: { sku: 'AX-001', descripcion: 'Producto A' } });
+    productoB = await prisma.producto.create({ data: { sku: 'AX-002', descripcion: 'Producto B' } });
+});
+
+test('en un mes con borrador la diferencia y la escritura van contra las líneas del borrador', async () => {
+    const borrador = await getOrCreateBorrador(PERIODO.ano, PERIODO.mes, null);
+    await setCantidadLinea(borrador.id, productoA.id, 4);
+    // Pedido suelto desactualizado: el dashboard ya no lo lee
+    await prisma.pedido.create({ data: { productoId: productoA.id, ...PERIODO, cantidad: 10 } });
+
+    const analisis = await analizarImportacion(csv('AX-001;6', 'AX-002;3'), { nombreArchivo: 'compras.csv', ...PERIODO });
+    assert.deepEqual(analisis.filas.map(f => [f.sku, f.cantidadAnterior, f.estado]), [
+        ['AX-001', 4, ESTADOS_FILA.CAMBIO],
+        ['AX-002', null, ESTADOS_FILA.NUEVO]
+    ]);
+
+    const resultado = await aplicarImportacion(csv('AX-001;6', 'AX-002;3'), { nombreArchivo: 'compras.csv', auditoria: AUDITORIA, ...PERIODO });
+    assert.equal(resultado.aplicada, true);
+    assert.equal(resultado.aplicados, 2);
+
+    const lineas = await prisma.ordenCompraLinea.findMany({ where: { ordenId: borrador.id }, orderBy: { productoId: 'asc' } });
+    assert.deepEqual(lineas.map(l => [l.productoId, l.cantidad]), [[productoA.id, 6], [productoB.id, 3]]);
+    assert.equal(await prisma.ordenCompra.count(), 1);
+
+    const pedido = await prisma.pedido.findFirst({ where: { productoId: productoA.id } });
+    assert.equal(pedido.cantidad, 10);
+
+    const cambios = await prisma.pedidoAudit.findMany({ orderBy: { id: 'asc' } });
+    assert.deepEqual(cambios.map(c => [c.sku, c.ordenId, c.cantidadAnterior, c.cantidadNueva, c.usuario]), [
+        ['AX-001', borrador.id, 4, 6, 'compras'],
+        ['AX-002', borrador.id, null, 3, 'compras']
+    ]);
+});
+
+test('en un mes sin borradores la importación crea el borrador con los pedidos del mes', async () => {
+    await prisma.pedido.create({ data: { productoId: productoA.id, ...PERIODO, cantidad: 5 } });
+
+    const analisis = await analizarImportacion(csv('AX-001;7', 'AX-002;0'), PERIODO);
+    assert.deepEqual(analisis.filas.map(f => [f.cantidadAnterior, f.estado]), [
+        [5, ESTADOS_FILA.CAMBIO],
+        [null, ESTADOS_FILA.SIN_CAMBIO]
+    ]);
+
+    await aplicarImportacion(csv('AX-001;7', 'AX-002;0'), { auditoria: AUDITORIA, ...PERIODO });
+
+    const [borrador] = await prisma.ordenCompra.findMany({ include: { lineas: true } });
+    assert.deepEqual(borrador.lineas.map(l => [l.productoId, l.cantidad]), [[productoA.id, 7]]);
+
+    const cambios = await prisma.pedidoAudit.findMany({ orderBy: { id: 'asc' } });
+    assert.deepEqual(cambios.map(c => [c.accion, c.cantidadAnterior, c.cantidadNueva]), [
+        ['mover', null, 5],
+        ['actualizar', 5, 7]
+    ]);
+});
+
+test('una cantidad 0 en un mes sin borradores borra el pedido que había', async () => {
+    await prisma.pedido.create({ data: { productoId: productoA.id, ...PERIODO, cantidad: 5 } });
+
+    await aplicarImportacion(csv('AX-001;0'), { auditoria: AUDITORIA, ...PERIODO });
+
+    assert.equal(await prisma.pedido.count(), 0);
+    assert.equal(await prisma.ordenCompraLinea.count(), 0);
+    const cambios = await prisma.pedidoAudit.findMany({ orderBy: { id: 'asc' } });
+    assert.deepEqual(cambios.map(c => [c.accion, c.cantidadAnterior, c.cantidadNueva]), [
+        ['mover', null, 5],
+        ['eliminar', 5, 0]
+    ]);
+});
+
+test('si una fila no se puede guardar no se guarda ninguna', async () => {
+    const borrador = await getOrCreateBorrador(PERIODO.ano, PERIODO.mes, null);
+    await setCantidadLinea(borrador.id, productoA.id, 4);
+
+    const createMany = prisma.pedidoAudit.createMany;
+    let llamadas = 0;
+    prisma.pedidoAudit.createMany = async (args) => {
+        if (++llamadas === 2) throw new Error('Falla simulada en la segunda fila');
+        return createMany(args);
+    };
+    try {
+        await assert.rejects(
+            aplicarImportacion(csv('AX-001;6', 'AX-002;3'), { auditoria: AUDITORIA, ...PERIODO }),
+            /segunda fila/
+        );
+    } finally {
+        prisma.pedidoAudit.createMany = createMany;
+    }
+
+    const lineas = await prisma.ordenCompraLinea.findMany();
+    assert.deepEqual(lineas.map(l => [l.productoId, l.cantidad]), [[productoA.id, 4]]);
+    assert.equal(await prisma.pedidoAudit.count(), 0);
+});
+
+test('con filas con error no se guarda nada salvo que se pida omitirlas', async () => {
+    const archivo = csv('AX-001;6', 'ZZ-999;3');
+
+    const sinAplicar = await aplicarImportacion(archivo, PERIODO);
+    assert.equal(sinAplicar.aplicada, false);
+    assert.equal(await prisma.ordenCompra.count(), 0);
+
+    const aplicada = await aplicarImportacion(archivo, { omitirErrores: true, ...PERIODO });
+    assert.equal(aplicada.aplicados, 1);
+    assert.equal(await prisma.ordenCompraLinea.count(), 1);
+});
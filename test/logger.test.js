@@ -0,0 +1,61 @@
+require('./helpers/entorno');
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Logs en una carpeta temporal: la configuración se lee al cargar el logger
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+process.env.LOG_DIRECTORIO = directorio;
+process.env.LOG_ARCHIVOS = '3';
+const { leerLogs } = require('../utils/logger');
+
+/**
+ * Escribir un archivo de log con una entrada por minuto desde `inicio`
+ */
+function escribirLog(nombre, inicio, cantidad, extra = '') {
+    const lineas = Array.from({ length: cantidad }, (_, i) => JSON.stringify({
+        time: new Date(inicio + i * 60 * 1000).toISOString(),
+        level: i % 10 === 0 ? 'error' : 'info',
+        msg: `entrada ${nombre} ${i}`
+    }));
+    fs.writeFileSync(path.join(directorio, nombre), lineas.join('\n') + '\n' + extra);
+}
+
+const INICIO = Date.parse('2026-03-01T00:00:00.000Z');
+// app.1.log es el más antiguo; app.log trae además una línea cortada al final
+escribirLog('app.1.log', INICIO, 500);
+escribirLog('app.log', INICIO + 500 * 60 * 1000, 500, '{"time":"2026-03');
+
+after(() => fs.rmSync(directorio, { recursive: true, force: true }));
+
+test('devuelve las entradas más nuevas primero, recorriendo los archivos rotados', async () => {
+    const { entradas, archivos, truncado } = await leerLogs({ limite: 3 });
+    assert.equal(archivos, 2);
+    assert.equal(truncado, true);
+    assert.deepEqual(entradas.map(e => e.msg), ['entrada app.log 499', 'entrada app.log 498', 'entrada app.log 497']);
+
+    const errores = await leerLogs({ nivel: 'error', limite: 52 });
+    assert.equal(errores.truncado, true);
+    assert.equal(errores.entradas.length, 52);
+    assert.equal(errores.entradas[0].msg, 'entrada app.log 490');
+    assert.equal(errores.entradas[49].msg, 'entrada app.log 0');
+    assert.deepEqual(errores.entradas.slice(50).map(e => e.msg), ['entrada app.1.log 490', 'entrada app.1.log 480']);
+});
+
+test('sin límite alcanzado no está truncado y respeta desde y hasta', async () => {
+    const todas = await leerLogs({ limite: 2000 });
+    assert.equal(todas.truncado, false);
+    assert.equal(todas.entradas.length, 1000);
+
+    const rango = await leerLogs({
+        desde: new Date(INICIO + 495 * 60 * 1000),
+        hasta: new Date(INICIO + 504 * 60 * 1000),
+        q: 'ENTRADA'
+    });
+    assert.deepEqual(rango.entradas.map(e => e.msg), [
+        'entrada app.log 4', 'entrada app.log 3', 'entrada app.log 2', 'entrada app.log 1', 'entrada app.log 0',
+        'entrada app.1.log 499', 'entrada app.1.log 498', 'entrada app.1.log 497', 'entrada app.1.log 496', 'entrada app.1.log 495'
+    ]);
+});
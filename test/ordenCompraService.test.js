@@ -0,0 +1,174 @@
+require('./helpers/entorno');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { instalarPrisma } = require('./helpers/prisma');
+
+const prisma = instalarPrisma();
+const {
+    ESTADOS,
+    crearOrden,
+    getOrCreateBorrador,
+    cambiarEstado,
+    actualizarCabecera,
+    setCantidadLinea,
+    dividirPorProveedor
+} = require('../services/ordenCompraService');
+
+const AUDITORIA = { usuarioId: 1, usuario: 'compras', origen: 'PUT /api/prueba' };
+let productoId;
+
+beforeEach(async () => {
+    prisma.$reset();
+    const producto = await prisma.producto.create({ data: { sku: 'AX-001', descripcion: 'Producto de prueba' } });
+    await prisma.proveedor.create({ data: { id: 7, nombre: 'Proveedor 7' } });
+    productoId = producto.id;
+});
+
+test('un segundo borrador del mismo mes y proveedor responde 409', async () => {
+    await crearOrden({ ano: 2026, mes: 3, proveedorId: 7 });
+
+    await assert.rejects(crearOrden({ ano: 2026, mes: 3, proveedorId: 7 }), { status: 409 });
+
+    // Sin proveedor también (NULL no se repite en la clave)
+    await crearOrden({ ano: 2026, mes: 3 });
+    await assert.rejects(crearOrden({ ano: 2026, mes: 3 }), { status: 409 });
+
+    // Otro mes u otro proveedor sí puede tener su borrador
+    await crearOrden({ ano: 2026, mes: 4, proveedorId: 7 });
+    assert.equal(await prisma.ordenCompra.count({ where: { estado: ESTADOS.BORRADOR } }), 3);
+});
+
+test('getOrCreateBorrador reutiliza el borrador existente', async () => {
+    const primero = await getOrCreateBorrador(2026, 3, 7);
+    const segundo = await getOrCreateBorrador(2026, 3, 7);
+
+    assert.equal(segundo.id, primero.id);
+    assert.equal(await prisma.ordenCompra.count(), 1);
+});
+
+test('getOrCreateBorrador devuelve el borrador que otra petición creó antes que él', async () => {
+    const ajeno = await crearOrden({ ano: 2026, mes: 3, proveedorId: 7 });
+    // La búsqueda inicial no lo ve (se creó entre la búsqueda y el create)
+    const findFirst = prisma.ordenCompra.findFirst;
+    let llamadas = 0;
+    prisma.ordenCompra.findFirst = async (args) => (++llamadas === 1 ? null : findFirst(args));
+    try {
+        const borrador = await getOrCreateBorrador(2026, 3, 7);
+        assert.equal(borrador.id, ajeno.id);
+    } finally {
+        prisma.ordenCompra.findFirst = findFirst;
+    }
+});
+
+test('una orden no vuelve a borrador si el mes ya tiene otro borrador del proveedor', async () => {
+    const orden = await crearOrden({ ano: 2026, mes: 3, proveedorId: 7 });
+    await setCantidadLinea(orden.id, productoId, 5);
+    await cambiarEstado(orden.id, ESTADOS.APROBADA);
+    await crearOrden({ ano: 2026, mes: 3, proveedorId: 7 });
+
+    await assert.rejects(cambiarEstado(orden.id, ESTADOS.BORRADOR), { status: 409 });
+
+    const aprobada = await prisma.ordenCompra.findUnique({ where: { id: orden.id } });
+    assert.equal(aprobada.estado, ESTADOS.APROBADA);
+    assert.equal(aprobada.borradorClave, null);
+});
+
+test('aprobar libera la clave del borrador y reasignar proveedor respeta la unicidad', async () => {
+    const orden = await crearOrden({ ano: 2026, mes: 3, proveedorId: 7 });
+    await setCantidadLinea(orden.id, productoId, 5);
+    await cambiarEstado(orden.id, ESTADOS.APROBADA);
+
+    // Con la primera aprobada, el proveedor puede tener un nuevo borrador
+    await crearOrden({ ano: 2026, mes: 3, proveedorId: 7 });
+    const sinProveedor = await crearOrden({ ano: 2026, mes: 3 });
+
+    await assert.rejects(actualizarCabecera(sinProveedor.id, { proveedorId: 7 }), { status: 409 });
+});
+
+test('si la auditoría falla el cambio de cantidad no se aplica', async () => {
+    const orden = await crearOrden({ ano: 2026, mes: 3 });
+    await setCantidadLinea(orden.id, productoId, 5, AUDITORIA);
+
+    prisma.$fallar('pedidoAudit', 'createMany');
+    await assert.rejects(setCantidadLinea(orden.id, productoId, 9, AUDITORIA), /Falla simulada/);
+
+    const linea = await prisma.ordenCompraLinea.findFirst({ where: { ordenId: orden.id, productoId } });
+    assert.equal(linea.cantidad, 5);
+    assert.equal(await prisma.pedidoAudit.count(), 1);
+});
+
+test('cancelar un borrador registra sus líneas como eliminadas', async () => {
+    const orden = await crearOrden({ ano: 2026, mes: 3 });
+    await setCantidadLinea(orden.id, productoId, 5);
+
+    await cambiarEstado(orden.id, ESTADOS.CANCELADA, AUDITORIA);
+
+    const cambios = await prisma.pedidoAudit.findMany();
+    assert.equal(cambios.length, 1);
+    assert.equal(cambios[0].accion, 'eliminar');
+    assert.equal(cambios[0].ordenId, orden.id);
+    assert.equal(cambios[0].cantidadAnterior, 5);
+    assert.equal(cambios[0].cantidadNueva, 0);
+    assert.equal(cambios[0].sku, 'AX-001');
+});
+
+test('el primer borrador del mes registra los pedidos que copia', async () => {
+    await prisma.pedido.create({ data: { productoId, ano: 2026, mes: 3, cantidad: 8 } });
+
+    const borrador = await getOrCreateBorrador(2026, 3, null, AUDITORIA);
+
+    const [cambio] = await prisma.pedidoAudit.findMany();
+    assert.equal(cambio.accion, 'mover');
+    assert.equal(cambio.ordenId, borrador.id);
+    assert.equal(cambio.cantidadAnterior, null);
+    assert.equal(cambio.cantidadNueva, 8);
+    assert.equal(cambio.usuario, 'compras');
+});
+
+test('crear el primer borrador a mano también se lleva los pedidos; los siguientes no', async () => {
+    await prisma.pedido.create({ data: { productoId, ano: 2026, mes: 3, cantidad: 8 } });
+
+    const orden = await crearOrden({ ano: 2026, mes: 3, proveedorId: 7 }, AUDITORIA);
+    assert.deepEqual(orden.lineas.map(l => [l.productoId, l.cantidad]), [[productoId, 8]]);
+    assert.equal(await prisma.pedido.count(), 0);
+
+    // Un pedido que quedó de antes no pasa a un segundo borrador del mes
+    await prisma.pedido.create({ data: { productoId, ano: 2026, mes: 3, cantidad: 3 } });
+    const otra = await crearOrden({ ano: 2026, mes: 3 });
+    assert.equal(otra.lineas.length, 0);
+    assert.equal(await prisma.pedido.count(), 1);
+});
+
+test('dividir por proveedor registra la salida y la llegada de cada línea', async () => {
+    await prisma.productoProveedor.create({ data: { productoId, proveedorId: 7, principal: true, costoUnitario: 100 } });
+    const orden = await crearOrden({ ano: 2026, mes: 3 });
+    await setCantidadLinea(orden.id, productoId, 5);
+    const destino = await crearOrden({ ano: 2026, mes: 3, proveedorId: 7 });
+    await setCantidadLinea(destino.id, productoId, 2);
+
+    const destinos = await dividirPorProveedor(orden.id, AUDITORIA);
+
+    assert.deepEqual(destinos, [{ ordenId: destino.id, proveedorId: 7, lineas: 1 }]);
+    const linea = await prisma.ordenCompraLinea.findFirst({ where: { ordenId: destino.id, productoId } });
+    assert.equal(linea.cantidad, 7);
+    assert.equal(linea.costoUnitario, 100);
+
+    const cambios = await prisma.pedidoAudit.findMany({ orderBy: { id: 'asc' } });
+    assert.deepEqual(cambios.map(c => [c.accion, c.ordenId, c.cantidadAnterior, c.cantidadNueva]), [
+        ['mover', orden.id, 5, 0],
+        ['mover', destino.id, 2, 7]
+    ]);
+});
+
+test('si falla una parte de la división no se mueve ninguna línea', async () => {
+    await prisma.productoProveedor.create({ data: { productoId, proveedorId: 7, principal: true } });
+    const orden = await crearOrden({ ano: 2026, mes: 3 });
+    await setCantidadLinea(orden.id, productoId, 5);
+
+    prisma.$fallar('pedidoAudit', 'createMany');
+    await assert.rejects(dividirPorProveedor(orden.id, AUDITORIA));
+
+    assert.equal(await prisma.ordenCompra.count(), 1);
+    const linea = await prisma.ordenCompraLinea.findFirst({ where: { productoId } });
+    assert.equal(linea.ordenId, orden.id);
+});
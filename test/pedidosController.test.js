@@ -0,0 +1,120 @@
+require('./helpers/entorno');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { instalarPrisma } = require('./helpers/prisma');
+const { crearReq, crearRes } = require('./helpers/http');
+
+const prisma = instalarPrisma();
+const { getPedidos, upsertPedido, deletePedido } = require('../controllers/pedidosController');
+const { ESTADOS, getOrCreateBorrador, setCantidadLinea, cambiarEstado } = require('../services/ordenCompraService');
+
+const USUARIO = { id: 1, username: 'compras' };
+let productoId;
+
+beforeEach(async () => {
+    prisma.$reset();
+    const producto = await prisma.producto.create({ data: { sku: 'AX-001', descripcion: 'Producto de prueba' } });
+    productoId = producto.id;
+});
+
+async function guardar(cantidad) {
+    const res = crearRes();
+    await upsertPedido(crearReq({
+        method: 'PUT',
+        path: '/api/pedidos/:productoId',
+        params: { productoId: String(productoId) },
+        body: { ano: 2026, mes: 3, cantidad },
+        usuario: USUARIO
+    }), res);
+    return res;
+}
+
+async function leer() {
+    const res = crearRes();
+    await getPedidos(crearReq({ query: { ano: '2026', mes: '3' } }), res);
+    return res.body.pedidos.map(p => ({ cantidad: p.cantidad, ordenId: p.ordenId }));
+}
+
+test('sin borradores en el mes la cantidad se guarda en pedidos', async () => {
+    const res = await guardar(12);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.pedido.ordenId, null);
+    const pedido = await prisma.pedido.findFirst({ where: { productoId, ano: 2026, mes: 3 } });
+    assert.equal(pedido.cantidad, 12);
+    assert.equal(await prisma.ordenCompraLinea.count(), 0);
+});
+
+test('con un borrador en el mes la cantidad se guarda en su línea y no en pedidos', async () => {
+    const borrador = await getOrCreateBorrador(2026, 3, null);
+    await setCantidadLinea(borrador.id, productoId, 4);
+
+    const res = await guardar(20);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.pedido.ordenId, borrador.id);
+    const linea = await prisma.ordenCompraLinea.findFirst({ where: { ordenId: borrador.id, productoId } });
+    assert.equal(linea.cantidad, 20);
+    assert.equal(await prisma.pedido.count(), 0);
+
+    const [auditoria] = await prisma.pedidoAudit.findMany({ where: { ordenId: borrador.id } });
+    assert.equal(auditoria.cantidadAnterior, 4);
+    assert.equal(auditoria.cantidadNueva, 20);
+    assert.equal(auditoria.usuario, 'compras');
+});
+
+test('DELETE con borradores elimina la línea del borrador', async () => {
+    const borrador = await getOrCreateBorrador(2026, 3, null);
+    await setCantidadLinea(borrador.id, productoId, 4);
+
+    const res = crearRes();
+    await deletePedido(crearReq({
+        method: 'DELETE',
+        params: { productoId: String(productoId), ano: '2026', mes: '3' }
+    }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.ordenId, borrador.id);
+    assert.equal(await prisma.ordenCompraLinea.count(), 0);
+
+    const otra = crearRes();
+    await deletePedido(crearReq({
+        method: 'DELETE',
+        params: { productoId: String(productoId), ano: '2026', mes: '3' }
+    }), otra);
+    assert.equal(otra.statusCode, 404);
+});
+
+test('con un borrador en el mes GET devuelve lo que acaba de guardar PUT', async () => {
+    const borrador = await getOrCreateBorrador(2026, 3, null);
+    await setCantidadLinea(borrador.id, productoId, 4);
+
+    await guardar(20);
+
+    assert.deepEqual(await leer(), [{ cantidad: 20, ordenId: borrador.id }]);
+});
+
+test('al aprobar el único borrador, lo que se edita después no se pierde ni reaparece lo ya pedido', async () => {
+    await guardar(12);
+
+    // El primer borrador se lleva el pedido
+    const primero = await getOrCreateBorrador(2026, 3, null);
+    assert.equal(await prisma.pedido.count(), 0);
+    assert.deepEqual(await leer(), [{ cantidad: 12, ordenId: primero.id }]);
+
+    await cambiarEstado(primero.id, ESTADOS.APROBADA);
+    assert.deepEqual(await leer(), []);
+
+    // Sin borradores se vuelve a escribir en pedidos, y el siguiente borrador se lo lleva
+    const res = await guardar(5);
+    assert.equal(res.body.pedido.ordenId, null);
+    assert.deepEqual(await leer(), [{ cantidad: 5, ordenId: null }]);
+
+    const segundo = await getOrCreateBorrador(2026, 3, null);
+    assert.notEqual(segundo.id, primero.id);
+    assert.deepEqual(await leer(), [{ cantidad: 5, ordenId: segundo.id }]);
+    assert.equal(await prisma.pedido.count(), 0);
+
+    const aprobada = await prisma.ordenCompraLinea.findFirst({ where: { ordenId: primero.id } });
+    assert.equal(aprobada.cantidad, 12);
+});
@@ -0,0 +1,171 @@
+require('./helpers/entorno');
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { instalarPrisma } = require('./helpers/prisma');
+const { iniciarMockManager } = require('../mock/managerMasMock');
+
+const RUT_EMPRESA = '76000000-0';
+const prisma = instalarPrisma();
+
+let mock;
+let syncSalesRange;
+let reemplazarVentasDiarias;
+
+/**
+ * Factura de Manager+ con una línea por [sku, cantidad] (fecha yyyy-MM-dd)
+ */
+function factura(docnumreg, fecha, lineas) {
+    const [ano, mes, dia] = fecha.split('-');
+    return {
+        docnumreg,
+        folio: docnumreg,
+        fecha_doc: `${dia}/${mes}/${ano}`,
+        detalles: lineas.map(([codigo_prod, cantidad]) => ({ codigo_prod, cantidad, precio_unitario: 1000 }))
+    };
+}
+
+function documentosErp(tipo = 'FAVE/V') {
+    const { documentos } = mock.app.locals.mock.estado;
+    if (!documentos[tipo]) documentos[tipo] = [];
+    return documentos[tipo];
+}
+
+async function ventaMensual(sku, ano, mes) {
+    const venta = await prisma.ventaHistorica.findFirst({ where: { producto: { sku }, ano, mes } });
+    return venta?.cantidadVendida ?? 0;
+}
+
+async function ventaDelDia(sku, fecha) {
+    const filas = await prisma.ventaDiaria.findMany({ where: { producto: { sku }, fecha } });
+    return filas.reduce((sum, f) => sum + f.cantidad, 0);
+}
+
+before(async () => {
+    mock = await iniciarMockManager({
+        puerto: 0,
+        fixtures: { rutEmpresa: RUT_EMPRESA, productos: [], stock: [], documentos: {} }
+    });
+
+    // La configuración del ERP se lee al cargar los módulos
+    process.env.ERP_BASE_URL = mock.url;
+    process.env.RUT_EMPRESA = RUT_EMPRESA;
+    process.env.ERP_USERNAME = 'pruebas';
+    ({ syncSalesRange } = require('../scripts/syncDaily'));
+    ({ reemplazarVentasDiarias } = require('../services/ventaDiariaService'));
+});
+
+after(() => new Promise(resolve => mock.server.close(resolve)));
+
+beforeEach(async () => {
+    prisma.$reset();
+    mock.app.locals.mock.reset();
+    await prisma.producto.create({ data: { sku: 'AX-001', descripcion: 'Producto A' } });
+});
+
+test('un documento que el ERP cambió de fecha hacia el rango se descuenta de su día anterior', async () => {
+    documentosErp().push(
+        factura(1, '2026-02-27', [['AX-001', 5]]),
+        factura(2, '2026-02-27', [['AX-001', 2]])
+    );
+    await syncSalesRange('2026-02-01', '2026-02-28');
+    assert.equal(await ventaMensual('AX-001', 2026, 2), 7);
+
+    // Manager+ mueve la factura 1 a marzo
+    documentosErp()[0].fecha_doc = '20/03/2026';
+
+    const reporte = await syncSalesRange('2026-03-01', '2026-03-31');
+
+    assert.deepEqual(reporte.modificados.map(d => [d.docnumreg, d.fecha, d.anterior.fecha]), [['1', '2026-03-20', '2026-02-27']]);
+    assert.deepEqual(reporte.nuevos, []);
+    assert.deepEqual(reporte.eliminados, []);
+    assert.deepEqual(reporte.periodos[0].diasMovidos, ['2026-02-27']);
+
+    assert.equal(await ventaDelDia('AX-001', '2026-02-27'), 2);
+    assert.equal(await ventaDelDia('AX-001', '2026-03-20'), 5);
+    assert.equal(await ventaMensual('AX-001', 2026, 2), 2);
+    assert.equal(await ventaMensual('AX-001', 2026, 3), 5);
+
+    const registro = await prisma.documentoSincronizado.findMany({ orderBy: { docnumreg: 'asc' } });
+    assert.deepEqual(registro.map(d => [d.docnumreg, d.fecha]), [['1', '2026-03-20'], ['2', '2026-02-27']]);
+
+    // Volver a sincronizar cualquiera de los dos meses ya no encuentra diferencias
+    const febrero = await syncSalesRange('2026-02-01', '2026-02-28');
+    const marzo = await syncSalesRange('2026-03-01', '2026-03-31');
+    assert.equal(febrero.periodos[0].procesado, false);
+    assert.equal(marzo.periodos[0].procesado, false);
+    assert.equal(await ventaMensual('AX-001', 2026, 2), 2);
+});
+
+test('sin cambios en Manager+ el rango no se vuelve a procesar', async () => {
+    documentosErp().push(factura(1, '2026-02-10', [['AX-001', 5]]));
+    const primera = await syncSalesRange('2026-02-01', '2026-02-28');
+    assert.deepEqual(primera.nuevos.map(d => d.docnumreg), ['1']);
+
+    const diarias = await prisma.ventaDiaria.findMany();
+    const segunda = await syncSalesRange('2026-02-01', '2026-02-28');
+
+    assert.equal(segunda.periodos[0].procesado, false);
+    assert.deepEqual([segunda.nuevos, segunda.modificados, segunda.eliminados, segunda.sinCambios], [[], [], [], 1]);
+    assert.deepEqual(await prisma.ventaDiaria.findMany(), diarias);
+    assert.equal(await ventaMensual('AX-001', 2026, 2), 5);
+});
+
+test('un documento modificado o eliminado en Manager+ corrige la venta del mes', async () => {
+    documentosErp().push(
+        factura(1, '2026-02-10', [['AX-001', 5]]),
+        factura(2, '2026-02-11', [['AX-001', 2]])
+    );
+    await syncSalesRange('2026-02-01', '2026-02-28');
+
+    documentosErp()[0].detalles[0].cantidad = 8;
+    documentosErp().splice(1, 1);
+
+    const reporte = await syncSalesRange('2026-02-01', '2026-02-28');
+
+    assert.deepEqual(reporte.modificados.map(d => d.docnumreg), ['1']);
+    assert.deepEqual(reporte.eliminados.map(d => d.docnumreg), ['2']);
+    assert.equal(await ventaDelDia('AX-001', '2026-02-10'), 8);
+    assert.equal(await ventaDelDia('AX-001', '2026-02-11'), 0);
+    assert.equal(await ventaMensual('AX-001', 2026, 2), 8);
+
+    const registro = await prisma.documentoSincronizado.findMany();
+    assert.deepEqual(registro.map(d => d.docnumreg), ['1']);
+});
+
+test('force reprocesa un rango sin cambios sin duplicar ventas', async () => {
+    documentosErp().push(factura(1, '2026-02-10', [['AX-001', 5]]));
+    await syncSalesRange('2026-02-01', '2026-02-28');
+
+    const reporte = await syncSalesRange('2026-02-01', '2026-02-28', { force: true });
+
+    assert.equal(reporte.periodos[0].procesado, true);
+    assert.equal(await ventaDelDia('AX-001', '2026-02-10'), 5);
+    assert.equal(await ventaMensual('AX-001', 2026, 2), 5);
+});
+
+test('reemplazar las ventas de un rango aplica a la venta mensual solo la diferencia', async () => {
+    const producto = await prisma.producto.findUnique({ where: { sku: 'AX-001' } });
+    const fila = (fecha, docType, cantidad) => ({ productoId: producto.id, fecha, docType, cantidad, montoNeto: cantidad * 1000 });
+    // Venta del mes guardada por otro día que el reemplazo no toca
+    await reemplazarVentasDiarias('2026-02-01', '2026-02-01', [fila('2026-02-01', 'FAVE', 10)]);
+
+    const primera = await reemplazarVentasDiarias('2026-02-10', '2026-02-11', [
+        fila('2026-02-10', 'FAVE', 6),
+        fila('2026-02-11', 'NCVE', 1)
+    ]);
+    assert.deepEqual(primera.diferencias.map(d => [d.ano, d.mes, d.diferencia.cantidad, d.diferencia.cantidadDevuelta]), [[2026, 2, 5, 1]]);
+
+    const venta = await prisma.ventaHistorica.findFirst({ where: { productoId: producto.id, ano: 2026, mes: 2 } });
+    assert.deepEqual([venta.cantidadVendida, venta.cantidadBruta, venta.cantidadDevuelta, venta.montoNeto], [15, 16, 1, 15000]);
+
+    const repetida = await reemplazarVentasDiarias('2026-02-10', '2026-02-11', [
+        fila('2026-02-10', 'FAVE', 6),
+        fila('2026-02-11', 'NCVE', 1)
+    ]);
+    assert.deepEqual(repetida.diferencias, []);
+    assert.equal(repetida.anteriores.length, 2);
+
+    await reemplazarVentasDiarias('2026-02-10', '2026-02-11', []);
+    assert.equal(await ventaMensual('AX-001', 2026, 2), 10);
+    assert.equal(await prisma.ventaDiaria.count(), 1);
+});
@@ -0,0 +1,140 @@
+require('./helpers/entorno');
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { instalarPrisma } = require('./helpers/prisma');
+const { iniciarMockManager } = require('../mock/managerMasMock');
+const { TIPOS_JOB } = require('../services/syncTipos');
+
+const RUT_EMPRESA = '76000000-0';
+const prisma = instalarPrisma();
+
+let mock;
+let jobs;
+
+const RANGO = TIPOS_JOB.RANGO;
+
+/**
+ * Esperar a que un job quede en un estado final
+ */
+async function esperarFin(id) {
+    for (let i = 0; i < 200; i++) {
+        const job = await jobs.getJob(id);
+        if (!['pendiente', 'en_curso'].includes(job.estado)) return job;
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    throw new Error(`El job #${id} no terminó`);
+}
+
+before(async () => {
+    mock = await iniciarMockManager({
+        puerto: 0,
+        fixtures: { rutEmpresa: RUT_EMPRESA, productos: [], stock: [], documentos: {} }
+    });
+
+    // La configuración del ERP se lee al cargar los módulos
+    process.env.ERP_BASE_URL = mock.url;
+    process.env.RUT_EMPRESA = RUT_EMPRESA;
+    process.env.ERP_USERNAME = 'pruebas';
+    jobs = require('../services/syncJobService');
+});
+
+after(() => new Promise(resolve => mock.server.close(resolve)));
+
+beforeEach(async () => {
+    prisma.$reset();
+    mock.app.locals.mock.reset();
+    await prisma.producto.create({ data: { sku: 'AX-001', descripcion: 'Producto A' } });
+    mock.app.locals.mock.estado.documentos['FAVE/V'] = [
+        { docnumreg: 1, folio: 1, fecha_doc: '10/02/2026', detalles: [{ codigo_prod: 'AX-001', cantidad: 4, precio_unitario: 1000 }] }
+    ];
+});
+
+test('un rango ya encolado se sigue en el mismo job y termina con su reporte', async () => {
+    const { job, existente } = await jobs.encolarJob(RANGO, { desde: '2026-02-01', hasta: '2026-02-28' });
+    const repetido = await jobs.encolarJob(RANGO, { desde: '2026-02-01', hasta: '2026-02-28' });
+    assert.equal(existente, false);
+    assert.deepEqual([repetido.existente, repetido.job.id], [true, job.id]);
+
+    const final = await esperarFin(job.id);
+    assert.equal(final.estado, jobs.ESTADOS.COMPLETADO);
+    assert.deepEqual(final.resultado.nuevos.map(d => d.docnumreg), ['1']);
+    assert.deepEqual(final.eventos.map(e => e.step), ['queued', 'start', 'sales', 'sales_done', 'complete']);
+
+    const [log] = await prisma.syncLog.findMany();
+    assert.equal(log.tipo, 'ventas_historicas');
+});
+
+test('los jobs corren de a uno en orden de llegada y un pendiente se cancela sin correr', async () => {
+    // Manager+ lento para que los jobs se encolen mientras corre el primero
+    mock.app.locals.mock.estado.fallas.push({ ruta: '/FAVE/', status: null, veces: 1, retrasoMs: 200 });
+
+    const primero = await jobs.encolarJob(RANGO, { desde: '2026-02-01', hasta: '2026-02-28' });
+    const segundo = await jobs.encolarJob(RANGO, { desde: '2026-03-01', hasta: '2026-03-31' });
+    const tercero = await jobs.encolarJob(RANGO, { desde: '2026-04-01', hasta: '2026-04-30' });
+
+    const cancelado = await jobs.cancelarJob(tercero.job.id);
+    assert.equal(cancelado.estado, jobs.ESTADOS.CANCELADO);
+    assert.equal(cancelado.eventos.at(-1).step, 'cancelled');
+
+    const [a, b] = [await esperarFin(primero.job.id), await esperarFin(segundo.job.id)];
+    assert.equal(a.estado, jobs.ESTADOS.COMPLETADO);
+    assert.equal(b.estado, jobs.ESTADOS.COMPLETADO);
+    assert.ok(b.iniciadoAt >= a.finalizadoAt);
+
+    const final = await jobs.getJob(tercero.job.id);
+    assert.deepEqual([final.estado, final.iniciadoAt], [jobs.ESTADOS.CANCELADO, null]);
+    await assert.rejects(jobs.cancelarJob(tercero.job.id), { status: 409 });
+});
+
+test('un job en curso se cancela al terminar el paso actual', async () => {
+    mock.app.locals.mock.estado.fallas.push({ ruta: '/FAVE/', status: null, veces: 1, retrasoMs: 200 });
+
+    const { job } = await jobs.encolarJob(RANGO, { desde: '2026-02-01', hasta: '2026-03-31' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const solicitado = await jobs.cancelarJob(job.id);
+    assert.equal(solicitado.eventos.at(-1).step, 'cancel_requested');
+
+    const final = await esperarFin(job.id);
+    assert.equal(final.estado, jobs.ESTADOS.CANCELADO);
+    assert.deepEqual(final.eventos.filter(e => e.step === 'sales').length, 1);
+    assert.equal(final.eventos.at(-1).step, 'cancelled');
+});
+
+test('un job con error se reintenta como un job nuevo con los mismos parámetros', async () => {
+    mock.app.locals.mock.estado.fallas.push({ ruta: '/FAVE/', status: 400, veces: 1, mensaje: 'Consulta inválida' });
+
+    const { job } = await jobs.encolarJob(RANGO, { desde: '2026-02-01', hasta: '2026-02-28', force: true });
+    const fallido = await esperarFin(job.id);
+    assert.equal(fallido.estado, jobs.ESTADOS.ERROR);
+    assert.equal(fallido.eventos.at(-1).step, 'error');
+
+    const reintento = await jobs.reintentarJob(job.id);
+    assert.notEqual(reintento.job.id, job.id);
+    assert.deepEqual([reintento.job.reintentoDeId, reintento.job.parametros],
+        [job.id, { desde: '2026-02-01', hasta: '2026-02-28', force: true }]);
+
+    const final = await esperarFin(reintento.job.id);
+    assert.equal(final.estado, jobs.ESTADOS.COMPLETADO);
+    await assert.rejects(jobs.reintentarJob(final.id), { status: 409 });
+});
+
+test('al iniciar, un job que quedó en curso se marca con error y los pendientes se retoman', async () => {
+    const interrumpido = await prisma.syncJob.create({
+        data: { tipo: RANGO, parametros: JSON.stringify({ desde: '2026-01-01', hasta: '2026-01-31', force: false }), estado: 'en_curso' }
+    });
+    const pendiente = await prisma.syncJob.create({
+        data: { tipo: RANGO, parametros: JSON.stringify({ desde: '2026-02-01', hasta: '2026-02-28', force: false }) }
+    });
+
+    await jobs.recuperarJobsInterrumpidos();
+
+    const final = await jobs.getJob(interrumpido.id);
+    assert.deepEqual([final.estado, final.error], [jobs.ESTADOS.ERROR, 'Interrumpido por reinicio del servidor']);
+    assert.equal((await esperarFin(pendiente.id)).estado, jobs.ESTADOS.COMPLETADO);
+});
+
+test('un rango inválido no se encola', async () => {
+    await assert.rejects(jobs.encolarJob(RANGO, { desde: '2026-03-01', hasta: '2026-02-01' }), { status: 400 });
+    await assert.rejects(jobs.encolarJob('semanal'), { status: 400 });
+    assert.equal(await prisma.syncJob.count(), 0);
+});
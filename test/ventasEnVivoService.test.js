@@ -0,0 +1,66 @@
+require('./helpers/entorno');
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { instalarPrisma } = require('./helpers/prisma');
+
+instalarPrisma();
+
+// Manager+ simulado: ventasEnVivoService toma getDocumentsByType al cargarse
+const salesService = require('../services/salesService');
+let consultas = 0;
+let falla = null;
+salesService.getDocumentsByType = async () => {
+    consultas++;
+    if (falla) throw falla;
+    return [];
+};
+
+const { CONFIG, ESTADOS_CACHE, getVentasHoy, refrescar } = require('../services/ventasEnVivoService');
+
+const ahoraReal = Date.now;
+let ahora;
+
+beforeEach(() => {
+    CONFIG.intervaloSegundos = 60;
+    CONFIG.backoffMaxSegundos = 600;
+    ahora = ahoraReal();
+    Date.now = () => ahora;
+});
+
+afterEach(() => {
+    Date.now = ahoraReal;
+});
+
+test('tras errores seguidos espera cada vez el doble antes de volver a consultar Manager+', async () => {
+    falla = new Error('Manager+ no responde');
+    await refrescar();
+    const tiposPorRefresco = consultas;
+    consultas = 0;
+
+    // Dentro de la espera el dashboard responde con el caché sin consultar el ERP
+    const { estado } = getVentasHoy();
+    assert.equal(estado.estado, ESTADOS_CACHE.ERROR);
+    assert.equal(estado.erroresConsecutivos, 1);
+    assert.equal(new Date(estado.proximoIntento).getTime() - new Date(estado.ultimoIntento).getTime(), 60 * 1000);
+    ahora += 59 * 1000;
+    getVentasHoy();
+    assert.equal(consultas, 0);
+
+    await refrescar();
+    const segundo = getVentasHoy().estado;
+    assert.equal(segundo.erroresConsecutivos, 2);
+    assert.equal(new Date(segundo.proximoIntento).getTime() - new Date(segundo.ultimoIntento).getTime(), 120 * 1000);
+
+    // Pasada la espera vuelve a intentar y al responder bien deja de esperar
+    falla = null;
+    consultas = 0;
+    ahora = new Date(segundo.proximoIntento).getTime() + 1;
+    getVentasHoy();
+    await refrescar();
+    assert.equal(consultas, tiposPorRefresco);
+
+    const recuperado = getVentasHoy().estado;
+    assert.equal(recuperado.estado, ESTADOS_CACHE.OK);
+    assert.equal(recuperado.erroresConsecutivos, 0);
+    assert.equal(recuperado.proximoIntento, null);
+});
@@ -3,12 +3,16 @@
  */
 
 const axios = require('axios');
+const { logInfo, logSuccess, logError } = require('./logger');
 
 // Variables de entorno
 const ERP_BASE_URL = process.env.ERP_BASE_URL;
 const ERP_USERNAME = process.env.ERP_USERNAME;
 const ERP_PASSWORD = process.env.ERP_PASSWORD;
 
+// Vigencia asumida del token; si Manager+ lo rechaza antes (401) el cliente ERP lo invalida
+const TOKEN_MINUTOS = parseInt(process.env.ERP_TOKEN_MINUTOS || '60', 10);
+
 // Cache del token
 let authToken = null;
 let tokenExpirationTime = null;
@@ -21,7 +25,7 @@ let authPromise = null;
  */
 async function authenticateWithERP() {
     try {
-        console.log('🔐 Autenticando con Manager+...');
+        logInfo('🔐 Autenticando con Manager+...');
 
         const response = await axios.post(`${ERP_BASE_URL}/auth/`, {
             username: ERP_USERNAME,
@@ -29,17 +33,20 @@ async function authenticateWithERP() {
         }, {
             headers: {
                 'Content-Type': 'application/json'
-            }
+            },
+            timeout: 30000
         });
 
         authToken = response.data.auth_token;
-        tokenExpirationTime = Date.now() + (60 * 60 * 1000); // 1 hora
+        tokenExpirationTime = Date.now() + TOKEN_MINUTOS * 60 * 1000;
 
-        console.log('✅ Autenticación exitosa\n');
+        logSuccess('Autenticación con Manager+ exitosa');
         return authToken;
 
     } catch (error) {
-        console.error('❌ Error en la autenticación:', error.response?.data || error.message);
+        logError(`Error en la autenticación con Manager+: ${error.response?.data?.message || error.message}`, {
+            status: error.response?.status
+        });
         throw new Error('Error al autenticarse con el ERP: ' + (error.response?.data?.message || error.message));
     }
 }
@@ -70,6 +77,14 @@ async function getAuthToken() {
     }
 }
 
+/**
+ * Descartar el token en caché (Manager+ respondió 401): la próxima solicitud se autentica de nuevo
+ */
+function invalidarToken() {
+    authToken = null;
+    tokenExpirationTime = null;
+}
+
 /**
  * Obtener headers de autorización
  */
@@ -84,5 +99,6 @@ async function getAuthHeaders() {
 module.exports = {
     authenticateWithERP,
     getAuthToken,
-    getAuthHeaders
+    getAuthHeaders,
+    invalidarToken
 };
@@ -0,0 +1,60 @@
+/**
+ * Bodegas de Manager+: nombre de cada registro de stock y cuáles cuentan como stock disponible
+ *
+ * Lo usan la sincronización de stock (stockService), el detalle por bodega (stockBodegaService) y el
+ * stock que trae la consulta de ventas (salesService).
+ */
+
+require('dotenv').config();
+
+// Nombre con que se guardan los registros de stock que no informan bodega
+const BODEGA_SIN_NOMBRE = 'Sin bodega';
+
+// Bodegas que cuentan como stock disponible (nombres separados por coma, sin distinguir mayúsculas).
+// Vacío = todas las bodegas excepto las temporales.
+const BODEGAS_DISPONIBLES = (process.env.STOCK_BODEGAS_DISPONIBLES || '')
+    .split(',')
+    .map(b => b.toLowerCase().trim())
+    .filter(Boolean);
+
+/**
+ * Nombre de la bodega de un registro de stock de Manager+ (el campo varía según el endpoint)
+ */
+function getNombreBodega(stockItem = {}) {
+    return (
+        stockItem.bodega ||
+        stockItem.almacen ||
+        stockItem.descripcion_bodega ||
+        stockItem.nombre_bodega ||
+        stockItem.bod ||
+        ''
+    ).toString().trim() || BODEGA_SIN_NOMBRE;
+}
+
+/**
+ * Determina si una bodega cuenta como stock disponible
+ * Con STOCK_BODEGAS_DISPONIBLES definido solo cuentan esas bodegas; si no, todas menos "temporal".
+ *
+ * @param {string} bodega - Nombre de la bodega (ver getNombreBodega)
+ * @returns {boolean}
+ */
+function esBodegaDisponible(bodega) {
+    const name = (bodega || '').toLowerCase().trim();
+
+    // Si no hay nombre de bodega, asumimos bodega general (evita descartar todo por falta de campo)
+    if (!name || name === BODEGA_SIN_NOMBRE.toLowerCase()) return true;
+
+    if (BODEGAS_DISPONIBLES.length > 0) return BODEGAS_DISPONIBLES.includes(name);
+
+    if (name.includes('temporal')) return false;
+    if (name.includes('general')) return true;
+
+    // Fallback: incluir otras bodegas solo si no son temporales
+    return !name.includes('temporal');
+}
+
+module.exports = {
+    BODEGA_SIN_NOMBRE,
+    getNombreBodega,
+    esBodegaDisponible
+};
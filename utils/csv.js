@@ -0,0 +1,93 @@
+/**
+ * Lectura de archivos CSV
+ *
+ * Acepta separador coma, punto y coma o tabulación (se detecta en la primera línea), campos
+ * entre comillas con comillas dobles escapadas y saltos de línea dentro de comillas.
+ */
+
+const SEPARADORES = [',', ';', '\t'];
+
+/**
+ * Decodificar el archivo: UTF-8 (con o sin BOM) o, si no es UTF-8 válido, Windows-1252/Latin-1
+ * (lo que genera Excel al guardar como "CSV delimitado por comas")
+ */
+function decodificarTexto(buffer) {
+    const utf8 = buffer.toString('utf8');
+    const texto = utf8.includes('\uFFFD') ? buffer.toString('latin1') : utf8;
+    return texto.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Separador más frecuente fuera de comillas en la primera línea
+ */
+function detectarSeparador(texto) {
+    const primeraLinea = texto.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    let mejor = SEPARADORES[0];
+    let maximo = 0;
+    for (const separador of SEPARADORES) {
+        const cantidad = primeraLinea.split(separador).length - 1;
+        if (cantidad > maximo) {
+            maximo = cantidad;
+            mejor = separador;
+        }
+    }
+    return mejor;
+}
+
+/**
+ * Convertir un CSV en filas de celdas (strings)
+ *
+ * @param {string|Buffer} contenido
+ * @returns {string[][]}
+ */
+function leerCsv(contenido) {
+    const texto = Buffer.isBuffer(contenido) ? decodificarTexto(contenido) : contenido.replace(/^\uFEFF/, '');
+    const separador = detectarSeparador(texto);
+
+    const filas = [];
+    let fila = [];
+    let campo = '';
+    let entreComillas = false;
+
+    for (let i = 0; i < texto.length; i++) {
+        const c = texto[i];
+
+        if (entreComillas) {
+            if (c === '"' && texto[i + 1] === '"') {
+                campo += '"';
+                i++;
+            } else if (c === '"') {
+                entreComillas = false;
+            } else {
+                campo += c;
+            }
+            continue;
+        }
+
+        if (c === '"') {
+            entreComillas = true;
+        } else if (c === separador) {
+            fila.push(campo);
+            campo = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && texto[i + 1] === '\n') i++;
+            fila.push(campo);
+            filas.push(fila);
+            fila = [];
+            campo = '';
+        } else {
+            campo += c;
+        }
+    }
+
+    if (campo !== '' || fila.length > 0) {
+        fila.push(campo);
+        filas.push(fila);
+    }
+
+    return filas;
+}
+
+module.exports = {
+    leerCsv
+};
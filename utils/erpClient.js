@@ -0,0 +1,316 @@
+/**
+ * Cliente HTTP compartido para la API de Manager+
+ *
+ * Todas las llamadas al ERP pasan por aquí para respetar un mismo presupuesto:
+ * - Concurrencia máxima (ERP_MAX_CONCURRENCIA) y solicitudes por minuto (ERP_MAX_SOLICITUDES_MINUTO)
+ * - 429: espera lo que indica Retry-After (o el campo "retry" de Manager+) y pausa todas las solicitudes
+ * - Errores de red y 5xx: reintentos con backoff exponencial acotado (solo solicitudes idempotentes)
+ * - 401: invalida el token, se vuelve a autenticar una vez y repite la solicitud
+ * - Métricas por endpoint (getMetricasErp) y en Prometheus (GET /metrics)
+ */
+
+const axios = require('axios');
+const { getAuthHeaders, invalidarToken } = require('./auth');
+const { logWarning } = require('./logger');
+const { crearContador, crearHistograma } = require('./metrics');
+
+const ERP_BASE_URL = process.env.ERP_BASE_URL;
+const RUT_EMPRESA = process.env.RUT_EMPRESA;
+
+// Configuración (variables de entorno)
+const CONFIG = {
+    maxConcurrencia: Math.max(1, parseInt(process.env.ERP_MAX_CONCURRENCIA || '4', 10)),
+    // 0 = sin límite
+    maxSolicitudesMinuto: parseInt(process.env.ERP_MAX_SOLICITUDES_MINUTO || '100', 10),
+    maxReintentos: parseInt(process.env.ERP_MAX_REINTENTOS || '4', 10),
+    backoffBaseMs: 1000,
+    backoffMaxMs: parseInt(process.env.ERP_BACKOFF_MAX_SEGUNDOS || '30', 10) * 1000,
+    timeoutMs: parseInt(process.env.ERP_TIMEOUT_MS || '60000', 10)
+};
+
+const VENTANA_MS = 60 * 1000;
+
+// Estado compartido del limitador
+let activas = 0;
+const cola = [];
+const enviadas = [];
+let pausaHasta = 0;
+
+// Métricas por endpoint ("GET /documents/:rut/FAVE/V" → contadores)
+const metricas = new Map();
+
+// Prometheus: por endpoint (con el tipo de documento como etiqueta aparte) y status
+const erpSolicitudesTotal = crearContador('erp_requests_total',
+    'Solicitudes HTTP a Manager+ (cada intento) por endpoint, tipo de documento y status', ['endpoint', 'doc_type', 'status']);
+const erpDuracion = crearHistograma('erp_request_duration_seconds',
+    'Duración de las solicitudes a Manager+', ['endpoint', 'doc_type'], [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]);
+const erpErroresTotal = crearContador('erp_errors_total',
+    'Solicitudes a Manager+ que fallaron después de los reintentos', ['endpoint', 'doc_type', 'status']);
+const erpReintentosTotal = crearContador('erp_retries_total',
+    'Reintentos de solicitudes a Manager+', ['endpoint', 'doc_type', 'status']);
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Tomar un cupo de concurrencia (espera en cola si no hay)
+ */
+async function adquirirCupo() {
+    if (activas < CONFIG.maxConcurrencia) {
+        activas++;
+        return;
+    }
+    await new Promise(resolve => cola.push(resolve));
+}
+
+/**
+ * Liberar un cupo: pasa directo al siguiente en cola
+ */
+function liberarCupo() {
+    const siguiente = cola.shift();
+    if (siguiente) {
+        siguiente();
+    } else {
+        activas--;
+    }
+}
+
+/**
+ * Esperar a que termine una pausa por 429 y a que haya presupuesto en la ventana de un minuto
+ */
+async function esperarTurno() {
+    for (;;) {
+        const ahora = Date.now();
+
+        if (pausaHasta > ahora) {
+            await esperar(pausaHasta - ahora);
+            continue;
+        }
+
+        while (enviadas.length > 0 && enviadas[0] <= ahora - VENTANA_MS) {
+            enviadas.shift();
+        }
+
+        if (CONFIG.maxSolicitudesMinuto > 0 && enviadas.length >= CONFIG.maxSolicitudesMinuto) {
+            await esperar(enviadas[0] + VENTANA_MS - ahora);
+            continue;
+        }
+
+        enviadas.push(ahora);
+        return;
+    }
+}
+
+/**
+ * Segundos a esperar según un 429: header Retry-After (segundos o fecha) o campo "retry" de Manager+
+ */
+function getRetryAfterMs(response) {
+    const header = response?.headers?.['retry-after'];
+    if (header !== undefined) {
+        const segundos = Number(header);
+        if (Number.isFinite(segundos)) return segundos * 1000;
+        const fecha = Date.parse(header);
+        if (!isNaN(fecha)) return Math.max(0, fecha - Date.now());
+    }
+
+    const retry = Number(response?.data?.retry);
+    return Number.isFinite(retry) ? retry * 1000 : null;
+}
+
+/**
+ * Backoff exponencial acotado con jitter para el intento indicado (desde 1)
+ */
+function getBackoffMs(intento) {
+    const base = Math.min(CONFIG.backoffMaxMs, CONFIG.backoffBaseMs * 2 ** (intento - 1));
+    return Math.round(base / 2 + Math.random() * base / 2);
+}
+
+/**
+ * Nombre del endpoint para las métricas: método y ruta sin query, con el RUT reemplazado
+ */
+function getNombreEndpoint(method, path) {
+    let ruta = path.split('?')[0].replace(/\/+$/, '') || '/';
+    if (RUT_EMPRESA) ruta = ruta.split(`/${RUT_EMPRESA}`).join('/:rut');
+    return `${method.toUpperCase()} ${ruta}`;
+}
+
+/**
+ * Etiquetas Prometheus de un endpoint: "GET /documents/:rut/FAVE/V" → endpoint "GET /documents/:rut/:docType/V", doc_type "FAVE"
+ */
+function getEtiquetas(nombre) {
+    const documento = nombre.match(/^(\S+ \/documents\/[^/]+\/)([^/:]+)(.*)$/);
+    if (!documento) return { endpoint: nombre, doc_type: '' };
+    return { endpoint: `${documento[1]}:docType${documento[3]}`, doc_type: documento[2] };
+}
+
+function getMetrica(endpoint) {
+    if (!metricas.has(endpoint)) {
+        metricas.set(endpoint, {
+            solicitudes: 0,
+            exitosas: 0,
+            errores: 0,
+            reintentos: 0,
+            limitadas: 0,
+            reautenticaciones: 0,
+            duracionTotalMs: 0,
+            duracionMaxMs: 0,
+            ultimoStatus: null,
+            ultimoError: null,
+            ultimaSolicitud: null
+        });
+    }
+    return metricas.get(endpoint);
+}
+
+/**
+ * Hacer una solicitud a Manager+
+ *
+ * @param {object} opciones
+ * @param {string} [opciones.method='GET']
+ * @param {string} opciones.path - Ruta desde ERP_BASE_URL (ej: `/documents/${RUT}/FAVE/V`)
+ * @param {object} [opciones.params] - Query string
+ * @param {object} [opciones.data] - Body
+ * @param {number} [opciones.timeout] - Por defecto ERP_TIMEOUT_MS
+ * @param {string} [opciones.endpoint] - Nombre para las métricas (por defecto método + ruta)
+ * @param {boolean} [opciones.idempotente] - Reintentar ante errores de red y 5xx (por defecto solo GET)
+ * @param {number} [opciones.reintentos] - Máximo de reintentos (por defecto ERP_MAX_REINTENTOS)
+ * @returns {Promise<import('axios').AxiosResponse>}
+ */
+async function erpRequest({
+    method = 'GET',
+    path,
+    params,
+    data,
+    timeout = CONFIG.timeoutMs,
+    endpoint,
+    idempotente = method.toUpperCase() === 'GET',
+    reintentos = CONFIG.maxReintentos
+}) {
+    const nombre = endpoint || getNombreEndpoint(method, path);
+    const metrica = getMetrica(nombre);
+    const etiquetas = getEtiquetas(nombre);
+    let reautenticado = false;
+
+    for (let intento = 1; ; intento++) {
+        let espera = null;
+
+        await adquirirCupo();
+        try {
+            await esperarTurno();
+
+            const inicio = Date.now();
+            metrica.solicitudes++;
+            metrica.ultimaSolicitud = new Date();
+
+            try {
+                const response = await axios.request({
+                    method,
+                    url: `${ERP_BASE_URL}${path}`,
+                    params,
+                    data,
+                    timeout,
+                    headers: await getAuthHeaders()
+                });
+
+                metrica.exitosas++;
+                metrica.ultimoStatus = response.status;
+                erpSolicitudesTotal.inc({ ...etiquetas, status: response.status });
+                return response;
+
+            } catch (error) {
+                const status = error.response?.status;
+                metrica.ultimoStatus = status || null;
+                metrica.ultimoError = error.response?.data?.message || error.message;
+                // Sin respuesta: código de error de red (ECONNRESET, ECONNABORTED, ...)
+                const statusMetrica = status || error.code || 'error';
+                erpSolicitudesTotal.inc({ ...etiquetas, status: statusMetrica });
+
+                if (status === 401 && !reautenticado) {
+                    // Token vencido o revocado: autenticarse de nuevo y repetir sin contar el intento
+                    reautenticado = true;
+                    metrica.reautenticaciones++;
+                    invalidarToken();
+                    espera = 0;
+                } else if (intento <= reintentos && status === 429) {
+                    metrica.limitadas++;
+                    espera = getRetryAfterMs(error.response) ?? getBackoffMs(intento);
+                    // El límite es de la cuenta: pausar todas las solicitudes, no solo esta
+                    pausaHasta = Math.max(pausaHasta, Date.now() + espera + 1000);
+                    espera = 0;
+                } else if (intento <= reintentos && idempotente && (!status || status >= 500)) {
+                    espera = getBackoffMs(intento);
+                }
+
+                if (espera === null) {
+                    metrica.errores++;
+                    erpErroresTotal.inc({ ...etiquetas, status: statusMetrica });
+                    throw error;
+                }
+
+                metrica.reintentos++;
+                erpReintentosTotal.inc({ ...etiquetas, status: statusMetrica });
+                if (status === 401) {
+                    logWarning(`Manager+ ${nombre}: 401, autenticando de nuevo...`);
+                    intento--;
+                } else {
+                    logWarning(`Manager+ ${nombre}: ${status || error.code || error.message} (intento ${intento}/${reintentos + 1}), reintentando...`);
+                }
+            } finally {
+                const duracion = Date.now() - inicio;
+                metrica.duracionTotalMs += duracion;
+                metrica.duracionMaxMs = Math.max(metrica.duracionMaxMs, duracion);
+                erpDuracion.observe(etiquetas, duracion / 1000);
+            }
+        } finally {
+            liberarCupo();
+        }
+
+        // El backoff se espera sin ocupar un cupo de concurrencia
+        if (espera > 0) await esperar(espera);
+    }
+}
+
+/**
+ * GET a Manager+ (ver erpRequest)
+ */
+function erpGet(path, opciones = {}) {
+    return erpRequest({ ...opciones, method: 'GET', path });
+}
+
+/**
+ * POST a Manager+ (ver erpRequest); no se reintenta ante errores de red ni 5xx salvo idempotente: true
+ */
+function erpPost(path, data, opciones = {}) {
+    return erpRequest({ ...opciones, method: 'POST', path, data });
+}
+
+/**
+ * Métricas del cliente: estado del limitador y contadores por endpoint
+ */
+function getMetricasErp() {
+    const ahora = Date.now();
+    const endpoints = {};
+
+    for (const [nombre, m] of metricas) {
+        endpoints[nombre] = {
+            ...m,
+            duracionPromedioMs: m.solicitudes > 0 ? Math.round(m.duracionTotalMs / m.solicitudes) : null
+        };
+    }
+
+    return {
+        configuracion: CONFIG,
+        activas,
+        enCola: cola.length,
+        solicitudesUltimoMinuto: enviadas.filter(t => t > ahora - VENTANA_MS).length,
+        pausadoHasta: pausaHasta > ahora ? new Date(pausaHasta) : null,
+        endpoints
+    };
+}
+
+module.exports = {
+    CONFIG,
+    erpRequest,
+    erpGet,
+    erpPost,
+    getMetricasErp
+};
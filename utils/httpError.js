@@ -0,0 +1,21 @@
+/**
+ * Errores de negocio con código HTTP
+ *
+ * Los servicios lanzan httpError(mensaje, status) y los controladores responden con error.status y el
+ * mensaje tal cual; un error sin status es inesperado y se responde como 500.
+ */
+
+/**
+ * @param {string} message - Mensaje para el cliente
+ * @param {number} [status=400]
+ * @returns {Error & {status: number}}
+ */
+function httpError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = {
+    httpError
+};
@@ -1,7 +1,22 @@
 /**
- * Utilidades para logging con formato
+ * Logging estructurado con niveles, contexto y archivos rotativos
+ *
+ * - Niveles debug < info < warn < error; se emiten los iguales o mayores a LOG_LEVEL (por defecto info)
+ * - LOG_FORMAT: "json" (una línea JSON por entrada) o "pretty" (con colores); por defecto json en producción
+ * - Contexto: conContexto({ requestId } | { jobId }, fn) agrega esos campos a todo lo que se registre
+ *   dentro de fn (también en llamadas asíncronas); crearLogger(campos) crea un logger hijo con campos fijos
+ * - Archivos: JSON por línea en LOG_DIRECTORIO/app.log, rota al superar LOG_MAX_MB y conserva LOG_ARCHIVOS
+ * - leerLogs() busca en las entradas recientes (para el endpoint de administración)
+ *
+ * Las funciones de siempre (logInfo, logSuccess, logError, ...) se mantienen y aceptan un segundo
+ * argumento opcional con datos adicionales.
  */
 
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { AsyncLocalStorage } = require('async_hooks');
+
 const colors = {
     reset: '\x1b[0m',
     bright: '\x1b[1m',
@@ -14,48 +29,352 @@ const colors = {
     cyan: '\x1b[36m',
 };
 
-function log(message, color = 'reset') {
-    const timestamp = new Date().toISOString();
-    const colorCode = colors[color] || colors.reset;
-    console.log(`${colorCode}${message}${colors.reset}`);
+const NIVELES = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+const ARCHIVO_BASE = 'app';
+
+// Configuración (variables de entorno)
+const CONFIG = {
+    nivel: NIVELES[(process.env.LOG_LEVEL || '').toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : 'info',
+    formato: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+    // Vacío = sin archivos
+    directorio: process.env.LOG_DIRECTORIO ?? path.join(__dirname, '..', 'data', 'logs'),
+    maxBytes: parseFloat(process.env.LOG_MAX_MB || '10') * 1024 * 1024,
+    archivos: Math.max(1, parseInt(process.env.LOG_ARCHIVOS || '5', 10)),
+    // Entradas recientes en memoria (respaldo de leerLogs si no hay archivos)
+    memoria: 1000
+};
+
+const contexto = new AsyncLocalStorage();
+const recientes = [];
+
+let stream = null;
+let bytesArchivo = 0;
+let archivoDeshabilitado = !CONFIG.directorio;
+
+function getRutaArchivo(indice = 0) {
+    return path.join(CONFIG.directorio, indice === 0 ? `${ARCHIVO_BASE}.log` : `${ARCHIVO_BASE}.${indice}.log`);
+}
+
+/**
+ * Abrir el archivo actual (se crea la carpeta si no existe)
+ */
+function abrirArchivo() {
+    try {
+        fs.mkdirSync(CONFIG.directorio, { recursive: true });
+        const ruta = getRutaArchivo();
+        bytesArchivo = fs.existsSync(ruta) ? fs.statSync(ruta).size : 0;
+        // Descriptor abierto de inmediato: si se rota antes de que el stream escriba, lo pendiente
+        // termina en el archivo renombrado y no en el nuevo
+        stream = fs.createWriteStream(null, { fd: fs.openSync(ruta, 'a') });
+        stream.on('error', (error) => {
+            archivoDeshabilitado = true;
+            stream = null;
+            console.error(`${colors.red}❌ Log en archivo deshabilitado: ${error.message}${colors.reset}`);
+        });
+    } catch (error) {
+        archivoDeshabilitado = true;
+        console.error(`${colors.red}❌ Log en archivo deshabilitado: ${error.message}${colors.reset}`);
+    }
+}
+
+/**
+ * Rotar: app.log → app.1.log → ... → app.{LOG_ARCHIVOS - 1}.log (el más antiguo se descarta)
+ */
+function rotarArchivo() {
+    stream.end();
+    stream = null;
+
+    try {
+        for (let i = CONFIG.archivos - 1; i >= 1; i--) {
+            const origen = getRutaArchivo(i - 1);
+            if (fs.existsSync(origen)) fs.renameSync(origen, getRutaArchivo(i));
+        }
+        if (CONFIG.archivos === 1) fs.unlinkSync(getRutaArchivo());
+    } catch (error) {
+        console.error(`${colors.red}❌ Error al rotar logs: ${error.message}${colors.reset}`);
+    }
+
+    abrirArchivo();
+}
+
+function escribirArchivo(linea) {
+    if (archivoDeshabilitado) return;
+    if (!stream) abrirArchivo();
+    if (!stream) return;
+
+    const bytes = Buffer.byteLength(linea) + 1;
+    if (bytesArchivo > 0 && bytesArchivo + bytes > CONFIG.maxBytes) {
+        rotarArchivo();
+        if (!stream) return;
+    }
+    stream.write(linea + '\n');
+    bytesArchivo += bytes;
+}
+
+/**
+ * Datos adicionales serializables (los Error se convierten en { message, stack })
+ */
+function normalizarDatos(datos) {
+    if (!datos) return {};
+    if (datos instanceof Error) return { error: { message: datos.message, stack: datos.stack } };
+
+    const resultado = {};
+    for (const [clave, valor] of Object.entries(datos)) {
+        resultado[clave] = valor instanceof Error ? { message: valor.message, stack: valor.stack } : valor;
+    }
+    return resultado;
+}
+
+/**
+ * Campos de contexto para mostrar en formato pretty: [job=12 req=ab12cd34]
+ */
+function formatContexto(entrada) {
+    const partes = [];
+    if (entrada.jobId !== undefined) partes.push(`job=${entrada.jobId}`);
+    if (entrada.requestId !== undefined) partes.push(`req=${String(entrada.requestId).slice(0, 8)}`);
+    return partes.length > 0 ? ` ${colors.dim}[${partes.join(' ')}]${colors.reset}` : '';
+}
+
+/**
+ * Registrar una entrada
+ *
+ * @param {string} nivel - debug | info | warn | error
+ * @param {string} message
+ * @param {object} [datos] - Campos adicionales
+ * @param {object} [opciones]
+ * @param {string} [opciones.color] - Color en formato pretty
+ * @param {object} [opciones.campos] - Campos fijos del logger hijo
+ */
+function registrar(nivel, message, datos, { color = 'reset', campos } = {}) {
+    if (NIVELES[nivel] < NIVELES[CONFIG.nivel]) return;
+
+    const entrada = {
+        time: new Date().toISOString(),
+        level: nivel,
+        msg: String(message),
+        ...contexto.getStore(),
+        ...campos,
+        ...normalizarDatos(datos)
+    };
+
+    let linea;
+    try {
+        linea = JSON.stringify(entrada);
+    } catch {
+        linea = JSON.stringify({ time: entrada.time, level: nivel, msg: entrada.msg });
+    }
+
+    if (CONFIG.formato === 'json') {
+        (nivel === 'error' ? process.stderr : process.stdout).write(linea + '\n');
+    } else {
+        const colorCode = colors[color] || colors.reset;
+        console.log(`${colors.dim}${entrada.time}${colors.reset} ${colorCode}${entrada.msg}${colors.reset}${formatContexto(entrada)}`);
+    }
+
+    recientes.push(entrada);
+    if (recientes.length > CONFIG.memoria) recientes.shift();
+
+    escribirArchivo(linea);
+}
+
+function log(message, color = 'reset', datos) {
+    registrar('info', message, datos, { color });
 }
 
 function logSection(title) {
-    console.log('\n' + '='.repeat(60));
-    log(`  ${title}`, 'bright');
-    console.log('='.repeat(60) + '\n');
+    if (CONFIG.formato === 'pretty') console.log('\n' + '='.repeat(60));
+    registrar('info', `  ${title}`, null, { color: 'bright' });
+    if (CONFIG.formato === 'pretty') console.log('='.repeat(60) + '\n');
 }
 
+/**
+ * Barra de progreso en la consola (solo formato pretty; en JSON se registra solo al terminar)
+ */
 function logProgress(current, total, item = 'items') {
     const percentage = Math.round((current / total) * 100);
+    if (CONFIG.formato !== 'pretty') {
+        if (current === total) registrar('debug', `Progreso: ${current}/${total} (${percentage}%) - ${item}`);
+        return;
+    }
     process.stdout.write(`\r   Progreso: ${current}/${total} (${percentage}%) - ${item}`);
     if (current === total) {
         process.stdout.write('\n');
     }
 }
 
-function logSuccess(message) {
-    log(`✅ ${message}`, 'green');
+function logDebug(message, datos) {
+    registrar('debug', message, datos, { color: 'dim' });
+}
+
+function logSuccess(message, datos) {
+    registrar('info', `✅ ${message}`, datos, { color: 'green' });
+}
+
+function logError(message, datos) {
+    registrar('error', `❌ ${message}`, datos, { color: 'red' });
+}
+
+function logWarning(message, datos) {
+    registrar('warn', `⚠️  ${message}`, datos, { color: 'yellow' });
+}
+
+function logInfo(message, datos) {
+    registrar('info', `ℹ️  ${message}`, datos, { color: 'blue' });
+}
+
+/**
+ * Logger hijo: todo lo que registre lleva los campos indicados (ej: { jobId: 12 })
+ */
+function crearLogger(campos = {}) {
+    return {
+        campos,
+        debug: (message, datos) => registrar('debug', message, datos, { color: 'dim', campos }),
+        info: (message, datos) => registrar('info', `ℹ️  ${message}`, datos, { color: 'blue', campos }),
+        success: (message, datos) => registrar('info', `✅ ${message}`, datos, { color: 'green', campos }),
+        warn: (message, datos) => registrar('warn', `⚠️  ${message}`, datos, { color: 'yellow', campos }),
+        error: (message, datos) => registrar('error', `❌ ${message}`, datos, { color: 'red', campos }),
+        child: (extra) => crearLogger({ ...campos, ...extra })
+    };
+}
+
+/**
+ * Ejecutar fn con un contexto propio: las entradas registradas dentro (aunque sea desde otros
+ * módulos o después de un await) llevan esos campos. No hereda el contexto de quien la llama.
+ */
+function conContexto(campos, fn) {
+    return contexto.run({ ...campos }, fn);
 }
 
-function logError(message) {
-    log(`❌ ${message}`, 'red');
+/**
+ * Contexto actual (ej: { requestId }) o null
+ */
+function getContexto() {
+    return contexto.getStore() || null;
 }
 
-function logWarning(message) {
-    log(`⚠️  ${message}`, 'yellow');
+/**
+ * Recorrer las entradas de un archivo de log línea a línea, sin cargarlo completo en memoria
+ * (las líneas que no son JSON se ignoran)
+ */
+async function* leerArchivo(ruta) {
+    let archivo;
+    try {
+        archivo = await fs.promises.open(ruta, 'r');
+    } catch {
+        // Rotado o borrado entre la búsqueda de archivos y la lectura
+        return;
+    }
+
+    const lineas = readline.createInterface({ input: archivo.createReadStream({ encoding: 'utf8' }), crlfDelay: Infinity });
+    try {
+        for await (const linea of lineas) {
+            if (!linea) continue;
+            let entrada;
+            try {
+                entrada = JSON.parse(linea);
+            } catch {
+                // Línea cortada (por ejemplo, al rotar o si el proceso terminó a mitad de escritura)
+                continue;
+            }
+            yield entrada;
+        }
+    } finally {
+        lineas.close();
+        await archivo.close().catch(() => {});
+    }
 }
 
-function logInfo(message) {
-    log(`ℹ️  ${message}`, 'blue');
+/**
+ * Buscar en los logs recientes, del más nuevo al más antiguo
+ *
+ * Lee los archivos rotativos (app.log, app.1.log, ...) o, si no hay archivos, las entradas en memoria.
+ * Cada archivo se recorre en streaming y solo se guardan las últimas coincidencias que caben en el
+ * límite, así la memoria no depende del tamaño de los archivos.
+ *
+ * @param {object} [filtros]
+ * @param {string} [filtros.nivel] - Nivel mínimo (debug, info, warn, error)
+ * @param {string} [filtros.q] - Texto a buscar en el mensaje y los datos (sin distinguir mayúsculas)
+ * @param {string|number} [filtros.jobId]
+ * @param {string} [filtros.requestId]
+ * @param {Date} [filtros.desde]
+ * @param {Date} [filtros.hasta]
+ * @param {number} [filtros.limite=200]
+ * @returns {Promise<{entradas: object[], archivos: number, truncado: boolean}>}
+ */
+async function leerLogs({ nivel, q, jobId, requestId, desde, hasta, limite = 200 } = {}) {
+    const minimo = NIVELES[nivel] || 0;
+    const texto = q ? q.toString().toLowerCase() : null;
+    const desdeIso = desde ? desde.toISOString() : null;
+    const hastaIso = hasta ? hasta.toISOString() : null;
+
+    const coincide = (e) => {
+        if ((NIVELES[e.level] || 0) < minimo) return false;
+        if (jobId !== undefined && String(e.jobId) !== String(jobId)) return false;
+        if (requestId !== undefined && e.requestId !== requestId) return false;
+        if (desdeIso && !(e.time >= desdeIso)) return false;
+        if (hastaIso && !(e.time <= hastaIso)) return false;
+        if (texto && !JSON.stringify(e).toLowerCase().includes(texto)) return false;
+        return true;
+    };
+
+    // Del archivo más nuevo (app.log) al más antiguo
+    const fuentes = [];
+    if (!archivoDeshabilitado) {
+        for (let i = 0; i < CONFIG.archivos; i++) {
+            if (fs.existsSync(getRutaArchivo(i))) fuentes.push(() => leerArchivo(getRutaArchivo(i)));
+        }
+    }
+    if (fuentes.length === 0) fuentes.push(() => recientes.slice());
+
+    const entradas = [];
+    let truncado = false;
+
+    for (const leer of fuentes) {
+        const cupo = limite - entradas.length;
+        // Coincidencias en el orden del archivo (de la más antigua a la más nueva): quedan las últimas
+        let coincidencias = [];
+        let ultima = null;
+
+        for await (const entrada of leer()) {
+            ultima = entrada;
+            if (!coincide(entrada)) continue;
+            coincidencias.push(entrada);
+            if (coincidencias.length > cupo) truncado = true;
+            if (coincidencias.length > 2 * cupo) coincidencias = coincidencias.slice(coincidencias.length - cupo);
+        }
+
+        entradas.push(...coincidencias.slice(Math.max(0, coincidencias.length - cupo)).reverse());
+        if (truncado) break;
+        // Los archivos más antiguos solo pueden traer entradas anteriores a "desde": se puede cortar
+        if (desdeIso && ultima && ultima.time < desdeIso) break;
+    }
+
+    return {
+        entradas,
+        archivos: fuentes.length,
+        truncado
+    };
 }
 
 module.exports = {
+    CONFIG,
+    NIVELES,
     log,
     logSection,
     logProgress,
+    logDebug,
     logSuccess,
     logError,
     logWarning,
-    logInfo
+    logInfo,
+    crearLogger,
+    conContexto,
+    getContexto,
+    leerLogs
 };
@@ -0,0 +1,186 @@
+/**
+ * Métricas en formato de exposición de Prometheus (text/plain; version=0.0.4)
+ *
+ * Registro mínimo en memoria: contadores, gauges e histogramas con etiquetas. Cada módulo crea las
+ * métricas que observa (ej: erpClient, syncJobService) y GET /metrics las publica con renderMetricas().
+ * Los gauges que se calculan al momento de la consulta (ej: productos en la base) se registran con
+ * un "collect" asíncrono.
+ */
+
+const { logWarning } = require('./logger');
+
+const PREFIJO = 'axam_';
+
+// Nombre → métrica, en orden de registro
+const registro = new Map();
+
+/**
+ * Clave estable para un conjunto de etiquetas
+ */
+function claveEtiquetas(nombresEtiquetas, etiquetas = {}) {
+    return JSON.stringify(nombresEtiquetas.map(n => (etiquetas[n] ?? '').toString()));
+}
+
+function escaparValor(valor) {
+    return valor.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Etiquetas en formato Prometheus: {method="GET",route="/api/x"}
+ */
+function formatEtiquetas(nombresEtiquetas, valores, extra = '') {
+    const partes = nombresEtiquetas.map((n, i) => `${n}="${escaparValor(valores[i])}"`);
+    if (extra) partes.push(extra);
+    return partes.length > 0 ? `{${partes.join(',')}}` : '';
+}
+
+function formatNumero(valor) {
+    if (valor === Infinity) return '+Inf';
+    if (valor === -Infinity) return '-Inf';
+    return Number.isNaN(valor) ? 'NaN' : String(valor);
+}
+
+function registrar(metrica) {
+    if (registro.has(metrica.nombre)) {
+        throw new Error(`Métrica duplicada: ${metrica.nombre}`);
+    }
+    registro.set(metrica.nombre, metrica);
+    return metrica;
+}
+
+/**
+ * Contador (solo aumenta)
+ *
+ * @param {string} nombre - Sin prefijo (se agrega axam_)
+ * @param {string} ayuda
+ * @param {string[]} [etiquetas]
+ */
+function crearContador(nombre, ayuda, etiquetas = []) {
+    const valores = new Map();
+
+    return registrar({
+        nombre: PREFIJO + nombre,
+        tipo: 'counter',
+        ayuda,
+        inc(valoresEtiquetas = {}, cantidad = 1) {
+            const clave = claveEtiquetas(etiquetas, valoresEtiquetas);
+            valores.set(clave, (valores.get(clave) || 0) + cantidad);
+        },
+        lineas() {
+            return Array.from(valores, ([clave, valor]) =>
+                `${this.nombre}${formatEtiquetas(etiquetas, JSON.parse(clave))} ${formatNumero(valor)}`);
+        }
+    });
+}
+
+/**
+ * Gauge (valor que sube y baja)
+ *
+ * @param {string} nombre - Sin prefijo (se agrega axam_)
+ * @param {string} ayuda
+ * @param {string[]} [etiquetas]
+ * @param {Function} [collect] - async (gauge) => void; se llama en cada consulta para actualizar los valores
+ */
+function crearGauge(nombre, ayuda, etiquetas = [], collect = null) {
+    let valores = new Map();
+
+    return registrar({
+        nombre: PREFIJO + nombre,
+        tipo: 'gauge',
+        ayuda,
+        collect,
+        set(valoresEtiquetas, valor) {
+            valores.set(claveEtiquetas(etiquetas, valoresEtiquetas), valor);
+        },
+        // Para los collect: descartar series que ya no existen
+        reset() {
+            valores = new Map();
+        },
+        lineas() {
+            return Array.from(valores, ([clave, valor]) =>
+                `${this.nombre}${formatEtiquetas(etiquetas, JSON.parse(clave))} ${formatNumero(valor)}`);
+        }
+    });
+}
+
+/**
+ * Histograma con buckets acumulados, suma y cantidad
+ *
+ * @param {string} nombre - Sin prefijo (se agrega axam_)
+ * @param {string} ayuda
+ * @param {string[]} etiquetas
+ * @param {number[]} buckets - Límites superiores en orden creciente (+Inf se agrega solo)
+ */
+function crearHistograma(nombre, ayuda, etiquetas, buckets) {
+    const series = new Map();
+
+    return registrar({
+        nombre: PREFIJO + nombre,
+        tipo: 'histogram',
+        ayuda,
+        observe(valoresEtiquetas, valor) {
+            const clave = claveEtiquetas(etiquetas, valoresEtiquetas);
+            if (!series.has(clave)) {
+                series.set(clave, { conteos: new Array(buckets.length).fill(0), suma: 0, cantidad: 0 });
+            }
+            const serie = series.get(clave);
+            buckets.forEach((limite, i) => {
+                if (valor <= limite) serie.conteos[i]++;
+            });
+            serie.suma += valor;
+            serie.cantidad++;
+        },
+        lineas() {
+            const lineas = [];
+            for (const [clave, serie] of series) {
+                const valores = JSON.parse(clave);
+                buckets.forEach((limite, i) => {
+                    lineas.push(`${this.nombre}_bucket${formatEtiquetas(etiquetas, valores, `le="${limite}"`)} ${serie.conteos[i]}`);
+                });
+                lineas.push(`${this.nombre}_bucket${formatEtiquetas(etiquetas, valores, 'le="+Inf"')} ${serie.cantidad}`);
+                lineas.push(`${this.nombre}_sum${formatEtiquetas(etiquetas, valores)} ${formatNumero(serie.suma)}`);
+                lineas.push(`${this.nombre}_count${formatEtiquetas(etiquetas, valores)} ${serie.cantidad}`);
+            }
+            return lineas;
+        }
+    });
+}
+
+/**
+ * Todas las métricas registradas en formato de exposición
+ * Si el collect de un gauge falla, se omite ese gauge y se informa en axam_metrics_collect_errors.
+ */
+async function renderMetricas() {
+    const salida = [];
+    let errores = 0;
+
+    for (const metrica of registro.values()) {
+        if (metrica.collect) {
+            try {
+                metrica.reset();
+                await metrica.collect(metrica);
+            } catch (error) {
+                logWarning(`Métrica ${metrica.nombre} no calculada: ${error.message}`);
+                errores++;
+                continue;
+            }
+        }
+
+        salida.push(`# HELP ${metrica.nombre} ${metrica.ayuda}`);
+        salida.push(`# TYPE ${metrica.nombre} ${metrica.tipo}`);
+        salida.push(...metrica.lineas());
+    }
+
+    salida.push(`# HELP ${PREFIJO}metrics_collect_errors Gauges que no se pudieron calcular en esta consulta`);
+    salida.push(`# TYPE ${PREFIJO}metrics_collect_errors gauge`);
+    salida.push(`${PREFIJO}metrics_collect_errors ${errores}`);
+
+    return salida.join('\n') + '\n';
+}
+
+module.exports = {
+    crearContador,
+    crearGauge,
+    crearHistograma,
+    renderMetricas
+};
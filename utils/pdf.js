@@ -0,0 +1,136 @@
+/**
+ * Generación de PDF con tablas sobre pdfkit
+ *
+ * Helvetica estándar, A4 vertical. Cada sección empieza en una página nueva y repite el
+ * encabezado de la tabla al cambiar de página; el pie "Página n de m" se escribe al final,
+ * cuando ya se conoce el total de páginas.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const MARGEN = 40;
+const ALTO_FILA = 14;
+const TAMANO = { titulo: 14, subtitulo: 9, tabla: 8, pie: 7 };
+const FUENTE = { normal: 'Helvetica', negrita: 'Helvetica-Bold' };
+
+/**
+ * Posiciones x de las columnas, repartiendo el ancho útil según los anchos relativos
+ */
+function calcularColumnas(doc, columnas) {
+    const util = doc.page.width - 2 * MARGEN;
+    const total = columnas.reduce((sum, c) => sum + (c.ancho || 1), 0);
+    let x = MARGEN;
+    return columnas.map(columna => {
+        const ancho = util * (columna.ancho || 1) / total;
+        const resultado = { ...columna, x, anchoPt: ancho };
+        x += ancho;
+        return resultado;
+    });
+}
+
+/**
+ * Generar un PDF
+ *
+ * @param {object} documento
+ * @param {string} [documento.pie] - Texto del pie de página (se agrega "Página n de m")
+ * @param {Array<object>} documento.secciones - { titulo, subtitulos?: string[], columnas: [{ titulo, ancho?, alinear? }],
+ *   filas: Array<Array<string|number>>, total?: Array<string|number> }
+ * @returns {Promise<Buffer>}
+ */
+function generarPdf({ pie = '', secciones }) {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGEN, bufferPages: true, autoFirstPage: false });
+    const partes = [];
+    const terminado = new Promise((resolve, reject) => {
+        doc.on('data', parte => partes.push(parte));
+        doc.on('end', () => resolve(Buffer.concat(partes)));
+        doc.on('error', reject);
+    });
+
+    const espacioCelda = 4;
+    const texto = (valor, x, y, { tamano = TAMANO.tabla, negrita = false, ancho, alinear } = {}) => {
+        doc.font(negrita ? FUENTE.negrita : FUENTE.normal).fontSize(tamano).text(String(valor ?? ''), x, y, {
+            width: ancho,
+            // Una sola línea: lo que no cabe en el ancho se recorta con "..."
+            height: tamano,
+            ellipsis: '...',
+            align: alinear === 'derecha' ? 'right' : 'left'
+        });
+    };
+
+    for (const seccion of secciones) {
+        let columnas = [];
+        let y = 0;
+
+        const fila = (valores, { negrita = false } = {}) => {
+            columnas.forEach((columna, i) => {
+                const valor = valores[i];
+                if (valor === null || valor === undefined || valor === '') return;
+                texto(valor, columna.x + espacioCelda / 2, y, {
+                    negrita,
+                    alinear: columna.alinear,
+                    ancho: columna.anchoPt - espacioCelda
+                });
+            });
+        };
+
+        const nuevaPagina = () => {
+            doc.addPage();
+            columnas = calcularColumnas(doc, seccion.columnas);
+            y = MARGEN;
+
+            texto(seccion.titulo, MARGEN, y, { tamano: TAMANO.titulo, negrita: true });
+            y += TAMANO.titulo + 4;
+            for (const subtitulo of seccion.subtitulos || []) {
+                texto(subtitulo, MARGEN, y, { tamano: TAMANO.subtitulo });
+                y += TAMANO.subtitulo + 4;
+            }
+            y += 8;
+
+            // Encabezado de la tabla
+            doc.rect(MARGEN, y - 3, doc.page.width - 2 * MARGEN, ALTO_FILA).fill('#e6e6e6').fillColor('black');
+            fila(columnas.map(c => c.titulo), { negrita: true });
+            y += ALTO_FILA;
+        };
+
+        const linea = (yLinea, grosor) => {
+            doc.moveTo(MARGEN, yLinea).lineTo(doc.page.width - MARGEN, yLinea).lineWidth(grosor).stroke();
+        };
+
+        const hayLugar = () => y + 2 * ALTO_FILA <= doc.page.height - MARGEN;
+
+        nuevaPagina();
+        for (const valores of seccion.filas) {
+            if (!hayLugar()) nuevaPagina();
+            fila(valores);
+            linea(y + ALTO_FILA - 3, 0.2);
+            y += ALTO_FILA;
+        }
+
+        if (seccion.total) {
+            if (!hayLugar()) nuevaPagina();
+            linea(y - 3, 0.8);
+            fila(seccion.total, { negrita: true });
+        }
+    }
+
+    if (doc.bufferedPageRange().count === 0) {
+        doc.addPage();
+    }
+
+    // Pie con el total de páginas; se desactiva el margen inferior para que no salte de página
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        doc.page.margins.bottom = 0;
+        texto(`${pie ? `${pie} - ` : ''}Página ${i + 1} de ${count}`, MARGEN, doc.page.height - MARGEN / 2 - TAMANO.pie, {
+            tamano: TAMANO.pie
+        });
+    }
+
+    doc.end();
+    return terminado;
+}
+
+module.exports = {
+    generarPdf
+};
@@ -0,0 +1,20 @@
+/**
+ * Período en curso (año y mes) que usan la rotación, los pedidos, las órdenes y el dashboard
+ */
+
+const { getYear, getMonth } = require('date-fns');
+
+/**
+ * Obtener el mes actual en formato { ano, mes }
+ */
+function getMesActual() {
+    const ahora = new Date();
+    return {
+        ano: getYear(ahora),
+        mes: getMonth(ahora) + 1 // getMonth devuelve 0-11, necesitamos 1-12
+    };
+}
+
+module.exports = {
+    getMesActual
+};
@@ -0,0 +1,82 @@
+/**
+ * Envío de correos de las alertas con nodemailer
+ *
+ * Soporta TLS implícito (SMTP_SEGURO=true, típicamente puerto 465) y STARTTLS. Con usuario configurado
+ * y sin TLS implícito se exige STARTTLS: si el servidor no lo ofrece el envío falla en vez de mandar la
+ * contraseña en texto plano (SMTP_PERMITIR_SIN_TLS=true lo permite, solo para servidores internos).
+ * Para pruebas locales: mock/smtpMock.js.
+ */
+
+const nodemailer = require('nodemailer');
+
+// Configuración (variables de entorno)
+const CONFIG = {
+    host: process.env.SMTP_HOST || '',
+    puerto: parseInt(process.env.SMTP_PORT || '587', 10),
+    seguro: process.env.SMTP_SEGURO === 'true',
+    usuario: process.env.SMTP_USUARIO || '',
+    password: process.env.SMTP_PASSWORD || '',
+    remitente: process.env.SMTP_REMITENTE || 'alertas@localhost',
+    // false = no verificar el certificado (servidores internos con certificado propio)
+    verificarCertificado: process.env.SMTP_VERIFICAR_CERTIFICADO !== 'false',
+    // true = autenticarse aunque la conexión no esté cifrada
+    permitirSinTls: process.env.SMTP_PERMITIR_SIN_TLS === 'true',
+    timeoutMs: parseInt(process.env.SMTP_TIMEOUT_MS || '15000', 10)
+};
+
+/**
+ * Enviar un correo de texto
+ *
+ * @param {object} correo
+ * @param {string[]} correo.para - Destinatarios
+ * @param {string} correo.asunto
+ * @param {string} correo.texto
+ * @param {object} [opciones] - Sobrescribe CONFIG (host, puerto, seguro, usuario, password, remitente, ...)
+ * @returns {Promise<{aceptados: string[], respuesta: string}>}
+ */
+async function enviarCorreo({ para, asunto, texto }, opciones = {}) {
+    const config = { ...CONFIG, ...opciones };
+    if (!config.host) {
+        throw new Error('SMTP_HOST no está configurado');
+    }
+    if (!para || para.length === 0) {
+        throw new Error('El correo no tiene destinatarios');
+    }
+
+    const exigirTls = !config.seguro && Boolean(config.usuario) && !config.permitirSinTls;
+    const transporte = nodemailer.createTransport({
+        host: config.host,
+        port: config.puerto,
+        secure: config.seguro,
+        auth: config.usuario ? { user: config.usuario, pass: config.password } : undefined,
+        requireTLS: exigirTls,
+        tls: { servername: config.host, rejectUnauthorized: config.verificarCertificado },
+        connectionTimeout: config.timeoutMs,
+        greetingTimeout: config.timeoutMs,
+        socketTimeout: config.timeoutMs
+    });
+
+    try {
+        const info = await transporte.sendMail({
+            from: config.remitente,
+            to: para,
+            subject: asunto,
+            text: texto,
+            textEncoding: 'base64'
+        });
+        return { aceptados: info.accepted.map(String), respuesta: info.response };
+    } catch (error) {
+        if (exigirTls && error.code === 'ETLS') {
+            throw new Error(`SMTP: el servidor no acepta STARTTLS y no se envían credenciales sin cifrar (${error.message}). `
+                + 'Use SMTP_SEGURO=true o, solo en una red interna, SMTP_PERMITIR_SIN_TLS=true');
+        }
+        throw new Error(`SMTP: ${error.message}`);
+    } finally {
+        transporte.close();
+    }
+}
+
+module.exports = {
+    CONFIG,
+    enviarCorreo
+};
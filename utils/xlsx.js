@@ -0,0 +1,123 @@
+/**
+ * Lectura y generación de planillas Excel (.xlsx) con exceljs
+ *
+ * Expone un formato de datos simple (hojas con filas de valores) para que exportService e
+ * importService no dependan de la API de exceljs. Al generar: textos, números, negrita y formato
+ * de miles. Al leer: solo valores (textos, números y booleanos); de las fórmulas se toma el
+ * resultado calculado y se ignoran estilos.
+ */
+
+const ExcelJS = require('exceljs');
+
+const FORMATO_MILES = '#,##0';
+const FORMATO_MONEDA = '"$"#,##0';
+
+// Estilos que acepta una celda { valor, estilo }
+const ESTILOS = {
+    normal: {},
+    negrita: { font: { bold: true } },
+    numero: { numFmt: FORMATO_MILES },
+    numeroNegrita: { numFmt: FORMATO_MILES, font: { bold: true } },
+    moneda: { numFmt: FORMATO_MONEDA },
+    monedaNegrita: { numFmt: FORMATO_MONEDA, font: { bold: true } }
+};
+
+/**
+ * Nombre de hoja válido y único (máximo 31 caracteres, sin []:*?/\)
+ */
+function nombreHoja(nombre, usados) {
+    const base = (String(nombre || 'Hoja').replace(/[[\]:*?/\\\s]+/g, ' ').trim() || 'Hoja').slice(0, 31);
+    let candidato = base;
+    let n = 2;
+    while (usados.has(candidato.toLowerCase())) {
+        const sufijo = ` (${n++})`;
+        candidato = base.slice(0, 31 - sufijo.length) + sufijo;
+    }
+    usados.add(candidato.toLowerCase());
+    return candidato;
+}
+
+/**
+ * Escribir una celda: valor simple o { valor, estilo } con estilo de ESTILOS
+ */
+function escribirCelda(celdaExcel, celda) {
+    const { valor, estilo } = celda !== null && typeof celda === 'object' ? celda : { valor: celda };
+    if (valor === null || valor === undefined || valor === '') return;
+
+    celdaExcel.value = typeof valor === 'number' && Number.isFinite(valor) ? valor : String(valor);
+    const { font, numFmt } = ESTILOS[estilo] || ESTILOS.normal;
+    if (font) celdaExcel.font = font;
+    if (numFmt) celdaExcel.numFmt = numFmt;
+}
+
+/**
+ * Generar un libro Excel
+ *
+ * @param {Array<{nombre: string, filas: Array<Array<any>>, anchos?: number[]}>} hojas
+ *   Cada celda es un valor (string/número) o { valor, estilo } con estilo de ESTILOS
+ * @returns {Promise<Buffer>}
+ */
+async function generarXlsx(hojas) {
+    const libro = new ExcelJS.Workbook();
+    const usados = new Set();
+
+    for (const hoja of hojas) {
+        const worksheet = libro.addWorksheet(nombreHoja(hoja.nombre, usados));
+        (hoja.anchos || []).forEach((ancho, i) => {
+            worksheet.getColumn(i + 1).width = ancho;
+        });
+        hoja.filas.forEach((fila, i) => {
+            const filaExcel = worksheet.getRow(i + 1);
+            (fila || []).forEach((celda, j) => escribirCelda(filaExcel.getCell(j + 1), celda));
+        });
+    }
+
+    return Buffer.from(await libro.xlsx.writeBuffer());
+}
+
+/**
+ * Valor plano de una celda de exceljs (texto enriquecido, fórmulas, hipervínculos y fechas)
+ */
+function valorPlano(valor) {
+    if (valor === null || valor === undefined) return null;
+    if (valor instanceof Date) return valor.toISOString();
+    if (typeof valor !== 'object') return valor;
+    if (Array.isArray(valor.richText)) return valor.richText.map(parte => parte.text).join('');
+    if ('result' in valor) return valorPlano(valor.result);
+    if ('text' in valor) return valorPlano(valor.text);
+    if ('error' in valor) return valor.error;
+    return null;
+}
+
+/**
+ * Leer un libro Excel
+ *
+ * @param {Buffer} buffer - Contenido del .xlsx
+ * @returns {Promise<Array<{nombre: string, filas: Array<Array<string|number|boolean|null>>}>>} Hojas en orden
+ */
+async function leerXlsx(buffer) {
+    const libro = new ExcelJS.Workbook();
+    try {
+        await libro.xlsx.load(buffer);
+    } catch {
+        throw new Error('El archivo no es un libro Excel (.xlsx)');
+    }
+
+    return libro.worksheets.map(worksheet => {
+        const filas = [];
+        worksheet.eachRow({ includeEmpty: false }, (filaExcel, numeroFila) => {
+            const fila = [];
+            filaExcel.eachCell({ includeEmpty: false }, (celda, numeroColumna) => {
+                fila[numeroColumna - 1] = valorPlano(celda.value);
+            });
+            filas[numeroFila - 1] = Array.from(fila, c => c ?? null);
+        });
+        return { nombre: worksheet.name, filas: Array.from(filas, f => f || []) };
+    });
+}
+
+module.exports = {
+    ESTILOS,
+    generarXlsx,
+    leerXlsx
+};